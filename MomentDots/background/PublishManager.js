@@ -334,9 +334,16 @@
 
     /**
      * 获取发布统计
+     * 优先使用持久化的发布历史（background.js 中的 publishHistoryService），
+     * 不可用时退回到本实例内存中的记录
      * @param {number} days - 统计天数
+     * @returns {Promise<Object>} 统计信息
      */
-    getPublishStats(days = 7) {
+    async getPublishStats(days = 7) {
+      if (typeof publishHistoryService !== 'undefined') {
+        return publishHistoryService.getStats(days);
+      }
+
       const cutoffTime = Date.now() - (days * 24 * 60 * 60 * 1000);
       const recentHistory = this.publishHistory.filter(h => h.timestamp > cutoffTime);
       
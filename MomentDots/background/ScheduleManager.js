@@ -0,0 +1,498 @@
+/**
+ * 定时发布管理器 - Chrome扩展版本
+ * 基于 chrome.alarms 在指定时间触发发布任务
+ *
+ * 注意：
+ * - 任务持久化在 chrome.storage.local（scheduledJobs），Service Worker 重启后仍可恢复
+ * - 任务数据为编辑内容的快照（data.snapshot，格式与草稿相同），快照媒体由主页面写入独立的
+ *   IndexedDB（snapshotStorage），到点后由执行器载入快照并走与立即发布相同的优化和处理流程
+ * - 旧版任务直接保存发布数据（data.content/fileIds）：Background 中的文件只保存在内存里，
+ *   因此引用的文件会额外写入 IndexedDB，触发时再恢复到 BackgroundFileService，保证 fileId 不变
+ * - 使用全局变量和IIFE模式，与 PublishManager 保持一致
+ */
+
+(function() {
+  'use strict';
+
+  // 检查是否已经加载，避免重复定义
+  if (self.ScheduleManager) {
+    console.log('ScheduleManager already loaded');
+    return;
+  }
+
+  const STORAGE_KEY = 'scheduledJobs';
+  const ALARM_PREFIX = 'scheduledPublish_';
+  const FILE_DB_NAME = 'MomentDotsScheduledFiles';
+  const FILE_STORE_NAME = 'files';
+  const MIN_DELAY = 1000; // 过期任务的最小补发延迟（毫秒）
+
+  /**
+   * 定时发布管理器类
+   */
+  class ScheduleManager {
+    /**
+     * @param {Object} options - 配置选项
+     * @param {Function} options.executor - 执行发布的函数，接收发布数据；发布未成功时须抛出错误
+     *   （error.failedPlatformIds 为失败的平台，任务会只保留这些平台，重新执行时不再重复发布已成功的平台）
+     * @param {Object} options.fileService - BackgroundFileService 实例
+     * @param {FileStorageService} options.snapshotStorage - 任务快照媒体的存储
+     */
+    constructor(options = {}) {
+      this.executor = options.executor;
+      this.fileService = options.fileService || null;
+      this.snapshotStorage = options.snapshotStorage || null;
+      this.runningJobs = new Set();
+      this.db = null;
+      console.log('ScheduleManager initialized');
+    }
+
+    /**
+     * 启动时同步闹钟：为缺失闹钟的待执行任务重建闹钟，过期任务会尽快补发
+     */
+    async restore() {
+      try {
+        const jobs = await this.loadJobs();
+        let changed = false;
+
+        for (const job of jobs) {
+          // Service Worker 在执行过程中被终止，任务状态停留在 running
+          if (job.status === 'running' && !this.runningJobs.has(job.id)) {
+            job.status = 'failed';
+            job.error = '执行被中断，请重新执行';
+            job.updatedAt = Date.now();
+            changed = true;
+            continue;
+          }
+
+          if (job.status === 'pending') {
+            const alarm = await chrome.alarms.get(this.getAlarmName(job.id));
+            if (!alarm) {
+              this.createAlarm(job);
+            }
+          }
+        }
+
+        if (changed) {
+          await this.saveJobs(jobs);
+        }
+
+        console.log(`✅ 定时任务已恢复，共 ${jobs.length} 个任务`);
+      } catch (error) {
+        console.error('❌ 恢复定时任务失败:', error);
+      }
+    }
+
+    /**
+     * 创建定时任务
+     * @param {Object} params - 任务参数
+     * @param {number} params.scheduledTime - 计划发布时间（时间戳）
+     * @param {Object} params.data - 任务数据 { snapshot, platforms }（旧版为与 startPublish 相同的发布数据）
+     * @returns {Promise<Object>} 创建的任务
+     */
+    async scheduleJob({ scheduledTime, data }) {
+      const time = Number(scheduledTime);
+      if (!time || time <= Date.now()) {
+        throw new Error('定时发布时间必须晚于当前时间');
+      }
+      this.validateJobData(data);
+
+      const job = {
+        id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        scheduledTime: time,
+        status: 'pending',
+        error: null,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        data
+      };
+
+      // 先持久化文件，避免 Service Worker 重启后文件丢失
+      await this.persistJobFiles(job);
+
+      const jobs = await this.loadJobs();
+      jobs.push(job);
+      await this.saveJobs(jobs);
+      this.createAlarm(job);
+
+      console.log(`📅 定时任务已创建: ${job.id}`, {
+        scheduledTime: new Date(time).toLocaleString(),
+        platforms: data.platforms.map(p => p.name || p.id)
+      });
+
+      this.broadcastJobs(jobs);
+      return job;
+    }
+
+    /**
+     * 校验任务数据
+     * @param {Object} data - 任务数据
+     */
+    validateJobData(data) {
+      const hasContent = data && (data.snapshot || data.content);
+      if (!hasContent || !data.platforms || data.platforms.length === 0) {
+        throw new Error('发布数据不完整：缺少内容或平台信息');
+      }
+    }
+
+    /**
+     * 修改任务的计划时间和内容（失败的任务修改后会重新进入待执行状态）
+     * @param {string} jobId - 任务ID
+     * @param {Object} updates - 更新内容
+     * @param {number} updates.scheduledTime - 新的计划时间
+     * @param {Object} [updates.data] - 新的任务内容（在主页面编辑后保存），替换后删除旧快照的媒体
+     * @returns {Promise<Object>} 更新后的任务
+     */
+    async updateJob(jobId, updates = {}) {
+      const jobs = await this.loadJobs();
+      const job = jobs.find(j => j.id === jobId);
+      if (!job) {
+        throw new Error('定时任务不存在');
+      }
+      if (job.status === 'running') {
+        throw new Error('任务正在执行，无法修改');
+      }
+
+      const time = Number(updates.scheduledTime);
+      if (!time || time <= Date.now()) {
+        throw new Error('定时发布时间必须晚于当前时间');
+      }
+
+      const previousSnapshot = updates.data ? job.data?.snapshot : null;
+      if (updates.data) {
+        this.validateJobData(updates.data);
+        job.data = updates.data;
+      }
+
+      job.scheduledTime = time;
+      job.status = 'pending';
+      job.error = null;
+      job.updatedAt = Date.now();
+
+      await this.saveJobs(jobs);
+      this.createAlarm(job);
+      await this.deleteSnapshotMedia(previousSnapshot);
+
+      console.log(`📅 定时任务已更新: ${jobId} -> ${new Date(time).toLocaleString()}`);
+      this.broadcastJobs(jobs);
+      return job;
+    }
+
+    /**
+     * 取消定时任务
+     * @param {string} jobId - 任务ID
+     * @returns {Promise<boolean>} 是否取消成功
+     */
+    async cancelJob(jobId) {
+      const jobs = await this.loadJobs();
+      const job = jobs.find(j => j.id === jobId);
+      if (!job) {
+        return false;
+      }
+      if (job.status === 'running') {
+        throw new Error('任务正在执行，无法取消');
+      }
+
+      await chrome.alarms.clear(this.getAlarmName(jobId));
+      await this.removeJob(jobId);
+      console.log(`🗑️ 定时任务已取消: ${jobId}`);
+      return true;
+    }
+
+    /**
+     * 立即执行定时任务
+     * @param {string} jobId - 任务ID
+     */
+    async runJobNow(jobId) {
+      await chrome.alarms.clear(this.getAlarmName(jobId));
+      await this.executeJob(jobId);
+    }
+
+    /**
+     * 处理闹钟事件
+     * @param {chrome.alarms.Alarm} alarm - 闹钟
+     */
+    async handleAlarm(alarm) {
+      if (!alarm || !alarm.name.startsWith(ALARM_PREFIX)) {
+        return;
+      }
+
+      const jobId = alarm.name.substring(ALARM_PREFIX.length);
+      console.log(`⏰ 定时任务触发: ${jobId}`);
+
+      try {
+        await this.executeJob(jobId);
+      } catch (error) {
+        console.error(`❌ 定时任务执行失败: ${jobId}`, error);
+      }
+    }
+
+    /**
+     * 执行任务：恢复文件、调用发布函数，所有平台确认成功后才移除任务，否则标记为失败
+     * @param {string} jobId - 任务ID
+     */
+    async executeJob(jobId) {
+      if (this.runningJobs.has(jobId)) {
+        console.log(`任务 ${jobId} 正在执行，跳过重复触发`);
+        return;
+      }
+
+      const jobs = await this.loadJobs();
+      const job = jobs.find(j => j.id === jobId);
+      if (!job) {
+        console.warn(`定时任务不存在: ${jobId}`);
+        return;
+      }
+
+      this.runningJobs.add(jobId);
+      job.status = 'running';
+      job.updatedAt = Date.now();
+      await this.saveJobs(jobs);
+      this.broadcastJobs(jobs);
+
+      try {
+        await this.restoreJobFiles(job);
+
+        if (typeof this.executor !== 'function') {
+          throw new Error('发布执行器未配置');
+        }
+        await this.executor(job.data, job);
+
+        await this.removeJob(jobId);
+        console.log(`✅ 定时任务已执行: ${jobId}`);
+      } catch (error) {
+        await this.markJobFailed(jobId, error.message, error.failedPlatformIds);
+        throw error;
+      } finally {
+        this.runningJobs.delete(jobId);
+      }
+    }
+
+    /**
+     * 获取任务列表（按计划时间排序）
+     * @returns {Promise<Array>} 任务列表
+     */
+    async getJobs() {
+      const jobs = await this.loadJobs();
+      return jobs.sort((a, b) => a.scheduledTime - b.scheduledTime);
+    }
+
+    async loadJobs() {
+      const result = await chrome.storage.local.get([STORAGE_KEY]);
+      return Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+    }
+
+    async saveJobs(jobs) {
+      await chrome.storage.local.set({ [STORAGE_KEY]: jobs });
+    }
+
+    async removeJob(jobId) {
+      const allJobs = await this.loadJobs();
+      const removed = allJobs.find(j => j.id === jobId);
+      const jobs = allJobs.filter(j => j.id !== jobId);
+      await this.saveJobs(jobs);
+      await this.deleteJobFiles(jobId);
+      await this.deleteSnapshotMedia(removed?.data?.snapshot);
+      this.broadcastJobs(jobs);
+    }
+
+    /**
+     * 标记任务失败
+     * @param {string} jobId - 任务ID
+     * @param {string} errorMessage - 错误信息
+     * @param {Array<string>} failedPlatformIds - 失败的平台ID，部分平台已成功时只保留失败的平台
+     */
+    async markJobFailed(jobId, errorMessage, failedPlatformIds = null) {
+      const jobs = await this.loadJobs();
+      const job = jobs.find(j => j.id === jobId);
+      if (job) {
+        if (Array.isArray(failedPlatformIds) && failedPlatformIds.length > 0) {
+          job.data.platforms = job.data.platforms.filter(platform => failedPlatformIds.includes(platform.id));
+          if (job.data.snapshot) {
+            job.data.snapshot.selectedPlatforms = job.data.platforms.map(platform => platform.id);
+          }
+        }
+        job.status = 'failed';
+        job.error = errorMessage;
+        job.updatedAt = Date.now();
+        await this.saveJobs(jobs);
+        this.broadcastJobs(jobs);
+      }
+    }
+
+    getAlarmName(jobId) {
+      return `${ALARM_PREFIX}${jobId}`;
+    }
+
+    createAlarm(job) {
+      chrome.alarms.create(this.getAlarmName(job.id), {
+        when: Math.max(job.scheduledTime, Date.now() + MIN_DELAY)
+      });
+    }
+
+    /**
+     * 通知侧边栏任务列表变化
+     * @param {Array} jobs - 任务列表
+     */
+    broadcastJobs(jobs) {
+      chrome.runtime.sendMessage({
+        action: 'scheduledJobsUpdated',
+        jobs: [...jobs].sort((a, b) => a.scheduledTime - b.scheduledTime)
+      }).catch(() => {
+        // 侧边栏未打开时忽略
+      });
+    }
+
+    /**
+     * 打开文件数据库
+     * @returns {Promise<IDBDatabase>} 数据库实例
+     */
+    async openFileDB() {
+      if (this.db) {
+        return this.db;
+      }
+
+      return new Promise((resolve, reject) => {
+        const request = indexedDB.open(FILE_DB_NAME, 1);
+
+        request.onerror = () => {
+          console.error('Failed to open scheduled files DB:', request.error);
+          reject(new Error('DB_INIT_FAILED'));
+        };
+
+        request.onsuccess = () => {
+          this.db = request.result;
+          resolve(this.db);
+        };
+
+        request.onupgradeneeded = (event) => {
+          const db = event.target.result;
+          if (!db.objectStoreNames.contains(FILE_STORE_NAME)) {
+            const store = db.createObjectStore(FILE_STORE_NAME, { keyPath: 'id' });
+            store.createIndex('jobId', 'jobId', { unique: false });
+          }
+        };
+      });
+    }
+
+    /**
+     * 将任务引用的文件从内存写入 IndexedDB
+     * @param {Object} job - 任务
+     */
+    async persistJobFiles(job) {
+      const fileIds = job.data.fileIds || [];
+      if (fileIds.length === 0 || !this.fileService) {
+        return;
+      }
+
+      const records = [];
+      for (const fileId of fileIds) {
+        const fileData = this.fileService.getFile(fileId);
+        if (!fileData) {
+          throw new Error(`文件已失效，请重新上传后再设置定时发布: ${fileId}`);
+        }
+        records.push({ id: fileId, jobId: job.id, blob: fileData.blob, metadata: fileData.metadata });
+      }
+
+      const db = await this.openFileDB();
+      await new Promise((resolve, reject) => {
+        const transaction = db.transaction([FILE_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(FILE_STORE_NAME);
+        records.forEach(record => store.put(record));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => {
+          if (transaction.error && transaction.error.name === 'QuotaExceededError') {
+            reject(new Error('STORAGE_QUOTA_EXCEEDED'));
+          } else {
+            reject(new Error('STORE_FAILED'));
+          }
+        };
+      });
+
+      console.log(`💾 定时任务文件已持久化: ${job.id} (${records.length} 个文件)`);
+    }
+
+    /**
+     * 将 IndexedDB 中的文件恢复到 BackgroundFileService（保持原 fileId）
+     * @param {Object} job - 任务
+     */
+    async restoreJobFiles(job) {
+      const fileIds = job.data.fileIds || [];
+      if (fileIds.length === 0 || !this.fileService) {
+        return;
+      }
+
+      const missingIds = fileIds.filter(id => !this.fileService.fileStorage.has(id));
+      if (missingIds.length === 0) {
+        return;
+      }
+
+      const records = await this.getJobFiles(job.id);
+      records.forEach(record => {
+        this.fileService.fileStorage.set(record.id, record.blob);
+        this.fileService.fileMetadata.set(record.id, record.metadata);
+      });
+
+      const stillMissing = missingIds.filter(id => !this.fileService.fileStorage.has(id));
+      if (stillMissing.length > 0) {
+        throw new Error(`定时任务文件丢失: ${stillMissing.join(', ')}`);
+      }
+
+      console.log(`📂 定时任务文件已恢复: ${job.id} (${records.length} 个文件)`);
+    }
+
+    async getJobFiles(jobId) {
+      const db = await this.openFileDB();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([FILE_STORE_NAME], 'readonly');
+        const request = transaction.objectStore(FILE_STORE_NAME).index('jobId').getAll(jobId);
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(new Error('GET_FAILED'));
+      });
+    }
+
+    async deleteJobFiles(jobId) {
+      try {
+        const db = await this.openFileDB();
+        await new Promise((resolve, reject) => {
+          const transaction = db.transaction([FILE_STORE_NAME], 'readwrite');
+          const request = transaction.objectStore(FILE_STORE_NAME).index('jobId').openCursor(jobId);
+          request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+              cursor.delete();
+              cursor.continue();
+            }
+          };
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = () => reject(transaction.error);
+        });
+      } catch (error) {
+        console.warn(`清理定时任务文件失败: ${jobId}`, error);
+      }
+    }
+
+    /**
+     * 删除任务快照的媒体文件
+     * @param {Object} snapshot - 任务快照
+     */
+    async deleteSnapshotMedia(snapshot) {
+      if (!snapshot || !this.snapshotStorage) {
+        return;
+      }
+
+      for (const item of snapshot.media || []) {
+        try {
+          await this.snapshotStorage.deleteFile(item.storageId);
+        } catch (error) {
+          console.warn('清理定时任务快照媒体失败:', item.storageId, error);
+        }
+      }
+    }
+  }
+
+  // 导出类 (Service Worker环境使用self)，实例由 background.js 创建并注入依赖
+  self.ScheduleManager = ScheduleManager;
+
+  console.log('ScheduleManager loaded successfully');
+
+})();
@@ -4,6 +4,12 @@ console.log('=== Background Script Starting ===');
 // 导入文章抓取服务
 importScripts('../shared/services/ArticleExtractorService.js');
 
+// 导入发布历史服务
+importScripts('../shared/services/PublishHistoryService.js');
+
+// 导入文件存储服务（定时任务快照的媒体文件）
+importScripts('../shared/services/FileStorageService.js');
+
 // 初始化提示词助手默认数据
 async function initializePromptData() {
   const defaultPromptData = {
@@ -36,6 +42,8 @@ async function initializePromptData() {
         {
           id: 'gemini-2.5-flash',
           name: 'Gemini 2.5 Flash',
+          provider: 'gemini',
+          model: 'gemini-2.5-flash',
           apiKey: '', // 用户需要在设置中配置
           endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent'
         }
@@ -821,7 +829,8 @@ const SUPPORTED_PLATFORMS = [
     color: 'bg-red-500',
     logoUrl: 'https://favicon.im/weibo.com',
     domain: 'weibo.com',
-    supportsVideo: true
+    supportsVideo: true,
+    supportsAutoSubmit: true // 支持预填充后自动点击发布
   },
   {
     id: 'xiaohongshu',
@@ -859,7 +868,8 @@ const SUPPORTED_PLATFORMS = [
     color: 'bg-black',
     logoUrl: 'https://favicon.im/www.douyin.com',
     domain: 'douyin.com',
-    supportsVideo: true
+    supportsVideo: true,
+    supportsAutoSubmit: true
   },
   {
     id: 'x',
@@ -867,7 +877,8 @@ const SUPPORTED_PLATFORMS = [
     publishUrl: 'https://x.com/home',
     color: 'bg-black',
     logoUrl: 'https://favicon.im/x.com',
-    domain: 'x.com'
+    domain: 'x.com',
+    supportsAutoSubmit: true
   },
   {
     id: 'bilibili',
@@ -909,6 +920,63 @@ const SUPPORTED_PLATFORMS = [
     logoUrl: 'https://favicon.im/channels.weixin.qq.com',
     domain: 'channels.weixin.qq.com',
     supportsVideo: true
+  },
+  {
+    id: 'zhihu',
+    name: '知乎',
+    publishUrl: 'https://www.zhihu.com/',
+    color: 'bg-blue-600',
+    logoUrl: 'https://favicon.im/www.zhihu.com',
+    domain: 'zhihu.com'
+  },
+  {
+    id: 'zhihu-article',
+    name: '知乎专栏',
+    publishUrl: 'https://zhuanlan.zhihu.com/write',
+    color: 'bg-blue-600',
+    logoUrl: 'https://favicon.im/www.zhihu.com',
+    domain: 'zhuanlan.zhihu.com',
+    contentType: 'article'
+  },
+  {
+    id: 'juejin-article',
+    name: '掘金',
+    publishUrl: 'https://juejin.cn/editor/drafts/new?v=2',
+    color: 'bg-blue-500',
+    logoUrl: 'https://favicon.im/juejin.cn',
+    domain: 'juejin.cn',
+    contentType: 'article',
+    contentFormat: 'markdown'
+  },
+  {
+    id: 'csdn-article',
+    name: 'CSDN',
+    publishUrl: 'https://editor.csdn.net/md/?not_checkout=1',
+    color: 'bg-red-600',
+    logoUrl: 'https://favicon.im/blog.csdn.net',
+    domain: 'editor.csdn.net',
+    contentType: 'article',
+    contentFormat: 'markdown'
+  },
+  {
+    id: 'jianshu-article',
+    name: '简书',
+    publishUrl: 'https://www.jianshu.com/writer#/',
+    color: 'bg-red-400',
+    logoUrl: 'https://favicon.im/www.jianshu.com',
+    domain: 'jianshu.com',
+    contentType: 'article',
+    contentFormat: 'markdown'
+  },
+  {
+    id: 'segmentfault-article',
+    name: '思否',
+    publishUrl: 'https://segmentfault.com/write',
+    color: 'bg-green-600',
+    logoUrl: 'https://favicon.im/segmentfault.com',
+    domain: 'segmentfault.com',
+    contentType: 'article',
+    contentFormat: 'markdown'
   }
 ];
 
@@ -932,6 +1000,7 @@ class TaskScheduler {
     this.taskQueue = [];
     this.runningTasks = new Set(); // 修复：初始化runningTasks
     this.activePlatformTabs = new Map(); // 🚀 新增：活跃平台标签页映射
+    this.platformHistoryIds = new Map(); // 平台ID -> 发布历史记录ID
 
     // 检查PublishManager是否可用
     if (self.publishManager) {
@@ -994,6 +1063,9 @@ class TaskScheduler {
       result => !platformIds.includes(result.platform.id)
     );
 
+    // 关联发布历史记录，后续状态更新会同步写入历史
+    this.bindHistoryRecord(platformIds, content.historyId);
+
     // 保存状态到存储
     await this.saveState();
 
@@ -1053,6 +1125,8 @@ class TaskScheduler {
       action: 'publishCompleted',
       data: { results: publishState.publishResults }
     });
+
+    return publishState.publishResults.filter(result => platformIds.includes(result.platform.id));
   }
 
   async executeTask(platform, content) {
@@ -1062,6 +1136,12 @@ class TaskScheduler {
       // 添加到运行中的任务
       this.runningTasks.add(platform.id);
 
+      // 应用分平台内容（标题、正文、媒体选择）
+      content = applyPlatformVariant(content, platform);
+
+      // 替换为按平台图片限制处理后的图片
+      content = applyPlatformMedia(content, platform);
+
       // 检查是否为跨标签页平台
       if (platform.crossTab) {
         return await this.handleCrossTabPlatform(platform, content);
@@ -1131,14 +1211,18 @@ class TaskScheduler {
       // 4. 等待预填充完成
       await this.delay(3000); // 等待3秒让预填充完成
 
-      // 5. 预填充完成状态
-      this.updatePublishResult({
-        platform,
-        status: 'ready',
-        message: '内容已预填充，请手动确认并发布',
-        publishUrl: actualPublishUrl,
-        timestamp: Date.now()
-      });
+      // 5. 已开启自动发布时点击发布并等待结果，否则停留在预填充状态
+      if (response?.success !== false && await isAutoSubmitEnabled(platform.id)) {
+        await this.submitPublish(platform, tab.id, actualPublishUrl);
+      } else {
+        this.updatePublishResult({
+          platform,
+          status: 'ready',
+          message: '内容已预填充，请手动确认并发布',
+          publishUrl: actualPublishUrl,
+          timestamp: Date.now()
+        });
+      }
 
       // 6. 不自动关闭标签页，让用户手动操作
       console.log(`${platform.name} 内容预填充完成，标签页保持打开状态`);
@@ -1161,6 +1245,53 @@ class TaskScheduler {
     }
   }
 
+  /**
+   * 自动点击发布按钮，并根据平台的成功信号上报 published 状态
+   * @param {Object} platform - 平台配置
+   * @param {number} tabId - 发布页标签页ID
+   * @param {string} editorUrl - 发布页地址（未确认成功时保留）
+   */
+  async submitPublish(platform, tabId, editorUrl) {
+    this.updatePublishResult({
+      platform,
+      status: 'publishing',
+      message: '正在自动发布...',
+      timestamp: Date.now()
+    });
+
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tabId, {
+        action: 'submitPublish',
+        platform: platform.id
+      });
+    } catch (error) {
+      response = { success: false, error: error.message };
+    }
+
+    console.log(`${platform.name} 自动发布结果:`, response);
+
+    if (response?.success) {
+      this.updatePublishResult({
+        platform,
+        status: 'published',
+        message: response.publishUrl ? '已自动发布' : '已自动发布（未获取到作品链接）',
+        publishUrl: response.publishUrl || '',
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    // 未检测到成功信号时上报失败；内容仍在编辑器中，保留发布页地址供用户手动确认，不自动重试以免重复发布
+    this.updatePublishResult({
+      platform,
+      status: 'failed',
+      message: `自动发布失败：${response?.error || '未检测到发布成功'}，请在发布页手动确认`,
+      publishUrl: editorUrl,
+      timestamp: Date.now()
+    });
+  }
+
   async waitForTabLoad(tabId) {
     return new Promise((resolve, reject) => {
       const startTime = Date.now();
@@ -1236,6 +1367,9 @@ class TaskScheduler {
     // 保存状态
     this.saveState();
 
+    // 同步到发布历史
+    this.recordHistoryResult(result);
+
     // 广播更新
     this.broadcastMessage({
       action: 'publishResult',
@@ -1243,6 +1377,34 @@ class TaskScheduler {
     });
   }
 
+  /**
+   * 关联平台与发布历史记录
+   * @param {Array<string>} platformIds - 平台ID列表
+   * @param {string} historyId - 发布历史记录ID
+   */
+  bindHistoryRecord(platformIds, historyId) {
+    platformIds.forEach(platformId => {
+      if (historyId) {
+        this.platformHistoryIds.set(platformId, historyId);
+      } else {
+        this.platformHistoryIds.delete(platformId);
+      }
+    });
+  }
+
+  // 将平台发布结果写入历史记录（失败不影响发布流程）
+  recordHistoryResult(result) {
+    const platformId = result.platform?.id;
+    const historyId = this.platformHistoryIds.get(platformId);
+    if (!historyId) {
+      return;
+    }
+
+    publishHistoryService.updatePlatformResult(historyId, platformId, result).catch(error => {
+      console.warn(`写入发布历史失败: ${platformId}`, error);
+    });
+  }
+
   broadcastMessage(message) {
     // 发送消息到所有扩展页面
     chrome.runtime.sendMessage(message).catch(() => {
@@ -1435,6 +1597,32 @@ class TaskScheduler {
 // 创建任务调度器实例
 const taskScheduler = new TaskScheduler();
 
+// 创建发布历史服务实例
+const publishHistoryService = new PublishHistoryService();
+
+// 加载定时发布管理器
+try {
+  importScripts('./ScheduleManager.js');
+  console.log('✅ ScheduleManager loaded successfully');
+} catch (error) {
+  console.error('❌ Failed to load ScheduleManager:', error.message);
+}
+
+// 创建定时发布管理器实例（到点后走与立即发布相同的 handlePublishRequest 流程）
+const scheduleManager = new self.ScheduleManager({
+  executor: executeScheduledPublish,
+  fileService: backgroundFileService,
+  snapshotStorage: new FileStorageService({ dbName: 'MomentDotsScheduledDrafts' })
+});
+
+// 闹钟监听必须在顶层同步注册，确保 Service Worker 被闹钟唤醒时能收到事件
+chrome.alarms.onAlarm.addListener((alarm) => {
+  scheduleManager.handleAlarm(alarm);
+});
+
+// Service Worker 每次启动都同步一次闹钟，防止浏览器重启后闹钟丢失
+scheduleManager.restore();
+
 // 监听扩展图标点击事件
 chrome.action.onClicked.addListener(async () => {
   console.log('Extension icon clicked');
@@ -1619,6 +1807,33 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // 保持消息通道开放
   }
 
+  if (message.action === 'fetchRemoteImage') {
+    // 代为下载远程图片（内容脚本受页面CORS限制，如文章封面图片）
+    fetch(message.url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.blob();
+      })
+      .then(async blob => {
+        if (!blob.type.startsWith('image/')) {
+          throw new Error(`不是图片资源: ${blob.type || 'unknown'}`);
+        }
+        const arrayBuffer = await blob.arrayBuffer();
+        sendResponse({
+          success: true,
+          arrayData: Array.from(new Uint8Array(arrayBuffer)),
+          metadata: { type: blob.type, size: blob.size }
+        });
+      })
+      .catch(error => {
+        console.error(`[Background] 远程图片下载失败: ${message.url}`, error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // 保持消息通道开放
+  }
+
   if (message.action === 'deleteFile') {
     try {
       const deleted = backgroundFileService.deleteFile(message.fileId);
@@ -1811,13 +2026,64 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   // 发布相关消息处理
   if (message.action === 'startPublish') {
-    handlePublishRequest(message.data);
+    // 发布进度和失败通过 publishResult / publishError 消息通知
+    handlePublishRequest(message.data)
+      .catch(error => console.error('发布请求处理失败:', error));
     sendResponse({ success: true });
     return true; // 保持消息通道开放
   } else if (message.action === 'retryPublish') {
     handleRetryRequest(message.data);
     sendResponse({ success: true });
     return true; // 保持消息通道开放
+  } else if (message.action === 'schedulePublish') {
+    // 创建定时发布任务
+    scheduleManager.scheduleJob(message.data)
+      .then(job => sendResponse({ success: true, job }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // 保持消息通道开放
+  } else if (message.action === 'scheduledJobPrepared') {
+    // 定时任务执行页面返回的发布数据
+    pendingScheduledPreparations.get(message.jobId)?.(message);
+    sendResponse({ success: true });
+    return true;
+  } else if (message.action === 'scheduledJobHeartbeat') {
+    // 执行页面生成发布数据期间保持 Service Worker 活跃
+    sendResponse({ success: true });
+    return true;
+  } else if (message.action === 'getScheduledJobs') {
+    scheduleManager.getJobs()
+      .then(jobs => sendResponse({ success: true, jobs }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // 保持消息通道开放
+  } else if (message.action === 'updateScheduledJob') {
+    scheduleManager.updateJob(message.jobId, message.updates)
+      .then(job => sendResponse({ success: true, job }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // 保持消息通道开放
+  } else if (message.action === 'cancelScheduledJob') {
+    scheduleManager.cancelJob(message.jobId)
+      .then(cancelled => sendResponse({ success: cancelled }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // 保持消息通道开放
+  } else if (message.action === 'runScheduledJobNow') {
+    // 立即执行：先响应，发布过程通过 publishResult 消息同步到侧边栏
+    scheduleManager.runJobNow(message.jobId)
+      .catch(error => console.error('立即执行定时任务失败:', error));
+    sendResponse({ success: true });
+    return true; // 保持消息通道开放
+  } else if (message.action === 'runSelectorDiagnostics') {
+    // 选择器诊断：先响应，逐个平台的结果通过 selectorDiagnosticsUpdate 消息同步到侧边栏
+    if (diagnosticsState.running) {
+      sendResponse({ success: false, error: '诊断正在进行中' });
+    } else {
+      runSelectorDiagnostics(message.platformIds)
+        .catch(error => console.error('选择器诊断失败:', error));
+      sendResponse({ success: true });
+    }
+    return true; // 保持消息通道开放
+  } else if (message.action === 'getSelectorDiagnostics') {
+    sendResponse({ success: true, ...diagnosticsState });
+    return true; // 保持消息通道开放
   } else if (message.action === 'getPublishStatus') {
     sendResponse({
       isPublishing: publishState.isPublishing,
@@ -1875,6 +2141,93 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // 保持消息通道开放
 });
 
+// ===== 选择器健康检查 =====
+
+// 诊断状态：最近一次诊断的各平台报告
+const diagnosticsState = {
+  running: false,
+  reports: {}
+};
+
+// 页面渲染完成后再检查选择器的等待时间
+const DIAGNOSTICS_RENDER_DELAY = 3000;
+
+/**
+ * 依次打开各平台发布页并检查适配器选择器，只读取页面元素，不注入任何内容
+ * @param {Array<string>} [platformIds] - 需要诊断的平台ID，为空时诊断所有平台
+ */
+async function runSelectorDiagnostics(platformIds) {
+  // 后台未配置的平台保留ID，诊断时直接报告错误
+  const platforms = platformIds?.length
+    ? platformIds.map(id => SUPPORTED_PLATFORMS.find(platform => platform.id === id) || { id, name: id, unknown: true })
+    : SUPPORTED_PLATFORMS;
+
+  diagnosticsState.running = true;
+  platforms.forEach(platform => {
+    diagnosticsState.reports[platform.id] = { platformId: platform.id, status: 'checking' };
+  });
+  broadcastDiagnosticsUpdate();
+
+  for (const platform of platforms) {
+    diagnosticsState.reports[platform.id] = await diagnosePlatform(platform);
+    broadcastDiagnosticsUpdate();
+  }
+
+  diagnosticsState.running = false;
+  broadcastDiagnosticsUpdate();
+}
+
+/**
+ * 诊断单个平台
+ * @param {Object} platform - 平台配置
+ * @returns {Promise<Object>} 诊断报告或错误信息
+ */
+async function diagnosePlatform(platform) {
+  if (platform.unknown) {
+    return { platformId: platform.id, status: 'error', error: '后台未配置该平台' };
+  }
+
+  // 跨标签页平台需要先登录后台再跳转编辑页，无法直接打开发布页
+  if (platform.crossTab) {
+    return { platformId: platform.id, status: 'error', error: '跨标签页平台暂不支持自动诊断' };
+  }
+
+  let tab = null;
+  try {
+    tab = await chrome.tabs.create({ url: platform.publishUrl, active: false });
+    await taskScheduler.waitForTabLoad(tab.id);
+    await taskScheduler.waitForContentScript(tab.id, platform);
+    await taskScheduler.delay(DIAGNOSTICS_RENDER_DELAY);
+
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: 'diagnoseSelectors',
+      platform: platform.id
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || '诊断无响应');
+    }
+
+    return { ...response.report, status: 'done' };
+  } catch (error) {
+    console.error(`${platform.name} 选择器诊断失败:`, error);
+    return { platformId: platform.id, status: 'error', error: error.message };
+  } finally {
+    if (tab) {
+      chrome.tabs.remove(tab.id).catch(() => {
+        // 标签页可能已被用户关闭
+      });
+    }
+  }
+}
+
+// 广播诊断进度
+function broadcastDiagnosticsUpdate() {
+  taskScheduler.broadcastMessage({
+    action: 'selectorDiagnosticsUpdate',
+    data: diagnosticsState
+  });
+}
+
 // 生成发布数据统计信息的辅助函数
 function getPublishDataStats(data) {
   const { title, content, summary, platforms, images, videos, files, fileIds } = data;
@@ -1897,6 +2250,12 @@ function getPublishDataStats(data) {
   };
 }
 
+/**
+ * 处理发布请求：保存发布数据并为各平台执行发布任务
+ * @param {Object} data - 发布数据
+ * @returns {Promise<Array>} 本次发布各平台的结果（publishResults 中的条目）
+ * @throws {Error} 发布数据无效或任务执行出错时抛出
+ */
 async function handlePublishRequest(data) {
   // 支持新的fileIds字段和原有的images/files/videos字段，以及summary字段
   const { title, content, summary, contentType, platforms, images, videos, files, fileIds } = data;
@@ -1911,7 +2270,7 @@ async function handlePublishRequest(data) {
 
   if (!content || !platforms || platforms.length === 0) {
     console.error('Invalid publish data');
-    return;
+    throw new Error('发布数据无效：缺少内容或发布平台');
   }
 
   try {
@@ -1921,7 +2280,8 @@ async function handlePublishRequest(data) {
       content,
       summary: data.summary || '', // 添加导语字段
       contentType,
-      platforms
+      platforms,
+      mediaDescriptions: data.mediaDescriptions || {} // 图片替代文本（按文件ID索引）
     };
 
     // 添加详细的导语数据调试
@@ -1946,10 +2306,18 @@ async function handlePublishRequest(data) {
       console.log('Using legacy file management system');
     }
 
+    // 保存发布历史记录（失败不影响发布）
+    try {
+      const historyRecord = await publishHistoryService.createRecord(publishData, getPublishMediaFiles(data));
+      publishData.historyId = historyRecord.id;
+    } catch (historyError) {
+      console.warn('保存发布历史失败:', historyError);
+    }
+
     await chrome.storage.local.set({ publishData });
 
     // 执行发布任务
-    await taskScheduler.executeTasks(platforms, publishData);
+    return await taskScheduler.executeTasks(platforms, publishData);
 
   } catch (error) {
     console.error('Failed to execute publish tasks:', error);
@@ -1966,7 +2334,190 @@ async function handlePublishRequest(data) {
     } catch (notifyError) {
       console.error('Failed to notify frontend of error:', notifyError);
     }
+
+    throw error;
+  }
+}
+
+// 等待定时任务执行页面返回发布数据：任务ID -> 回调
+const pendingScheduledPreparations = new Map();
+const SCHEDULED_PREPARE_TIMEOUT = 10 * 60 * 1000; // 含AI优化，给足时间
+
+/**
+ * 在后台标签页中打开主页面载入任务快照，由主页面执行AI优化、智能精简和图片处理后返回发布数据
+ * @param {string} jobId - 定时任务ID
+ * @returns {Promise<{tabId: number, publishDataList: Array, failures: Array}>} 执行页面标签页和发布数据
+ */
+async function prepareScheduledJobData(jobId) {
+  const prepared = new Promise(resolve => {
+    const timer = setTimeout(() => {
+      pendingScheduledPreparations.delete(jobId);
+      resolve({ success: false, error: '准备发布数据超时' });
+    }, SCHEDULED_PREPARE_TIMEOUT);
+
+    pendingScheduledPreparations.set(jobId, message => {
+      clearTimeout(timer);
+      pendingScheduledPreparations.delete(jobId);
+      resolve(message);
+    });
+  });
+
+  const tab = await chrome.tabs.create({
+    url: chrome.runtime.getURL(`main/main.html?scheduledJob=${encodeURIComponent(jobId)}`),
+    active: false
+  });
+
+  const result = await prepared;
+  if (!result.success) {
+    chrome.tabs.remove(tab.id).catch(() => {});
+    throw new Error(result.error || '准备发布数据失败');
+  }
+
+  return { tabId: tab.id, publishDataList: result.publishDataList || [], failures: result.failures || [] };
+}
+
+/**
+ * 定时任务执行器：载入任务快照生成发布数据，走与立即发布相同的流程，并把平台结果转换为任务结果
+ * 未开始或失败的平台会使任务失败，error.failedPlatformIds 为这些平台的ID
+ * @param {Object} data - 任务数据 { snapshot, platforms }（旧版任务为发布数据）
+ * @param {Object} job - 定时任务
+ * @returns {Promise<Array>} 各平台的结果
+ */
+async function executeScheduledPublish(data, job) {
+  let publishDataList = [data];
+  let failures = [];
+  let preparedTabId = null;
+
+  try {
+    if (data.snapshot) {
+      ({ tabId: preparedTabId, publishDataList, failures } = await prepareScheduledJobData(job.id));
+    }
+
+    const results = [];
+    for (const publishData of publishDataList) {
+      results.push(...await handlePublishRequest(publishData));
+    }
+
+    const failedPlatforms = data.platforms
+      .map(platform => {
+        const failure = failures.find(f => f.platformId === platform.id);
+        const result = results.find(r => r.platform.id === platform.id);
+        if (failure) {
+          return { platform, message: failure.error };
+        }
+        if (!result || result.status === 'failed') {
+          return { platform, message: result?.message || '未开始发布' };
+        }
+        return null;
+      })
+      .filter(Boolean);
+
+    if (failedPlatforms.length > 0) {
+      const error = new Error(failedPlatforms.map(f => `${f.platform.name}: ${f.message}`).join('；'));
+      error.failedPlatformIds = failedPlatforms.map(f => f.platform.id);
+      throw error;
+    }
+
+    return results;
+  } finally {
+    if (preparedTabId) {
+      chrome.tabs.remove(preparedTabId).catch(() => {});
+    }
+  }
+}
+
+/**
+ * 获取发布数据中的媒体文件信息（用于发布历史）
+ * @param {Object} data - 发布数据
+ * @returns {Array} 媒体文件信息 [{name, type, size}]
+ */
+function getPublishMediaFiles(data) {
+  if (data.fileIds && data.fileIds.length > 0) {
+    return data.fileIds
+      .map(fileId => backgroundFileService.fileMetadata.get(fileId))
+      .filter(Boolean);
+  }
+
+  return [...(data.images || []), ...(data.videos || []), ...(data.files || [])]
+    .filter(Boolean);
+}
+
+/**
+ * 判断平台是否启用自动发布（需同时开启全局安全开关和该平台的开关）
+ * @param {string} platformId - 平台ID
+ * @returns {Promise<boolean>} 是否自动发布
+ */
+async function isAutoSubmitEnabled(platformId) {
+  const platformConfig = SUPPORTED_PLATFORMS.find(p => p.id === platformId);
+  if (!platformConfig?.supportsAutoSubmit) {
+    return false;
+  }
+
+  const { autoSubmitSettings } = await chrome.storage.local.get(['autoSubmitSettings']);
+  return !!(autoSubmitSettings?.enabled && autoSubmitSettings.platforms?.[platformId]);
+}
+
+/**
+ * 将平台的内容变体应用到发布数据（变体由主页面在processedPlatforms中生成）
+ * @param {Object} data - 发布数据
+ * @param {Object} platform - 平台配置
+ * @returns {Object} 该平台实际使用的发布数据
+ */
+function applyPlatformVariant(data, platform) {
+  const variant = (data.platforms || []).find(p => p.id === platform.id)?.variant;
+  if (!variant) {
+    return data;
+  }
+
+  const result = { ...data, title: variant.title, content: variant.content };
+
+  // mediaIndexes 为选中媒体在 [...images, ...videos] 中的下标（已按发布顺序排列）
+  if (Array.isArray(variant.mediaIndexes)) {
+    const images = data.images || [];
+    const media = [...images, ...(data.videos || [])];
+    result.images = variant.mediaIndexes.filter(i => i < images.length).map(i => media[i]);
+    result.videos = variant.mediaIndexes.filter(i => i >= images.length).map(i => media[i]);
+    result.files = [...result.images, ...result.videos];
+
+    if (data.fileIds) {
+      result.fileIds = variant.fileIds || [];
+    }
   }
+
+  console.log(`✏️ ${platform.name} 使用分平台内容:`, {
+    titleLength: result.title.length,
+    contentLength: result.content.length,
+    mediaCount: variant.mediaIndexes ? variant.mediaIndexes.length : 'master'
+  });
+  return result;
+}
+
+/**
+ * 将发布数据中的图片替换为按平台限制处理后的版本（缩放、压缩、格式转换）
+ * @param {Object} data - 发布数据（已应用分平台内容）
+ * @param {Object} platform - 平台配置
+ * @returns {Object} 该平台使用的发布数据
+ */
+function applyPlatformMedia(data, platform) {
+  const fileIdMap = (data.platforms || []).find(p => p.id === platform.id)?.mediaFileIdMap;
+  if (!fileIdMap || !data.fileIds) {
+    return data;
+  }
+
+  // 图片描述按原文件ID索引，同时登记处理后的文件ID
+  const mediaDescriptions = { ...data.mediaDescriptions };
+  Object.entries(fileIdMap).forEach(([fileId, derivedFileId]) => {
+    if (mediaDescriptions[fileId]) {
+      mediaDescriptions[derivedFileId] = mediaDescriptions[fileId];
+    }
+  });
+
+  console.log(`🖼️ ${platform.name} 使用处理后的图片:`, fileIdMap);
+  return {
+    ...data,
+    fileIds: data.fileIds.map(fileId => fileIdMap[fileId] || fileId),
+    mediaDescriptions
+  };
 }
 
 async function handleRetryRequest(data) {
@@ -1989,6 +2540,9 @@ async function handleRetryRequest(data) {
 
       console.log(`重试时使用的URL: ${actualPublishUrl} (内容类型: ${result.publishData.contentType})`);
 
+      // 重试结果写入原发布历史记录
+      taskScheduler.bindHistoryRecord([platform.id], result.publishData.historyId);
+
       // 传递完整的发布数据和更新后的平台配置
       await taskScheduler.executeTask(updatedPlatform, result.publishData);
     }
@@ -2117,6 +2671,11 @@ function getPlatformFromUrl(url) {
     return 'xiaohongshu-article';
   }
 
+  if (url.includes('zhuanlan.zhihu.com/write')) {
+    console.log('[平台检测] 识别为知乎专栏平台');
+    return 'zhihu-article';
+  }
+
   // 检查其他平台
   const platform = allPlatforms.find(p => url.includes(p.domain));
   const result = platform ? platform.id : null;
@@ -2280,16 +2839,29 @@ function isWeixinEditPage(url) {
   return result;
 }
 
+// 安装/更新时需要保留的存储键（用户数据，不属于缓存）
+const PRESERVED_STORAGE_KEYS = [
+  'scheduledJobs', 'publishDrafts', 'activeDraftId',
+  // 用户设置
+  'autoSubmitSettings', 'smartFitSettings', 'privacySettings', 'watermarkSettings',
+  // 提示词助手：模型设置（含加密的 API Key、备用模型、请求上限）、提示词、分类和平台提示词配置
+  'promptSettings', 'promptPrompts', 'promptCategories', 'platformPromptConfig',
+  // AI 密钥库（加密）和价格表，须与 promptSettings 中的密文一起保留
+  'aiKeyVault', 'aiPriceTable'
+];
+
 // 扩展安装时的初始化
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('动态发布助手已安装/更新', details);
 
   try {
-    // 清理旧数据和缓存
+    // 清理旧数据和缓存（保留定时发布任务和草稿等用户数据）
+    const preservedData = await chrome.storage.local.get(PRESERVED_STORAGE_KEYS);
     await chrome.storage.local.clear();
+    await chrome.storage.local.set(preservedData);
     console.log('旧数据已清理');
 
-    // 初始化提示词助手数据
+    // 初始化提示词助手数据（仅补齐缺失的默认数据，不覆盖已保留的用户设置）
     await initializePromptData();
     console.log('提示词助手数据初始化完成');
 
@@ -2497,7 +3069,13 @@ function getPlatformNameById(platformId) {
     'bilibili': 'B站',
     'weixinchannels': '微信视频号',
     'weixin': '微信公众号',
-    'weixin-article': '微信公众号(文章)'
+    'weixin-article': '微信公众号(文章)',
+    'zhihu': '知乎',
+    'zhihu-article': '知乎专栏',
+    'juejin-article': '掘金',
+    'csdn-article': 'CSDN',
+    'jianshu-article': '简书',
+    'segmentfault-article': '思否'
   };
   return platformNames[platformId] || platformId;
 }
@@ -725,9 +725,10 @@ class BilibiliAdapter extends MutationObserverBase {
       // 3. 注入内容
       await this.injectContent(data);
 
-      // 4. 上传文件
-      if (data.files && data.files.length > 0) {
-        await this.uploadFiles(data.files);
+      // 4. 上传文件（fileIds 从 Background Script 获取，兼容传统的 files 数据）
+      const files = await this.fileProcessor.processFileData(data);
+      if (files.length > 0) {
+        await this.uploadFiles(files);
       }
 
       // 5. 内容注入完成，等待用户手动发布
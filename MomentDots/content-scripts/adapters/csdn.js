@@ -0,0 +1,124 @@
+/**
+ * CSDN平台适配器 - 基于MarkdownArticleAdapterBase
+ * 编辑器：editor.csdn.net/md，contenteditable 的 Markdown 源码编辑区
+ *
+ * 技术特点：
+ * - 新建文章时编辑器自带示例文本，注入前先全选替换
+ * - 摘要和封面位于「发布文章」弹窗中，弹窗打开后由用户选择标签、分类并确认发布
+ */
+
+console.log('CSDN平台适配器加载中...');
+
+(function() {
+  'use strict';
+
+// 检查公共基类是否已加载
+// 使用统一的BaseClassLoader
+async function checkBaseClasses() {
+  return await BaseClassLoader.checkBaseClasses('CSDN');
+}
+
+/**
+ * CSDN平台配置管理器
+ * 使用统一的PlatformConfigBase
+ */
+class CsdnConfigManager extends PlatformConfigBase {
+  constructor() {
+    super('csdn');
+  }
+
+  /**
+   * 加载CSDN特定配置
+   */
+  loadConfig() {
+    const csdnConfig = {
+      delays: this.createDelayConfig({
+        FAST_CHECK: 200,
+        NORMAL_WAIT: 500,
+        UPLOAD_WAIT: 2000,
+        ELEMENT_WAIT: 5000
+      }),
+
+      articleLimits: {
+        maxTitleLength: 100      // CSDN要求标题5～100个字
+      },
+
+      // 编辑器支持的附加字段
+      features: {
+        summary: true,
+        cover: true
+      },
+
+      performance: this.createPerformanceConfig({
+        cacheTimeout: 3000,
+        elementWaitTimeout: 5000,
+        mutationObserverTimeout: 8000,
+        highFrequencyCheck: 200,
+        enablePerformanceMonitoring: true,
+        enableMutationObserver: true
+      })
+    };
+
+    return this.loadPlatformConfig(csdnConfig);
+  }
+
+  /**
+   * 获取CSDN平台特定选择器
+   */
+  getPlatformSelectors() {
+    return {
+      titleInput: '.article-bar__title input',
+      titleInputFallback: 'input[placeholder*="请输入文章标题"]',
+      editor: '.editor__inner[contenteditable="true"]',
+      editorFallback: '.editor [contenteditable="true"]',
+
+      // 发布设置弹窗（点击顶部「发布文章」按钮后出现）
+      publishPanelButton: '.btn-publish, .article-bar button',
+      publishPanelButtonTexts: ['发布文章', '发布'],
+      publishPanel: '.modal__publish-article',
+      summaryInput: '.desc-box textarea, textarea',
+      coverInput: '.cover-upload-box input[type="file"], input[type="file"][accept*="image"]'
+    };
+  }
+}
+
+// 防止重复声明
+if (typeof window.CsdnAdapter === 'undefined') {
+
+/**
+ * CSDN平台适配器类
+ * 继承MarkdownArticleAdapterBase获得Markdown注入和封面上传能力
+ */
+class CsdnAdapter extends MarkdownArticleAdapterBase {
+  constructor() {
+    super('csdn', new CsdnConfigManager(), 'CSDN');
+    this.log('✅ CSDN适配器初始化完成');
+  }
+}
+
+// 将适配器注册到全局
+window.CsdnAdapter = CsdnAdapter;
+console.log('🎯 CSDN适配器已注册到全局作用域');
+
+} // 防止重复声明结束
+
+// 使用统一的AdapterInitializer进行初始化
+if (typeof AdapterInitializer !== 'undefined') {
+  AdapterInitializer.initialize('csdn', 'CsdnAdapter', () => {
+    console.log('🔄 使用传统方式初始化CSDN适配器...');
+    checkBaseClasses().then(() => {
+      console.log('✅ CSDN适配器传统初始化完成');
+    }).catch(error => {
+      console.error('❌ CSDN适配器传统初始化失败:', error);
+    });
+  });
+} else {
+  console.log('⚠️ AdapterInitializer未找到，使用直接初始化方式');
+  checkBaseClasses().then(() => {
+    console.log('✅ CSDN适配器直接初始化完成');
+  }).catch(error => {
+    console.error('❌ CSDN适配器直接初始化失败:', error);
+  });
+}
+
+})();
@@ -83,6 +83,12 @@ class DouyinConfigManager extends BaseConfigManager {
         '[data-slate-editor="true"]'
       ],
 
+      // 话题联想列表项（输入 #话题 后弹出）
+      topicSuggestion: [
+        '[class*="mention-suggest"] [class*="tag"]',
+        '[class*="topic-suggest"] [class*="item"]'
+      ],
+
       // 文件上传（去重后的统一选择器）
       fileInput: [
         'input[type="file"][accept*="image"]',
@@ -110,6 +116,12 @@ class DouyinConfigManager extends BaseConfigManager {
         '.publish-btn'
       ],
 
+      // 发布成功提示（文本包含「发布成功」）
+      successToast: [
+        '.semi-toast-content',
+        '[class*="toast"]'
+      ],
+
       // 登录状态检测
       loginIndicators: [
         'input[placeholder*="标题"]',
@@ -1069,6 +1081,9 @@ class DouyinAdapter extends DouyinDependencyManager.getBasePlatformAdapter() {
         await this.injectVideoDescription(content);
       }
 
+      // 插入话题
+      await this.injectHashtags(currentPlatform?.hashtags);
+
       this.log('✅ 视频编辑页面内容注入完成');
 
     } catch (error) {
@@ -1766,9 +1781,40 @@ class DouyinAdapter extends DouyinDependencyManager.getBasePlatformAdapter() {
       }
     }
 
+    // 正文注入完成后再插入话题，保证话题位于正文末尾
+    await this.injectHashtags(currentPlatform?.hashtags);
+
     this.log('编辑页面内容注入完成');
   }
 
+  /**
+   * 插入话题标签：通过平台的话题联想列表选中，使话题成为平台原生话题
+   * 话题插入失败不影响正文发布
+   * @param {string[]} hashtags - 话题名称（不含 #）
+   * @returns {Promise<boolean>} - 是否执行了插入
+   */
+  async injectHashtags(hashtags) {
+    if (!Array.isArray(hashtags) || hashtags.length === 0) {
+      return false;
+    }
+
+    try {
+      const editor = await this.findContentEditorUnified();
+      if (!editor) {
+        throw new Error('未找到抖音内容编辑器');
+      }
+
+      const selectedCount = await this.injector.insertTopics(editor, hashtags, {
+        suggestionSelectors: this.selectors.topicSuggestion
+      });
+      this.log('话题插入完成', { total: hashtags.length, selected: selectedCount });
+      return true;
+    } catch (error) {
+      this.logError('话题插入失败，继续发布流程', error);
+      return false;
+    }
+  }
+
   /**
    * 查找标题输入框
    * @returns {Promise<HTMLElement|null>} - 找到的标题输入框
@@ -1975,88 +2021,69 @@ class DouyinAdapter extends DouyinDependencyManager.getBasePlatformAdapter() {
   }
 
   /**
-   * 点击发布按钮
+   * 点击发布按钮（只查找按钮时重试，点击只执行一次，避免重复发布）
    * @returns {Promise<boolean>} - 发布是否成功
    */
   async clickPublishButton() {
     this.log('开始查找抖音发布按钮');
 
-    return await this.executeWithRetry(async () => {
-      // 查找发布按钮
-      const publishButton = this.findPublishButton();
-
-      if (!publishButton) {
+    const publishButton = await this.executeWithRetry(async () => {
+      const button = this.findPublishButton();
+      if (!button) {
         throw new Error('未找到抖音发布按钮');
       }
+      return button;
+    }, '查找发布按钮', 3, 2000);
 
-      if (publishButton.disabled) {
-        throw new Error('抖音发布按钮不可用');
-      }
-
-      this.log('找到抖音发布按钮，准备点击');
+    // 编辑页本身也在 /creator-micro/content 下，记录点击前的地址用于识别跳转
+    const startUrl = window.location.href;
 
-      // 点击发布按钮
-      publishButton.click();
+    this.log('找到抖音发布按钮，准备点击');
+    publishButton.click();
 
-      // 等待发布完成
-      await this.delay(5000);
+    const isPublished = await this.verifyPublishResult(startUrl);
 
-      // 验证发布结果
-      const isPublished = await this.verifyPublishResult();
+    this.log('抖音发布按钮点击完成', { success: isPublished });
+    return isPublished;
+  }
 
-      this.log('抖音发布按钮点击完成', { success: isPublished });
-      return isPublished;
-    }, '点击发布按钮', 3, 2000);
+  /**
+   * 自动发布：点击发布按钮并验证结果（抖音发布后跳转到作品管理页，无法直接获取作品链接）
+   * @returns {Promise<Object>} - { success, publishUrl }
+   */
+  async submitPublish() {
+    const isPublished = await this.clickPublishButton();
+    if (!isPublished) {
+      throw new Error('未检测到发布成功');
+    }
+    return { success: true, publishUrl: '' };
   }
 
   /**
-   * 验证发布结果
-   * @returns {Promise<boolean>} - 是否发布成功
+   * 验证发布结果：从编辑页跳转到作品管理页，或出现「发布成功」提示
+   * @param {string} startUrl - 点击发布按钮前的页面地址
+   * @returns {Promise<boolean>} - 是否发布成功，超时未检测到信号返回 false
    */
-  async verifyPublishResult() {
-    try {
-      // 等待页面响应
-      await this.delay(3000);
-      
-      // 检查是否有成功提示
-      const successIndicators = [
-        '.success-message',
-        '.toast-success',
-        '.notification-success'
-      ];
-      
-      for (const selector of successIndicators) {
-        const element = document.querySelector(selector);
-        if (element && (element.textContent.includes('成功') || element.textContent.includes('发布'))) {
-          this.log('检测到抖音发布成功提示');
-          return true;
-        }
+  async verifyPublishResult(startUrl) {
+    const signal = await AdapterInitializer.waitForPublishSignal(() => {
+      const currentUrl = window.location.href;
+      if (currentUrl !== startUrl && currentUrl.includes('/creator-micro/content/manage')) {
+        return 'navigation';
       }
-      
-      // 检查URL是否发生变化（跳转到作品管理页面）
-      if (window.location.href.includes('/content/manage') || 
-          window.location.href.includes('/creator-micro/content')) {
-        this.log('检测到页面跳转，抖音发布可能成功');
-        return true;
-      }
-      
-      // 检查输入框是否被清空
-      const titleInput = document.querySelector('input[placeholder*="标题"]');
-      const contentEditor = document.querySelector('div[contenteditable="true"]');
-      
-      if ((titleInput && titleInput.value.trim() === '') || 
-          (contentEditor && contentEditor.textContent.trim() === '')) {
-        this.log('检测到输入框清空，抖音发布可能成功');
-        return true;
-      }
-      
-      this.log('未检测到明确的发布成功标志');
-      return false;
-      
-    } catch (error) {
-      this.logError('验证抖音发布结果时出错', error);
+
+      const toast = this.selectors.successToast
+        .flatMap(selector => Array.from(document.querySelectorAll(selector)))
+        .find(element => element.textContent.includes('发布成功'));
+      return toast ? 'toast' : null;
+    }, 30000);
+
+    if (!signal) {
+      this.log('未检测到抖音发布成功信号');
       return false;
     }
+
+    this.log('检测到抖音发布成功信号:', signal);
+    return true;
   }
 
   /**
@@ -2331,6 +2358,8 @@ class DouyinAdapter extends DouyinDependencyManager.getBasePlatformAdapter() {
       window.MomentDots.douyinAdapter = adapter;
       window.DouyinAdapter = DouyinAdapter; // 暴露类到全局，供工厂使用
       window.DouyinSpecialAdapter = DouyinAdapter; // 向后兼容
+      window.SelectorDiagnostics?.register('douyin', adapter); // 选择器健康检查
+      AdapterInitializer.registerAutoSubmit('douyin', adapter); // 自动发布
 
       console.log('✅ DouyinAdapter初始化成功，platform:', adapter.platform);
       return true;
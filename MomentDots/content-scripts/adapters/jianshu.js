@@ -0,0 +1,147 @@
+/**
+ * 简书平台适配器 - 基于MarkdownArticleAdapterBase
+ * 编辑器：www.jianshu.com/writer，Markdown 模式下为普通 textarea
+ *
+ * 技术特点：
+ * - 写作页面默认只显示文集列表，需要先点击「新建文章」
+ * - 仅支持 Markdown 编辑器（需在简书「设置 - 基础设置」中切换默认编辑器）
+ * - 编辑器没有摘要和封面字段，列表封面由简书取自正文第一张图片
+ */
+
+console.log('简书平台适配器加载中...');
+
+(function() {
+  'use strict';
+
+// 检查公共基类是否已加载
+// 使用统一的BaseClassLoader
+async function checkBaseClasses() {
+  return await BaseClassLoader.checkBaseClasses('简书');
+}
+
+/**
+ * 简书平台配置管理器
+ * 使用统一的PlatformConfigBase
+ */
+class JianshuConfigManager extends PlatformConfigBase {
+  constructor() {
+    super('jianshu');
+  }
+
+  /**
+   * 加载简书特定配置
+   */
+  loadConfig() {
+    const jianshuConfig = {
+      delays: this.createDelayConfig({
+        FAST_CHECK: 200,
+        NORMAL_WAIT: 500,
+        UPLOAD_WAIT: 2000,
+        ELEMENT_WAIT: 5000
+      }),
+
+      articleLimits: {
+        maxTitleLength: 100
+      },
+
+      // 编辑器支持的附加字段
+      features: {
+        summary: false,
+        cover: false
+      },
+
+      performance: this.createPerformanceConfig({
+        cacheTimeout: 3000,
+        elementWaitTimeout: 5000,
+        mutationObserverTimeout: 8000,
+        highFrequencyCheck: 200,
+        enablePerformanceMonitoring: true,
+        enableMutationObserver: true
+      })
+    };
+
+    return this.loadPlatformConfig(jianshuConfig);
+  }
+
+  /**
+   * 获取简书平台特定选择器
+   */
+  getPlatformSelectors() {
+    return {
+      // 新建文章入口（文集列表上方）
+      newArticleButton: 'div[role="button"], a, span',
+      newArticleButtonTexts: ['新建文章'],
+
+      titleInput: 'input[class^="_24i7u"]',
+      titleInputFallback: '#root input[type="text"]',
+      editor: 'textarea#arthur-editor',
+      editorFallback: '#root textarea',
+
+      // 富文本编辑器（用于提示用户切换到Markdown模式）
+      richTextEditor: '.kalamu-area'
+    };
+  }
+}
+
+// 防止重复声明
+if (typeof window.JianshuAdapter === 'undefined') {
+
+/**
+ * 简书平台适配器类
+ * 继承MarkdownArticleAdapterBase获得Markdown注入和封面上传能力
+ */
+class JianshuAdapter extends MarkdownArticleAdapterBase {
+  constructor() {
+    super('jianshu', new JianshuConfigManager(), '简书');
+    this.log('✅ 简书适配器初始化完成');
+  }
+
+  /**
+   * 新建文章并确认当前为Markdown编辑器
+   */
+  async prepareEditor() {
+    const trigger = await this.mutationObserverBase.findButtonOptimized(
+      () => this.findElementByText(this.selectors.newArticleButton, this.selectors.newArticleButtonTexts),
+      this.config.delays.ELEMENT_WAIT,
+      '新建文章按钮'
+    );
+
+    if (!trigger) {
+      throw new Error('未找到「新建文章」入口，请确认已登录简书并打开写文章页面');
+    }
+
+    trigger.click();
+    await this.delay(this.config.delays.UPLOAD_WAIT);
+
+    if (!document.querySelector(this.selectors.editor) && document.querySelector(this.selectors.richTextEditor)) {
+      throw new Error('当前为简书富文本编辑器，请在「设置 - 基础设置」中将默认编辑器切换为 Markdown');
+    }
+  }
+}
+
+// 将适配器注册到全局
+window.JianshuAdapter = JianshuAdapter;
+console.log('🎯 简书适配器已注册到全局作用域');
+
+} // 防止重复声明结束
+
+// 使用统一的AdapterInitializer进行初始化
+if (typeof AdapterInitializer !== 'undefined') {
+  AdapterInitializer.initialize('jianshu', 'JianshuAdapter', () => {
+    console.log('🔄 使用传统方式初始化简书适配器...');
+    checkBaseClasses().then(() => {
+      console.log('✅ 简书适配器传统初始化完成');
+    }).catch(error => {
+      console.error('❌ 简书适配器传统初始化失败:', error);
+    });
+  });
+} else {
+  console.log('⚠️ AdapterInitializer未找到，使用直接初始化方式');
+  checkBaseClasses().then(() => {
+    console.log('✅ 简书适配器直接初始化完成');
+  }).catch(error => {
+    console.error('❌ 简书适配器直接初始化失败:', error);
+  });
+}
+
+})();
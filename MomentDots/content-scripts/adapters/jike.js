@@ -954,6 +954,9 @@ async function initializeJikeAdapter() {
     window.MomentDots = window.MomentDots || {};
     window.MomentDots.jikeAdapter = adapter;
 
+    // 注册选择器健康检查
+    window.SelectorDiagnostics?.register('jike', adapter);
+
     // 设置消息监听器 - 这是关键的修复
     setupJikeMessageListener(adapter);
 
@@ -0,0 +1,124 @@
+/**
+ * 掘金平台适配器 - 基于MarkdownArticleAdapterBase
+ * 编辑器：juejin.cn/editor/drafts，bytemd（CodeMirror 5）Markdown编辑器
+ *
+ * 技术特点：
+ * - 标题为普通输入框，正文通过 CodeMirror 隐藏输入框注入Markdown
+ * - 摘要和封面位于「发布」下拉面板中，面板打开后由用户选择分类、标签并确认发布
+ */
+
+console.log('掘金平台适配器加载中...');
+
+(function() {
+  'use strict';
+
+// 检查公共基类是否已加载
+// 使用统一的BaseClassLoader
+async function checkBaseClasses() {
+  return await BaseClassLoader.checkBaseClasses('掘金');
+}
+
+/**
+ * 掘金平台配置管理器
+ * 使用统一的PlatformConfigBase
+ */
+class JuejinConfigManager extends PlatformConfigBase {
+  constructor() {
+    super('juejin');
+  }
+
+  /**
+   * 加载掘金特定配置
+   */
+  loadConfig() {
+    const juejinConfig = {
+      delays: this.createDelayConfig({
+        FAST_CHECK: 200,
+        NORMAL_WAIT: 500,
+        UPLOAD_WAIT: 2000,
+        ELEMENT_WAIT: 8000      // 新建草稿会先跳转到草稿地址，等待时间适当放宽
+      }),
+
+      articleLimits: {
+        maxTitleLength: 100
+      },
+
+      // 编辑器支持的附加字段
+      features: {
+        summary: true,
+        cover: true
+      },
+
+      performance: this.createPerformanceConfig({
+        cacheTimeout: 3000,
+        elementWaitTimeout: 5000,
+        mutationObserverTimeout: 8000,
+        highFrequencyCheck: 200,
+        enablePerformanceMonitoring: true,
+        enableMutationObserver: true
+      })
+    };
+
+    return this.loadPlatformConfig(juejinConfig);
+  }
+
+  /**
+   * 获取掘金平台特定选择器
+   */
+  getPlatformSelectors() {
+    return {
+      titleInput: 'input.title-input',
+      titleInputFallback: 'input[placeholder*="输入文章标题"]',
+      editor: '.bytemd-editor .CodeMirror textarea',
+      editorFallback: '.CodeMirror textarea',
+
+      // 发布设置面板（点击顶部「发布」按钮后出现）
+      publishPanelButton: '.publish-popup button, header button',
+      publishPanelButtonTexts: ['发布'],
+      publishPanel: '.publish-popup .panel',
+      summaryInput: '.summary-textarea textarea, textarea',
+      coverInput: '.coverselector_container input[type="file"], input[type="file"][accept*="image"]'
+    };
+  }
+}
+
+// 防止重复声明
+if (typeof window.JuejinAdapter === 'undefined') {
+
+/**
+ * 掘金平台适配器类
+ * 继承MarkdownArticleAdapterBase获得Markdown注入和封面上传能力
+ */
+class JuejinAdapter extends MarkdownArticleAdapterBase {
+  constructor() {
+    super('juejin', new JuejinConfigManager(), '掘金');
+    this.log('✅ 掘金适配器初始化完成');
+  }
+}
+
+// 将适配器注册到全局
+window.JuejinAdapter = JuejinAdapter;
+console.log('🎯 掘金适配器已注册到全局作用域');
+
+} // 防止重复声明结束
+
+// 使用统一的AdapterInitializer进行初始化
+if (typeof AdapterInitializer !== 'undefined') {
+  AdapterInitializer.initialize('juejin', 'JuejinAdapter', () => {
+    console.log('🔄 使用传统方式初始化掘金适配器...');
+    checkBaseClasses().then(() => {
+      console.log('✅ 掘金适配器传统初始化完成');
+    }).catch(error => {
+      console.error('❌ 掘金适配器传统初始化失败:', error);
+    });
+  });
+} else {
+  console.log('⚠️ AdapterInitializer未找到，使用直接初始化方式');
+  checkBaseClasses().then(() => {
+    console.log('✅ 掘金适配器直接初始化完成');
+  }).catch(error => {
+    console.error('❌ 掘金适配器直接初始化失败:', error);
+  });
+}
+
+})();
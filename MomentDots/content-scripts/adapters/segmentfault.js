@@ -0,0 +1,117 @@
+/**
+ * 思否平台适配器 - 基于MarkdownArticleAdapterBase
+ * 编辑器：segmentfault.com/write，CodeMirror 5 Markdown编辑器
+ *
+ * 技术特点：
+ * - 标题为普通输入框，正文通过 CodeMirror 隐藏输入框注入Markdown
+ * - 编辑器没有摘要和封面字段，标签需要用户发布前手动选择
+ */
+
+console.log('思否平台适配器加载中...');
+
+(function() {
+  'use strict';
+
+// 检查公共基类是否已加载
+// 使用统一的BaseClassLoader
+async function checkBaseClasses() {
+  return await BaseClassLoader.checkBaseClasses('思否');
+}
+
+/**
+ * 思否平台配置管理器
+ * 使用统一的PlatformConfigBase
+ */
+class SegmentfaultConfigManager extends PlatformConfigBase {
+  constructor() {
+    super('segmentfault');
+  }
+
+  /**
+   * 加载思否特定配置
+   */
+  loadConfig() {
+    const segmentfaultConfig = {
+      delays: this.createDelayConfig({
+        FAST_CHECK: 200,
+        NORMAL_WAIT: 500,
+        UPLOAD_WAIT: 2000,
+        ELEMENT_WAIT: 5000
+      }),
+
+      articleLimits: {
+        maxTitleLength: 100
+      },
+
+      // 编辑器支持的附加字段
+      features: {
+        summary: false,
+        cover: false
+      },
+
+      performance: this.createPerformanceConfig({
+        cacheTimeout: 3000,
+        elementWaitTimeout: 5000,
+        mutationObserverTimeout: 8000,
+        highFrequencyCheck: 200,
+        enablePerformanceMonitoring: true,
+        enableMutationObserver: true
+      })
+    };
+
+    return this.loadPlatformConfig(segmentfaultConfig);
+  }
+
+  /**
+   * 获取思否平台特定选择器
+   */
+  getPlatformSelectors() {
+    return {
+      titleInput: 'input#title',
+      titleInputFallback: 'input[placeholder*="标题"]',
+      editor: '.CodeMirror textarea',
+      editorFallback: '.editor textarea'
+    };
+  }
+}
+
+// 防止重复声明
+if (typeof window.SegmentfaultAdapter === 'undefined') {
+
+/**
+ * 思否平台适配器类
+ * 继承MarkdownArticleAdapterBase获得Markdown注入和封面上传能力
+ */
+class SegmentfaultAdapter extends MarkdownArticleAdapterBase {
+  constructor() {
+    super('segmentfault', new SegmentfaultConfigManager(), '思否');
+    this.log('✅ 思否适配器初始化完成');
+  }
+}
+
+// 将适配器注册到全局
+window.SegmentfaultAdapter = SegmentfaultAdapter;
+console.log('🎯 思否适配器已注册到全局作用域');
+
+} // 防止重复声明结束
+
+// 使用统一的AdapterInitializer进行初始化
+if (typeof AdapterInitializer !== 'undefined') {
+  AdapterInitializer.initialize('segmentfault', 'SegmentfaultAdapter', () => {
+    console.log('🔄 使用传统方式初始化思否适配器...');
+    checkBaseClasses().then(() => {
+      console.log('✅ 思否适配器传统初始化完成');
+    }).catch(error => {
+      console.error('❌ 思否适配器传统初始化失败:', error);
+    });
+  });
+} else {
+  console.log('⚠️ AdapterInitializer未找到，使用直接初始化方式');
+  checkBaseClasses().then(() => {
+    console.log('✅ 思否适配器直接初始化完成');
+  }).catch(error => {
+    console.error('❌ 思否适配器直接初始化失败:', error);
+  });
+}
+
+})();
@@ -128,9 +128,20 @@ class WeiboConfigManager extends PlatformConfigBase {
       // 上传区域选择器
       uploadArea: '.woo-box-flex.woo-box-column.woo-box-alignCenter.woo-box-justifyCenter.FileUpload_box_AQ0lZ',
 
+      // 图片描述输入框（上传后的图片列表中，按图片顺序排列）
+      imageDescriptionInput: '[class*="Picture"] textarea[placeholder*="描述"], [class*="Picture"] input[placeholder*="描述"]',
+
       // 发送按钮选择器
       sendButton: 'button',
 
+      // 信息流中微博的发布时间链接（指向微博详情页），用于获取新发布的微博地址
+      feedPostLink: 'article a[class*="head-info_time"]',
+      // 信息流中微博的正文，用于确认新微博就是刚提交的内容
+      feedPostText: '[class*="detail_wbtext"]',
+
+      // 发布成功提示（文本包含「发布成功」）
+      successToast: '[class*="woo-toast"]',
+
       // 登录状态检测 - 修复版本（基于Playwright分析结果）
       loginIndicator: 'a[href*="/u/"]', // 用户链接，更可靠的登录指示器
       loginIndicatorFallback: 'img[alt*="profile"]', // 备用：用户头像
@@ -1085,7 +1096,78 @@ class WeiboAdapter extends FileProcessorBase {
     return null;
   }
 
-  // clickPublishButton和verifyPublishResult方法已移除 - 当前只做内容预填充，不执行自动发布
+  /**
+   * 自动发布：点击发送按钮，以「发布成功」提示或信息流顶部出现内容一致的新微博作为成功信号
+   * @returns {Promise<Object>} - { success, publishUrl }
+   */
+  async submitPublish() {
+    this.log('开始自动发布...');
+
+    const editor = document.querySelector(this.selectors.editor) ||
+                   document.querySelector(this.selectors.editorFallback);
+    if (!editor) {
+      throw new Error('当前页面不支持自动发布');
+    }
+
+    await this.waitForPublishReady();
+    const sendButton = this.findSendButton();
+    if (!sendButton || sendButton.disabled) {
+      throw new Error('发送按钮不可用');
+    }
+
+    // 记录点击前信息流顶部的微博和提交的正文，用于识别新发布的微博
+    const previousPostUrl = document.querySelector(this.selectors.feedPostLink)?.href || '';
+    const submittedText = editor.value;
+    const findNewPost = () => {
+      const link = document.querySelector(this.selectors.feedPostLink);
+      if (!link || link.href === previousPostUrl || !this.isSubmittedPost(link.closest('article'), submittedText)) {
+        return null;
+      }
+      return { publishUrl: link.href };
+    };
+
+    sendButton.click();
+    this.log('🚀 已点击发送按钮，等待发布结果...');
+
+    const signal = await AdapterInitializer.waitForPublishSignal(() => {
+      return findNewPost() || (this.hasSuccessToast() ? { publishUrl: '' } : null);
+    });
+
+    if (!signal) {
+      throw new Error('未检测到发布成功');
+    }
+
+    // 已出现成功提示但新微博尚未插入信息流时，再等待片刻获取链接
+    const postSignal = signal.publishUrl ? signal : await AdapterInitializer.waitForPublishSignal(findNewPost, 5000);
+
+    this.log('✅ 微博发布成功', postSignal);
+    return { success: true, publishUrl: postSignal?.publishUrl || '' };
+  }
+
+  /**
+   * 是否出现「发布成功」提示
+   * @returns {boolean}
+   */
+  hasSuccessToast() {
+    return Array.from(document.querySelectorAll(this.selectors.successToast))
+      .some(element => element.textContent.includes('发布成功'));
+  }
+
+  /**
+   * 判断信息流中的微博是否为刚提交的内容
+   * 微博会把链接替换为「网页链接」，比较时去掉链接和空白，只比较正文开头
+   * @param {HTMLElement|null} post - 信息流中的微博
+   * @param {string} submittedText - 提交的正文
+   * @returns {boolean}
+   */
+  isSubmittedPost(post, submittedText) {
+    const normalize = text => text.replace(/https?:\/\/\S+/g, '').replace(/\s+/g, '');
+    const expected = normalize(submittedText).slice(0, 20);
+    const postText = post?.querySelector(this.selectors.feedPostText)?.textContent;
+
+    // 纯图片微博没有正文可比较，只能依赖成功提示
+    return expected !== '' && !!postText && normalize(postText).includes(expected);
+  }
 
   /**
    * 等待元素出现
@@ -1345,6 +1427,7 @@ class WeiboAdapter extends FileProcessorBase {
       if (filesToUpload.length > 0) {
         this.log('开始上传文件，总数量:', filesToUpload.length);
         await this.uploadFilesOptimized(filesToUpload);
+        await this.fillImageDescriptions(FileProcessorBase.getMediaAltTexts(data));
       } else {
         this.log('没有检测到任何文件数据');
       }
@@ -1368,6 +1451,31 @@ class WeiboAdapter extends FileProcessorBase {
     }
   }
 
+  /**
+   * 将图片替代文本填入已上传图片的描述输入框（页面未提供描述输入框时跳过）
+   * @param {string[]} altTexts - 与上传文件顺序一致的替代文本
+   */
+  async fillImageDescriptions(altTexts) {
+    if (!altTexts.some(Boolean)) {
+      return;
+    }
+
+    const inputs = Array.from(document.querySelectorAll(this.selectors.imageDescriptionInput));
+    if (inputs.length === 0) {
+      this.log('当前页面未提供图片描述输入框，跳过替代文本');
+      return;
+    }
+
+    let filledCount = 0;
+    altTexts.forEach((altText, index) => {
+      if (altText && inputs[index]) {
+        FileProcessorBase.setNativeValue(inputs[index], altText);
+        filledCount++;
+      }
+    });
+    this.log(`已填写 ${filledCount} 张图片的描述`);
+  }
+
   /**
    * 微博头条文章发布流程（基于Playwright MCP测试验证）
    */
@@ -3179,6 +3287,9 @@ function setupWeiboMessageListener(adapter) {
   };
 
   chrome.runtime.onMessage.addListener(handleMessage);
+
+  // 自动发布请求
+  AdapterInitializer.registerAutoSubmit('weibo', adapter);
   console.log('微博消息监听器设置完成 - 重构版本');
 }
 
@@ -3199,6 +3310,9 @@ async function initializeWeiboAdapter() {
     window.MomentDots = window.MomentDots || {};
     window.MomentDots.weiboAdapter = adapter;
 
+    // 注册选择器健康检查
+    window.SelectorDiagnostics?.register('weibo', adapter);
+
     // 设置消息监听器 - 参考即刻实现
     setupWeiboMessageListener(adapter);
 
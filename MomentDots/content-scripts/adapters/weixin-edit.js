@@ -208,9 +208,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         // 处理图片上传（可选步骤，失败不影响整体流程）
         if (message.data.fileIds && message.data.fileIds.length > 0) {
           try {
-            await handleImageUpload(message.data.fileIds);
-            injectionResults.files = true;
-            infoLog('✅ 文件上传成功');
+            // 返回 false/undefined 表示页面不支持上传或没有可上传的图片，已跳过
+            injectionResults.files = await handleImageUpload(message.data.fileIds) === true;
+            if (injectionResults.files) {
+              infoLog('✅ 文件上传成功');
+            } else {
+              injectionResults.warnings.push('图片未上传：当前页面不支持文件上传或没有可用的图片');
+            }
           } catch (error) {
             console.warn('⚠️ 文件上传失败，但不影响内容注入:', error);
             injectionResults.warnings.push(`文件上传失败: ${error.message}`);
@@ -118,6 +118,9 @@ async function clickButtonByText(buttonText, buttonName) {
 
     // 统一的按钮查找逻辑
     const targetButton = await findButtonElement(buttonText, buttonName);
+    if (!targetButton) {
+      throw new Error(`未找到${buttonName}，请确认已登录公众号并停留在首页`);
+    }
 
     // 执行按钮点击
     return await performButtonClick(targetButton, buttonName, buttonText);
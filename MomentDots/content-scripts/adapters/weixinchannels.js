@@ -270,6 +270,30 @@ class WeixinChannelsPlatformAdapter extends FileProcessorBase {
     return selectors;
   }
 
+  /**
+   * 选择器健康检查使用的选择器（当前页面类型的主选择器 + 备用选择器）
+   * @returns {Object} 选择器配置对象
+   */
+  getDiagnosticSelectors() {
+    const selectors = this.getCurrentSelectors();
+    const { fallbackSelectors } = this.config.selectors;
+    return {
+      titleInput: selectors.titleInput,
+      titleInputFallback: fallbackSelectors.titleInput,
+      contentArea: selectors.contentArea,
+      contentAreaFallback: fallbackSelectors.contentArea,
+      fileInput: selectors.fileInput
+    };
+  }
+
+  /**
+   * 选择器健康检查的查询根节点（页面内容位于 wujie-app 的 Shadow DOM 中）
+   * @returns {ShadowRoot|null}
+   */
+  getDiagnosticRoot() {
+    return this.getShadowRoot();
+  }
+
   /**
    * 重写标题输入框查找方法 - 支持Shadow DOM和页面类型检测
    */
@@ -815,6 +839,7 @@ async function legacyInitializeWeixinChannelsAdapter() {
     // 注册到全局
     window.MomentDots = window.MomentDots || {};
     window.MomentDots.WeixinChannelsAdapter = adapter;
+    window.SelectorDiagnostics?.register('weixinchannels', adapter);
 
     // 启动监听器
     adapter.mutationObserver.startObserving();
@@ -73,10 +73,25 @@ class XConfigManager extends PlatformConfigBase {
       fileInput: '[data-testid="fileInput"]',
       fileInputFallback: 'input[type="file"]',
 
+      // 图片替代文本：上传后每个媒体下方的「添加描述」入口，点击后在弹窗中编辑
+      altTextEntry: '[data-testid="attachments"] a[href*="/media"]',
+      altTextInput: 'textarea[data-testid="altTextInput"], [role="dialog"] textarea',
+      altTextSaveButton: '[data-testid="endEditingButton"]',
+
       // 发布按钮选择器
       sendButton: '[data-testid="tweetButtonInline"]',
       sendButtonFallback: 'button:has-text("发帖")',
 
+      // 串推（thread）相关选择器：点击「添加帖子」后进入弹窗编辑器
+      threadEditorPrefix: '[data-testid="tweetTextarea_',
+      addPostButton: '[data-testid="addButton"]',
+      composerDialog: '[role="dialog"]',
+      threadSendButton: '[data-testid="tweetButton"]',
+
+      // 发布成功提示（toast中的「查看」链接指向新帖子）
+      successToast: '[data-testid="toast"]',
+      successPostLink: '[data-testid="toast"] a[href*="/status/"]',
+
       // 登录状态检测 - 基于Playwright分析结果
       loginIndicator: '[data-testid="tweetTextarea_0"]', // 文本框存在表示已登录
       loginIndicatorFallback: '[data-testid="SideNav_AccountSwitcher_Button"]', // 备用：用户菜单
@@ -148,45 +163,43 @@ class XAdapter {
       // 2. 等待页面就绪
       await this.waitForPageReady();
 
+      // 🧵 主页面已将超长内容拆分为串推时，逐条填充
+      const thread = data.platforms?.find(p => p.id === 'x')?.thread;
+      if (thread && thread.length > 1) {
+        const files = await this.collectFiles(data);
+        await this.fillThread(thread, files, FileProcessorBase.getMediaAltTexts(data));
+        await this.waitForPublishReady();
+
+        this.log(`X平台串推预填充完成（${thread.length} 条），等待用户手动发布 [${publishId}]`);
+
+        return {
+          success: true,
+          platform: 'x',
+          message: `串推内容预填充完成（共 ${thread.length} 条），请手动确认并发布`,
+          url: window.location.href,
+          action: 'prefilled',
+          threadLength: thread.length,
+          publishId: publishId
+        };
+      }
+
       // 3. 填充文本内容
       if (data.content) {
         await this.fillTextContent(data);
       }
 
       // 4. 处理文件上传 - 支持新的fileIds和原有的文件数据
-      let filesToUpload = [];
-
-      if (data.fileIds && data.fileIds.length > 0) {
-        // 新方案：从Background Script获取文件
-        this.log('使用新的Background Script文件管理系统...');
-        try {
-          for (const fileId of data.fileIds) {
-            this.log(`请求文件: ${fileId}`);
-
-            // 使用Promise包装的方式获取文件，参考微博实现，避免并发问题
-            const file = await this.getFileFromExtension(fileId);
-            if (file && file instanceof File) {
-              filesToUpload.push(file);
-              this.log(`成功获取文件: ${file.name} (${file.size} bytes)`);
-            } else {
-              this.log(`警告: 文件ID ${fileId} 对应的文件未找到`);
-            }
-          }
-        } catch (error) {
-          this.logError('从Background Script获取文件失败:', error);
-          // 降级到原有方案
-          filesToUpload = this.collectLegacyFiles(data);
-        }
-      } else {
-        // 原有方案：使用传统的文件数据
-        this.log('使用传统文件管理系统...');
-        filesToUpload = this.collectLegacyFiles(data);
-      }
+      const filesToUpload = await this.collectFiles(data);
 
       // 上传文件
       if (filesToUpload.length > 0) {
         this.log('开始上传文件，总数量:', filesToUpload.length);
         await this.uploadFilesOptimized(filesToUpload);
+
+        // 超出数量限制的文件已被截断，只为实际上传的媒体填写替代文本
+        const altTexts = FileProcessorBase.getMediaAltTexts(data)
+          .slice(0, Math.min(filesToUpload.length, this.config.limits.maxMediaFiles));
+        await this.fillAltTexts(altTexts);
       } else {
         this.log('没有检测到任何文件数据');
       }
@@ -216,6 +229,155 @@ class XAdapter {
     }
   }
 
+  /**
+   * 收集待上传文件 - 支持新的fileIds和原有的文件数据
+   * @param {Object} data - 发布数据
+   * @returns {Promise<Array>} - 文件数组（顺序与主页面一致：先图片，后视频）
+   */
+  async collectFiles(data) {
+    let filesToUpload = [];
+
+    if (data.fileIds && data.fileIds.length > 0) {
+      // 新方案：从Background Script获取文件
+      this.log('使用新的Background Script文件管理系统...');
+      try {
+        for (const fileId of data.fileIds) {
+          this.log(`请求文件: ${fileId}`);
+
+          // 使用Promise包装的方式获取文件，参考微博实现，避免并发问题
+          const file = await this.getFileFromExtension(fileId);
+          if (file && file instanceof File) {
+            filesToUpload.push(file);
+            this.log(`成功获取文件: ${file.name} (${file.size} bytes)`);
+          } else {
+            this.log(`警告: 文件ID ${fileId} 对应的文件未找到`);
+          }
+        }
+      } catch (error) {
+        this.logError('从Background Script获取文件失败:', error);
+        // 降级到原有方案
+        filesToUpload = this.collectLegacyFiles(data);
+      }
+    } else {
+      // 原有方案：使用传统的文件数据
+      this.log('使用传统文件管理系统...');
+      filesToUpload = this.collectLegacyFiles(data);
+    }
+
+    return filesToUpload;
+  }
+
+  /**
+   * 逐条填充串推：第1条使用首页编辑器，之后通过「添加帖子」按钮追加
+   * @param {Array<{text: string, mediaCount: number}>} thread - 主页面拆分好的串推
+   * @param {Array<File>} files - 全部媒体文件，按每条的mediaCount依次分配
+   * @param {string[]} altTexts - 与files顺序一致的替代文本
+   */
+  async fillThread(thread, files, altTexts = []) {
+    this.log(`开始填充串推，共 ${thread.length} 条，媒体 ${files.length} 个`);
+    let fileOffset = 0;
+
+    for (let index = 0; index < thread.length; index++) {
+      const post = thread[index];
+      const editor = index === 0 ? await this.getEditor() : await this.addThreadPost(index);
+
+      if (post.text) {
+        await this.injectContentToEditor(editor, post.text);
+      }
+
+      const postFiles = files.slice(fileOffset, fileOffset + post.mediaCount);
+      fileOffset += post.mediaCount;
+
+      if (postFiles.length > 0) {
+        // 文件输入控件作用于当前聚焦的帖子
+        editor.focus();
+        await this.uploadFilesOptimized(postFiles, this.getComposerRoot());
+        await this.fillAltTexts(altTexts.slice(fileOffset - post.mediaCount, fileOffset), this.getComposerRoot());
+      }
+
+      this.log(`✅ 第 ${index + 1}/${thread.length} 条填充完成`);
+    }
+
+    if (fileOffset < files.length) {
+      this.log(`⚠️ 有 ${files.length - fileOffset} 个媒体文件未分配到串推中`);
+    }
+  }
+
+  /**
+   * 为刚上传的媒体填写替代文本（失败不影响发布流程）
+   * 入口按媒体顺序排列，串推中较早帖子的媒体在前，因此取最后 altTexts.length 个入口
+   * @param {string[]} altTexts - 与刚上传媒体顺序一致的替代文本，空字符串表示跳过
+   * @param {Document|HTMLElement} root - 媒体所在的编辑器根节点
+   */
+  async fillAltTexts(altTexts, root = document) {
+    if (!altTexts.some(Boolean)) {
+      return;
+    }
+
+    this.log(`开始填写 ${altTexts.filter(Boolean).length} 个媒体的替代文本`);
+
+    for (const [index, altText] of altTexts.entries()) {
+      if (!altText) continue;
+
+      try {
+        // 每次编辑后附件区域可能重新渲染，需重新查找入口
+        const entries = Array.from(root.querySelectorAll(this.selectors.altTextEntry)).slice(-altTexts.length);
+        const entry = entries[index];
+        if (!entry) {
+          this.log('未找到媒体描述入口，跳过剩余替代文本');
+          return;
+        }
+
+        entry.click();
+        const input = await this.waitForElement(this.selectors.altTextInput, this.config.delays.ELEMENT_WAIT);
+        input.focus();
+        FileProcessorBase.setNativeValue(input, altText);
+        await new Promise(resolve => setTimeout(resolve, this.config.delays.NORMAL_WAIT));
+
+        const saveButton = await this.waitForElement(this.selectors.altTextSaveButton, this.config.delays.ELEMENT_WAIT);
+        saveButton.click();
+        await new Promise(resolve => setTimeout(resolve, this.config.delays.NORMAL_WAIT));
+        this.log(`✅ 第 ${index + 1} 个媒体替代文本已填写`);
+      } catch (error) {
+        this.logError(`第 ${index + 1} 个媒体替代文本填写失败，继续发布流程:`, error);
+      }
+    }
+  }
+
+  /**
+   * 点击「添加帖子」按钮并返回新帖子的编辑器
+   * @param {number} index - 新帖子序号（从0开始）
+   * @returns {Promise<HTMLElement>} - 新帖子编辑器
+   */
+  async addThreadPost(index) {
+    const addButton = this.getComposerRoot().querySelector(this.selectors.addPostButton);
+    if (!addButton) {
+      throw new Error('未找到X平台「添加帖子」按钮，无法创建串推');
+    }
+
+    // 上传中的媒体会让按钮暂时不可用
+    for (let attempts = 0; attempts < 20 && addButton.disabled; attempts++) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    addButton.click();
+
+    const editor = await this.waitForElement(
+      `${this.selectors.threadEditorPrefix}${index}"]`,
+      this.config.delays.ELEMENT_WAIT * 3
+    );
+    await new Promise(resolve => setTimeout(resolve, this.config.delays.NORMAL_WAIT));
+    return editor;
+  }
+
+  /**
+   * 获取当前编辑器所在的根节点（串推弹窗优先）
+   * @returns {Document|HTMLElement}
+   */
+  getComposerRoot() {
+    return document.querySelector(this.selectors.composerDialog) || document;
+  }
+
   /**
    * publishContent方法 - AdapterInitializer兼容性别名
    * @param {Object} data - 发布数据
@@ -537,20 +699,21 @@ class XAdapter {
 
   /**
    * 获取文件输入控件
+   * @param {Document|HTMLElement} root - 查找范围（串推弹窗或整个页面）
    * @returns {Promise<HTMLInputElement>} - 文件输入控件
    */
-  async getFileInput() {
+  async getFileInput(root = document) {
     this.log('查找X平台文件输入控件...');
 
     // 策略1: 使用主选择器
-    let fileInput = document.querySelector(this.selectors.fileInput);
+    let fileInput = root.querySelector(this.selectors.fileInput);
     if (fileInput) {
       this.log('✅ 使用主选择器找到文件输入控件');
       return fileInput;
     }
 
     // 策略2: 使用备用选择器
-    fileInput = document.querySelector(this.selectors.fileInputFallback);
+    fileInput = root.querySelector(this.selectors.fileInputFallback);
     if (fileInput) {
       this.log('✅ 使用备用选择器找到文件输入控件');
       return fileInput;
@@ -562,13 +725,14 @@ class XAdapter {
   /**
    * 优化的文件上传方法 - 基于Playwright验证的DataTransfer方法
    * @param {Array} files - 文件数组
+   * @param {Document|HTMLElement} root - 文件输入控件的查找范围
    */
-  async uploadFilesOptimized(files) {
+  async uploadFilesOptimized(files, root = document) {
     this.log('开始优化文件上传流程...');
 
     try {
       // 查找文件输入元素 - 使用统一的getFileInput方法
-      const fileInput = await this.getFileInput();
+      const fileInput = await this.getFileInput(root);
       if (!fileInput) {
         throw new Error('未找到文件上传输入元素');
       }
@@ -708,6 +872,14 @@ class XAdapter {
    * @returns {HTMLButtonElement|null} - 发送按钮元素
    */
   findSendButton() {
+    // 串推弹窗中的「全部发布」按钮优先
+    const dialog = document.querySelector(this.selectors.composerDialog);
+    const threadButton = dialog?.querySelector(this.selectors.threadSendButton);
+    if (threadButton) {
+      this.log('✅ 找到串推弹窗发送按钮');
+      return threadButton;
+    }
+
     // 策略1: 使用主选择器
     let button = document.querySelector(this.selectors.sendButton);
     if (button) {
@@ -727,6 +899,40 @@ class XAdapter {
     return null;
   }
 
+  /**
+   * 自动发布：点击发送按钮并等待发布成功提示
+   * @returns {Promise<Object>} - { success, publishUrl }
+   */
+  async submitPublish() {
+    this.log('开始自动发布...');
+
+    await this.waitForPublishReady();
+    const sendButton = this.findSendButton();
+    if (!sendButton || sendButton.disabled || sendButton.getAttribute('aria-disabled') === 'true') {
+      throw new Error('发送按钮不可用，请检查内容是否超出字数限制');
+    }
+
+    sendButton.click();
+    this.log('🚀 已点击发送按钮，等待发布结果...');
+
+    const signal = await AdapterInitializer.waitForPublishSignal(() => {
+      const postLink = document.querySelector(this.selectors.successPostLink);
+      if (postLink) {
+        return { publishUrl: postLink.href };
+      }
+
+      // 有提示但没有链接时（例如串推）也视为成功
+      return document.querySelector(this.selectors.successToast) ? { publishUrl: '' } : null;
+    });
+
+    if (!signal) {
+      throw new Error('未检测到发布成功提示');
+    }
+
+    this.log('✅ X平台发布成功', signal);
+    return { success: true, publishUrl: signal.publishUrl };
+  }
+
   /**
    * 等待元素出现
    * @param {string} selector - 选择器
@@ -756,6 +962,17 @@ class XAdapter {
     });
   }
 
+  /**
+   * 检查编辑器是否包含指定内容（忽略空白，Draft.js按段落渲染时textContent不含换行）
+   * @param {HTMLElement} editor - 编辑器元素
+   * @param {string} content - 内容
+   * @returns {boolean} 是否包含
+   */
+  editorContainsContent(editor, content) {
+    const normalize = (text) => (text || '').replace(/\s+/g, '');
+    return normalize(editor.textContent).includes(normalize(content));
+  }
+
   /**
    * Draft.js结构方法 - 基于Playwright MCP验证的改进方法
    * @param {HTMLElement} editor - 编辑器元素
@@ -813,7 +1030,7 @@ class XAdapter {
 
       // 5. 验证结果
       await new Promise(resolve => setTimeout(resolve, 300));
-      const contentMatches = editor.textContent.includes(content);
+      const contentMatches = this.editorContainsContent(editor, content);
 
       this.log('Draft.js结构方法结果:', {
         success: contentMatches,
@@ -873,7 +1090,7 @@ class XAdapter {
 
       // 5. 验证结果
       await new Promise(resolve => setTimeout(resolve, 200));
-      const contentMatches = editor.textContent.includes(content);
+      const contentMatches = this.editorContainsContent(editor, content);
 
       this.log('ExecCommand方法结果:', {
         success: contentMatches,
@@ -906,7 +1123,7 @@ class XAdapter {
 
       // 验证结果
       await new Promise(resolve => setTimeout(resolve, 200));
-      return editor.textContent.includes(content);
+      return this.editorContainsContent(editor, content);
 
     } catch (error) {
       this.log('直接文本方法异常:', error.message);
@@ -1020,6 +1237,9 @@ function setupXMessageListener(adapter) {
   };
 
   chrome.runtime.onMessage.addListener(handleMessage);
+
+  // 自动发布请求
+  AdapterInitializer.registerAutoSubmit('x', adapter);
   console.log('X平台消息监听器设置完成');
 }
 
@@ -1040,6 +1260,9 @@ async function initializeXAdapter() {
     window.MomentDots = window.MomentDots || {};
     window.MomentDots.xAdapter = adapter;
 
+    // 注册选择器健康检查
+    window.SelectorDiagnostics?.register('x', adapter);
+
     // 设置消息监听器
     setupXMessageListener(adapter);
 
@@ -561,6 +561,7 @@
   if (typeof window !== 'undefined' && window.location.href.includes('target=article')) {
     window.MomentDots = window.MomentDots || {};
     window.MomentDots.xiaohongshuArticleAdapter = new XiaohongshuArticleAdapter();
+    window.SelectorDiagnostics?.register('xiaohongshu-article', window.MomentDots.xiaohongshuArticleAdapter);
     debugLog('✅ 适配器已初始化');
   }
 
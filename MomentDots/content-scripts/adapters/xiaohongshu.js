@@ -87,6 +87,12 @@ class XiaohongshuConfigManager extends BaseConfigManager {
         '[data-slate-editor="true"]'
       ],
 
+      // 话题联想列表项（输入 #话题 后弹出）
+      topicSuggestion: [
+        '#creator-editor-topic-container .item',
+        '.topic-container .item'
+      ],
+
       // 文件上传
       fileInput: [
         'input[type="file"]',
@@ -1960,6 +1966,9 @@ class XiaohongshuAdapter extends XiaohongshuDependencyManager.getFileProcessorBa
     } else {
       this.log('没有标题或内容需要注入');
     }
+
+    // 正文注入完成后再插入话题，保证话题位于正文末尾
+    await this.injectHashtags(currentPlatform?.hashtags);
   }
   /**
    * 确保编辑页面准备就绪（极速版本）
@@ -2511,6 +2520,9 @@ class XiaohongshuAdapter extends XiaohongshuDependencyManager.getFileProcessorBa
         }
       }
 
+      // 3. 插入话题
+      await this.injectHashtags(currentPlatform?.hashtags);
+
       this.log('✅ 视频内容注入完成');
 
     } catch (error) {
@@ -2540,6 +2552,34 @@ class XiaohongshuAdapter extends XiaohongshuDependencyManager.getFileProcessorBa
     // 直接复用现有的内容注入方法
     return await this.injectContent(content);
   }
+
+  /**
+   * 插入话题标签：通过平台的话题联想列表选中，使话题成为平台原生话题
+   * 话题插入失败不影响正文发布
+   * @param {string[]} hashtags - 话题名称（不含 #）
+   * @returns {Promise<boolean>} - 是否执行了插入
+   */
+  async injectHashtags(hashtags) {
+    if (!Array.isArray(hashtags) || hashtags.length === 0) {
+      return false;
+    }
+
+    try {
+      const editor = await this.findContentEditor();
+      if (!editor) {
+        throw new Error('未找到小红书内容编辑器');
+      }
+
+      const selectedCount = await this.injector.insertTopics(editor, hashtags, {
+        suggestionSelectors: this.selectors.topicSuggestion
+      });
+      this.log('话题插入完成', { total: hashtags.length, selected: selectedCount });
+      return true;
+    } catch (error) {
+      this.logError('话题插入失败，继续发布流程', error);
+      return false;
+    }
+  }
 }
 
   /**
@@ -2562,6 +2602,7 @@ class XiaohongshuAdapter extends XiaohongshuDependencyManager.getFileProcessorBa
       window.MomentDots = window.MomentDots || {};
       window.MomentDots.xiaohongshuAdapter = adapter;
       window.XiaohongshuAdapter = XiaohongshuAdapter; // 暴露类到全局，供工厂使用
+      window.SelectorDiagnostics?.register('xiaohongshu', adapter); // 选择器健康检查
 
       console.log('✅ XiaohongshuAdapter初始化成功 (重构版本)，platform:', adapter.platform);
       return true;
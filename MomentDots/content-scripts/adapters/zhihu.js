@@ -0,0 +1,579 @@
+/**
+ * 知乎平台适配器 - 基于统一架构设计
+ * 支持知乎想法（动态）和知乎专栏（文章）两种发布流程
+ *
+ * 技术特点：
+ * - 想法：首页「发想法」弹窗，Draft.js 编辑器 + DataTransfer 图片上传
+ * - 专栏：zhuanlan.zhihu.com/write，React 受控标题输入框 + Draft.js 富文本编辑器
+ * - 富文本通过模拟粘贴 text/html 注入，由编辑器自身完成格式转换和外链图片转存
+ */
+
+console.log('知乎平台适配器加载中...');
+
+(function() {
+  'use strict';
+
+// 检查公共基类是否已加载
+// 使用统一的BaseClassLoader
+async function checkBaseClasses() {
+  return await BaseClassLoader.checkBaseClasses('知乎');
+}
+
+/**
+ * 知乎平台配置管理器
+ * 使用统一的PlatformConfigBase
+ */
+class ZhihuConfigManager extends PlatformConfigBase {
+  constructor() {
+    super('zhihu');
+  }
+
+  /**
+   * 加载知乎特定配置
+   */
+  loadConfig() {
+    const zhihuConfig = {
+      delays: this.createDelayConfig({
+        FAST_CHECK: 200,
+        NORMAL_WAIT: 500,
+        UPLOAD_WAIT: 2000,
+        ELEMENT_WAIT: 5000
+      }),
+
+      limits: this.createLimitsConfig({
+        maxContentLength: 1000,    // 想法内容限制
+        maxMediaFiles: 9,          // 想法最多9张图片
+        allowedImageTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+        allowedVideoTypes: []      // 想法暂不支持通过适配器上传视频
+      }),
+
+      // 专栏文章限制
+      articleLimits: {
+        maxTitleLength: 100,
+        maxContentLength: 50000,
+        maxMediaFiles: 50,
+        allowedImageTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+        allowedVideoTypes: []
+      },
+
+      performance: this.createPerformanceConfig({
+        cacheTimeout: 3000,
+        elementWaitTimeout: 3000,
+        mutationObserverTimeout: 5000,
+        highFrequencyCheck: 200,
+        enablePerformanceMonitoring: true,
+        enableMutationObserver: true
+      })
+    };
+
+    return this.loadPlatformConfig(zhihuConfig);
+  }
+
+  /**
+   * 获取知乎平台特定选择器
+   */
+  getPlatformSelectors() {
+    return {
+      // === 想法（首页弹窗）===
+      pinTriggerTexts: ['发想法', '想法'],
+      pinEditor: '.Modal .public-DraftEditor-content[contenteditable="true"]',
+      pinEditorFallback: '.Modal [contenteditable="true"]',
+      pinImageInput: '.Modal input[type="file"][accept*="image"]',
+      pinImageButton: '.Modal button[aria-label*="图片"]',
+
+      // === 专栏文章（写文章页面）===
+      articleTitleInput: 'textarea[placeholder*="请输入标题"]',
+      articleTitleInputFallback: '.WriteIndex-titleInput textarea',
+      articleEditor: '.public-DraftEditor-content[contenteditable="true"]',
+      articleEditorFallback: '.DraftEditor-root [contenteditable="true"]',
+      articleImageInput: 'input[type="file"][accept*="image"]',
+      articleImageButton: 'button[aria-label="图片"]',
+
+      // 登录状态检测
+      loginIndicator: '.AppHeader-profile, .AppHeader-userInfo, img.Avatar',
+      loginButton: '.SignFlow, .signFlowModal'
+    };
+  }
+}
+
+// 防止重复声明
+if (typeof window.ZhihuAdapter === 'undefined') {
+
+/**
+ * 知乎平台适配器类
+ * 继承FileProcessorBase以获得智能文件获取能力
+ */
+class ZhihuAdapter extends FileProcessorBase {
+  constructor() {
+    super('zhihu', {});
+    this.configManager = new ZhihuConfigManager();
+    this.config = this.configManager.loadConfig();
+    this.selectors = this.configManager.getSelectors();
+
+    // DOM等待能力复用MutationObserverBase
+    this.mutationObserverBase = new MutationObserverBase('zhihu');
+
+    this.log('✅ 知乎适配器初始化完成');
+  }
+
+  /**
+   * 延迟函数
+   * @param {number} ms - 延迟毫秒数
+   */
+  async delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * 检测页面类型
+   * @returns {string} 'article' | 'pin'
+   */
+  detectPageType() {
+    const { hostname, pathname } = window.location;
+
+    if (hostname === 'zhuanlan.zhihu.com' && (pathname.startsWith('/write') || pathname.includes('/edit'))) {
+      return 'article';
+    }
+    return 'pin';
+  }
+
+  /**
+   * 检查登录状态（未登录时知乎会显示登录弹窗）
+   */
+  checkLoginStatus() {
+    if (document.querySelector(this.selectors.loginButton) &&
+        !document.querySelector(this.selectors.loginIndicator)) {
+      throw new Error('请先登录知乎');
+    }
+  }
+
+  /**
+   * 完整的内容注入流程 - 根据页面类型选择想法或专栏流程
+   * @param {Object} data - 发布数据
+   * @returns {Promise<Object>} 发布结果
+   */
+  async publishContent(data) {
+    this.log('🎯 开始知乎内容注入流程...', {
+      hasContent: !!data.content,
+      hasTitle: !!data.title,
+      hasFileIds: !!(data.fileIds && data.fileIds.length > 0),
+      currentUrl: window.location.href
+    });
+
+    try {
+      this.checkLoginStatus();
+
+      const pageType = this.detectPageType();
+      if (pageType === 'article') {
+        this.log('📝 执行知乎专栏文章发布流程');
+        return await this.publishArticleContent(data);
+      }
+
+      this.log('💡 执行知乎想法发布流程');
+      return await this.publishPinContent(data);
+
+    } catch (error) {
+      this.logError('知乎内容注入流程失败', error);
+      return {
+        success: false,
+        platform: this.platform,
+        error: error.message
+      };
+    }
+  }
+
+  // ===== 想法发布流程 =====
+
+  /**
+   * 想法发布流程
+   * @param {Object} data - 发布数据
+   */
+  async publishPinContent(data) {
+    const editor = await this.openPinEditor();
+    if (!editor) {
+      throw new Error('未找到知乎想法编辑器');
+    }
+
+    // 想法没有标题输入框，与微博、即刻一样只注入正文
+    const text = (data.content || '').trim();
+
+    if (text) {
+      const success = await this.injectPlainText(editor, text);
+      if (!success) {
+        throw new Error('想法内容注入失败');
+      }
+    }
+
+    if ((data.fileIds && data.fileIds.length > 0) || (data.files && data.files.length > 0)) {
+      await this.uploadImages(data, {
+        inputSelector: this.selectors.pinImageInput,
+        buttonSelector: this.selectors.pinImageButton,
+        limits: this.config.limits
+      });
+    }
+
+    this.log('✅ 知乎想法内容预填充完成，等待用户手动发布');
+
+    return {
+      success: true,
+      platform: this.platform,
+      message: '想法内容预填充完成，请手动确认并发布',
+      url: window.location.href,
+      action: 'pin_prefilled',
+      contentType: 'dynamic'
+    };
+  }
+
+  /**
+   * 打开想法编辑弹窗
+   * @returns {Promise<HTMLElement|null>} 编辑器元素
+   */
+  async openPinEditor() {
+    const existingEditor = document.querySelector(this.selectors.pinEditor);
+    if (existingEditor) {
+      return existingEditor;
+    }
+
+    const trigger = await this.mutationObserverBase.findButtonOptimized(
+      () => this.findPinTrigger(),
+      this.config.delays.ELEMENT_WAIT,
+      '发想法按钮'
+    );
+
+    if (!trigger) {
+      throw new Error('未找到「发想法」入口，请确认已打开知乎首页');
+    }
+
+    trigger.click();
+    await this.delay(this.config.delays.NORMAL_WAIT);
+
+    return await this.mutationObserverBase.waitForElementSmart(
+      this.selectors.pinEditor,
+      this.config.delays.ELEMENT_WAIT,
+      true,
+      '知乎想法编辑器'
+    ) || document.querySelector(this.selectors.pinEditorFallback);
+  }
+
+  /**
+   * 查找「发想法」入口
+   * @returns {HTMLElement|null}
+   */
+  findPinTrigger() {
+    const candidates = document.querySelectorAll('button, [role="button"], a');
+
+    for (const text of this.selectors.pinTriggerTexts) {
+      const match = Array.from(candidates).find(el =>
+        el.textContent?.trim() === text && this.mutationObserverBase.isElementVisible(el)
+      );
+      if (match) {
+        return match;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 注入纯文本到 Draft.js 编辑器
+   * 优先模拟粘贴（Draft.js 会按行拆分段落），失败时使用 execCommand
+   * @param {HTMLElement} editor - 编辑器元素
+   * @param {string} text - 文本内容
+   * @returns {Promise<boolean>} 是否注入成功
+   */
+  async injectPlainText(editor, text) {
+    this.focusEditor(editor);
+
+    const pasted = this.dispatchPaste(editor, { 'text/plain': text });
+    await this.delay(this.config.delays.NORMAL_WAIT);
+
+    if (pasted && this.editorContains(editor, text)) {
+      this.log('✅ 粘贴方式注入想法内容成功');
+      return true;
+    }
+
+    this.log('⚠️ 粘贴方式未生效，尝试 execCommand');
+    this.focusEditor(editor);
+    document.execCommand('insertText', false, text);
+    await this.delay(this.config.delays.FAST_CHECK);
+
+    return this.editorContains(editor, text);
+  }
+
+  // ===== 专栏文章发布流程 =====
+
+  /**
+   * 专栏文章发布流程
+   * @param {Object} data - 发布数据
+   */
+  async publishArticleContent(data) {
+    // 🎯 获取预处理后的标题
+    const currentPlatform = data.platforms?.find(p => p.id === 'zhihu-article');
+    const titleToInject = currentPlatform?.processedTitle || data.title;
+
+    this.log('📝 开始知乎专栏文章发布流程...', {
+      originalTitle: data.title?.length || 0,
+      processedTitle: titleToInject?.length || 0,
+      contentLength: data.content?.length || 0
+    });
+
+    const editor = await this.mutationObserverBase.waitForElementSmart(
+      this.selectors.articleEditor,
+      this.config.delays.ELEMENT_WAIT,
+      true,
+      '知乎专栏编辑器'
+    ) || document.querySelector(this.selectors.articleEditorFallback);
+
+    if (!editor) {
+      throw new Error('未找到知乎专栏编辑器，请确认已打开写文章页面');
+    }
+
+    if (titleToInject && titleToInject.trim()) {
+      await this.injectArticleTitle(titleToInject);
+    }
+
+    if (data.content && data.content.trim()) {
+      await this.injectArticleContent(editor, data.content);
+    }
+
+    // 本地上传的图片追加到文章末尾
+    if ((data.fileIds && data.fileIds.length > 0) || (data.files && data.files.length > 0)) {
+      this.moveCaretToEnd(editor);
+      await this.uploadImages(data, {
+        inputSelector: this.selectors.articleImageInput,
+        buttonSelector: this.selectors.articleImageButton,
+        limits: this.config.articleLimits
+      });
+    }
+
+    this.log('✅ 知乎专栏文章内容注入完成，请用户手动点击发布按钮');
+
+    return {
+      success: true,
+      platform: this.platform,
+      message: '知乎专栏文章内容注入成功，请手动点击发布按钮完成发布',
+      url: window.location.href,
+      action: 'article_prefilled',
+      contentType: 'article'
+    };
+  }
+
+  /**
+   * 注入专栏标题（React 受控组件需要使用原生 setter 触发状态更新）
+   * @param {string} title - 标题
+   */
+  async injectArticleTitle(title) {
+    const titleInput = document.querySelector(this.selectors.articleTitleInput) ||
+                      document.querySelector(this.selectors.articleTitleInputFallback);
+
+    if (!titleInput) {
+      throw new Error('未找到知乎专栏标题输入框');
+    }
+
+    const truncatedTitle = title.substring(0, this.config.articleLimits.maxTitleLength);
+    const prototype = titleInput instanceof HTMLTextAreaElement
+      ? HTMLTextAreaElement.prototype
+      : HTMLInputElement.prototype;
+    const valueSetter = Object.getOwnPropertyDescriptor(prototype, 'value').set;
+
+    titleInput.focus();
+    valueSetter.call(titleInput, truncatedTitle);
+    titleInput.dispatchEvent(new Event('input', { bubbles: true }));
+    titleInput.dispatchEvent(new Event('change', { bubbles: true }));
+
+    this.log('✅ 专栏标题注入成功:', truncatedTitle);
+    await this.delay(this.config.delays.FAST_CHECK);
+  }
+
+  /**
+   * 注入专栏富文本内容
+   * @param {HTMLElement} editor - 编辑器元素
+   * @param {string} content - HTML内容
+   */
+  async injectArticleContent(editor, content) {
+    const html = this.prepareArticleHtml(content);
+    const plainText = this.htmlToPlainText(html);
+
+    this.focusEditor(editor);
+    const pasted = this.dispatchPaste(editor, { 'text/html': html, 'text/plain': plainText });
+    await this.delay(this.config.delays.UPLOAD_WAIT);
+
+    if (pasted && this.editorContains(editor, plainText)) {
+      this.log('✅ 粘贴方式注入专栏内容成功');
+      return;
+    }
+
+    this.log('⚠️ 粘贴方式未生效，尝试 execCommand insertHTML');
+    this.focusEditor(editor);
+    if (!document.execCommand('insertHTML', false, html)) {
+      document.execCommand('insertText', false, plainText);
+    }
+    await this.delay(this.config.delays.NORMAL_WAIT);
+
+    if (!this.editorContains(editor, plainText)) {
+      throw new Error('专栏内容注入失败');
+    }
+  }
+
+  /**
+   * 清理文章HTML：移除脚本、样式和内联属性，保留结构和图片地址
+   * @param {string} content - 原始HTML
+   * @returns {string} 清理后的HTML
+   */
+  prepareArticleHtml(content) {
+    const doc = new DOMParser().parseFromString(content, 'text/html');
+
+    doc.querySelectorAll('script, style, iframe, noscript').forEach(el => el.remove());
+    doc.body.querySelectorAll('*').forEach(el => {
+      Array.from(el.attributes).forEach(attr => {
+        const keep = (el.tagName === 'IMG' && (attr.name === 'src' || attr.name === 'alt')) ||
+                     (el.tagName === 'A' && attr.name === 'href');
+        if (!keep) {
+          el.removeAttribute(attr.name);
+        }
+      });
+    });
+
+    return doc.body.innerHTML;
+  }
+
+  /**
+   * HTML转纯文本（用于验证和降级注入）
+   * @param {string} html - HTML内容
+   * @returns {string} 纯文本
+   */
+  htmlToPlainText(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return (doc.body.textContent || '').trim();
+  }
+
+  // ===== 通用工具 =====
+
+  /**
+   * 上传图片到指定的文件输入控件
+   * @param {Object} data - 发布数据
+   * @param {Object} options - {inputSelector, buttonSelector, limits}
+   */
+  async uploadImages(data, options) {
+    const files = await this.processFileData(data);
+    const { validFiles } = this.validateFiles(files, options.limits);
+
+    if (validFiles.length === 0) {
+      this.log('⚠️ 没有可上传的图片');
+      return;
+    }
+
+    let fileInput = document.querySelector(options.inputSelector);
+    if (!fileInput) {
+      // 部分情况下文件输入框在点击图片按钮后才渲染
+      document.querySelector(options.buttonSelector)?.click();
+      fileInput = await this.mutationObserverBase.waitForElementSmart(
+        options.inputSelector,
+        this.config.delays.ELEMENT_WAIT,
+        false,
+        '知乎图片上传控件'
+      );
+    }
+
+    if (!fileInput) {
+      throw new Error('未找到知乎图片上传控件');
+    }
+
+    await this.injectFilesToInput(fileInput, validFiles);
+    await this.delay(this.config.delays.UPLOAD_WAIT);
+    this.log(`✅ 已提交 ${validFiles.length} 张图片上传`);
+  }
+
+  /**
+   * 派发模拟粘贴事件
+   * @param {HTMLElement} editor - 编辑器元素
+   * @param {Object} items - MIME类型到内容的映射
+   * @returns {boolean} 事件是否被编辑器处理（被 preventDefault）
+   */
+  dispatchPaste(editor, items) {
+    try {
+      const clipboardData = new DataTransfer();
+      Object.entries(items).forEach(([type, value]) => clipboardData.setData(type, value));
+
+      const pasteEvent = new ClipboardEvent('paste', {
+        bubbles: true,
+        cancelable: true,
+        clipboardData
+      });
+
+      return !editor.dispatchEvent(pasteEvent);
+    } catch (error) {
+      this.log('⚠️ 模拟粘贴失败:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * 聚焦编辑器并将光标放到末尾
+   * @param {HTMLElement} editor - 编辑器元素
+   */
+  focusEditor(editor) {
+    editor.click();
+    editor.focus();
+    this.moveCaretToEnd(editor);
+  }
+
+  /**
+   * 将光标移动到编辑器末尾
+   * @param {HTMLElement} editor - 编辑器元素
+   */
+  moveCaretToEnd(editor) {
+    const selection = window.getSelection();
+    const range = document.createRange();
+    range.selectNodeContents(editor);
+    range.collapse(false);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /**
+   * 检查编辑器是否包含预期文本（比较前30个非空白字符）
+   * @param {HTMLElement} editor - 编辑器元素
+   * @param {string} expected - 预期文本
+   * @returns {boolean}
+   */
+  editorContains(editor, expected) {
+    const normalize = (text) => (text || '').replace(/\s+/g, '');
+    const sample = normalize(expected).substring(0, 30);
+    return !sample || normalize(editor.textContent).includes(sample);
+  }
+
+  log(...args) {
+    console.log('[知乎]', ...args);
+  }
+
+  logError(message, error) {
+    console.error('[知乎]', message, error);
+  }
+}
+
+// 将适配器注册到全局
+window.ZhihuAdapter = ZhihuAdapter;
+console.log('🎯 知乎适配器已注册到全局作用域');
+
+} // 防止重复声明结束
+
+// 使用统一的AdapterInitializer进行初始化
+if (typeof AdapterInitializer !== 'undefined') {
+  AdapterInitializer.initialize('zhihu', 'ZhihuAdapter', () => {
+    console.log('🔄 使用传统方式初始化知乎适配器...');
+    checkBaseClasses().then(() => {
+      console.log('✅ 知乎适配器传统初始化完成');
+    }).catch(error => {
+      console.error('❌ 知乎适配器传统初始化失败:', error);
+    });
+  });
+} else {
+  console.log('⚠️ AdapterInitializer未找到，使用直接初始化方式');
+  checkBaseClasses().then(() => {
+    console.log('✅ 知乎适配器直接初始化完成');
+  }).catch(error => {
+    console.error('❌ 知乎适配器直接初始化失败:', error);
+  });
+}
+
+})();
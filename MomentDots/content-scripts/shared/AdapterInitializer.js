@@ -197,9 +197,92 @@
       chrome.runtime.onMessage.addListener(messageListener);
       this.messageListeners.set(listenerKey, messageListener);
 
+      // 自动发布请求按平台ID匹配（适配器未实现 submitPublish 时返回不支持）
+      this.registerAutoSubmit(adapter.platform || platform, adapter);
+
+      // 注册选择器健康检查
+      window.SelectorDiagnostics?.register(adapter.platform || platform, adapter);
+
       console.log(`${platform}适配器初始化完成 - 使用新技术方案`);
     }
 
+    /**
+     * 注册自动发布消息监听：预填充完成后由后台发送 submitPublish，
+     * 适配器点击发布按钮并返回 { success, publishUrl }
+     * @param {string} platform - 平台名称
+     * @param {Object} adapter - 适配器实例（需实现 submitPublish）
+     */
+    static registerAutoSubmit(platform, adapter) {
+      const listenerKey = `${platform}-submitPublish`;
+      if (this.messageListeners.has(listenerKey)) {
+        return;
+      }
+
+      let isSubmitting = false;
+      const SUBMIT_TIMEOUT = 60000; // 含上传处理和成功信号等待
+
+      const messageListener = (message, sender, sendResponse) => {
+        if (message.action !== 'submitPublish' || message.platform !== platform) {
+          return false;
+        }
+
+        if (typeof adapter.submitPublish !== 'function') {
+          sendResponse({ success: false, platform, error: '该平台暂不支持自动发布' });
+          return true;
+        }
+
+        // 同一页面只允许提交一次，避免重复发布
+        if (isSubmitting) {
+          sendResponse({ success: false, platform, error: '正在自动发布中，请勿重复操作' });
+          return true;
+        }
+        isSubmitting = true;
+
+        const timeoutPromise = new Promise((_, reject) => {
+          setTimeout(() => reject(new Error('等待发布结果超时')), SUBMIT_TIMEOUT);
+        });
+
+        Promise.race([adapter.submitPublish(), timeoutPromise])
+          .then(result => {
+            console.log(`${platform}自动发布结果:`, result);
+            sendResponse({ ...result, platform, timestamp: Date.now() });
+          })
+          .catch(error => {
+            console.error(`${platform}自动发布错误:`, error);
+            sendResponse({ success: false, platform, error: error.message || '自动发布失败', timestamp: Date.now() });
+          })
+          .finally(() => {
+            isSubmitting = false;
+          });
+
+        return true; // 保持消息通道开放
+      };
+
+      chrome.runtime.onMessage.addListener(messageListener);
+      this.messageListeners.set(listenerKey, messageListener);
+    }
+
+    /**
+     * 轮询等待平台的发布成功信号
+     * @param {Function} check - 检测函数，返回真值表示成功（可返回 { publishUrl }）
+     * @param {number} timeout - 超时时间
+     * @param {number} interval - 检测间隔
+     * @returns {Promise<*>} 检测函数的返回值，超时返回 null
+     */
+    static async waitForPublishSignal(check, timeout = 20000, interval = 500) {
+      const startTime = Date.now();
+
+      while (Date.now() - startTime < timeout) {
+        const result = check();
+        if (result) {
+          return result;
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+
+      return null;
+    }
+
     /**
      * 检查旧技术方案依赖
      */
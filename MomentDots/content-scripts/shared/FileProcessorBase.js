@@ -695,6 +695,37 @@ class FileProcessorBase {
     });
   }
 
+  /**
+   * 获取媒体的替代文本，顺序与上传文件一致（先图片后视频）
+   * 主页面的 mediaDescriptions 按文件ID（传统方案为预览ID）索引，未填写的媒体为空字符串
+   * @param {Object} data - 发布数据
+   * @returns {string[]} 替代文本列表
+   */
+  static getMediaAltTexts(data) {
+    const descriptions = data?.mediaDescriptions || {};
+    const ids = data?.fileIds?.length > 0
+      ? data.fileIds
+      : [...(data?.images || []), ...(data?.videos || [])].map(media => media.fileId || media.id);
+
+    return ids.map(id => descriptions[id]?.altText || descriptions[id]?.caption || '');
+  }
+
+  /**
+   * 设置表单控件值并触发 input/change 事件（兼容React受控组件）
+   * @param {HTMLInputElement|HTMLTextAreaElement} element - 表单控件
+   * @param {string} value - 值
+   */
+  static setNativeValue(element, value) {
+    const prototype = element instanceof HTMLTextAreaElement
+      ? HTMLTextAreaElement.prototype
+      : HTMLInputElement.prototype;
+    const valueSetter = Object.getOwnPropertyDescriptor(prototype, 'value').set;
+
+    valueSetter.call(element, value);
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
   // 抽象方法，由子类实现
   log(message, data = null) {
     console.log(`[${this.platform}FileProcessor]`, message, data);
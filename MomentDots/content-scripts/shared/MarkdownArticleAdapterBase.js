@@ -0,0 +1,429 @@
+/**
+ * Markdown文章平台适配器基类 - 掘金、CSDN、简书、思否等技术博客平台共用
+ * 统一处理标题注入、Markdown正文注入，以及发布设置面板中的摘要和封面
+ *
+ * 技术特点：
+ * - 正文使用主页面预先转换好的Markdown（platform.processedContent）
+ * - 自动识别编辑器类型：CodeMirror隐藏输入框 / contenteditable / 普通textarea
+ * - 封面取自文章第一张图片，远程图片由后台脚本代为下载（避免页面CORS限制）
+ *
+ * 子类需要提供：配置管理器（含 features 和选择器）、可选的 prepareEditor 钩子
+ */
+
+(function() {
+  'use strict';
+
+  // 检查是否已经加载，避免重复定义
+  if (window.MarkdownArticleAdapterBase) {
+    console.log('MarkdownArticleAdapterBase already loaded');
+    return;
+  }
+
+  class MarkdownArticleAdapterBase extends FileProcessorBase {
+    /**
+     * @param {string} platform - 平台ID（如 'juejin'）
+     * @param {PlatformConfigBase} configManager - 平台配置管理器
+     * @param {string} displayName - 平台显示名称（用于日志和提示）
+     */
+    constructor(platform, configManager, displayName) {
+      super(platform, {});
+      this.configManager = configManager;
+      this.config = this.configManager.loadConfig();
+      this.selectors = this.configManager.getSelectors();
+      this.displayName = displayName;
+      this.articlePlatformId = `${platform}-article`;
+
+      // DOM等待能力复用MutationObserverBase
+      this.mutationObserverBase = new MutationObserverBase(platform);
+    }
+
+    /**
+     * 延迟函数
+     * @param {number} ms - 延迟毫秒数
+     */
+    async delay(ms) {
+      return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * 完整的文章注入流程：准备编辑器 -> 标题 -> Markdown正文 -> 摘要/封面
+     * @param {Object} data - 发布数据
+     * @returns {Promise<Object>} 发布结果
+     */
+    async publishContent(data) {
+      // 🎯 获取预处理后的标题、Markdown正文和概要
+      const currentPlatform = data.platforms?.find(p => p.id === this.articlePlatformId);
+      const title = currentPlatform?.processedTitle || data.title || '';
+      const markdown = currentPlatform?.processedContent || data.content || '';
+      const summary = currentPlatform?.processedSummary || '';
+
+      this.log(`🎯 开始${this.displayName}文章注入流程...`, {
+        titleLength: title.length,
+        markdownLength: markdown.length,
+        hasMarkdown: !!currentPlatform?.processedContent,
+        hasSummary: !!summary,
+        hasCover: !!data.coverImage,
+        currentUrl: window.location.href
+      });
+
+      try {
+        await this.prepareEditor();
+
+        if (title.trim()) {
+          await this.injectTitle(title);
+        }
+
+        if (markdown.trim()) {
+          await this.injectMarkdown(markdown);
+        }
+
+        // 摘要和封面属于非关键步骤，失败时只记录警告，不影响正文注入结果
+        try {
+          await this.fillPublishSettings(summary, data.coverImage);
+        } catch (error) {
+          this.log('⚠️ 摘要/封面填写失败，请手动补充:', error.message);
+        }
+
+        this.log(`✅ ${this.displayName}文章内容注入完成，请用户手动点击发布按钮`);
+
+        return {
+          success: true,
+          platform: this.platform,
+          message: `${this.displayName}文章内容注入成功，请手动确认并发布`,
+          url: window.location.href,
+          action: 'article_prefilled',
+          contentType: 'article'
+        };
+      } catch (error) {
+        this.logError(`${this.displayName}文章注入流程失败`, error);
+        return {
+          success: false,
+          platform: this.platform,
+          error: error.message
+        };
+      }
+    }
+
+    /**
+     * 准备编辑器（子类可覆盖，如简书需要先点击「新建文章」）
+     */
+    async prepareEditor() {}
+
+    /**
+     * 注入文章标题（React/Vue 受控组件需要使用原生 setter 触发状态更新）
+     * @param {string} title - 标题
+     */
+    async injectTitle(title) {
+      const titleInput = await this.mutationObserverBase.waitForElementSmart(
+        this.selectors.titleInput,
+        this.config.delays.ELEMENT_WAIT,
+        true,
+        `${this.displayName}标题输入框`
+      ) || document.querySelector(this.selectors.titleInputFallback);
+
+      if (!titleInput) {
+        throw new Error(`未找到${this.displayName}标题输入框`);
+      }
+
+      const truncatedTitle = title.substring(0, this.config.articleLimits.maxTitleLength);
+      titleInput.focus();
+      this.setNativeValue(titleInput, truncatedTitle);
+
+      this.log('✅ 标题注入成功:', truncatedTitle);
+      await this.delay(this.config.delays.FAST_CHECK);
+    }
+
+    /**
+     * 注入Markdown正文，根据编辑器类型选择注入方式
+     * @param {string} markdown - Markdown内容
+     */
+    async injectMarkdown(markdown) {
+      const editor = await this.mutationObserverBase.waitForElementSmart(
+        this.selectors.editor,
+        this.config.delays.ELEMENT_WAIT,
+        false,
+        `${this.displayName}Markdown编辑器`
+      ) || document.querySelector(this.selectors.editorFallback);
+
+      if (!editor) {
+        throw new Error(`未找到${this.displayName}Markdown编辑器，请确认已打开写文章页面`);
+      }
+
+      const codeMirror = editor.closest('.CodeMirror');
+      let injected;
+
+      if (codeMirror) {
+        injected = await this.injectIntoCodeMirror(codeMirror, editor, markdown);
+      } else if (editor.isContentEditable) {
+        injected = await this.injectIntoContentEditable(editor, markdown);
+      } else {
+        editor.focus();
+        this.setNativeValue(editor, markdown);
+        await this.delay(this.config.delays.FAST_CHECK);
+        injected = this.editorContains(editor.value, markdown);
+      }
+
+      if (!injected) {
+        throw new Error(`${this.displayName}Markdown内容注入失败`);
+      }
+
+      this.log(`✅ Markdown内容注入成功 (${markdown.length} 字符)`);
+    }
+
+    /**
+     * 注入到 CodeMirror 5 编辑器
+     * CodeMirror 通过轮询隐藏 textarea 的输入读取内容，insertText 会触发其 input 处理
+     * @param {HTMLElement} codeMirror - .CodeMirror 容器
+     * @param {HTMLTextAreaElement} textarea - CodeMirror 隐藏输入框
+     * @param {string} markdown - Markdown内容
+     * @returns {Promise<boolean>} 是否注入成功
+     */
+    async injectIntoCodeMirror(codeMirror, textarea, markdown) {
+      // CodeMirror 只渲染可视区域，注入后光标位于末尾，因此用结尾部分校验
+      const readText = () => codeMirror.querySelector('.CodeMirror-code')?.textContent || '';
+      const isEmpty = () => !readText().replace(/[\s\u200b]/g, '');
+      const tail = markdown.slice(-100);
+
+      codeMirror.click();
+      textarea.focus();
+      document.execCommand('insertText', false, markdown);
+      await this.delay(this.config.delays.NORMAL_WAIT);
+
+      if (!isEmpty()) {
+        return this.editorContains(readText(), tail);
+      }
+
+      this.log('⚠️ insertText 未生效，尝试直接写入 CodeMirror 输入框');
+      textarea.focus();
+      this.setNativeValue(textarea, markdown);
+      await this.delay(this.config.delays.NORMAL_WAIT);
+
+      return this.editorContains(readText(), tail);
+    }
+
+    /**
+     * 注入到 contenteditable 编辑器（先选中全部内容，替换编辑器自带的示例文本）
+     * @param {HTMLElement} editor - 编辑器元素
+     * @param {string} markdown - Markdown内容
+     * @returns {Promise<boolean>} 是否注入成功
+     */
+    async injectIntoContentEditable(editor, markdown) {
+      this.selectEditorContents(editor);
+      const pasted = this.dispatchPaste(editor, { 'text/plain': markdown });
+      await this.delay(this.config.delays.NORMAL_WAIT);
+
+      if (pasted && this.editorContains(editor.textContent, markdown)) {
+        return true;
+      }
+
+      this.log('⚠️ 粘贴方式未生效，尝试 execCommand insertText');
+      this.selectEditorContents(editor);
+      document.execCommand('insertText', false, markdown);
+      await this.delay(this.config.delays.NORMAL_WAIT);
+
+      return this.editorContains(editor.textContent, markdown);
+    }
+
+    /**
+     * 在发布设置面板中填写摘要和上传封面（仅限支持的平台）
+     * @param {string} summary - 摘要
+     * @param {string} coverImage - 封面图片地址
+     */
+    async fillPublishSettings(summary, coverImage) {
+      const { features } = this.config;
+      const needSummary = features.summary && !!summary;
+      const needCover = features.cover && !!coverImage;
+
+      if (!needSummary && !needCover) {
+        return;
+      }
+
+      // 摘要和封面位于发布设置面板中，打开面板但不提交
+      const panel = await this.openPublishPanel();
+      if (!panel) {
+        throw new Error('未找到发布设置面板');
+      }
+
+      if (needSummary) {
+        const summaryInput = panel.querySelector(this.selectors.summaryInput);
+        if (summaryInput) {
+          this.setNativeValue(summaryInput, summary);
+          this.log('✅ 摘要填写成功');
+        } else {
+          this.log('⚠️ 未找到摘要输入框');
+        }
+      }
+
+      if (needCover) {
+        const coverInput = panel.querySelector(this.selectors.coverInput);
+        const coverFile = coverInput ? await this.resolveCoverFile(coverImage) : null;
+        if (coverInput && coverFile) {
+          await this.injectFilesToInput(coverInput, [coverFile]);
+          await this.delay(this.config.delays.UPLOAD_WAIT);
+          this.log('✅ 封面已提交上传');
+        } else {
+          this.log('⚠️ 封面未上传（缺少上传控件或图片获取失败）');
+        }
+      }
+    }
+
+    /**
+     * 打开发布设置面板
+     * @returns {Promise<HTMLElement|null>} 面板元素
+     */
+    async openPublishPanel() {
+      const existingPanel = document.querySelector(this.selectors.publishPanel);
+      if (existingPanel && this.mutationObserverBase.isElementVisible(existingPanel)) {
+        return existingPanel;
+      }
+
+      const trigger = await this.mutationObserverBase.findButtonOptimized(
+        () => this.findElementByText(this.selectors.publishPanelButton, this.selectors.publishPanelButtonTexts),
+        this.config.delays.ELEMENT_WAIT,
+        '发布设置按钮'
+      );
+
+      if (!trigger) {
+        return null;
+      }
+
+      trigger.click();
+      await this.delay(this.config.delays.NORMAL_WAIT);
+
+      return await this.mutationObserverBase.waitForElementSmart(
+        this.selectors.publishPanel,
+        this.config.delays.ELEMENT_WAIT,
+        true,
+        `${this.displayName}发布设置面板`
+      );
+    }
+
+    /**
+     * 将封面地址转换为File对象（data: 地址直接解码，远程地址由后台下载）
+     * @param {string} coverImage - 封面图片地址
+     * @returns {Promise<File|null>} 封面文件
+     */
+    async resolveCoverFile(coverImage) {
+      if (coverImage.startsWith('data:')) {
+        return this.createFileFromBase64({ dataUrl: coverImage });
+      }
+
+      if (!/^https?:\/\//.test(coverImage)) {
+        this.log('⚠️ 不支持的封面地址:', coverImage.substring(0, 50));
+        return null;
+      }
+
+      const response = await new Promise(resolve => {
+        chrome.runtime.sendMessage({ action: 'fetchRemoteImage', url: coverImage }, result => {
+          resolve(chrome.runtime.lastError ? null : result);
+        });
+      });
+
+      if (!response?.success) {
+        this.log('⚠️ 封面图片下载失败:', response?.error);
+        return null;
+      }
+
+      const { type } = response.metadata;
+      return new File([new Uint8Array(response.arrayData)], `cover_${Date.now()}.${this.getExtensionFromMime(type)}`, { type });
+    }
+
+    /**
+     * 设置表单控件值并触发 input/change 事件
+     * @param {HTMLInputElement|HTMLTextAreaElement} element - 表单控件
+     * @param {string} value - 值
+     */
+    setNativeValue(element, value) {
+      const prototype = element instanceof HTMLTextAreaElement
+        ? HTMLTextAreaElement.prototype
+        : HTMLInputElement.prototype;
+      const valueSetter = Object.getOwnPropertyDescriptor(prototype, 'value').set;
+
+      valueSetter.call(element, value);
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * 按文本查找可见元素
+     * @param {string} selector - 候选元素选择器
+     * @param {string[]} texts - 按优先级排列的文本
+     * @returns {HTMLElement|null}
+     */
+    findElementByText(selector, texts) {
+      const candidates = Array.from(document.querySelectorAll(selector));
+
+      for (const text of texts) {
+        const match = candidates.find(el =>
+          el.textContent?.trim() === text && this.mutationObserverBase.isElementVisible(el)
+        );
+        if (match) {
+          return match;
+        }
+      }
+      return null;
+    }
+
+    /**
+     * 聚焦编辑器并选中全部内容
+     * @param {HTMLElement} editor - 编辑器元素
+     */
+    selectEditorContents(editor) {
+      editor.focus();
+      const selection = window.getSelection();
+      const range = document.createRange();
+      range.selectNodeContents(editor);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+
+    /**
+     * 派发模拟粘贴事件
+     * @param {HTMLElement} editor - 编辑器元素
+     * @param {Object} items - MIME类型到内容的映射
+     * @returns {boolean} 事件是否被编辑器处理（被 preventDefault）
+     */
+    dispatchPaste(editor, items) {
+      try {
+        const clipboardData = new DataTransfer();
+        Object.entries(items).forEach(([type, value]) => clipboardData.setData(type, value));
+
+        const pasteEvent = new ClipboardEvent('paste', {
+          bubbles: true,
+          cancelable: true,
+          clipboardData
+        });
+
+        return !editor.dispatchEvent(pasteEvent);
+      } catch (error) {
+        this.log('⚠️ 模拟粘贴失败:', error.message);
+        return false;
+      }
+    }
+
+    /**
+     * 检查编辑器文本是否包含预期内容（比较前30个非空白字符）
+     * @param {string} actual - 编辑器当前文本
+     * @param {string} expected - 预期文本
+     * @returns {boolean}
+     */
+    editorContains(actual, expected) {
+      const normalize = (text) => (text || '').replace(/\s+/g, '');
+      const sample = normalize(expected).substring(0, 30);
+      return !sample || normalize(actual).includes(sample);
+    }
+
+    log(...args) {
+      console.log(`[${this.displayName}]`, ...args);
+    }
+
+    logError(message, error) {
+      console.error(`[${this.displayName}]`, message, error);
+    }
+  }
+
+  // 导出到全局
+  window.MarkdownArticleAdapterBase = MarkdownArticleAdapterBase;
+  console.log('MarkdownArticleAdapterBase loaded successfully');
+
+})();
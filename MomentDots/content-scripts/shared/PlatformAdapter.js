@@ -429,6 +429,31 @@
         }
       }
 
+      // 知乎平台（想法和专栏）使用全局的ZhihuAdapter（来自zhihu.js）
+      if (platform === 'zhihu' || platform === 'zhihu-article') {
+        if (window.ZhihuAdapter) {
+          return new window.ZhihuAdapter();
+        } else {
+          throw new Error('知乎适配器未加载，请确保 zhihu.js 已正确加载');
+        }
+      }
+
+      // Markdown文章平台（掘金、CSDN、简书、思否）使用各自的适配器（基于MarkdownArticleAdapterBase）
+      const markdownAdapters = {
+        'juejin-article': ['JuejinAdapter', 'juejin.js'],
+        'csdn-article': ['CsdnAdapter', 'csdn.js'],
+        'jianshu-article': ['JianshuAdapter', 'jianshu.js'],
+        'segmentfault-article': ['SegmentfaultAdapter', 'segmentfault.js']
+      };
+      if (markdownAdapters[platform]) {
+        const [className, fileName] = markdownAdapters[platform];
+        if (window[className]) {
+          return new window[className]();
+        } else {
+          throw new Error(`${platform}适配器未加载，请确保 ${fileName} 已正确加载`);
+        }
+      }
+
       // 微信公众号平台使用跨标签页机制，不需要传统适配器
       if (platform === 'weixin') {
         throw new Error('微信公众号平台使用跨标签页机制，请通过Background Script处理');
@@ -438,7 +463,7 @@
     }
 
     static getSupportedPlatforms() {
-      return ['jike', 'weibo', 'douyin', 'xiaohongshu', 'x', 'bilibili', 'weixinchannels', 'weixin'];
+      return ['jike', 'weibo', 'douyin', 'xiaohongshu', 'x', 'bilibili', 'weixinchannels', 'weixin', 'zhihu', 'zhihu-article', 'juejin-article', 'csdn-article', 'jianshu-article', 'segmentfault-article'];
     }
   }
 
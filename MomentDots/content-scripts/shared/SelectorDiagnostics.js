@@ -0,0 +1,217 @@
+/**
+ * 选择器健康检查 - 在发布页中检测各适配器的选择器是否仍然有效
+ *
+ * 功能：
+ * - 适配器初始化后注册自身（选择器来自 selectors / config.selectors，可通过 getDiagnosticSelectors 自定义）
+ * - 收到后台的 diagnoseSelectors 消息后，只查询元素，不注入任何内容
+ * - 按用途（登录状态、标题、编辑器、文件上传、发布按钮）分组，报告主选择器命中、降级到备用选择器或全部失败
+ */
+
+(function() {
+  'use strict';
+
+  // 检查是否已经加载，避免重复定义
+  if (window.SelectorDiagnostics) {
+    console.log('SelectorDiagnostics already loaded');
+    return;
+  }
+
+  // 需要检查的选择器用途（按键名匹配，键名已去掉 article/video/pin 等页面前缀）
+  const SELECTOR_ROLES = [
+    { role: 'login', label: '登录状态', pattern: /^loginIndicators?$/ },
+    { role: 'title', label: '标题输入框', pattern: /^titleInput$/ },
+    { role: 'editor', label: '编辑器', pattern: /^(editor|contentEditor|contentInput|contentArea)$/ },
+    { role: 'file', label: '文件上传', pattern: /^(fileInput|imageInput)$/ },
+    { role: 'publish', label: '发布按钮', pattern: /^(sendButton|publishButton|submitButton)$/ }
+  ];
+
+  // 备用选择器的键名后缀，与主选择器归为同一组
+  const FALLBACK_SUFFIX = /(Fallback|Generic|Blank)$/;
+
+  // 页面前缀：文章页只检查 article 前缀的选择器，动态页不检查文章和视频选择器
+  const PAGE_PREFIX = /^(article|video|pin)(?=[A-Z])/;
+
+  /**
+   * 选择器健康检查工具类
+   */
+  class SelectorDiagnostics {
+    static adapters = new Map();
+
+    /**
+     * 注册适配器（同一平台只保留首次注册的实例）
+     * @param {string} platformId - 平台ID
+     * @param {Object} adapter - 适配器实例
+     */
+    static register(platformId, adapter) {
+      if (!platformId || !adapter || this.adapters.has(platformId)) {
+        return;
+      }
+      this.adapters.set(platformId, adapter);
+    }
+
+    /**
+     * 查找平台对应的适配器（文章平台回退到主平台，如 weibo-article -> weibo）
+     * @param {string} platformId - 平台ID
+     * @returns {Object|null} 适配器实例
+     */
+    static getAdapter(platformId) {
+      return this.adapters.get(platformId) ||
+        this.adapters.get(platformId.replace(/-article$/, '')) ||
+        null;
+    }
+
+    /**
+     * 将适配器的选择器配置整理为按用途分组的候选列表
+     * @param {Object} selectors - 选择器配置
+     * @param {boolean} isArticle - 是否为文章页
+     * @returns {Array<{role, label, key, candidates}>} 分组列表
+     */
+    static collectGroups(selectors, isArticle) {
+      const entries = Object.entries(selectors || {})
+        .filter(([, value]) => typeof value === 'string' || Array.isArray(value));
+      const hasArticleKeys = entries.some(([key]) => key.startsWith('article'));
+      const groups = new Map();
+
+      for (const [key, value] of entries) {
+        if (!this.isKeyInScope(key, isArticle && hasArticleKeys)) {
+          continue;
+        }
+
+        const baseKey = key.replace(FALLBACK_SUFFIX, '');
+        const roleKey = baseKey.replace(PAGE_PREFIX, '').replace(/^./, char => char.toLowerCase());
+        const role = SELECTOR_ROLES.find(r => r.pattern.test(roleKey));
+        if (!role) {
+          continue;
+        }
+
+        if (!groups.has(baseKey)) {
+          groups.set(baseKey, { role: role.role, label: role.label, key: baseKey, candidates: [] });
+        }
+        const candidates = (Array.isArray(value) ? value : [value]).filter(s => typeof s === 'string' && s.trim());
+        groups.get(baseKey).candidates.push(...candidates.map(selector => ({ key, selector })));
+      }
+
+      return [...groups.values()].filter(group => group.candidates.length > 0);
+    }
+
+    /**
+     * 判断选择器键名是否属于当前页面（登录状态选择器所有页面通用）
+     * @param {string} key - 选择器键名
+     * @param {boolean} articleOnly - 是否只检查文章页选择器
+     * @returns {boolean}
+     */
+    static isKeyInScope(key, articleOnly) {
+      const prefix = key.match(PAGE_PREFIX)?.[1] || '';
+      if (prefix === 'video') {
+        return false;
+      }
+      if (key.startsWith('login')) {
+        return true;
+      }
+      return articleOnly ? prefix === 'article' : prefix !== 'article';
+    }
+
+    /**
+     * 查询单个选择器，支持适配器中使用的 :contains("文本") / :has-text("文本") 写法
+     * @param {string} selector - 选择器
+     * @param {Document|ShadowRoot} root - 查询根节点
+     * @returns {{found: boolean, count: number, error?: string}}
+     */
+    static querySelector(selector, root) {
+      try {
+        const textMatch = selector.match(/^(.*?):(?:contains|has-text)\(\s*["']?(.*?)["']?\s*\)$/);
+        const elements = textMatch
+          ? [...root.querySelectorAll(textMatch[1] || '*')].filter(el => el.textContent.includes(textMatch[2]))
+          : [...root.querySelectorAll(selector)];
+        return { found: elements.length > 0, count: elements.length };
+      } catch (error) {
+        return { found: false, count: 0, error: '选择器语法无效' };
+      }
+    }
+
+    /**
+     * 检查一组选择器：主选择器命中为 ok，备用选择器命中为 fallback，全部未命中为 failed
+     * @param {Object} group - 选择器分组
+     * @param {Document|ShadowRoot} root - 查询根节点
+     * @returns {Object} 分组检查结果
+     */
+    static checkGroup(group, root) {
+      const results = group.candidates.map(candidate => ({
+        ...candidate,
+        ...this.querySelector(candidate.selector, root)
+      }));
+      const matchedIndex = results.findIndex(result => result.found);
+
+      return {
+        role: group.role,
+        label: group.label,
+        key: group.key,
+        status: matchedIndex === 0 ? 'ok' : matchedIndex > 0 ? 'fallback' : 'failed',
+        matchedSelector: matchedIndex >= 0 ? results[matchedIndex].selector : '',
+        results
+      };
+    }
+
+    /**
+     * 对平台执行一次选择器检查，页面仍在渲染时会在超时前重复检查
+     * @param {string} platformId - 平台ID
+     * @param {number} timeout - 最长等待时间
+     * @returns {Promise<Object>} 诊断报告
+     */
+    static async diagnose(platformId, timeout = 5000) {
+      const adapter = this.getAdapter(platformId);
+      if (!adapter) {
+        throw new Error('适配器未注册，无法诊断');
+      }
+
+      const selectors = typeof adapter.getDiagnosticSelectors === 'function'
+        ? adapter.getDiagnosticSelectors()
+        : adapter.selectors || adapter.config?.selectors;
+      const groups = this.collectGroups(selectors, platformId.endsWith('-article'));
+      if (groups.length === 0) {
+        throw new Error('适配器没有可检查的选择器');
+      }
+
+      const startTime = Date.now();
+      let checks;
+      do {
+        const root = (typeof adapter.getDiagnosticRoot === 'function' && adapter.getDiagnosticRoot()) || document;
+        checks = groups.map(group => this.checkGroup(group, root));
+        if (checks.every(check => check.status !== 'failed')) {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+      } while (Date.now() - startTime < timeout);
+
+      return {
+        platformId,
+        url: window.location.href,
+        checkedAt: Date.now(),
+        summary: {
+          ok: checks.filter(check => check.status === 'ok').length,
+          fallback: checks.filter(check => check.status === 'fallback').length,
+          failed: checks.filter(check => check.status === 'failed').length
+        },
+        checks
+      };
+    }
+  }
+
+  // 监听来自后台脚本的诊断请求
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action !== 'diagnoseSelectors') {
+      return false;
+    }
+
+    SelectorDiagnostics.diagnose(message.platform)
+      .then(report => sendResponse({ success: true, report }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // 保持消息通道开放
+  });
+
+  // 创建全局类
+  window.SelectorDiagnostics = SelectorDiagnostics;
+
+  console.log('SelectorDiagnostics loaded successfully');
+
+})();
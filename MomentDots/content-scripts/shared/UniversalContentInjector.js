@@ -420,6 +420,78 @@
 
       return Promise.all(promises);
     }
+
+    /**
+     * 在编辑器末尾逐个插入话题，并从平台弹出的话题联想列表中选中匹配项
+     * 未出现匹配的联想项时保留纯文本 #话题，由平台按普通文本处理
+     * @param {HTMLElement} editor - 富文本编辑器
+     * @param {string[]} topics - 话题名称（不含 #）
+     * @param {Object} options - 选项
+     * @param {string[]} options.suggestionSelectors - 话题联想项选择器
+     * @param {number} options.timeout - 等待联想列表的超时时间(ms)
+     * @returns {Promise<number>} 成功选中联想项的话题数量
+     */
+    async insertTopics(editor, topics, { suggestionSelectors = [], timeout = 1500 } = {}) {
+      let selectedCount = 0;
+
+      for (const topic of topics) {
+        editor.focus();
+        this.moveCaretToEnd(editor);
+        document.execCommand('insertText', false, ` #${topic}`);
+
+        const suggestion = await this.waitForTopicSuggestion(suggestionSelectors, topic, timeout);
+        if (suggestion) {
+          suggestion.click();
+          selectedCount++;
+          await this.delay(300);
+        } else {
+          document.execCommand('insertText', false, ' ');
+        }
+      }
+
+      return selectedCount;
+    }
+
+    /**
+     * 将光标移动到编辑器末尾
+     * @param {HTMLElement} editor - 富文本编辑器
+     */
+    moveCaretToEnd(editor) {
+      const selection = window.getSelection();
+      const range = document.createRange();
+      range.selectNodeContents(editor);
+      range.collapse(false);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+
+    /**
+     * 等待与话题匹配的联想项出现
+     * @param {string[]} selectors - 联想项选择器
+     * @param {string} topic - 话题名称
+     * @param {number} timeout - 超时时间(ms)
+     * @returns {Promise<HTMLElement|null>}
+     */
+    async waitForTopicSuggestion(selectors, topic, timeout) {
+      const findMatch = () => {
+        for (const selector of selectors) {
+          const match = Array.from(document.querySelectorAll(selector)).find(item => {
+            const text = item.textContent.trim().replace(/^#/, '');
+            return text.startsWith(topic);
+          });
+          if (match) return match;
+        }
+        return null;
+      };
+
+      const deadline = Date.now() + timeout;
+      while (Date.now() < deadline) {
+        const match = findMatch();
+        if (match) return match;
+        await this.delay(100);
+      }
+      return findMatch();
+    }
   }
 
   // 创建全局实例
@@ -55,7 +55,37 @@ class DOMCache {
       'short-video-upload-area', 'video-upload-area',
 
       // 操作按钮
-      'sync-button', 'toggle-format-btn', 'copy-content-btn', 'clear-content-btn'
+      'sync-button', 'toggle-format-btn', 'copy-content-btn', 'clear-content-btn',
+
+      // 定时发布
+      'schedule-enabled', 'schedule-options', 'schedule-time',
+      'schedule-per-platform', 'schedule-platform-times', 'schedule-editing-hint',
+
+      // 自动发布
+      'auto-submit-enabled', 'auto-submit-options', 'auto-submit-platforms',
+
+      // 智能精简
+      'smart-fit-enabled',
+
+      // 隐私设置
+      'strip-metadata-enabled',
+
+      // 水印
+      'watermark-enabled', 'watermark-options', 'watermark-text-field', 'watermark-text',
+      'watermark-image-field', 'watermark-image', 'watermark-position', 'watermark-opacity',
+      'watermark-scale', 'watermark-margin', 'watermark-covers', 'watermark-platforms',
+
+      // X串推预览
+      'x-thread-preview',
+
+      // 话题标签
+      'hashtag-section', 'hashtag-suggest-btn', 'hashtag-list', 'hashtag-input',
+
+      // 图片描述
+      'image-descriptions-section', 'image-descriptions-generate-btn', 'image-descriptions-list',
+
+      // 分平台编辑
+      'variants-section', 'variants-toggle', 'variants-panel', 'variants-tabs', 'variants-editor'
     ];
 
     commonIds.forEach(id => {
@@ -80,7 +110,8 @@ const TITLE_LABEL_TEXTS = {
 const PROMPT_LABEL_TEXTS = {
   DEFAULT: '+',
   TOOLTIP_DEFAULT: '点击选择提示词模板',
-  TOOLTIP_SELECTED: '上次使用: {promptName}，点击重新选择'
+  TOOLTIP_SELECTED: '上次使用: {promptName}，点击重新选择',
+  PIPELINE_SEPARATOR: ' → '
 };
 
 // 字数统计配置常量
@@ -115,14 +146,20 @@ const PLATFORM_LIMITS_CONFIG = {
     x: { title: null, content: 140 },             // X：无标题限制
     bilibili: { title: 20, content: 1000 },       // Bilibili：标题20字符
     weixin: { title: 64, content: 1000 },         // 微信公众号：标题64字符
-    weixinchannels: { title: 22, content: 1000 }  // 微信视频号：标题22字符
+    weixinchannels: { title: 22, content: 1000 }, // 微信视频号：标题22字符
+    zhihu: { title: null, content: 1000 }         // 知乎想法：无标题限制
   },
   // 文章页面字数限制（标题|概要|内容）
   article: {
     'weibo-article': { title: 32, excerpt: 44, content: 50000 },    // 微博头条：标题32，概要44
     'bilibili-article': { title: 40, excerpt: null, content: 50000 }, // Bilibili专栏：标题40，无概要
     'weixin-article': { title: 64, excerpt: null, content: 50000 },   // 微信公众号文章：标题64，无概要
-    'xiaohongshu-article': { title: 64, excerpt: null, content: 10000 } // 小红书长文：标题64，无概要，内容10000
+    'xiaohongshu-article': { title: 64, excerpt: null, content: 10000 }, // 小红书长文：标题64，无概要，内容10000
+    'zhihu-article': { title: 100, excerpt: null, content: 50000 },    // 知乎专栏：标题100，无概要
+    'juejin-article': { title: 100, excerpt: 100, content: 100000 },   // 掘金：标题100，摘要100
+    'csdn-article': { title: 100, excerpt: 256, content: 100000 },     // CSDN：标题100，摘要256
+    'jianshu-article': { title: 100, excerpt: null, content: 100000 }, // 简书：标题100，无概要
+    'segmentfault-article': { title: 100, excerpt: null, content: 100000 } // 思否：标题100，无概要
   },
   // 短视频页面字数限制（标题|内容）
   video: {
@@ -143,7 +180,72 @@ const PLATFORM_MEDIA_SUPPORT_CONFIG = {
   bilibili: '（图片 9）',
   weixinchannels: '（图片 18）',
   weixin: '（图片 20）',
-  x: '（图片+视频 4）'
+  x: '（图片+视频 4）',
+  zhihu: '（图片 9）'
+};
+
+// 动态页面平台图片限制（发布前按平台缩放、压缩和转换格式，未配置的平台使用原图）
+// maxWidth/maxHeight：最大边长，maxBytes：最大文件大小，acceptedTypes：平台支持的格式
+const PLATFORM_IMAGE_LIMITS_CONFIG = {
+  weibo: { maxWidth: 4096, maxHeight: 4096, maxBytes: 20 * 1024 * 1024, acceptedTypes: ['image/jpeg', 'image/png', 'image/gif'] },
+  xiaohongshu: { maxWidth: 4096, maxHeight: 4096, maxBytes: 20 * 1024 * 1024, acceptedTypes: ['image/jpeg', 'image/png', 'image/webp'] },
+  douyin: { maxWidth: 4096, maxHeight: 4096, maxBytes: 20 * 1024 * 1024, acceptedTypes: ['image/jpeg', 'image/png', 'image/webp'] },
+  jike: { maxWidth: 4096, maxHeight: 4096, maxBytes: 10 * 1024 * 1024, acceptedTypes: ['image/jpeg', 'image/png', 'image/gif'] },
+  x: { maxWidth: 4096, maxHeight: 4096, maxBytes: 5 * 1024 * 1024, acceptedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'] },
+  bilibili: { maxWidth: 4096, maxHeight: 4096, maxBytes: 20 * 1024 * 1024, acceptedTypes: ['image/jpeg', 'image/png', 'image/gif'] },
+  weixin: { maxWidth: 4096, maxHeight: 4096, maxBytes: 10 * 1024 * 1024, acceptedTypes: ['image/jpeg', 'image/png', 'image/gif'] },
+  weixinchannels: { maxWidth: 4096, maxHeight: 4096, maxBytes: 10 * 1024 * 1024, acceptedTypes: ['image/jpeg', 'image/png'] },
+  zhihu: { maxWidth: 4096, maxHeight: 4096, maxBytes: 10 * 1024 * 1024, acceptedTypes: ['image/jpeg', 'image/png', 'image/gif'] }
+};
+
+// 分平台编辑配置
+const PLATFORM_VARIANT_CONFIG = {
+  DIFF_MAX_CELLS: 4000000    // 逐词对比的最大计算量（词数乘积），超出后按行对比
+};
+
+// 智能精简配置（超出平台字数限制时由AI压缩，而不是直接截断）
+const SMART_FIT_CONFIG = {
+  MAX_ATTEMPTS: 3            // AI精简的最大尝试次数，仍超出时回退到截断
+};
+
+// 话题标签配置
+const HASHTAG_CONFIG = {
+  MAX_SUGGESTIONS: 10,       // AI推荐话题的最大数量
+  MAX_TAG_LENGTH: 20,        // 单个话题的最大长度，超出的推荐结果视为无效
+  // 纯文本话题格式（topic 格式的平台由适配器通过话题候选框插入）
+  FORMATS: {
+    prefix: tag => `#${tag}`,
+    wrapped: tag => `#${tag}#`
+  }
+};
+
+// 图片描述配置（AI生成的替代文本和配图说明）
+const IMAGE_DESCRIPTION_CONFIG = {
+  MAX_ALT_TEXT_LENGTH: 1000, // 替代文本最大长度（X平台上限）
+  MAX_CAPTION_LENGTH: 100,   // 配图说明最大长度
+  CONTEXT_LENGTH: 300        // 作为上下文发送的正文长度
+};
+
+// 图片裁剪配置（裁剪信息不修改原图，发布时为各平台生成裁剪后的图片）
+const IMAGE_CROP_CONFIG = {
+  ALL_PLATFORMS: 'all',      // 应用于所有平台的裁剪键
+  STAGE_MAX_WIDTH: 560,      // 编辑区图片最大显示宽度
+  STAGE_MAX_HEIGHT: 400,     // 编辑区图片最大显示高度
+  MIN_SIZE: 0.05,            // 裁剪框最小边长（占图片比例）
+  PRESETS: [
+    { id: 'free', label: '自由', ratio: null },
+    { id: '1:1', label: '1:1', ratio: 1 },
+    { id: '3:4', label: '3:4', ratio: 3 / 4 },
+    { id: '4:3', label: '4:3', ratio: 4 / 3 },
+    { id: '16:9', label: '16:9', ratio: 16 / 9 },
+    { id: '9:16', label: '9:16', ratio: 9 / 16 }
+  ],
+  // 平台推荐比例，选择该平台时默认使用
+  PLATFORM_PRESETS: {
+    xiaohongshu: '3:4',
+    x: '16:9',
+    douyin: '9:16'
+  }
 };
 
 // 统一的文件数量限制检查工具
@@ -649,11 +751,15 @@ class FormatConverter {
   }
 
   /**
-   * 生成缓存键（使用内容的前100字符）
+   * 生成缓存键（内容长度 + 全文哈希，避免仅前缀相同的内容命中旧结果）
    * @private
    */
   static _generateCacheKey(html) {
-    return html.substring(0, 100);
+    let hash = 0;
+    for (let i = 0; i < html.length; i++) {
+      hash = ((hash << 5) - hash + html.charCodeAt(i)) | 0;
+    }
+    return `${html.length}_${hash}`;
   }
 
   /**
@@ -894,7 +1000,36 @@ let appState = {
   shortVideoPreviews: [], // 短视频预览数组
   shortVideoCovers: [], // 短视频封面数组
   isPublishing: false,
-  currentContentType: '动态' // 当前内容类型
+  currentContentType: '动态', // 当前内容类型
+  platformVariants: {}, // 平台ID -> 分平台覆盖内容 {title, content, hashtags, media}
+  hashtags: [] // 已选话题（不含 #），分平台编辑中设置的话题优先
+};
+
+// 定时发布状态（不持久化，页面刷新后需重新设置）
+let scheduleState = {
+  enabled: false,
+  time: '', // datetime-local 格式的统一发布时间
+  perPlatform: false, // 是否为各平台单独设置时间
+  platformTimes: {}, // 平台ID -> datetime-local 格式的发布时间
+  editingJobId: null // 正在编辑的定时任务ID（从侧边栏载入），定时发布时更新该任务而不是新建
+};
+
+// 分平台编辑面板状态（变体数据本身保存在 appState.platformVariants 中）
+let variantsState = {
+  expanded: false,
+  activePlatformId: null
+};
+
+// 话题推荐状态（已选话题保存在 appState.hashtags 中）
+let hashtagState = {
+  suggestions: [],
+  loading: false
+};
+
+// 图片描述生成状态（描述保存在 appState.imagePreviews 的 altText / caption 字段中）
+let imageDescriptionState = {
+  generating: false,
+  progress: ''
 };
 
 // 主页面控制器类 - 集成新的文件管理服务
@@ -903,6 +1038,8 @@ class MainPageController {
     this.fileManager = null;
     this.memoryManager = null;
     this.useChunkedTransfer = false; // 默认为false，等待异步初始化
+    this.metadataStrippedFiles = new WeakSet(); // 已移除元数据的文件，用于在预览上显示标记
+    this.previewThumbnails = new WeakMap(); // HEIC/AVIF 等格式的 JPEG 预览缩略图
     this.isInitialized = false;
     this.initPromise = this.initServices(); // 保存初始化Promise
   }
@@ -981,6 +1118,8 @@ class MainPageController {
 
   // 处理文件选择 - 智能选择传输方案
   async handleFileSelection(files) {
+    let filesToStore = null;
+
     try {
       // 确保服务已初始化
       await this.ensureInitialized();
@@ -992,8 +1131,10 @@ class MainPageController {
         return;
       }
 
-      // 限制处理的文件数量
-      const filesToProcess = Array.from(files).slice(0, limitCheck.remainingSlots);
+      // 限制处理的文件数量（补全 HEIC/AVIF 等缺失的MIME类型）
+      const filesToProcess = Array.from(files)
+        .slice(0, limitCheck.remainingSlots)
+        .map(file => window.mediaPipelineService ? window.mediaPipelineService.normalizeImageType(file) : file);
       if (filesToProcess.length < files.length) {
         showNotification(`只能再上传 ${limitCheck.remainingSlots} 个${limitCheck.errorType}，已自动选择前 ${filesToProcess.length} 个`, 'warning');
       }
@@ -1001,12 +1142,16 @@ class MainPageController {
       // 显示加载状态
       uploadLoadingManager.show(filesToProcess.length);
 
+      // 存储前移除照片元数据（位置、设备序列号等，HEIC/AVIF 会转换为 JPEG），并为仍是 HEIC/AVIF 的图片生成预览缩略图
+      const strippedFiles = await this.stripImageMetadata(filesToProcess);
+      filesToStore = await this.createPreviewThumbnails(strippedFiles);
+
       if (this.useChunkedTransfer) {
-        return await this.handleFileSelectionChunked(filesToProcess);
+        return await this.handleFileSelectionChunked(filesToStore);
       } else if (this.fileManager) {
-        return await this.handleFileSelectionFileManager(filesToProcess);
+        return await this.handleFileSelectionFileManager(filesToStore);
       } else {
-        return this.handleFileSelectionLegacy(filesToProcess);
+        return this.handleFileSelectionLegacy(filesToStore);
       }
     } catch (error) {
       Utils.handleError(error, '文件处理失败');
@@ -1014,9 +1159,68 @@ class MainPageController {
       // 隐藏加载状态
       uploadLoadingManager.hide();
 
-      // 降级到原有方案
-      return this.handleFileSelectionLegacy(files);
+      // 元数据尚未移除时不降级，避免保存含位置信息的原图
+      if (!filesToStore) return;
+
+      // 降级到原有方案（使用已移除元数据的文件）
+      return this.handleFileSelectionLegacy(filesToStore);
+    }
+  }
+
+  /**
+   * 按隐私设置移除图片的 EXIF/XMP/GPS 元数据
+   * 移除失败的图片不会以原图保存，直接跳过并提示
+   * @param {Array<File>} files - 图片文件
+   * @returns {Promise<Array<File>>} 处理后的文件
+   */
+  async stripImageMetadata(files) {
+    const settings = await loadPrivacySettings();
+    if (!settings.stripMetadata || !window.mediaPipelineService) {
+      return files;
     }
+
+    const results = await Promise.all(files.map(async file => {
+      try {
+        const result = await window.mediaPipelineService.stripMetadata(file);
+        if (result.removed) {
+          this.metadataStrippedFiles.add(result.file);
+        }
+        return result.file;
+      } catch (error) {
+        console.warn(`移除图片元数据失败: ${file.name}`, error);
+        FileErrorHandler.handleFileError('无法移除图片中的位置和设备信息，已跳过该图片（可在隐私设置中关闭此选项）', file.name, '移除图片元数据');
+        uploadLoadingManager.incrementProcessed();
+        return null;
+      }
+    }));
+
+    return results.filter(Boolean);
+  }
+
+  /**
+   * 为浏览器无法直接显示的格式（HEIC/HEIF/AVIF）生成 JPEG 预览缩略图
+   * 无法解码的图片无法预览，也无法在发布时转换为平台支持的格式，直接跳过并提示
+   * @param {Array<File>} files - 图片文件
+   * @returns {Promise<Array<File>>} 可以处理的文件
+   */
+  async createPreviewThumbnails(files) {
+    const results = await Promise.all(files.map(async file => {
+      if (!IMAGE_CONFIG.previewConvertTypes.includes(file.type)) {
+        return file;
+      }
+
+      try {
+        this.previewThumbnails.set(file, await window.mediaPipelineService.createThumbnail(file));
+        return file;
+      } catch (error) {
+        console.warn(`图片解码失败: ${file.name}`, error);
+        FileErrorHandler.handleFileError('无法解码该图片，请转换为JPEG后再上传', file.name, '图片解码');
+        uploadLoadingManager.incrementProcessed();
+        return null;
+      }
+    }));
+
+    return results.filter(Boolean);
   }
 
   // 视频文件选择处理
@@ -1189,7 +1393,9 @@ class MainPageController {
             size: file.size,
             type: file.type,
             dataUrl: URL.createObjectURL(file), // 创建本地预览URL
-            lastModified: file.lastModified
+            thumbnail: this.previewThumbnails.get(file),
+            lastModified: file.lastModified,
+            metadataRemoved: this.metadataStrippedFiles.has(file)
           };
 
           previews.push(preview);
@@ -1226,13 +1432,18 @@ class MainPageController {
     const previews = await this.fileManager.handleFileSelection(files);
 
     // 追加到现有图片列表，而不是替换
-    const newPreviews = previews.map(preview => ({
-      id: preview.id,
-      name: preview.name,
-      size: preview.size,
-      dataUrl: preview.previewUrl,
-      thumbnail: preview.thumbnail
-    }));
+    const newPreviews = previews.map(preview => {
+      const source = files.find(file => file.name === preview.name && file.size === preview.size);
+      return {
+        id: preview.id,
+        name: preview.name,
+        size: preview.size,
+        type: preview.type,
+        dataUrl: preview.previewUrl,
+        thumbnail: (source && this.previewThumbnails.get(source)) || preview.thumbnail,
+        metadataRemoved: !!source && this.metadataStrippedFiles.has(source)
+      };
+    });
 
     appState.imagePreviews = [...appState.imagePreviews, ...newPreviews];
 
@@ -1368,7 +1579,9 @@ let mainController = null;
 const IMAGE_CONFIG = {
   maxImages: 35,  // 动态页面最大文件数量限制修改为35
   // 移除文件大小限制，允许上传任意大小的图片
-  allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+  allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif', 'image/avif'],
+  // 浏览器无法直接显示或显示不稳定的格式：预览使用生成的 JPEG 缩略图，发布时按平台限制转换为 JPEG
+  previewConvertTypes: ['image/heic', 'image/heif', 'image/avif']
 };
 
 // 视频上传配置
@@ -1451,6 +1664,8 @@ function resetAppState() {
     }
   });
 
+  clearDerivedImages();
+
   appState.title = '';
   appState.content = '';
   appState.selectedPlatforms = [];
@@ -1458,6 +1673,8 @@ function resetAppState() {
   appState.videoPreviews = [];
   appState.shortVideoPreviews = [];
   appState.shortVideoCovers = [];
+  appState.platformVariants = {};
+  appState.hashtags = [];
   appState.isPublishing = false;
   appState.currentContentType = '动态'; // 重置内容类型到默认值
   appState.articleData = {}; // 重置文章数据
@@ -1547,6 +1764,63 @@ async function initializePageData() {
 
 
 
+// ===== 发布历史载入 =====
+
+/**
+ * 将发布历史记录载入编辑器（媒体文件未随历史保存，需要重新上传）
+ * @param {string} historyId - 发布历史记录ID
+ * @returns {Promise<boolean>} 是否载入成功
+ */
+async function loadHistoryRecordIntoEditor(historyId) {
+  try {
+    if (typeof PublishHistoryService === 'undefined') {
+      throw new Error('发布历史服务不可用');
+    }
+
+    const record = await new PublishHistoryService().getRecord(historyId);
+    if (!record) {
+      showNotification('未找到该发布记录', 'error');
+      return false;
+    }
+
+    // 载入到新草稿中，避免覆盖正在编辑的内容
+    await draftManager.createDraft(record.title ? `历史：${record.title.slice(0, 20)}` : undefined);
+
+    appState.title = record.title || '';
+    appState.content = record.content || '';
+    appState.currentContentType = record.contentType || '动态';
+    appState.articleData = { ...(appState.articleData || {}), excerpt: record.summary || '' };
+    appState.selectedPlatforms = record.platforms
+      .map(p => getPlatformById(p.id))
+      .filter(Boolean);
+
+    updateUI();
+    saveToStorageData();
+
+    const mediaCount = (record.mediaFiles || []).length;
+    showNotification(
+      mediaCount > 0 ? `已载入历史内容，${mediaCount} 个媒体文件需重新上传` : '已载入历史内容',
+      mediaCount > 0 ? 'warning' : 'success'
+    );
+    return true;
+  } catch (error) {
+    Utils.handleError(error, '载入历史内容失败');
+    return false;
+  }
+}
+
+// 处理通过 ?historyId= 打开主页面的情况
+async function loadHistoryRecordFromUrl() {
+  const historyId = new URLSearchParams(window.location.search).get('historyId');
+  if (!historyId) {
+    return;
+  }
+
+  // 移除参数，避免刷新后重复载入
+  window.history.replaceState(null, '', window.location.pathname);
+  await loadHistoryRecordIntoEditor(historyId);
+}
+
 // 安全的状态重置处理（避免消息通道错误）
 async function handleSafeStateReset(source) {
   try {
@@ -1655,6 +1929,9 @@ const debouncedSaveToStorage = Utils.debounce(async function() {
 
 async function saveToStorageData() {
   try {
+    // 写入当前草稿（每个草稿独立保存，新建内容不再覆盖之前的草稿）
+    await draftManager.saveActiveDraft();
+
     const dataToSave = {
       title: appState.title,
       content: appState.content,
@@ -1673,1480 +1950,4325 @@ async function saveToStorageData() {
   }
 }
 
-// 优化的事件处理函数（使用防抖和统一逻辑）
-const handleTitleChange = Utils.debounce(function(event) {
-  appState.title = event.target.value;
-  saveToStorageData();
-}, CONFIG.DEBOUNCE_DELAY);
+// ===== 草稿管理 =====
 
-// 统一的内容变化处理函数
-const handleContentChange = Utils.debounce(function(event) {
-  appState.content = event.target.value;
-  saveToStorageData();
-}, CONFIG.DEBOUNCE_DELAY);
+/**
+ * 获取预览数据对应的原始文件（分块传输的图片预览不保留 File 引用，需从预览URL还原）
+ * @param {Object} preview - 媒体预览数据
+ * @returns {Promise<File|null>} 文件对象
+ */
+async function getPreviewFile(preview) {
+  if (preview.file instanceof File) {
+    return preview.file;
+  }
 
-// 文章编辑器使用相同的处理逻辑
-const handleArticleEditorChange = handleContentChange;
+  const url = preview.dataUrl || preview.previewUrl;
+  if (!url) {
+    return null;
+  }
+
+  try {
+    const blob = await (await fetch(url)).blob();
+    return new File([blob], preview.name || 'file', {
+      type: preview.type || blob.type,
+      lastModified: preview.lastModified || Date.now()
+    });
+  } catch (error) {
+    console.warn('无法从预览还原文件:', preview.name, error);
+    return null;
+  }
+}
 
 /**
- * 统一的内容获取和验证函数
- * 合并了验证和发布时的重复逻辑
+ * 草稿管理器
+ * 草稿列表保存在 chrome.storage.local，媒体文件保存在独立的 IndexedDB（FileStorageService）
  */
-function getAndValidateContent() {
-  let content = '';
-  let title = '';
-  let isValid = true;
-  let message = '';
+class DraftManager {
+  constructor() {
+    this.drafts = [];
+    this.activeDraftId = null;
+    this.initialized = false;
+    // 切换草稿恢复媒体期间暂停自动保存，避免保存不完整的媒体列表
+    this.isApplying = false;
+    // 串行化保存，避免并发保存重复存储同一文件
+    this.saveQueue = Promise.resolve();
+    this.fileStorage = typeof FileStorageService !== 'undefined'
+      ? new FileStorageService({ dbName: 'MomentDotsDrafts' })
+      : null;
+  }
+
+  // 媒体类型与 appState 字段的对应关系
+  static MEDIA_KINDS = {
+    image: 'imagePreviews',
+    video: 'videoPreviews',
+    shortVideo: 'shortVideoPreviews',
+    cover: 'shortVideoCovers'
+  };
 
-  if (appState.currentContentType === '文章') {
-    const articleRichEditor = domCache.get('article-rich-editor');
-    const articleTitleInput = domCache.get('article-title-input');
+  /**
+   * 加载草稿列表并恢复当前草稿
+   */
+  async init() {
+    const { drafts, activeDraftId } = await loadDrafts();
+    this.drafts = drafts;
 
-    if (articleRichEditor) {
-      let rawContent = articleRichEditor.innerHTML || '';
+    if (this.drafts.length === 0) {
+      this.drafts.push(this.createDraftData('草稿 1'));
+    }
 
-      // 🔧 修复：保留完整的HTML格式用于发布
-      const standardizedContent = standardizeRichTextContent(rawContent);
+    const activeDraft = this.drafts.find(d => d.id === activeDraftId) || this.drafts[0];
+    this.activeDraftId = activeDraft.id;
+    await this.persist();
 
-      // 提取纯文本用于验证
-      const tempDiv = document.createElement('div');
-      tempDiv.innerHTML = standardizedContent;
-      const textContent = tempDiv.textContent || tempDiv.innerText || '';
+    await this.applyDraft(activeDraft);
+    this.initialized = true;
+    this.renderDraftBar();
+    console.log(`📝 草稿已恢复: ${activeDraft.name}（共 ${this.drafts.length} 个草稿）`);
+  }
 
-      // 🔧 关键修复：返回HTML格式的内容用于发布，而不是纯文本
-      content = standardizedContent;  // 返回HTML格式
-      appState.content = standardizedContent;  // 保持一致
+  /**
+   * 创建空白草稿数据
+   * @param {string} name - 草稿名称
+   * @returns {Object} 草稿数据
+   */
+  createDraftData(name) {
+    const now = Date.now();
+    return {
+      id: `draft_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      name,
+      title: '',
+      content: '',
+      contentType: '动态',
+      selectedPlatforms: [],
+      articleData: {},
+      platformVariants: {},
+      hashtags: [],
+      // 新草稿沿用当前的平台提示词配置
+      promptConfig: JSON.parse(JSON.stringify(platformPromptConfig || {})),
+      media: [],
+      createdAt: now,
+      updatedAt: now
+    };
+  }
 
-      if (!textContent.trim()) {
-        isValid = false;
-        message = '请输入文章内容';
-      } else {
-        console.log('📝 文章内容已处理', {
-          textLength: textContent.length,
-          htmlLength: content.length,
-          hasRichContent: content.includes('<img') || content.includes('<a'),
-          hasImages: content.includes('<img'),
-          paragraphCount: (content.match(/<p[^>]*>/gi) || []).length
-        });
-      }
-    } else {
-      isValid = false;
-      message = '请输入文章内容';
-    }
+  getActiveDraft() {
+    return this.drafts.find(d => d.id === this.activeDraftId) || null;
+  }
 
-    if (articleTitleInput) {
-      title = articleTitleInput.value || '';
+  // 生成不重复的默认名称
+  getNextDraftName() {
+    let index = this.drafts.length + 1;
+    while (this.drafts.some(d => d.name === `草稿 ${index}`)) {
+      index++;
     }
-  } else {
-    // 其他模式的内容验证
-    const titleInput = domCache.get('title-input');
-    const contentTextarea = domCache.get('content-textarea');
+    return `草稿 ${index}`;
+  }
 
-    if (titleInput) {
-      title = titleInput.value;
-    }
+  async persist() {
+    await saveDrafts(this.drafts, this.activeDraftId);
+  }
 
-    if (contentTextarea) {
-      content = contentTextarea.value;
+  /**
+   * 将当前编辑状态保存到当前草稿
+   * @returns {Promise<void>}
+   */
+  saveActiveDraft() {
+    if (!this.initialized || this.isApplying) {
+      return this.saveQueue;
     }
 
-    if (!content.trim()) {
-      isValid = false;
-      message = '请输入内容';
-    }
+    this.saveQueue = this.saveQueue
+      .then(() => this.doSaveActiveDraft())
+      .catch(error => console.error('保存草稿失败:', error));
+    return this.saveQueue;
   }
 
-  return { content, title, isValid, message };
-}
+  async doSaveActiveDraft() {
+    const draft = this.getActiveDraft();
+    if (!draft) {
+      return;
+    }
 
-/**
- * 统一富文本内容格式化处理
- * 确保直接输入的内容与链接获取的内容格式一致
- */
-function standardizeRichTextContent(content) {
-  if (!content || !content.trim()) return content;
+    const previousMedia = draft.media || [];
+    const media = await this.persistMedia(draft.id);
 
-  try {
-    // 创建临时容器处理内容
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = content;
+    Object.assign(draft, this.captureEditorState(), { media, updatedAt: Date.now() });
 
-    // 应用与链接获取内容相同的处理逻辑
-    FormatConverter.processLazyImages(tempDiv);
+    // 删除已从草稿中移除的媒体文件
+    const keptIds = new Set(media.map(m => m.storageId));
+    await this.deleteMediaFiles(previousMedia.filter(m => !keptIds.has(m.storageId)));
 
-    // 清理和标准化HTML结构
-    cleanAndStandardizeHTML(tempDiv);
+    await this.persist();
+  }
 
-    return tempDiv.innerHTML;
-  } catch (error) {
-    console.warn('富文本内容格式化失败:', error);
-    return content; // 返回原始内容作为备用
+  /**
+   * 获取当前编辑器中的内容（不含媒体）
+   * @returns {Object} 草稿格式的内容字段
+   */
+  captureEditorState() {
+    return {
+      title: appState.title || '',
+      content: appState.content || '',
+      contentType: appState.currentContentType || '动态',
+      selectedPlatforms: appState.selectedPlatforms.map(p => p.id),
+      articleData: appState.articleData || {},
+      platformVariants: appState.platformVariants || {},
+      hashtags: appState.hashtags || [],
+      promptConfig: JSON.parse(JSON.stringify(platformPromptConfig || {}))
+    };
   }
-}
 
-/**
- * 将纯文本内容转换为HTML格式（用于文章模式的优化后内容）
- * @param {string} textContent - 纯文本内容
- * @returns {string} HTML格式的内容
- */
-function convertTextToHTML(textContent) {
-  if (!textContent || !textContent.trim()) {
-    return '<p></p>';
+  /**
+   * 生成媒体引用
+   * @param {Object} preview - 媒体预览数据
+   * @param {string} kind - 媒体类型（见 MEDIA_KINDS）
+   * @param {string} storageId - 存储ID
+   * @returns {Object} 媒体引用
+   */
+  describeMedia(preview, kind, storageId) {
+    return {
+      storageId,
+      kind,
+      name: preview.name,
+      type: preview.type || '',
+      size: preview.size || 0,
+      coverType: preview.coverType || null,
+      altText: preview.altText || '',
+      caption: preview.caption || '',
+      metadataRemoved: !!preview.metadataRemoved
+    };
   }
 
-  const trimmedContent = textContent.trim();
+  /**
+   * 生成当前编辑内容的快照（格式与草稿相同），媒体另存一份到指定存储，与草稿互不影响
+   * @param {FileStorageService} storage - 快照媒体的存储
+   * @param {Array} platforms - 快照包含的平台
+   * @returns {Promise<Object>} 快照数据
+   */
+  async createSnapshot(storage, platforms) {
+    const media = [];
+    for (const [kind, stateKey] of Object.entries(DraftManager.MEDIA_KINDS)) {
+      for (const preview of appState[stateKey] || []) {
+        const file = await getPreviewFile(preview);
+        if (!file || file.size === 0) {
+          continue;
+        }
+        const storageId = await storage.storeFile(file, { crops: preview.crops || {} });
+        media.push(this.describeMedia(preview, kind, storageId));
+      }
+    }
 
-  if (trimmedContent.includes('\n\n')) {
-    // 双换行分段
-    return trimmedContent
-      .split('\n\n')
-      .filter(paragraph => paragraph.trim())
-      .map(paragraph => `<p>${paragraph.trim().replace(/\n/g, '<br>')}</p>`)
-      .join('');
-  } else if (trimmedContent.includes('\n')) {
-    // 单换行处理
-    return `<p>${trimmedContent.replace(/\n/g, '<br>')}</p>`;
-  } else {
-    // 无换行，直接包装
-    return `<p>${trimmedContent}</p>`;
+    return {
+      ...this.captureEditorState(),
+      selectedPlatforms: platforms.map(p => p.id),
+      media,
+      createdAt: Date.now()
+    };
   }
-}
 
-/**
- * 清理和标准化HTML结构
- */
-function cleanAndStandardizeHTML(container) {
-  // 移除空的段落和换行
-  const emptyElements = container.querySelectorAll('p:empty, br + br, div:empty');
-  emptyElements.forEach(el => el.remove());
-
-  // 标准化段落结构
-  const textNodes = Array.from(container.childNodes).filter(node =>
-    node.nodeType === Node.TEXT_NODE && node.textContent.trim()
-  );
-
-  textNodes.forEach(textNode => {
-    const p = document.createElement('p');
-    p.textContent = textNode.textContent.trim();
-    container.replaceChild(p, textNode);
-  });
+  /**
+   * 将当前媒体保存到 IndexedDB，已保存过的预览直接复用存储ID
+   * @param {string} draftId - 草稿ID
+   * @returns {Promise<Array>} 媒体引用列表
+   */
+  async persistMedia(draftId) {
+    if (!this.fileStorage) {
+      return [];
+    }
+
+    const media = [];
+    for (const [kind, stateKey] of Object.entries(DraftManager.MEDIA_KINDS)) {
+      for (const preview of appState[stateKey] || []) {
+        if (preview.draftId !== draftId || !preview.draftStorageId) {
+          const file = await getPreviewFile(preview);
+          if (!file || file.size === 0) {
+            continue;
+          }
+          preview.draftStorageId = await this.fileStorage.storeFile(file, { draftId, crops: preview.crops || {} });
+          preview.draftId = draftId;
+        }
 
-  // 确保所有内容都在适当的容器中
-  const directTextElements = container.querySelectorAll('strong, em, a, span');
-  directTextElements.forEach(el => {
-    if (el.parentNode === container && !el.closest('p, h1, h2, h3, h4, h5, h6, li, blockquote')) {
-      const p = document.createElement('p');
-      container.insertBefore(p, el);
-      p.appendChild(el);
+        media.push(this.describeMedia(preview, kind, preview.draftStorageId));
+      }
     }
-  });
-}
-
-// 文章富文本编辑器内容变化处理（使用防抖优化性能）
-const handleArticleRichEditorChange = Utils.debounce(function(event) {
-  // 从contenteditable div获取内容
-  let content = event.target.innerHTML || '';
-
-  // 统一内容格式化处理，确保与链接获取内容一致
-  content = standardizeRichTextContent(content);
+    return media;
+  }
 
-  appState.content = content;
-  saveToStorageData();
-}, CONFIG.DEBOUNCE_DELAY);
+  /**
+   * 将图片的裁剪信息同步到已保存的草稿文件（尚未保存到草稿的图片在保存时写入）
+   * @param {Object} preview - 图片预览数据
+   */
+  async updateMediaCrops(preview) {
+    if (!this.fileStorage || !preview.draftStorageId) {
+      return;
+    }
+    await this.fileStorage.updateMetadata(preview.draftStorageId, { crops: preview.crops || {} });
+  }
 
-// 文章标题输入变化处理
-function handleArticleTitleChange(event) {
-  appState.title = event.target.value;
-  saveToStorageData();
-}
+  /**
+   * 删除媒体文件
+   * @param {Array} mediaList - 媒体引用列表
+   */
+  async deleteMediaFiles(mediaList) {
+    if (!this.fileStorage) {
+      return;
+    }
 
-// 文章概要输入变化处理
-function handleArticleExcerptChange(event) {
-  // 使用统一的文章数据更新方法
-  if (!appState.articleData) {
-    appState.articleData = {};
+    for (const item of mediaList) {
+      try {
+        await this.fileStorage.deleteFile(item.storageId);
+      } catch (error) {
+        console.warn('删除草稿媒体文件失败:', item.storageId, error);
+      }
+    }
   }
-  appState.articleData.excerpt = event.target.value;
-  saveToStorageData();
-}
 
-// 文件上传处理器类 - 优化后的实现
-class ImageUploadHandler {
-  constructor() {
-    this.processedCount = 0;
-    this.totalFiles = 0;
-    this.inputElement = null;
-  }
+  /**
+   * 新建草稿并切换过去
+   * @param {string} name - 草稿名称
+   */
+  async createDraft(name = this.getNextDraftName()) {
+    await this.saveActiveDraft();
 
-  // 验证单个文件（使用统一验证器）
-  validateFile(file) {
-    return FileValidator.validateFile(file, 'image');
+    const draft = this.createDraftData(name);
+    this.drafts.push(draft);
+    await this.switchDraft(draft.id, false);
+    return draft;
   }
 
-  // 🚀 优化：使用统一的ID生成
-  generateUniqueId() {
-    return FileDataManager.generateUniqueId('image');
-  }
+  /**
+   * 复制草稿（媒体文件会重新存储一份）并切换到副本
+   * @param {string} draftId - 源草稿ID
+   */
+  async duplicateDraft(draftId = this.activeDraftId) {
+    await this.saveActiveDraft();
 
-  // 处理单个文件完成
-  handleFileComplete(success = true) {
-    this.processedCount++;
+    const source = this.drafts.find(d => d.id === draftId);
+    if (!source) {
+      return null;
+    }
 
-    // 更新加载进度
-    uploadLoadingManager.incrementProcessed();
+    const copy = {
+      ...this.createDraftData(`${source.name} 副本`),
+      title: source.title,
+      content: source.content,
+      contentType: source.contentType,
+      selectedPlatforms: [...source.selectedPlatforms],
+      articleData: JSON.parse(JSON.stringify(source.articleData || {})),
+      platformVariants: JSON.parse(JSON.stringify(source.platformVariants || {})),
+      hashtags: [...(source.hashtags || [])],
+      promptConfig: JSON.parse(JSON.stringify(source.promptConfig || {})),
+      media: []
+    };
 
-    if (this.processedCount === this.totalFiles) {
-      this.finishUpload();
+    if (this.fileStorage) {
+      for (const item of source.media || []) {
+        const file = await this.fileStorage.getFile(item.storageId);
+        if (file) {
+          const metadata = await this.fileStorage.getMetadata(item.storageId);
+          const storageId = await this.fileStorage.storeFile(file, { ...metadata, draftId: copy.id });
+          copy.media.push({ ...item, storageId });
+        }
+      }
     }
+
+    this.drafts.push(copy);
+    await this.switchDraft(copy.id, false);
+    return copy;
   }
 
-  // 完成上传处理
-  finishUpload() {
-    updateImagePreview();
-    debouncedSaveToStorage();
+  /**
+   * 将快照（如定时任务内容）导入为新草稿并切换过去，媒体从快照存储复制到草稿存储
+   * @param {Object} snapshot - 快照数据
+   * @param {FileStorageService} storage - 快照媒体的存储
+   * @param {string} name - 草稿名称
+   * @returns {Promise<Object>} 新草稿
+   */
+  async importSnapshot(snapshot, storage, name) {
+    await this.saveActiveDraft();
+
+    const draft = {
+      ...this.createDraftData(name),
+      title: snapshot.title || '',
+      content: snapshot.content || '',
+      contentType: snapshot.contentType || '动态',
+      selectedPlatforms: [...(snapshot.selectedPlatforms || [])],
+      articleData: JSON.parse(JSON.stringify(snapshot.articleData || {})),
+      platformVariants: JSON.parse(JSON.stringify(snapshot.platformVariants || {})),
+      hashtags: [...(snapshot.hashtags || [])],
+      promptConfig: JSON.parse(JSON.stringify(snapshot.promptConfig || {})),
+      media: []
+    };
 
-    if (this.inputElement) {
-      this.inputElement.value = ''; // 清空文件输入
+    if (this.fileStorage && storage) {
+      for (const item of snapshot.media || []) {
+        const file = await storage.getFile(item.storageId);
+        if (file) {
+          const metadata = await storage.getMetadata(item.storageId);
+          const storageId = await this.fileStorage.storeFile(file, { crops: metadata?.crops || {}, draftId: draft.id });
+          draft.media.push({ ...item, storageId });
+        } else {
+          console.warn('定时任务媒体文件已丢失:', item.name);
+        }
+      }
     }
 
-    // 重置计数器
-    this.processedCount = 0;
-    this.totalFiles = 0;
+    this.drafts.push(draft);
+    await this.switchDraft(draft.id, false);
+    return draft;
   }
 
-  // 处理文件上传
-  handleUpload(event) {
-    const files = event.target.files;
-    if (!files || files.length === 0) return;
-
-    this.inputElement = event.target;
-
-    // 使用统一的文件数量限制检查
-    const limitCheck = FileCountLimitChecker.checkFileCountLimit('image');
-    if (!limitCheck.canUpload) {
-      FileErrorHandler.handleCountLimitError(limitCheck.maxLimit, limitCheck.errorType);
+  /**
+   * 重命名草稿
+   * @param {string} draftId - 草稿ID
+   * @param {string} name - 新名称
+   */
+  async renameDraft(draftId, name) {
+    const draft = this.drafts.find(d => d.id === draftId);
+    const trimmedName = (name || '').trim();
+    if (!draft || !trimmedName) {
       return;
     }
 
-    // 处理选中的文件
-    const filesToProcess = Array.from(files).slice(0, limitCheck.remainingSlots);
-    this.totalFiles = filesToProcess.length;
-    this.processedCount = 0;
-
-    // 显示加载状态
-    uploadLoadingManager.show(this.totalFiles);
-
-    filesToProcess.forEach((file) => {
-      // 验证文件
-      const validation = this.validateFile(file);
-      if (!validation.valid) {
-        FileErrorHandler.handleFileError(validation.error, '', '文件验证');
-        this.handleFileComplete(false);
-        return;
-      }
+    draft.name = trimmedName;
+    draft.updatedAt = Date.now();
+    await this.persist();
+    this.renderDraftBar();
+  }
 
-      // 读取文件
-      const reader = new FileReader();
+  /**
+   * 删除草稿及其媒体文件，删除最后一个草稿时自动新建空白草稿
+   * @param {string} draftId - 草稿ID
+   */
+  async deleteDraft(draftId) {
+    await this.saveQueue;
 
-      reader.onload = (e) => {
-        const imageData = {
-          id: this.generateUniqueId(),
-          name: file.name,
-          size: file.size,
-          dataUrl: e.target.result
-        };
+    const index = this.drafts.findIndex(d => d.id === draftId);
+    if (index === -1) {
+      return;
+    }
 
-        appState.imagePreviews.push(imageData);
-        this.handleFileComplete(true);
-      };
+    const [removed] = this.drafts.splice(index, 1);
+    await this.deleteMediaFiles(removed.media || []);
 
-      reader.onerror = () => {
-        FileErrorHandler.handleFileError('读取文件失败', file.name, '文件读取');
-        this.handleFileComplete(false);
-      };
+    if (this.drafts.length === 0) {
+      this.drafts.push(this.createDraftData(this.getNextDraftName()));
+    }
 
-      reader.readAsDataURL(file);
-    });
+    if (draftId === this.activeDraftId) {
+      const next = this.drafts[Math.min(index, this.drafts.length - 1)];
+      await this.switchDraft(next.id, false);
+    } else {
+      await this.persist();
+      this.renderDraftBar();
+    }
   }
-}
 
-// 创建全局上传处理器实例
-const imageUploadHandler = new ImageUploadHandler();
+  /**
+   * 切换草稿
+   * @param {string} draftId - 目标草稿ID
+   * @param {boolean} saveCurrent - 切换前是否保存当前草稿
+   */
+  async switchDraft(draftId, saveCurrent = true) {
+    const draft = this.drafts.find(d => d.id === draftId);
+    if (!draft) {
+      return;
+    }
 
-// 视频上传处理器类
-class VideoUploadHandler {
-  constructor() {
-    this.processedCount = 0;
-    this.totalFiles = 0;
-    this.inputElement = null;
-  }
+    if (saveCurrent) {
+      await this.saveActiveDraft();
+    } else {
+      await this.saveQueue;
+    }
 
-  // 验证单个视频文件（使用统一验证器）
-  validateFile(file) {
-    return FileValidator.validateFile(file, 'video');
-  }
+    // 切换后的内容不再对应正在编辑的定时任务
+    setScheduleEditingJob(null);
 
-  // 🚀 优化：使用统一的ID生成
-  generateUniqueId() {
-    return FileDataManager.generateUniqueId('video');
+    this.activeDraftId = draft.id;
+    await this.persist();
+    await this.applyDraft(draft);
+    this.renderDraftBar();
   }
 
-  // 处理单个文件完成
-  handleFileComplete(success = true) {
-    this.processedCount++;
+  /**
+   * 将草稿载入编辑器
+   * @param {Object} draft - 草稿数据
+   * @param {Object} options - 选项
+   * @param {FileStorageService} options.storage - 媒体存储（默认为草稿存储，定时任务快照使用独立存储）
+   * @param {boolean} options.persistPromptConfig - 是否将草稿的提示词配置保存为当前配置
+   */
+  async applyDraft(draft, { storage = this.fileStorage, persistPromptConfig = true } = {}) {
+    this.isApplying = true;
 
-    // 更新加载进度
-    uploadLoadingManager.incrementProcessed();
+    try {
+      resetAppState();
+      appState.title = draft.title || '';
+      appState.content = draft.content || '';
+      appState.currentContentType = draft.contentType || '动态';
+      appState.articleData = JSON.parse(JSON.stringify(draft.articleData || {}));
+      appState.platformVariants = JSON.parse(JSON.stringify(draft.platformVariants || {}));
+      appState.hashtags = [...(draft.hashtags || [])];
+      hashtagState.suggestions = [];
+      appState.selectedPlatforms = (draft.selectedPlatforms || [])
+        .map(id => getPlatformById(id))
+        .filter(Boolean);
+
+      if (draft.promptConfig && Object.keys(draft.promptConfig).length > 0) {
+        platformPromptConfig = JSON.parse(JSON.stringify(draft.promptConfig));
+        if (persistPromptConfig) {
+          await savePlatformPromptConfig();
+        }
+      }
 
-    if (this.processedCount === this.totalFiles) {
-      this.finishUpload();
+      updateUI();
+      updateShortVideoPreview();
+      updateCoverPreview('horizontal');
+      updateCoverPreview('vertical');
+
+      await this.restoreMedia(draft, storage);
+    } catch (error) {
+      Utils.handleError(error, '载入草稿失败');
+    } finally {
+      this.isApplying = false;
     }
   }
 
-  // 完成上传处理
-  finishUpload() {
-    updateVideoPreview();
-    debouncedSaveToStorage();
+  /**
+   * 从 IndexedDB 恢复草稿媒体，复用正常的上传流程生成预览
+   * @param {Object} draft - 草稿数据
+   * @param {FileStorageService} storage - 媒体存储
+   */
+  async restoreMedia(draft, storage = this.fileStorage) {
+    const mediaList = draft.media || [];
+    if (!storage || mediaList.length === 0) {
+      return;
+    }
 
-    if (this.inputElement) {
-      this.inputElement.value = ''; // 清空文件输入
+    const restored = [];
+    for (const item of mediaList) {
+      const file = await storage.getFile(item.storageId);
+      if (file) {
+        const metadata = await storage.getMetadata(item.storageId);
+        restored.push({ ...item, file, crops: metadata?.crops || {} });
+      } else {
+        console.warn('草稿媒体文件已丢失:', item.name);
+      }
     }
 
-    // 重置计数器
-    this.processedCount = 0;
-    this.totalFiles = 0;
+    const filesOf = (kind) => restored.filter(m => m.kind === kind).map(m => m.file);
+    const images = filesOf('image');
+    const videos = filesOf('video');
+
+    if (mainController) {
+      if (images.length > 0) await mainController.handleFileSelection(images);
+      if (videos.length > 0) await mainController.handleVideoSelection(videos);
+    } else if (images.length > 0 || videos.length > 0) {
+      console.warn('MainPageController 不可用，跳过图片/视频恢复');
+    }
+
+    for (const item of restored.filter(m => m.kind === 'shortVideo')) {
+      await handleShortVideoUpload({ target: { files: [item.file] } });
+    }
+    for (const item of restored.filter(m => m.kind === 'cover')) {
+      await handleCoverUpload({ target: { files: [item.file] } }, item.coverType);
+    }
+
+    // 按类型、名称和大小关联新生成的预览与已存储的文件，避免下次保存时重复存储
+    const pending = [...restored];
+    Object.entries(DraftManager.MEDIA_KINDS).forEach(([kind, stateKey]) => {
+      (appState[stateKey] || []).forEach(preview => {
+        const index = pending.findIndex(m => m.kind === kind && m.name === preview.name && m.size === preview.size);
+        if (index !== -1) {
+          preview.draftStorageId = pending[index].storageId;
+          preview.draftId = draft.id;
+          if (kind === 'image') {
+            preview.altText = pending[index].altText || '';
+            preview.caption = pending[index].caption || '';
+            preview.crops = pending[index].crops;
+            preview.metadataRemoved = preview.metadataRemoved || !!pending[index].metadataRemoved;
+          }
+          pending.splice(index, 1);
+        }
+      });
+    });
+
+    // 恢复裁剪和元数据标记后重新渲染图片预览
+    updateImagePreview();
   }
 
-  // 处理视频上传
-  handleUpload(event) {
-    const files = event.target.files;
-    if (!files || files.length === 0) return;
+  // 渲染草稿选择栏
+  renderDraftBar() {
+    const select = document.getElementById('draft-select');
+    if (!select) {
+      return;
+    }
 
-    this.inputElement = event.target;
+    select.innerHTML = '';
+    [...this.drafts]
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .forEach(draft => {
+        const option = document.createElement('option');
+        option.value = draft.id;
+        option.textContent = draft.name;
+        option.selected = draft.id === this.activeDraftId;
+        select.appendChild(option);
+      });
+  }
 
-    // 使用统一的文件数量限制检查
-    const limitCheck = FileCountLimitChecker.checkFileCountLimit('video');
-    if (!limitCheck.canUpload) {
-      FileErrorHandler.handleCountLimitError(limitCheck.maxLimit, limitCheck.errorType);
+  // 绑定草稿栏事件
+  bindDraftBarEvents() {
+    const select = document.getElementById('draft-select');
+    const bar = document.getElementById('draft-bar');
+    if (!select || !bar) {
       return;
     }
 
-    // 处理选中的文件
-    const filesToProcess = Array.from(files).slice(0, limitCheck.remainingSlots);
-    this.totalFiles = filesToProcess.length;
-    this.processedCount = 0;
+    select.addEventListener('change', () => {
+      this.switchDraft(select.value).catch(error => Utils.handleError(error, '切换草稿失败'));
+    });
 
-    // 显示加载状态
-    uploadLoadingManager.show(this.totalFiles);
+    bar.addEventListener('click', async (event) => {
+      const button = event.target.closest('[data-draft-action]');
+      if (!button || appState.isPublishing) {
+        return;
+      }
 
-    filesToProcess.forEach((file) => {
-      // 验证文件
-      const validation = this.validateFile(file);
+      const activeDraft = this.getActiveDraft();
+      try {
+        switch (button.dataset.draftAction) {
+          case 'create': {
+            const name = prompt('新草稿名称', this.getNextDraftName());
+            if (name !== null) {
+              await this.createDraft(name.trim() || this.getNextDraftName());
+              showNotification('已新建草稿', 'success');
+            }
+            break;
+          }
+          case 'duplicate':
+            await this.duplicateDraft(this.activeDraftId);
+            showNotification('已复制草稿', 'success');
+            break;
+          case 'rename': {
+            const name = prompt('重命名草稿', activeDraft?.name || '');
+            if (name !== null) {
+              await this.renameDraft(this.activeDraftId, name);
+            }
+            break;
+          }
+          case 'delete':
+            if (activeDraft && confirm(`确定删除草稿「${activeDraft.name}」吗？此操作不可恢复。`)) {
+              await this.deleteDraft(this.activeDraftId);
+              showNotification('草稿已删除', 'success');
+            }
+            break;
+        }
+      } catch (error) {
+        Utils.handleError(error, '草稿操作失败');
+      }
+    });
+  }
+}
+
+const draftManager = new DraftManager();
+
+// 优化的事件处理函数（使用防抖和统一逻辑）
+const handleTitleChange = Utils.debounce(function(event) {
+  appState.title = event.target.value;
+  renderVariantsPanel();
+  saveToStorageData();
+}, CONFIG.DEBOUNCE_DELAY);
+
+// 统一的内容变化处理函数
+const handleContentChange = Utils.debounce(function(event) {
+  appState.content = event.target.value;
+  renderVariantsPanel();
+  updateXThreadPreview();
+  saveToStorageData();
+}, CONFIG.DEBOUNCE_DELAY);
+
+// 文章编辑器使用相同的处理逻辑
+const handleArticleEditorChange = handleContentChange;
+
+/**
+ * 统一的内容获取和验证函数
+ * 合并了验证和发布时的重复逻辑
+ */
+function getAndValidateContent() {
+  let content = '';
+  let title = '';
+  let isValid = true;
+  let message = '';
+
+  if (appState.currentContentType === '文章') {
+    const articleRichEditor = domCache.get('article-rich-editor');
+    const articleTitleInput = domCache.get('article-title-input');
+
+    if (articleRichEditor) {
+      let rawContent = articleRichEditor.innerHTML || '';
+
+      // 🔧 修复：保留完整的HTML格式用于发布
+      const standardizedContent = standardizeRichTextContent(rawContent);
+
+      // 提取纯文本用于验证
+      const tempDiv = document.createElement('div');
+      tempDiv.innerHTML = standardizedContent;
+      const textContent = tempDiv.textContent || tempDiv.innerText || '';
+
+      // 🔧 关键修复：返回HTML格式的内容用于发布，而不是纯文本
+      content = standardizedContent;  // 返回HTML格式
+      appState.content = standardizedContent;  // 保持一致
+
+      if (!textContent.trim()) {
+        isValid = false;
+        message = '请输入文章内容';
+      } else {
+        console.log('📝 文章内容已处理', {
+          textLength: textContent.length,
+          htmlLength: content.length,
+          hasRichContent: content.includes('<img') || content.includes('<a'),
+          hasImages: content.includes('<img'),
+          paragraphCount: (content.match(/<p[^>]*>/gi) || []).length
+        });
+      }
+    } else {
+      isValid = false;
+      message = '请输入文章内容';
+    }
+
+    if (articleTitleInput) {
+      title = articleTitleInput.value || '';
+    }
+  } else {
+    // 其他模式的内容验证
+    const titleInput = domCache.get('title-input');
+    const contentTextarea = domCache.get('content-textarea');
+
+    if (titleInput) {
+      title = titleInput.value;
+    }
+
+    if (contentTextarea) {
+      content = contentTextarea.value;
+    }
+
+    if (!content.trim()) {
+      isValid = false;
+      message = '请输入内容';
+    }
+  }
+
+  return { content, title, isValid, message };
+}
+
+/**
+ * 统一富文本内容格式化处理
+ * 确保直接输入的内容与链接获取的内容格式一致
+ */
+function standardizeRichTextContent(content) {
+  if (!content || !content.trim()) return content;
+
+  try {
+    // 创建临时容器处理内容
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = content;
+
+    // 应用与链接获取内容相同的处理逻辑
+    FormatConverter.processLazyImages(tempDiv);
+
+    // 清理和标准化HTML结构
+    cleanAndStandardizeHTML(tempDiv);
+
+    return tempDiv.innerHTML;
+  } catch (error) {
+    console.warn('富文本内容格式化失败:', error);
+    return content; // 返回原始内容作为备用
+  }
+}
+
+/**
+ * 将纯文本内容转换为HTML格式（用于文章模式的优化后内容）
+ * @param {string} textContent - 纯文本内容
+ * @returns {string} HTML格式的内容
+ */
+function convertTextToHTML(textContent) {
+  if (!textContent || !textContent.trim()) {
+    return '<p></p>';
+  }
+
+  const trimmedContent = textContent.trim();
+
+  if (trimmedContent.includes('\n\n')) {
+    // 双换行分段
+    return trimmedContent
+      .split('\n\n')
+      .filter(paragraph => paragraph.trim())
+      .map(paragraph => `<p>${paragraph.trim().replace(/\n/g, '<br>')}</p>`)
+      .join('');
+  } else if (trimmedContent.includes('\n')) {
+    // 单换行处理
+    return `<p>${trimmedContent.replace(/\n/g, '<br>')}</p>`;
+  } else {
+    // 无换行，直接包装
+    return `<p>${trimmedContent}</p>`;
+  }
+}
+
+/**
+ * 清理和标准化HTML结构
+ */
+function cleanAndStandardizeHTML(container) {
+  // 移除空的段落和换行
+  const emptyElements = container.querySelectorAll('p:empty, br + br, div:empty');
+  emptyElements.forEach(el => el.remove());
+
+  // 标准化段落结构
+  const textNodes = Array.from(container.childNodes).filter(node =>
+    node.nodeType === Node.TEXT_NODE && node.textContent.trim()
+  );
+
+  textNodes.forEach(textNode => {
+    const p = document.createElement('p');
+    p.textContent = textNode.textContent.trim();
+    container.replaceChild(p, textNode);
+  });
+
+  // 确保所有内容都在适当的容器中
+  const directTextElements = container.querySelectorAll('strong, em, a, span');
+  directTextElements.forEach(el => {
+    if (el.parentNode === container && !el.closest('p, h1, h2, h3, h4, h5, h6, li, blockquote')) {
+      const p = document.createElement('p');
+      container.insertBefore(p, el);
+      p.appendChild(el);
+    }
+  });
+}
+
+// 文章富文本编辑器内容变化处理（使用防抖优化性能）
+const handleArticleRichEditorChange = Utils.debounce(function(event) {
+  // 从contenteditable div获取内容
+  let content = event.target.innerHTML || '';
+
+  // 统一内容格式化处理，确保与链接获取内容一致
+  content = standardizeRichTextContent(content);
+
+  appState.content = content;
+  saveToStorageData();
+}, CONFIG.DEBOUNCE_DELAY);
+
+// 文章标题输入变化处理
+function handleArticleTitleChange(event) {
+  appState.title = event.target.value;
+  saveToStorageData();
+}
+
+// 文章概要输入变化处理
+function handleArticleExcerptChange(event) {
+  // 使用统一的文章数据更新方法
+  if (!appState.articleData) {
+    appState.articleData = {};
+  }
+  appState.articleData.excerpt = event.target.value;
+  saveToStorageData();
+}
+
+// 文件上传处理器类 - 优化后的实现
+class ImageUploadHandler {
+  constructor() {
+    this.processedCount = 0;
+    this.totalFiles = 0;
+    this.inputElement = null;
+  }
+
+  // 验证单个文件（使用统一验证器）
+  validateFile(file) {
+    return FileValidator.validateFile(file, 'image');
+  }
+
+  // 🚀 优化：使用统一的ID生成
+  generateUniqueId() {
+    return FileDataManager.generateUniqueId('image');
+  }
+
+  // 处理单个文件完成
+  handleFileComplete(success = true) {
+    this.processedCount++;
+
+    // 更新加载进度
+    uploadLoadingManager.incrementProcessed();
+
+    if (this.processedCount === this.totalFiles) {
+      this.finishUpload();
+    }
+  }
+
+  // 完成上传处理
+  finishUpload() {
+    updateImagePreview();
+    debouncedSaveToStorage();
+
+    if (this.inputElement) {
+      this.inputElement.value = ''; // 清空文件输入
+    }
+
+    // 重置计数器
+    this.processedCount = 0;
+    this.totalFiles = 0;
+  }
+
+  // 处理文件上传
+  handleUpload(event) {
+    const files = event.target.files;
+    if (!files || files.length === 0) return;
+
+    this.inputElement = event.target;
+
+    // 使用统一的文件数量限制检查
+    const limitCheck = FileCountLimitChecker.checkFileCountLimit('image');
+    if (!limitCheck.canUpload) {
+      FileErrorHandler.handleCountLimitError(limitCheck.maxLimit, limitCheck.errorType);
+      return;
+    }
+
+    // 处理选中的文件
+    const filesToProcess = Array.from(files).slice(0, limitCheck.remainingSlots);
+    this.totalFiles = filesToProcess.length;
+    this.processedCount = 0;
+
+    // 显示加载状态
+    uploadLoadingManager.show(this.totalFiles);
+
+    filesToProcess.forEach((file) => {
+      // 验证文件
+      const validation = this.validateFile(file);
+      if (!validation.valid) {
+        FileErrorHandler.handleFileError(validation.error, '', '文件验证');
+        this.handleFileComplete(false);
+        return;
+      }
+
+      // 读取文件
+      const reader = new FileReader();
+
+      reader.onload = (e) => {
+        const imageData = {
+          id: this.generateUniqueId(),
+          name: file.name,
+          size: file.size,
+          dataUrl: e.target.result
+        };
+
+        appState.imagePreviews.push(imageData);
+        this.handleFileComplete(true);
+      };
+
+      reader.onerror = () => {
+        FileErrorHandler.handleFileError('读取文件失败', file.name, '文件读取');
+        this.handleFileComplete(false);
+      };
+
+      reader.readAsDataURL(file);
+    });
+  }
+}
+
+// 创建全局上传处理器实例
+const imageUploadHandler = new ImageUploadHandler();
+
+// 视频上传处理器类
+class VideoUploadHandler {
+  constructor() {
+    this.processedCount = 0;
+    this.totalFiles = 0;
+    this.inputElement = null;
+  }
+
+  // 验证单个视频文件（使用统一验证器）
+  validateFile(file) {
+    return FileValidator.validateFile(file, 'video');
+  }
+
+  // 🚀 优化：使用统一的ID生成
+  generateUniqueId() {
+    return FileDataManager.generateUniqueId('video');
+  }
+
+  // 处理单个文件完成
+  handleFileComplete(success = true) {
+    this.processedCount++;
+
+    // 更新加载进度
+    uploadLoadingManager.incrementProcessed();
+
+    if (this.processedCount === this.totalFiles) {
+      this.finishUpload();
+    }
+  }
+
+  // 完成上传处理
+  finishUpload() {
+    updateVideoPreview();
+    debouncedSaveToStorage();
+
+    if (this.inputElement) {
+      this.inputElement.value = ''; // 清空文件输入
+    }
+
+    // 重置计数器
+    this.processedCount = 0;
+    this.totalFiles = 0;
+  }
+
+  // 处理视频上传
+  handleUpload(event) {
+    const files = event.target.files;
+    if (!files || files.length === 0) return;
+
+    this.inputElement = event.target;
+
+    // 使用统一的文件数量限制检查
+    const limitCheck = FileCountLimitChecker.checkFileCountLimit('video');
+    if (!limitCheck.canUpload) {
+      FileErrorHandler.handleCountLimitError(limitCheck.maxLimit, limitCheck.errorType);
+      return;
+    }
+
+    // 处理选中的文件
+    const filesToProcess = Array.from(files).slice(0, limitCheck.remainingSlots);
+    this.totalFiles = filesToProcess.length;
+    this.processedCount = 0;
+
+    // 显示加载状态
+    uploadLoadingManager.show(this.totalFiles);
+
+    filesToProcess.forEach((file) => {
+      // 验证文件
+      const validation = this.validateFile(file);
       if (!validation.valid) {
         FileErrorHandler.handleFileError(validation.error, '', '文件验证');
         this.handleFileComplete(false);
         return;
       }
 
-      // 创建视频预览
-      const videoData = {
-        id: this.generateUniqueId(),
-        name: file.name,
-        size: file.size,
-        type: file.type,
-        dataUrl: URL.createObjectURL(file)
-      };
+      // 创建视频预览
+      const videoData = {
+        id: this.generateUniqueId(),
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        dataUrl: URL.createObjectURL(file)
+      };
+
+      appState.videoPreviews.push(videoData);
+      this.handleFileComplete(true);
+    });
+  }
+}
+
+// 创建全局视频上传处理器实例
+const videoUploadHandler = new VideoUploadHandler();
+
+// 优化的上传加载状态管理器
+class UploadLoadingManager {
+  constructor() {
+    this.processedCount = 0;
+    this.totalCount = 0;
+    this.loadingContainer = null;
+    this.hideTimer = null;
+  }
+
+  // 初始化DOM元素引用
+  initElements() {
+    // 根据当前页面类型选择合适的加载容器
+    this.loadingContainer = this.findAppropriateLoadingContainer();
+
+    // 如果找不到加载容器，尝试在当前页面创建一个
+    if (!this.loadingContainer) {
+      this.createTemporaryLoadingContainer();
+    }
+  }
+
+  // 查找合适的加载容器
+  findAppropriateLoadingContainer() {
+    // 根据页面类型选择容器ID
+    const containerId = appState.currentContentType === '短视频'
+      ? 'short-video-upload-loading'
+      : 'upload-loading';
+
+    const container = document.getElementById(containerId);
+    if (container) {
+      return container;
+    }
+
+    // 如果短视频容器不存在，尝试通用容器作为后备
+    if (containerId === 'short-video-upload-loading') {
+      return document.getElementById('upload-loading');
+    }
+
+    return null;
+  }
+
+  // 创建临时加载状态容器
+  createTemporaryLoadingContainer() {
+    const isShortVideo = appState.currentContentType === '短视频';
+
+    // 选择父容器
+    const parentContainer = this.findParentContainer(isShortVideo);
+    if (!parentContainer) return;
+
+    // 创建容器
+    const tempContainer = this.createLoadingElement(isShortVideo);
+
+    // 确保父容器有相对定位（短视频页面需要）
+    if (isShortVideo && parentContainer.style.position !== 'relative') {
+      parentContainer.style.position = 'relative';
+    }
+
+    parentContainer.appendChild(tempContainer);
+    this.loadingContainer = tempContainer;
+  }
+
+  // 查找父容器
+  findParentContainer(isShortVideo) {
+    if (isShortVideo) {
+      return document.querySelector('#video-upload-area') ||
+             document.querySelector('.short-video-upload-container') ||
+             document.querySelector('#short-video-upload-area');
+    } else {
+      return document.querySelector('.image-upload-container') ||
+             document.querySelector('.content-area');
+    }
+  }
+
+  // 创建加载元素
+  createLoadingElement(isShortVideo) {
+    const tempContainer = document.createElement('div');
+    tempContainer.innerHTML = '<div class="simple-loading-spinner"></div>';
+    tempContainer.style.display = 'none';
+
+    if (isShortVideo) {
+      tempContainer.id = 'short-video-upload-loading';
+      tempContainer.style.cssText += `
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        z-index: 20;
+        background-color: rgba(255, 255, 255, 0.95);
+        border-radius: 50%;
+        padding: 12px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+        pointer-events: none;
+      `;
+    } else {
+      tempContainer.id = 'upload-loading';
+      tempContainer.className = 'smart-upload-loading';
+    }
+
+    return tempContainer;
+  }
+
+  // 显示加载状态
+  show(totalFiles) {
+    // 强制重新初始化，确保找到正确的容器
+    this.initElements();
+
+    // 清除可能存在的隐藏定时器
+    if (this.hideTimer) {
+      clearTimeout(this.hideTimer);
+      this.hideTimer = null;
+    }
+
+    this.processedCount = 0;
+    this.totalCount = totalFiles;
+
+    if (this.loadingContainer) {
+      this.loadingContainer.style.display = 'block';
+    }
+  }
+
+  // 增加已处理数量
+  incrementProcessed() {
+    this.processedCount++;
+
+    // 如果全部处理完成，延迟隐藏加载状态
+    if (this.processedCount >= this.totalCount) {
+      this.hideTimer = setTimeout(() => {
+        this.hide();
+      }, CONFIG.NOTIFICATION_HIDE_DELAY);
+    }
+  }
+
+  // 隐藏加载状态
+  hide() {
+    // 清除定时器
+    if (this.hideTimer) {
+      clearTimeout(this.hideTimer);
+      this.hideTimer = null;
+    }
+
+    this.processedCount = 0;
+    this.totalCount = 0;
+
+    if (this.loadingContainer) {
+      this.loadingContainer.style.display = 'none';
+    }
+  }
+}
+
+// 创建全局加载状态管理器实例
+const uploadLoadingManager = new UploadLoadingManager();
+
+// 优化的上传函数 - 集成新的文件管理
+async function handleImageUpload(event) {
+  const files = event.target.files;
+  if (!files || files.length === 0) return;
+
+  if (mainController) {
+    // 使用新的文件管理方案
+    await mainController.handleFileSelection(files);
+  } else {
+    // 降级到原有方案
+    imageUploadHandler.handleUpload(event);
+  }
+}
+
+// 视频上传处理函数
+async function handleVideoUpload(event) {
+  const files = event.target.files;
+  if (!files || files.length === 0) return;
+
+  if (mainController) {
+    // 使用新的文件管理方案（与图片上传保持一致）
+    await mainController.handleVideoSelection(files);
+  } else {
+    // 降级到原有方案
+    videoUploadHandler.handleUpload(event);
+  }
+}
+
+// 支持的文件类型常量
+const SUPPORTED_FILE_TYPES = {
+  IMAGE: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif', 'image/avif'],
+  VIDEO: ['video/mp4', 'video/mov', 'video/quicktime', 'video/avi', 'video/webm'],
+  // 部分系统的文件选择器无法识别 HEIC/AVIF 的MIME类型，额外按扩展名放行
+  IMAGE_EXTENSIONS: ['.heic', '.heif', '.avif'],
+  get ALL() {
+    return [...this.IMAGE, ...this.VIDEO];
+  },
+  get ACCEPT_STRING() {
+    return [...this.ALL, ...this.IMAGE_EXTENSIONS].join(',');
+  }
+};
+
+// 文件类型识别和分类处理
+function categorizeFiles(files) {
+  const imageFiles = [];
+  const videoFiles = [];
+  const unsupportedFiles = [];
+
+  Array.from(files).forEach(originalFile => {
+    const file = window.mediaPipelineService ? window.mediaPipelineService.normalizeImageType(originalFile) : originalFile;
+    if (SUPPORTED_FILE_TYPES.IMAGE.includes(file.type)) {
+      imageFiles.push(file);
+    } else if (SUPPORTED_FILE_TYPES.VIDEO.includes(file.type)) {
+      videoFiles.push(file);
+    } else {
+      unsupportedFiles.push(file);
+    }
+  });
+
+  return { imageFiles, videoFiles, unsupportedFiles };
+}
+
+// 处理混合文件上传
+async function handleMixedFileUpload(files) {
+  if (!mainController) {
+    console.warn('MainController not available, skipping file upload');
+    return;
+  }
+
+  const { imageFiles, videoFiles, unsupportedFiles } = categorizeFiles(files);
+
+  // 显示不支持的文件提示
+  if (unsupportedFiles.length > 0) {
+    const unsupportedNames = unsupportedFiles.map(f => f.name).join(', ');
+    FileErrorHandler.handleFormatError(unsupportedNames, '文件');
+  }
+
+  // 并行处理图片和视频文件
+  const uploadPromises = [];
+
+  if (imageFiles.length > 0) {
+    uploadPromises.push(mainController.handleFileSelection(imageFiles));
+  }
+
+  if (videoFiles.length > 0) {
+    uploadPromises.push(mainController.handleVideoSelection(videoFiles));
+  }
+
+  // 等待所有上传完成
+  if (uploadPromises.length > 0) {
+    await Promise.all(uploadPromises);
+  }
+}
+
+// 创建隐藏的文件输入元素
+function createFileInput() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.multiple = true;
+  input.accept = SUPPORTED_FILE_TYPES.ACCEPT_STRING;
+  input.style.display = 'none';
+  return input;
+}
+
+// 上传提示框点击处理
+function handlePlaceholderClick() {
+  const fileInput = createFileInput();
+
+  fileInput.addEventListener('change', async (event) => {
+    const files = event.target.files;
+    if (files && files.length > 0) {
+      await handleMixedFileUpload(files);
+    }
+    // 清理临时输入元素
+    document.body.removeChild(fileInput);
+  });
+
+  document.body.appendChild(fileInput);
+  fileInput.click();
+}
+
+// 拖拽事件处理
+function setupDragAndDrop(placeholder) {
+  const dragEvents = ['dragenter', 'dragover', 'dragleave', 'drop'];
+  const dragEnterEvents = ['dragenter', 'dragover'];
+
+  // 防止默认拖拽行为
+  dragEvents.forEach(eventName => {
+    placeholder.addEventListener(eventName, preventDefaults, false);
+    document.body.addEventListener(eventName, preventDefaults, false);
+  });
+
+  // 拖拽进入和悬停 - 统一处理函数
+  const handleDragEnter = () => placeholder.classList.add('drag-over');
+  dragEnterEvents.forEach(eventName => {
+    placeholder.addEventListener(eventName, handleDragEnter, false);
+  });
+
+  // 拖拽离开
+  placeholder.addEventListener('dragleave', (e) => {
+    // 只有当拖拽真正离开元素时才移除样式
+    if (!placeholder.contains(e.relatedTarget)) {
+      placeholder.classList.remove('drag-over');
+    }
+  }, false);
+
+  // 文件释放
+  placeholder.addEventListener('drop', async (e) => {
+    placeholder.classList.remove('drag-over');
+    const files = e.dataTransfer.files;
+    if (files?.length > 0) {
+      await handleMixedFileUpload(files);
+    }
+  }, false);
+}
+
+// 防止默认拖拽行为
+function preventDefaults(e) {
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+function togglePlatform(platform) {
+  const isSelected = appState.selectedPlatforms.find(p => p.id === platform.id);
+  if (isSelected) {
+    appState.selectedPlatforms = appState.selectedPlatforms.filter(p => p.id !== platform.id);
+  } else {
+    appState.selectedPlatforms.push(platform);
+  }
+  updatePlatformSelection();
+  saveToStorageData();
+}
+
+// 缓存平台信息以避免重复查找
+const platformCache = new Map(SUPPORTED_PLATFORMS.map(p => [p.id, p]));
+
+/**
+ * 生成平台logo HTML（统一的logo渲染逻辑）
+ * @param {Object} platform - 平台对象
+ * @returns {string} - logo HTML字符串
+ */
+function generatePlatformLogoHTML(platform) {
+  return `
+    <img
+      src="${platform.logoUrl}"
+      alt="${platform.name} logo"
+      class="w-6 h-6 rounded-sm mr-3 platform-logo"
+      data-platform-id="${platform.id}"
+      onerror="handleLogoError(this, '${platform.id}')"
+    />
+    <div class="w-6 h-6 rounded-sm ${platform.color} mr-3" style="display: none;"></div>
+  `;
+}
+
+/**
+ * 处理平台logo加载失败的情况
+ * @param {HTMLImageElement} imgElement - 图片元素
+ * @param {string} platformId - 平台ID
+ */
+function handleLogoError(imgElement, platformId) {
+  const platform = platformCache.get(platformId);
+  if (!platform) return;
+
+  // 隐藏失败的图片
+  imgElement.style.display = 'none';
+
+  // 显示备用的颜色块
+  const fallbackElement = imgElement.nextElementSibling;
+  if (fallbackElement) {
+    fallbackElement.style.display = 'block';
+    fallbackElement.classList.add('platform-logo-fallback');
+    // 添加平台名称首字母作为备用显示
+    fallbackElement.textContent = platform.name.charAt(0);
+  }
+
+  // 只在开发环境输出警告
+  if (window.location.href.includes('localhost') || window.location.href.includes('file://')) {
+    console.warn(`Failed to load logo for ${platform.name}, using fallback`);
+  }
+}
+
+async function handleStartPublish() {
+  // 统一的内容获取和验证逻辑
+  const contentValidation = getAndValidateContent();
+  if (!contentValidation.isValid) {
+    alert(contentValidation.message);
+    return;
+  }
+
+  if (appState.selectedPlatforms.length === 0) {
+    alert('请选择至少一个平台');
+    return;
+  }
+
+  // 统一的按钮反馈效果
+  showButtonClickFeedback();
+
+  // 定时发布：创建定时任务，不立即发布
+  if (scheduleState.enabled) {
+    await handleSchedulePublish();
+    return;
+  }
+
+  try {
+    // 清理历史发布状态，确保从干净状态开始
+    await clearPublishResults({
+      isNewSession: true,
+      selectedPlatforms: appState.selectedPlatforms.map(p => p.id),
+      reason: 'newSession'
+    });
+
+    // 立即打开侧边栏（在用户手势触发的上下文中）
+    await openSidepanelForPublish();
+
+    // 检查是否有平台需要进行内容优化
+    const platformsNeedOptimization = await getPlatformsNeedingOptimization();
+
+    if (platformsNeedOptimization.length > 0) {
+      // 有平台需要优化，先进行内容优化
+      await handleContentOptimizationFlow(contentValidation, platformsNeedOptimization);
+    } else {
+      // 没有平台需要优化，直接发布
+      const publishData = await createPublishDataFromValidated(contentValidation, mainController);
+      await executePublish(publishData);
+    }
+
+  } catch (error) {
+    Utils.handleError(error, '发布失败，请重试');
+  }
+}
+
+// 在用户手势触发的上下文中打开侧边栏
+async function openSidepanelForPublish() {
+  try {
+    console.log('📱 正在打开侧边栏...');
+
+    // 在用户手势触发的上下文中打开侧边栏
+    await chrome.sidePanel.open({ windowId: (await chrome.windows.getCurrent()).id });
+
+    // 等待侧边栏加载完成
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    console.log('✅ 侧边栏已打开');
+
+  } catch (error) {
+    console.error('❌ 打开侧边栏失败:', error);
+    // 不抛出错误，继续执行发布流程
+  }
+}
+
+/**
+ * 构建提示词模板变量：由发布数据和平台字数限制自动填充
+ * @param {Object} contentValidation - 已验证的内容
+ * @param {Object} platform - 平台对象
+ * @returns {Object} 模板变量值
+ */
+function buildPromptVariables(contentValidation, platform) {
+  const limits = getPlatformLimits(platform.id, appState.currentContentType);
+  const variant = getPlatformVariant(platform.id);
+
+  // 话题标签优先取已选话题（分平台设置优先），否则提取正文中已有的 #标签
+  const hashtags = getPlatformHashtags(platform.id).map(HASHTAG_CONFIG.FORMATS.prefix).join(' ')
+    || [...new Set(contentValidation.content.match(/#[^\s#<"']+/g) || [])].join(' ');
+
+  return {
+    title: contentValidation.title || '',
+    platform: platform.name,
+    char_limit: limits.content || '',
+    title_limit: limits.title || '',
+    hashtags,
+    content_type: appState.currentContentType
+  };
+}
+
+// AI内容优化功能 - 使用统一的优化服务
+async function optimizeContentWithPrompt(originalContent, promptName, variables = {}, options = {}) {
+  try {
+    // 🔧 修复：添加调试日志以验证文章模式的内容优化
+    console.log(`🤖 开始AI内容优化`, {
+      contentType: appState.currentContentType,
+      promptName: promptName,
+      contentLength: originalContent.length,
+      contentPreview: originalContent.substring(0, 100) + (originalContent.length > 100 ? '...' : '')
+    });
+
+    // 使用ContentOptimizationService简化优化逻辑
+    if (window.contentOptimizationService) {
+      const result = await window.contentOptimizationService.optimizeContent(originalContent, promptName, variables, options);
+      console.log('✅ AI内容优化完成（服务模式）', {
+        originalLength: originalContent.length,
+        optimizedLength: result.length
+      });
+      return result;
+    } else {
+      // 降级到原有实现（保持兼容性）
+      const promptData = await getPromptByName(promptName);
+      if (!promptData) {
+        throw new Error(`未找到提示词: ${promptName}`);
+      }
+      const optimizedContent = await callAIOptimizationAPI(originalContent, promptData, variables);
+      console.log('✅ AI内容优化完成（API模式）', {
+        originalLength: originalContent.length,
+        optimizedLength: optimizedContent.length
+      });
+      return optimizedContent;
+    }
+  } catch (error) {
+    console.error('❌ AI内容优化失败:', error);
+    throw new Error(`内容优化失败: ${error.message}`);
+  }
+}
+
+// 获取提示词详细信息
+async function getPromptByName(promptName) {
+  try {
+    // 尝试从MomentDots的存储键获取
+    let result = await chrome.storage.local.get(['promptPrompts']);
+    let prompts = result.promptPrompts || [];
+
+    // 如果没有找到，尝试从独立prompt扩展的存储键获取
+    if (prompts.length === 0) {
+      result = await chrome.storage.local.get(['prompts']);
+      prompts = result.prompts || [];
+    }
+
+    const foundPrompt = prompts.find(prompt => prompt.name === promptName);
+    console.log(`查找提示词 "${promptName}":`, foundPrompt ? '找到' : '未找到', `(共${prompts.length}个提示词)`);
+
+    return foundPrompt;
+  } catch (error) {
+    console.error('获取提示词失败:', error);
+    return null;
+  }
+}
+
+// 调用AI优化API
+async function callAIOptimizationAPI(originalContent, promptData, variables = {}) {
+  try {
+    // 获取AI API设置
+    const settings = await getAISettings();
+    if (!settings) {
+      throw new Error('AI API未配置，请先在提示词助手中配置API Key');
+    }
+
+    // 获取模型配置（支持两种设置结构）
+    let model;
+
+    if (settings.models && settings.models.length > 0) {
+      // MomentDots格式：settings.models[]
+      model = settings.models.find(m => m.id === (promptData.model || settings.defaultModel)) || settings.models[0];
+    } else if (settings.apiKey) {
+      // 独立prompt扩展格式：settings.apiKey（仅支持Gemini）
+      model = { provider: 'gemini', apiKey: settings.apiKey, endpoint: settings.endpoint };
+    }
+
+    if (!window.aiProviderService.isModelConfigured(model)) {
+      throw new Error('API Key未配置，请先在提示词助手中配置API Key');
+    }
+
+    console.log('使用API配置:', {
+      provider: window.aiProviderService.resolveProviderId(model),
+      endpoint: model.endpoint,
+      hasApiKey: !!model.apiKey
+    });
+
+    // 构建请求内容（填充模板变量）
+    const combinedContent = window.PromptTemplate.renderPromptTemplate(promptData.content, originalContent, variables);
+
+    console.log('发送给AI的内容:', combinedContent.substring(0, 200) + '...');
+
+    const result = await window.aiProviderService.generateText(model, combinedContent);
+    console.log('AI优化结果:', result.substring(0, 200) + '...');
+
+    return result;
+
+  } catch (error) {
+    console.error('AI API调用失败:', error);
+    throw error;
+  }
+}
+
+// 获取AI设置
+async function getAISettings() {
+  try {
+    // 尝试从MomentDots的存储键获取
+    let result = await chrome.storage.local.get(['promptSettings']);
+    let settings = result.promptSettings;
+
+    // 如果没有找到，尝试从独立prompt扩展的存储键获取
+    if (!settings) {
+      result = await chrome.storage.local.get(['settings']);
+      settings = result.settings;
+    }
+
+    console.log('获取AI设置:', settings ? '找到' : '未找到');
+    // 启用加密时解密API Key，未解锁时提示用户到提示词助手解锁
+    return settings ? await window.aiKeyVault.decryptSettings(settings) : null;
+  } catch (error) {
+    console.error('获取AI设置失败:', error);
+    if (window.aiKeyVault.isLockedError(error)) {
+      throw error;
+    }
+    return null;
+  }
+}
+
+// 平台优化状态管理
+const platformOptimizationStatus = new Map();
+
+// 更新平台优化状态
+function updatePlatformOptimizationStatus(platformId, status, message) {
+  platformOptimizationStatus.set(platformId, {
+    status: status, // 'optimizing', 'publishing', 'completed', 'failed'
+    message: message,
+    timestamp: Date.now()
+  });
+
+  // 通知侧边栏更新状态显示
+  notifySidebarStatusUpdate(platformId, status, message);
+
+  // 状态更新日志已在MessageManager中统一处理
+}
+
+// 获取平台优化状态
+function getPlatformOptimizationStatus(platformId) {
+  return platformOptimizationStatus.get(platformId) || null;
+}
+
+// 清除平台优化状态
+function clearPlatformOptimizationStatus(platformId) {
+  platformOptimizationStatus.delete(platformId);
+}
+
+// 通知侧边栏状态更新 - 使用统一的消息管理器
+function notifySidebarStatusUpdate(platformId, status, message) {
+  // 使用MessageManager简化消息发送逻辑
+  if (window.messageManager) {
+    window.messageManager.sendStatusUpdate(platformId, status, message);
+  } else {
+    // 降级到原有实现（保持兼容性）
+    chrome.runtime.sendMessage({
+      action: 'updatePlatformOptimizationStatus',
+      platformId: platformId,
+      status: status,
+      message: message,
+      timestamp: Date.now()
+    }).catch(error => {
+      console.log('⚠️ 状态更新发送失败:', error.message);
+    });
+  }
+}
+
+// 显示通知消息
+function showNotification(message, type = 'info') {
+  // 创建通知元素
+  const notification = document.createElement('div');
+  notification.className = `notification notification-${type}`;
+  notification.textContent = message;
+
+  // 添加样式
+  Object.assign(notification.style, {
+    position: 'fixed',
+    top: '20px',
+    right: '20px',
+    padding: '12px 20px',
+    borderRadius: '8px',
+    color: 'white',
+    fontWeight: '500',
+    zIndex: '10000',
+    maxWidth: '400px',
+    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+    transform: 'translateX(100%)',
+    transition: 'transform 0.3s ease-in-out'
+  });
+
+  // 根据类型设置背景色
+  const colors = {
+    success: '#10b981',
+    error: '#ef4444',
+    warning: '#f59e0b',
+    info: '#3b82f6'
+  };
+  notification.style.backgroundColor = colors[type] || colors.info;
+
+  // 添加到页面
+  document.body.appendChild(notification);
+
+  // 显示动画
+  setTimeout(() => {
+    notification.style.transform = 'translateX(0)';
+  }, 100);
+
+  // 自动隐藏
+  setTimeout(() => {
+    notification.style.transform = 'translateX(100%)';
+    setTimeout(() => {
+      if (notification.parentNode) {
+        notification.parentNode.removeChild(notification);
+      }
+    }, 300);
+  }, 3000);
+}
+// 提取文件ID的辅助函数 - 优化版本
+function extractFileIds(previews) {
+  return (previews || [])
+    .filter(preview => {
+      // 🚀 支持新的即时预览系统：优先使用fileId字段
+      return preview.fileId || (preview.id && preview.id.startsWith('file_'));
+    })
+    .map(preview => {
+      // 🚀 优先返回Background Script中的文件ID
+      return preview.fileId || preview.id;
+    });
+}
+
+// 按平台处理后的图片：原文件ID + 图片限制 + 裁剪信息 + 水印版本 -> Promise<处理后的文件ID|null>
+// 多个平台限制、裁剪和水印相同时共用同一份处理结果
+const derivedImageCache = new Map();
+
+/**
+ * 清除处理后图片的缓存（处理后的文件由后台会话缓存管理，这里只丢弃引用）
+ * 删除图片、修改裁剪或水印设置后旧结果不会再用到，发布后下次发布重新处理
+ * @param {Array} [previews] - 原图预览数据，不传则清除全部
+ */
+function clearDerivedImages(previews) {
+  if (!previews) {
+    derivedImageCache.clear();
+    return;
+  }
+
+  const prefixes = previews.filter(Boolean).map(preview => `${preview.fileId || preview.id}|`);
+  for (const key of derivedImageCache.keys()) {
+    if (prefixes.some(prefix => key.startsWith(prefix))) {
+      derivedImageCache.delete(key);
+    }
+  }
+}
+
+// 后台文件服务未连接时是否已提示过图片将按原图发布（连接状态在页面初始化时确定，每个页面只提示一次）
+let originalImageWarningShown = false;
+
+/**
+ * 按平台图片限制、裁剪信息和水印设置生成该平台使用的图片
+ * 短视频封面只按设置添加水印，不做裁剪和平台限制处理
+ * 处理后的图片需要上传到后台，后台文件服务未连接时：设置了裁剪或水印则报错，仅有平台限制则提示按原图发布
+ * @param {string} platformId - 平台ID
+ * @param {Array} images - 该平台要发布的图片预览数据
+ * @param {boolean} isCover - 是否为短视频封面
+ * @returns {Promise<Object|null>} { [原文件ID]: 处理后的文件ID }，无需处理时返回 null
+ */
+async function preparePlatformImages(platformId, images, isCover = false) {
+  if (!images || images.length === 0) {
+    return null;
+  }
+
+  const limits = isCover ? null : PLATFORM_IMAGE_LIMITS_CONFIG[platformId];
+  const watermark = await getPlatformWatermark(platformId, isCover);
+
+  if (!window.mediaPipelineService || !mainController?.useChunkedTransfer) {
+    const platformName = getPlatformById(platformId)?.name || platformId;
+    const hasCrop = !isCover && images.some(image => getImageCrop(image, platformId));
+    if (watermark || hasCrop) {
+      throw new Error(`${platformName}：后台文件服务未连接，无法应用图片裁剪或水印，请刷新页面后重试`);
+    }
+    if (limits && !originalImageWarningShown) {
+      originalImageWarningShown = true;
+      showNotification('后台文件服务未连接，图片将按原图发布，可能不符合平台的尺寸或大小限制', 'warning');
+    }
+    return null;
+  }
+
+  const fileIdMap = {};
+  for (const image of images || []) {
+    const crop = isCover ? null : getImageCrop(image, platformId);
+    if (!limits && !crop && !watermark) {
+      continue;
+    }
+
+    const fileId = image.fileId || image.id;
+    const watermarkKey = watermark ? watermarkState.version : '';
+    const cacheKey = `${fileId}|${JSON.stringify(limits || {})}|${JSON.stringify(crop)}|${watermarkKey}`;
+    if (!derivedImageCache.has(cacheKey)) {
+      derivedImageCache.set(cacheKey, deriveImageFile(image, limits || {}, crop, watermark));
+    }
+
+    const derivedFileId = await derivedImageCache.get(cacheKey);
+    if (derivedFileId) {
+      fileIdMap[fileId] = derivedFileId;
+    }
+  }
+
+  return Object.keys(fileIdMap).length > 0 ? fileIdMap : null;
+}
+
+/**
+ * 裁剪/缩放/压缩/转换单张图片并添加水印后上传到后台，处理失败时沿用原图
+ * @param {Object} image - 图片预览数据
+ * @param {Object} limits - 图片限制
+ * @param {Object|null} crop - 裁剪信息
+ * @param {Object|null} watermark - 已准备的水印
+ * @returns {Promise<string|null>} 处理后的文件ID，无需处理或失败时返回 null
+ */
+async function deriveImageFile(image, limits, crop, watermark) {
+  try {
+    const file = await getPreviewFile(image);
+    if (!file) {
+      return null;
+    }
+
+    const result = await window.mediaPipelineService.processImage(file, limits, { crop, watermark });
+    return result.changed ? await mainController.uploadFileInChunks(result.file) : null;
+  } catch (error) {
+    console.warn(`图片处理失败，使用原图: ${image.name}`, error);
+    return null;
+  }
+}
+
+// 创建发布数据的统一函数（保留向后兼容）
+async function createPublishData(useFileIds = false) {
+  const contentData = getAndValidateContent();
+  return await createPublishDataFromValidated(contentData, useFileIds);
+}
+
+/**
+ * 基于已验证内容创建发布数据（优化版，避免重复验证）
+ * @param {Object} validatedContent - 已验证的内容
+ * @param {boolean} useFileIds - 是否使用文件ID
+ * @param {Array} specificPlatforms - 指定的平台列表（可选，默认使用所有选中平台）
+ */
+async function createPublishDataFromValidated(validatedContent, useFileIds = false, specificPlatforms = null) {
+  const { content, title } = validatedContent;
+  const platformsToUse = specificPlatforms || appState.selectedPlatforms;
+
+  // 🔧 修复：直接使用传入的内容，不要被appState干扰
+  // 对于优化后的内容，应该直接使用传入的content参数
+  let contentForPublish = content;
+
+  // 🔧 重要修复：添加调试日志以追踪内容传递
+  console.log('📋 创建发布数据', {
+    contentType: appState.currentContentType,
+    platformCount: platformsToUse.length,
+    platforms: platformsToUse.map(p => p.name),
+    contentLength: contentForPublish.length,
+    contentPreview: contentForPublish.substring(0, 150) + (contentForPublish.length > 150 ? '...' : ''),
+    isOptimizedContent: validatedContent.isOptimized || false
+  });
+
+  // 同步到appState（确保标题正确更新）
+  appState.title = title;
+  // 🔧 重要：对于优化后的内容，也要更新appState.content以保持一致性
+  if (validatedContent.isOptimized) {
+    appState.content = contentForPublish;
+    console.log('📝 已更新appState.content为优化后的内容');
+  }
+
+  return await buildPublishDataStructure(title, contentForPublish, useFileIds, platformsToUse);
+}
+
+/**
+ * 构建发布数据结构（提取的公共逻辑）
+ * @param {string} title - 标题
+ * @param {string} content - 内容
+ * @param {boolean} useFileIds - 是否使用文件ID
+ * @param {Array} platformsToUse - 要使用的平台列表
+ */
+async function buildPublishDataStructure(title, content, useFileIds = false, platformsToUse = null) {
+  const platforms = platformsToUse || appState.selectedPlatforms;
+  const currentContentType = appState.currentContentType;
+
+  console.log('📝 发布数据创建完成', {
+    contentType: currentContentType,
+    titleLength: title.length,
+    contentLength: content.length,
+    platformCount: platforms.length
+  });
+
+  // 添加URL路由调试日志
+  console.log('🔗 平台URL路由调试:', {
+    contentType: currentContentType,
+    platforms: platforms.map(p => ({
+      name: p.name,
+      originalUrl: p.publishUrl,
+      routedUrl: getPlatformPublishUrl(p, currentContentType)
+    }))
+  });
+
+  // 智能精简设置（开启后超出字数限制的内容先由AI压缩）
+  const smartFitSettings = await loadSmartFitSettings();
+
+  // 🎯 新增：为每个平台预处理标题和概要（基于页面类型）
+  const processedPlatforms = await Promise.all(platforms.map(async platform => {
+    // 根据当前页面类型获取该平台的字数限制
+    const limits = getPlatformLimits(platform.id, currentContentType);
+
+    // 获取概要数据
+    let summaryData = appState.articleData?.excerpt || '';
+
+    // 分平台内容变体（仅动态模式）
+    const variant = getPlatformVariant(platform.id);
+    const platformText = variant ? resolveVariantText(variant, title, content) : { title, content };
+    const variantMedia = variant ? resolveVariantMedia(variant) : null;
+
+    // 话题标签（文章模式不使用）：纯文本格式的话题追加到正文末尾，topic 格式交由适配器插入
+    const hashtags = currentContentType === '文章' ? [] : getPlatformHashtags(platform.id);
+    const hashtagText = formatPlatformHashtags(hashtags, platform.id);
+
+    // 智能精简：文章正文为富文本且限制宽松，X动态超长时拆分为串推，这两种情况不精简正文
+    let contentChanged = false;
+    if (smartFitSettings.enabled) {
+      platformText.title = await smartFitText(platformText.title, limits.title, '标题');
+      summaryData = await smartFitText(summaryData, limits.excerpt, '概要');
+
+      const isXThread = platform.id === 'x' && currentContentType === '动态';
+      if (currentContentType !== '文章' && !isXThread) {
+        // 为追加的话题预留长度，避免话题被AI改写
+        const contentLimit = limits.content && hashtagText
+          ? Math.max(limits.content - hashtagText.length - 2, 0)
+          : limits.content;
+        const fittedContent = await smartFitText(platformText.content, contentLimit, '正文');
+        contentChanged = fittedContent !== platformText.content;
+        platformText.content = fittedContent;
+      }
+    }
+
+    if (hashtagText) {
+      platformText.content = `${(platformText.content || '').trimEnd()}\n\n${hashtagText}`;
+      contentChanged = true;
+    }
+
+    // 只截断标题和概要，不处理内容
+    const processedTitle = truncateText(platformText.title, limits.title, '标题');
+    const processedSummary = truncateText(summaryData, limits.excerpt, '概要');
+
+    // 简化调试日志，避免与适配器日志重复
+    if (platformText.title && limits.title && platformText.title.length > limits.title) {
+      console.log(`📝 ${platform.name}标题截断: ${platformText.title.length} -> ${processedTitle.length} 字符`);
+    }
+    if (summaryData && limits.excerpt && summaryData.length > limits.excerpt) {
+      console.log(`📝 ${platform.name}概要截断: ${summaryData.length} -> ${processedSummary.length} 字符`);
+    }
+
+    const processedPlatform = {
+      ...platform,
+      publishUrl: getPlatformPublishUrl(platform, currentContentType),
+      processedTitle,    // 基于当前页面类型截断的标题
+      processedSummary,  // 基于当前页面类型截断的概要
+      limits            // 保存限制信息供调试使用
+    };
+
+    // 携带分平台覆盖内容，由后台在执行该平台任务时替换标题、正文和媒体
+    if (variant) {
+      processedPlatform.variant = { title: platformText.title, content: platformText.content };
+
+      if (variantMedia) {
+        const allMedia = [...(appState.imagePreviews || []), ...(appState.videoPreviews || [])];
+        const selectedMedia = [...variantMedia.images, ...variantMedia.videos];
+        processedPlatform.variant.mediaIndexes = selectedMedia.map(preview => allMedia.indexOf(preview));
+        if (useFileIds) {
+          processedPlatform.variant.fileIds = extractFileIds(selectedMedia);
+        }
+      }
+      console.log(`✏️ ${platform.name}使用分平台内容`);
+    } else if (contentChanged) {
+      // 精简或追加话题后的正文与主内容不同，作为该平台的覆盖内容传递（媒体沿用主内容）
+      processedPlatform.variant = { title: platformText.title, content: platformText.content };
+    }
+
+    // 按平台图片限制、裁剪和水印生成处理后的图片，由后台在执行该平台任务时替换文件ID
+    if (useFileIds && (currentContentType === '动态' || currentContentType === '短视频')) {
+      const mediaFileIdMap = currentContentType === '动态'
+        ? await preparePlatformImages(platform.id, variantMedia ? variantMedia.images : appState.imagePreviews)
+        : await preparePlatformImages(platform.id, appState.shortVideoCovers, true);
+      if (mediaFileIdMap) {
+        processedPlatform.mediaFileIdMap = mediaFileIdMap;
+      }
+    }
+
+    // 需要通过话题候选框插入的平台（小红书、抖音）由适配器按原生格式插入
+    if (hashtags.length > 0 && !hashtagText) {
+      processedPlatform.hashtags = hashtags;
+    }
+
+    // X动态超出单条限制或媒体超过4个时，预先拆分为串推
+    if (platform.id === 'x' && currentContentType === '动态') {
+      const thread = window.XThread.buildXThread(
+        platformText.content,
+        variantMedia ? variantMedia.images.length : (appState.imagePreviews || []).length,
+        variantMedia ? variantMedia.videos.length : (appState.videoPreviews || []).length
+      );
+      if (thread) {
+        processedPlatform.thread = thread;
+        console.log(`🧵 X内容拆分为 ${thread.length} 条串推`);
+      }
+    }
+
+    // Markdown编辑器平台（掘金、CSDN等）：文章内容预先转换为Markdown
+    if (platform.contentFormat === 'markdown' && currentContentType === '文章') {
+      processedPlatform.processedContent = FormatConverter.htmlToMarkdown(content);
+    }
+
+    return processedPlatform;
+  }));
+
+  // 根据内容类型确定要传递的文件数据
+  let images = [];
+  let videos = [];
+  let allFiles = [];
+
+  if (currentContentType === '短视频') {
+    // 短视频模式：使用短视频数据
+    videos = [...(appState.shortVideoPreviews || [])];
+    images = [...(appState.shortVideoCovers || [])];
+    allFiles = [...videos, ...images];
+
+    console.log('📁 短视频文件数据收集:', {
+      shortVideePreviews: appState.shortVideoPreviews?.length || 0,
+      shortVideoCovers: appState.shortVideoCovers?.length || 0,
+      totalVideos: videos.length,
+      totalImages: images.length,
+      totalFiles: allFiles.length
+    });
+  } else {
+    // 动态/文章模式：使用原有数据
+    images = appState.imagePreviews || [];
+    videos = appState.videoPreviews || [];
+    allFiles = [...images, ...videos];
+  }
+
+  // 获取概要数据
+  const summaryData = appState.articleData?.excerpt || '';
+
+  const baseData = {
+    title: title,
+    content: content,
+    summary: summaryData, // 添加导语/概要字段
+    contentType: currentContentType, // 添加内容类型字段
+    platforms: processedPlatforms, // 🎯 使用包含截断数据的平台列表
+    images: images,
+    videos: videos,
+    files: allFiles,
+    mediaDescriptions: getMediaDescriptions(images) // 图片替代文本，由X、微博等适配器填入描述字段
+  };
+
+  // 文章模式没有媒体上传区域，使用正文第一张图片作为封面
+  if (currentContentType === '文章') {
+    baseData.coverImage = extractArticleCoverImage(content);
+  }
+
+  if (useFileIds) {
+    // 检查是否有文件ID（新方案）- 根据内容类型处理不同的数据源
+    let imageFileIds = [];
+    let videoFileIds = [];
+
+    if (currentContentType === '短视频') {
+      // 短视频模式：从短视频数据中提取文件ID
+      videoFileIds = extractFileIds(appState.shortVideoPreviews);
+      imageFileIds = extractFileIds(appState.shortVideoCovers);
+    } else {
+      // 动态/文章模式：从原有数据中提取文件ID
+      imageFileIds = extractFileIds(appState.imagePreviews);
+      videoFileIds = extractFileIds(appState.videoPreviews);
+    }
+
+    const allFileIds = [...imageFileIds, ...videoFileIds];
+
+    if (allFileIds.length > 0) {
+      console.log('📁 [新方案] 文件管理:', {
+        imageFileIds: imageFileIds.length,
+        videoFileIds: videoFileIds.length,
+        totalFileIds: allFileIds.length
+      });
+      return { ...baseData, fileIds: allFileIds };
+    }
+  }
+
+  // 降级到原有方案或无文件ID
+  console.log('📁 [原有方案] 文件管理:', {
+    images: baseData.images.length,
+    videos: baseData.videos.length,
+    totalFiles: baseData.files.length
+  });
+  return baseData;
+}
+
+/**
+ * 提取文章封面图片地址（正文中的第一张图片）
+ * @param {string} html - 文章HTML内容
+ * @returns {string} 图片地址，没有图片时返回空字符串
+ */
+function extractArticleCoverImage(html) {
+  if (!html || !html.includes('<img')) {
+    return '';
+  }
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const img = doc.querySelector('img');
+  // 懒加载图片的真实地址保存在data-src中
+  return img ? (img.getAttribute('data-src') || img.getAttribute('src') || '') : '';
+}
+
+/**
+ * 更新X串推拆分预览（仅动态模式且选中X时显示）
+ */
+function updateXThreadPreview() {
+  const container = domCache.get('x-thread-preview');
+  if (!container) return;
+
+  const isXSelected = appState.selectedPlatforms.some(p => p.id === 'x');
+  // X有分平台内容时按变体的正文和媒体预览
+  const variant = getPlatformVariant('x');
+  const variantMedia = variant ? resolveVariantMedia(variant) : null;
+  const xContent = variant ? resolveVariantText(variant, appState.title, appState.content).content : appState.content;
+  const xHashtags = formatPlatformHashtags(getPlatformHashtags('x'), 'x');
+  const thread = isXSelected && appState.currentContentType === '动态'
+    ? window.XThread.buildXThread(
+      xHashtags ? `${(xContent || '').trimEnd()}\n\n${xHashtags}` : xContent,
+      variantMedia ? variantMedia.images.length : (appState.imagePreviews || []).length,
+      variantMedia ? variantMedia.videos.length : (appState.videoPreviews || []).length
+    )
+    : null;
+
+  if (!thread) {
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    return;
+  }
+
+  container.classList.remove('hidden');
+  container.innerHTML = `
+    <p class="text-xs font-medium text-gray-700 mb-2">🧵 X 将拆分为 ${thread.length} 条串推发布</p>
+    <ol class="space-y-2">
+      ${thread.map((post, index) => `
+        <li class="p-2 rounded-md border border-gray-200 bg-gray-50">
+          <div class="flex justify-between text-xs text-gray-400 mb-1">
+            <span>第 ${index + 1} 条${post.mediaCount ? ` · 🖼️ ${post.mediaCount} 个媒体` : ''}</span>
+            <span>${window.XThread.getXWeightedLength(post.text)}/${window.XThread.X_THREAD_CONFIG.MAX_WEIGHTED_LENGTH}</span>
+          </div>
+          <p class="text-sm text-gray-700 whitespace-pre-wrap break-words">${FormatConverter.escapeHtml(post.text)}</p>
+        </li>
+      `).join('')}
+    </ol>
+  `;
+}
+
+/**
+ * 获取媒体预览的稳定标识（草稿恢复后预览ID会重新生成，因此使用文件名和大小）
+ * @param {Object} preview - 图片或视频预览
+ * @returns {string} 媒体标识
+ */
+function getVariantMediaKey(preview) {
+  return `${preview.name}|${preview.size}`;
+}
+
+/**
+ * 获取平台的内容变体（仅动态模式生效）
+ * @param {string} platformId - 平台ID
+ * @returns {Object|null} 变体数据，未自定义时返回null
+ */
+function getPlatformVariant(platformId) {
+  if (appState.currentContentType !== '动态') {
+    return null;
+  }
+  const variant = appState.platformVariants?.[platformId];
+  return variant && Object.keys(variant).length > 0 ? variant : null;
+}
+
+/**
+ * 解析话题标签输入：支持空格、逗号或顿号分隔，去掉首尾的 # 和小红书的 [话题] 后缀
+ * @param {string} text - 用户输入
+ * @returns {string[]} 去重后的话题名称（不含 #）
+ */
+function parseHashtags(text) {
+  return [...new Set((text || '')
+    .split(/[\s,，、]+/)
+    .map(tag => tag.replace(/^#+|#+$/g, '').replace(/\[[^\]]*\]$/, ''))
+    .filter(Boolean))];
+}
+
+/**
+ * 规范化话题标签输入，统一为「#标签」格式
+ * @param {string} text - 用户输入
+ * @returns {string} 以空格分隔的话题标签
+ */
+function normalizeHashtags(text) {
+  return parseHashtags(text).map(HASHTAG_CONFIG.FORMATS.prefix).join(' ');
+}
+
+/**
+ * 获取平台发布时使用的话题：分平台编辑中设置的话题优先，否则使用已选话题
+ * @param {string} platformId - 平台ID
+ * @returns {string[]} 话题名称（不含 #）
+ */
+function getPlatformHashtags(platformId) {
+  const variantHashtags = getPlatformVariant(platformId)?.hashtags;
+  return variantHashtags !== undefined ? parseHashtags(variantHashtags) : [...(appState.hashtags || [])];
+}
+
+/**
+ * 将话题按平台格式转换为正文文本（微博 #话题#，X #tag）
+ * @param {string[]} hashtags - 话题名称
+ * @param {string} platformId - 平台ID
+ * @returns {string} 话题文本，需由适配器插入话题的平台返回空字符串
+ */
+function formatPlatformHashtags(hashtags, platformId) {
+  const hashtagFormat = getPlatformById(platformId)?.hashtagFormat || 'prefix';
+  const format = HASHTAG_CONFIG.FORMATS[hashtagFormat];
+  return format ? hashtags.map(format).join(' ') : '';
+}
+
+/**
+ * 解析变体的最终标题和正文（未覆盖的字段沿用主内容，话题在构建发布数据时按平台格式处理）
+ * @param {Object} variant - 变体数据
+ * @param {string} title - 主标题
+ * @param {string} content - 主内容
+ * @returns {{title: string, content: string}}
+ */
+function resolveVariantText(variant, title, content) {
+  return {
+    title: variant.title !== undefined ? variant.title : title,
+    content: variant.content !== undefined ? variant.content : content
+  };
+}
+
+/**
+ * 获取变体的媒体列表：已选媒体按变体顺序在前，未选媒体按上传顺序在后
+ * @param {Object} variant - 变体数据
+ * @returns {Array<{preview: Object, selected: boolean}>}
+ */
+function getVariantMediaItems(variant) {
+  const previews = [...(appState.imagePreviews || []), ...(appState.videoPreviews || [])];
+  if (!variant?.media) {
+    return previews.map(preview => ({ preview, selected: true }));
+  }
+
+  const selected = [...new Set(variant.media)]
+    .map(key => previews.find(preview => getVariantMediaKey(preview) === key))
+    .filter(Boolean);
+  return [
+    ...selected.map(preview => ({ preview, selected: true })),
+    ...previews.filter(preview => !selected.includes(preview)).map(preview => ({ preview, selected: false }))
+  ];
+}
+
+/**
+ * 解析变体选中的媒体（各平台均先上传图片再上传视频，因此按类型分组并保持变体中的顺序）
+ * @param {Object} variant - 变体数据
+ * @returns {{images: Array, videos: Array}|null} 未自定义媒体时返回null
+ */
+function resolveVariantMedia(variant) {
+  if (!variant?.media) {
+    return null;
+  }
+
+  const videoPreviews = appState.videoPreviews || [];
+  const selected = getVariantMediaItems(variant).filter(item => item.selected).map(item => item.preview);
+  return {
+    images: selected.filter(preview => !videoPreviews.includes(preview)),
+    videos: selected.filter(preview => videoPreviews.includes(preview))
+  };
+}
+
+/**
+ * 计算主内容与变体内容的差异（按单词/单字做最长公共子序列，文本过长时按行对比）
+ * @param {string} source - 主内容
+ * @param {string} target - 变体内容
+ * @returns {Array<{type: string, text: string}>} 差异片段，type 为 equal/insert/delete
+ */
+function computeTextDiff(source, target) {
+  const tokenize = text => text.match(/[A-Za-z0-9_]+|\s+|[\s\S]/gu) || [];
+  let a = tokenize(source);
+  let b = tokenize(target);
+  if (a.length * b.length > PLATFORM_VARIANT_CONFIG.DIFF_MAX_CELLS) {
+    a = source.split(/(?<=\n)/);
+    b = target.split(/(?<=\n)/);
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else if (text) {
+      parts.push({ type, text });
+    }
+  };
+
+  const n = a.length;
+  const m = b.length;
+  if ((n + 1) * (m + 1) > PLATFORM_VARIANT_CONFIG.DIFF_MAX_CELLS) {
+    push('delete', source);
+    push('insert', target);
+    return parts;
+  }
+
+  // lcs[i * (m + 1) + j] 为 a[i..] 与 b[j..] 的最长公共子序列长度
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < n) push('delete', a[i++]);
+  while (j < m) push('insert', b[j++]);
+
+  return parts;
+}
+
+/**
+ * 统一的文字截断函数
+ * @param {string} text - 原始文字
+ * @param {number} maxLength - 最大长度限制
+ * @param {string} type - 内容类型（用于日志）
+ * @returns {string} 截断后的文字
+ */
+function truncateText(text, maxLength, type = '文字') {
+  if (!text || !maxLength || text.length <= maxLength) {
+    return text;
+  }
+
+  const truncated = text.substring(0, maxLength);
+  console.log(`📝 ${type}截断: ${text.length} -> ${truncated.length} 字符`);
+  return truncated;
+}
+
+/**
+ * 构建智能精简提示词
+ * @param {string} text - 需要精简的文字
+ * @param {number} maxLength - 最大长度限制
+ * @param {string} type - 内容类型（标题/概要/正文）
+ * @param {number|null} previousLength - 上一次精简结果的长度（仍超出时提供，用于提示模型进一步压缩）
+ * @returns {string} 提示词
+ */
+function buildSmartFitPrompt(text, maxLength, type, previousLength = null) {
+  const retryHint = previousLength
+    ? `\n上一次的结果有${previousLength}个字符，仍超出限制，请进一步压缩。`
+    : '';
+
+  return `请将下面的${type}精简到不超过${maxLength}个字符（标点、空格、换行和Emoji均计入字数）。
+要求：保留核心信息和原有语气，语句完整通顺；不要添加解释、引号或前后缀，只输出精简后的${type}。${retryHint}
+
+${type}：
+${text}`;
+}
+
+/**
+ * 智能精简：超出字数限制时请AI压缩到限制以内
+ * 每次输出都会重新校验长度，多次尝试仍超出或调用失败时回退到截断，保证结果不超过限制
+ * @param {string} text - 原始文字
+ * @param {number} maxLength - 最大长度限制
+ * @param {string} type - 内容类型（用于提示词和日志）
+ * @returns {Promise<string>} 不超过限制的文字
+ */
+async function smartFitText(text, maxLength, type = '文字') {
+  if (!text || !maxLength || text.length <= maxLength) {
+    return text;
+  }
+
+  let candidate = text;
+  for (let attempt = 1; attempt <= SMART_FIT_CONFIG.MAX_ATTEMPTS; attempt++) {
+    const previousLength = candidate === text ? null : candidate.length;
+
+    try {
+      const output = (await window.contentOptimizationService.completePrompt(
+        buildSmartFitPrompt(candidate, maxLength, type, previousLength)
+      ) || '').trim();
+
+      if (!output) {
+        break;
+      }
+
+      console.log(`✂️ ${type}智能精简（第${attempt}次）: ${text.length} -> ${output.length} 字符`);
+      if (output.length <= maxLength) {
+        return output;
+      }
+      candidate = output;
+    } catch (error) {
+      console.warn(`⚠️ ${type}智能精简失败，回退到截断:`, error);
+      break;
+    }
+  }
+
+  return truncateText(candidate, maxLength, type);
+}
+
+// 获取需要内容优化的平台列表
+async function getPlatformsNeedingOptimization() {
+  const platformsNeedOptimization = [];
+
+  for (const platform of appState.selectedPlatforms) {
+    const config = getPlatformPromptConfig(platform.id);
+    const pipeline = getPlatformPromptPipeline(platform.id);
+    if (config.isEnabled && pipeline.length > 0) {
+      // 已手动编辑正文的平台不再进行AI改写，避免覆盖分平台内容
+      if (getPlatformVariant(platform.id)?.content !== undefined) {
+        console.log(`⏭️ ${platform.name}已自定义正文，跳过AI优化`);
+        continue;
+      }
+      platformsNeedOptimization.push({
+        platform: platform,
+        promptName: pipeline.join(PROMPT_LABEL_TEXTS.PIPELINE_SEPARATOR),
+        pipeline
+      });
+    }
+  }
+
+  console.log('需要内容优化的平台:', platformsNeedOptimization.map(p => p.platform.name));
+  return platformsNeedOptimization;
+}
+
+// 处理内容优化流程 - 并发优化版本
+async function handleContentOptimizationFlow(contentValidation, platformsNeedOptimization) {
+  console.log('🎯 开始内容优化流程（并发模式）...');
+
+  // 分离需要优化和不需要优化的平台
+  const platformsNeedOptimizationIds = platformsNeedOptimization.map(p => p.platform.id);
+  const platformsNoOptimization = appState.selectedPlatforms.filter(
+    platform => !platformsNeedOptimizationIds.includes(platform.id)
+  );
+
+  // 立即为需要优化的平台显示"优化中"状态
+  for (const { platform, promptName } of platformsNeedOptimization) {
+    updatePlatformOptimizationStatus(platform.id, 'optimizing', `正在使用"${promptName}"优化内容...`);
+  }
+
+  // 先发布不需要优化的平台
+  if (platformsNoOptimization.length > 0) {
+    console.log('📤 先发布不需要优化的平台:', platformsNoOptimization.map(p => p.name));
+    const publishDataNoOptimization = await createPublishDataFromValidated(
+      contentValidation,
+      mainController,
+      platformsNoOptimization
+    );
+    await executePublish(publishDataNoOptimization);
+  }
+
+  // 并发处理需要优化的平台
+  if (platformsNeedOptimization.length > 0) {
+    await handleConcurrentOptimization(contentValidation, platformsNeedOptimization);
+  }
+}
+
+// 并发优化处理函数 - 优化版本
+async function handleConcurrentOptimization(contentValidation, platformsNeedOptimization) {
+  console.log(`🚀 并发优化 ${platformsNeedOptimization.length} 个平台:`,
+    platformsNeedOptimization.map(p => p.platform.name));
+
+  try {
+    // 创建所有优化任务，错误处理已在optimizeAndPublishPlatform中完成
+    const optimizationPromises = platformsNeedOptimization.map(({ platform, pipeline }) =>
+      optimizeAndPublishPlatform(contentValidation, platform, pipeline)
+        .then(result => ({ platform, success: true, result }))
+        .catch(error => {
+          // 错误已在handleOptimizationError中处理，这里只记录结果
+          return { platform, success: false, error: error.message };
+        })
+    );
+
+    // 等待所有优化完成
+    const results = await Promise.all(optimizationPromises);
+
+    // 统计并显示结果
+    const successCount = results.filter(r => r.success).length;
+    const failureCount = results.length - successCount;
+
+    console.log(`🎉 并发优化完成: ${successCount}/${results.length}`);
+
+    // 简化的通知逻辑
+    if (failureCount === 0) {
+      showNotification(`所有 ${successCount} 个平台内容优化完成`, 'success');
+    } else if (successCount > 0) {
+      showNotification(`${successCount} 个平台优化成功，${failureCount} 个失败`, 'warning');
+    } else {
+      showNotification('所有平台优化失败，请检查网络和API配置', 'error');
+    }
+
+  } catch (error) {
+    console.error('❌ 并发优化流程异常:', error);
+    showNotification('内容优化流程异常，请重试', 'error');
+  }
+}
+
+// 优化并发布单个平台 - 重构为更清晰的职责分离
+async function optimizeAndPublishPlatform(contentValidation, platform, pipeline) {
+  const platformName = platform.name;
+
+  try {
+    // 步骤1: 按顺序执行提示词流水线，每一步的输出作为下一步的输入
+    console.log(`🔄 开始优化平台 ${platformName}`, {
+      pipeline: pipeline,
+      contentType: appState.currentContentType,
+      originalContentLength: contentValidation.content.length,
+      originalContentPreview: contentValidation.content.substring(0, 100) + '...'
+    });
+
+    const steps = await runPromptPipeline(
+      contentValidation.content,
+      pipeline,
+      buildPromptVariables(contentValidation, platform),
+      (index, promptName) => {
+        const progress = pipeline.length > 1 ? `第${index + 1}/${pipeline.length}步：` : '';
+        updatePlatformOptimizationStatus(platform.id, 'optimizing', `${progress}正在使用"${promptName}"优化内容...`);
+      },
+      // 限流等待、重试或切换备用模型时在侧边栏显示原因
+      (index, statusInfo) => {
+        const progress = pipeline.length > 1 ? `第${index + 1}/${pipeline.length}步：` : '';
+        updatePlatformOptimizationStatus(platform.id, 'optimizing', `${progress}${statusInfo.message}`);
+      }
+    );
+
+    // 多步流水线在侧边栏展示每一步结果，由用户确认（或回退到某一步）后再发布
+    const optimizedContent = steps.length > 1
+      ? await requestPipelineReview(platform, contentValidation.content, steps)
+      : steps[steps.length - 1].content;
+
+    console.log('✅ 内容优化完成', {
+      platform: platformName,
+      optimizedContentLength: optimizedContent.length,
+      optimizedContentPreview: optimizedContent.substring(0, 100) + '...',
+      contentChanged: optimizedContent !== contentValidation.content
+    });
+
+    // 步骤2: 更新状态并准备发布数据
+    updatePlatformOptimizationStatus(platform.id, 'publishing', '内容优化完成，正在发布...');
+
+    const optimizedContentValidation = {
+      ...contentValidation,
+      content: optimizedContent,
+      isOptimized: true // 标记这是优化后的内容
+    };
+
+    // 步骤3: 执行发布
+    await publishOptimizedContent(optimizedContentValidation, platform);
+
+    console.log(`✅ 平台 ${platformName} 内容优化和发布完成`);
+    return true;
+
+  } catch (error) {
+    return handleOptimizationError(platform, error);
+  }
+}
+
+/**
+ * 按顺序执行提示词流水线
+ * @param {string} content - 原始内容
+ * @param {Array<string>} pipeline - 提示词名称列表
+ * @param {Object} variables - 模板变量值
+ * @param {Function} onStep - 每步开始前的回调 (index, promptName)
+ * @param {Function} onStatus - 限流等待、重试等状态回调 (index, { type, message })
+ * @returns {Promise<Array<{promptName: string, content: string}>>} 每一步的输出
+ */
+async function runPromptPipeline(content, pipeline, variables, onStep, onStatus) {
+  const steps = [];
+  let currentContent = content;
+
+  for (let index = 0; index < pipeline.length; index++) {
+    const promptName = pipeline[index];
+    onStep?.(index, promptName);
+
+    try {
+      currentContent = await optimizeContentWithPrompt(currentContent, promptName, variables, {
+        onStatus: statusInfo => onStatus?.(index, statusInfo)
+      });
+    } catch (error) {
+      throw new Error(pipeline.length > 1 ? `第${index + 1}步"${promptName}"${error.message}` : error.message);
+    }
+    steps.push({ promptName, content: currentContent });
+  }
+
+  return steps;
+}
+
+// 等待侧边栏确认的流水线结果：平台ID -> { original, steps, timestamp, resolve, reject, timer }
+const pendingPipelineReviews = new Map();
+
+// 等待用户确认流水线结果的最长时间（毫秒），超时后取消该平台的发布
+const PIPELINE_REVIEW_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * 将流水线每一步的结果发送到侧边栏，等待用户选择要发布的版本
+ * 侧边栏关闭或重新打开时可通过 getPendingPipelineReviews 重新获取；超时或同一平台开始新的发布时取消
+ * @param {Object} platform - 平台对象
+ * @param {string} originalContent - 原始内容
+ * @param {Array<{promptName: string, content: string}>} steps - 每一步的输出
+ * @returns {Promise<string>} 用户确认的内容
+ */
+function requestPipelineReview(platform, originalContent, steps) {
+  cancelPipelineReview(platform.id, '已开始新的发布，上一次的流水线结果已取消');
+
+  return new Promise((resolve, reject) => {
+    const review = {
+      original: originalContent,
+      steps,
+      timestamp: Date.now(),
+      resolve: (stepIndex) => {
+        resolve(stepIndex >= 0 && steps[stepIndex] ? steps[stepIndex].content : originalContent);
+      },
+      reject,
+      timer: setTimeout(() => {
+        cancelPipelineReview(platform.id, `${Math.round(PIPELINE_REVIEW_TIMEOUT / 60000)}分钟内未确认流水线结果，已取消发布`);
+      }, PIPELINE_REVIEW_TIMEOUT)
+    };
+    pendingPipelineReviews.set(platform.id, review);
+
+    chrome.runtime.sendMessage({
+      action: 'pipelineReview',
+      platformId: platform.id,
+      original: originalContent,
+      steps,
+      timestamp: review.timestamp
+    }).catch(error => {
+      // 侧边栏未打开时无法接收，打开后会主动获取等待确认的结果
+      console.warn('发送流水线结果到侧边栏失败:', error);
+    });
+  });
+}
+
+/**
+ * 取出等待确认的流水线结果并清除超时计时
+ * @param {string} platformId - 平台ID
+ * @returns {Object|null} 等待确认的结果
+ */
+function takePipelineReview(platformId) {
+  const review = pendingPipelineReviews.get(platformId);
+  if (!review) return null;
+
+  clearTimeout(review.timer);
+  pendingPipelineReviews.delete(platformId);
+  return review;
+}
+
+/**
+ * 取消等待确认的流水线结果，该平台的优化以失败结束
+ * @param {string} platformId - 平台ID
+ * @param {string} reason - 取消原因
+ * @returns {boolean} 是否存在等待确认的结果
+ */
+function cancelPipelineReview(platformId, reason) {
+  const review = takePipelineReview(platformId);
+  review?.reject(new Error(reason));
+  return !!review;
+}
+
+// 发布优化后的内容
+async function publishOptimizedContent(contentValidation, platform) {
+  const publishData = await buildOptimizedPublishData(contentValidation, platform);
+  await executePublish(publishData);
+}
+
+/**
+ * 基于优化后的内容构建单个平台的发布数据
+ * @param {Object} contentValidation - 优化后的已验证内容
+ * @param {Object} platform - 平台对象
+ * @returns {Promise<Object>} 发布数据
+ */
+async function buildOptimizedPublishData(contentValidation, platform) {
+  // 🔧 修复：确保优化后的内容正确处理文章模式
+  // 对于文章模式，优化后的内容是纯文本，需要转换为适合发布的格式
+  let processedContentValidation = {
+    ...contentValidation,
+    isOptimized: true // 标记这是优化后的内容
+  };
+
+  if (appState.currentContentType === '文章') {
+    // 将优化后的纯文本内容转换为HTML格式用于发布
+    const optimizedTextContent = contentValidation.content;
+    const htmlContent = convertTextToHTML(optimizedTextContent);
 
-      appState.videoPreviews.push(videoData);
-      this.handleFileComplete(true);
+    processedContentValidation.content = htmlContent;
+
+    console.log('📝 文章模式：优化后内容已转换为HTML格式', {
+      platform: platform.name,
+      originalTextLength: optimizedTextContent.length,
+      htmlLength: htmlContent.length,
+      paragraphCount: htmlContent.split('<p>').length - 1
     });
   }
+
+  const publishData = await createPublishDataFromValidated(
+    processedContentValidation,
+    true, // 使用文件ID
+    [platform]
+  );
+
+  // 🔧 修复：添加详细的调试日志以追踪内容传递
+  console.log('📤 准备发布优化后的内容', {
+    platform: platform.name,
+    contentType: appState.currentContentType,
+    contentLength: processedContentValidation.content.length,
+    contentPreview: processedContentValidation.content.substring(0, 200) + '...',
+    publishDataTitle: publishData.title,
+    publishDataContentLength: publishData.content.length
+  });
+
+  return publishData;
 }
 
-// 创建全局视频上传处理器实例
-const videoUploadHandler = new VideoUploadHandler();
+// 处理优化错误
+function handleOptimizationError(platform, error) {
+  const errorMessage = `优化失败: ${error.message}`;
+  console.error(`❌ 平台 ${platform.name} ${errorMessage}:`, error);
 
-// 优化的上传加载状态管理器
-class UploadLoadingManager {
-  constructor() {
-    this.processedCount = 0;
-    this.totalCount = 0;
-    this.loadingContainer = null;
-    this.hideTimer = null;
-  }
+  updatePlatformOptimizationStatus(platform.id, 'failed', errorMessage);
+  showNotification(`${platform.name} 内容${errorMessage}`, 'error');
 
-  // 初始化DOM元素引用
-  initElements() {
-    // 根据当前页面类型选择合适的加载容器
-    this.loadingContainer = this.findAppropriateLoadingContainer();
+  return false; // 不抛出错误，继续处理其他平台
+}
 
-    // 如果找不到加载容器，尝试在当前页面创建一个
-    if (!this.loadingContainer) {
-      this.createTemporaryLoadingContainer();
-    }
+// ===== 分平台编辑功能 =====
+
+// 分平台内容修改后延迟保存
+const saveVariantsChange = Utils.debounce(function() {
+  saveToStorageData();
+}, CONFIG.DEBOUNCE_DELAY);
+
+// 初始化分平台编辑面板
+function initializeVariantsPanel() {
+  const toggle = domCache.get('variants-toggle');
+  const panel = domCache.get('variants-panel');
+
+  if (!toggle || !panel) {
+    return;
   }
 
-  // 查找合适的加载容器
-  findAppropriateLoadingContainer() {
-    // 根据页面类型选择容器ID
-    const containerId = appState.currentContentType === '短视频'
-      ? 'short-video-upload-loading'
-      : 'upload-loading';
+  toggle.addEventListener('click', () => {
+    variantsState.expanded = !variantsState.expanded;
+    renderVariantsPanel();
+  });
 
-    const container = document.getElementById(containerId);
-    if (container) {
-      return container;
+  // 事件委托处理标签切换、媒体排序和恢复操作
+  panel.addEventListener('click', (event) => {
+    const tab = event.target.closest('[data-variant-tab]');
+    if (tab) {
+      variantsState.activePlatformId = tab.dataset.variantTab;
+      renderVariantsPanel();
+      return;
     }
 
-    // 如果短视频容器不存在，尝试通用容器作为后备
-    if (containerId === 'short-video-upload-loading') {
-      return document.getElementById('upload-loading');
+    const button = event.target.closest('[data-variant-action]');
+    if (!button || button.disabled) {
+      return;
     }
 
-    return null;
-  }
+    const platformId = variantsState.activePlatformId;
+    if (button.dataset.variantAction === 'reset') {
+      delete appState.platformVariants[platformId];
+      saveVariantsChange();
+      renderVariantsPanel();
+      updateXThreadPreview();
+    } else if (button.dataset.variantAction === 'move') {
+      moveVariantMedia(platformId, Number(button.dataset.index), Number(button.dataset.offset));
+    }
+  });
 
-  // 创建临时加载状态容器
-  createTemporaryLoadingContainer() {
-    const isShortVideo = appState.currentContentType === '短视频';
+  panel.addEventListener('input', (event) => {
+    const field = event.target.dataset.variantField;
+    if (field) {
+      updatePlatformVariant(variantsState.activePlatformId, field, event.target.value);
+      renderVariantTabs();
+      updateVariantDiff();
+      updateXThreadPreview();
+    }
+  });
 
-    // 选择父容器
-    const parentContainer = this.findParentContainer(isShortVideo);
-    if (!parentContainer) return;
+  panel.addEventListener('change', (event) => {
+    const checkbox = event.target.closest('input[data-variant-media]');
+    if (checkbox) {
+      toggleVariantMedia(variantsState.activePlatformId, checkbox.dataset.variantMedia, checkbox.checked);
+    }
+  });
+}
 
-    // 创建容器
-    const tempContainer = this.createLoadingElement(isShortVideo);
+/**
+ * 更新平台变体的单个字段，与主内容相同的字段不保存
+ * @param {string} platformId - 平台ID
+ * @param {string} field - 字段名（title/content/hashtags/media）
+ * @param {*} value - 字段值
+ */
+function updatePlatformVariant(platformId, field, value) {
+  const variant = { ...(appState.platformVariants[platformId] || {}) };
+  const masterValues = { title: appState.title || '', content: appState.content || '', hashtags: '' };
 
-    // 确保父容器有相对定位（短视频页面需要）
-    if (isShortVideo && parentContainer.style.position !== 'relative') {
-      parentContainer.style.position = 'relative';
-    }
+  const isMaster = field === 'media'
+    ? value === null
+    : value === masterValues[field] || (field === 'hashtags' && !normalizeHashtags(value));
 
-    parentContainer.appendChild(tempContainer);
-    this.loadingContainer = tempContainer;
+  if (isMaster) {
+    delete variant[field];
+  } else {
+    variant[field] = value;
   }
 
-  // 查找父容器
-  findParentContainer(isShortVideo) {
-    if (isShortVideo) {
-      return document.querySelector('#video-upload-area') ||
-             document.querySelector('.short-video-upload-container') ||
-             document.querySelector('#short-video-upload-area');
-    } else {
-      return document.querySelector('.image-upload-container') ||
-             document.querySelector('.content-area');
-    }
+  if (Object.keys(variant).length > 0) {
+    appState.platformVariants[platformId] = variant;
+  } else {
+    delete appState.platformVariants[platformId];
   }
+  saveVariantsChange();
+}
 
-  // 创建加载元素
-  createLoadingElement(isShortVideo) {
-    const tempContainer = document.createElement('div');
-    tempContainer.innerHTML = '<div class="simple-loading-spinner"></div>';
-    tempContainer.style.display = 'none';
-
-    if (isShortVideo) {
-      tempContainer.id = 'short-video-upload-loading';
-      tempContainer.style.cssText += `
-        position: absolute;
-        top: 50%;
-        left: 50%;
-        transform: translate(-50%, -50%);
-        z-index: 20;
-        background-color: rgba(255, 255, 255, 0.95);
-        border-radius: 50%;
-        padding: 12px;
-        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
-        pointer-events: none;
-      `;
-    } else {
-      tempContainer.id = 'upload-loading';
-      tempContainer.className = 'smart-upload-loading';
-    }
+/**
+ * 保存变体的媒体选择，与主内容一致（全部选中且顺序不变）时清除覆盖
+ * @param {string} platformId - 平台ID
+ * @param {Array<{preview: Object, selected: boolean}>} items - 媒体列表
+ */
+function saveVariantMediaItems(platformId, items) {
+  const allMedia = [...(appState.imagePreviews || []), ...(appState.videoPreviews || [])];
+  const isMaster = items.every((item, index) => item.selected && item.preview === allMedia[index]);
+
+  updatePlatformVariant(
+    platformId,
+    'media',
+    isMaster ? null : items.filter(item => item.selected).map(item => getVariantMediaKey(item.preview))
+  );
+  renderVariantsPanel();
+  updateXThreadPreview();
+}
 
-    return tempContainer;
+// 调整变体中媒体的顺序
+function moveVariantMedia(platformId, index, offset) {
+  const items = getVariantMediaItems(appState.platformVariants[platformId]);
+  const target = index + offset;
+  if (target < 0 || target >= items.length) {
+    return;
   }
 
-  // 显示加载状态
-  show(totalFiles) {
-    // 强制重新初始化，确保找到正确的容器
-    this.initElements();
+  [items[index], items[target]] = [items[target], items[index]];
+  saveVariantMediaItems(platformId, items);
+}
 
-    // 清除可能存在的隐藏定时器
-    if (this.hideTimer) {
-      clearTimeout(this.hideTimer);
-      this.hideTimer = null;
-    }
+// 切换变体中媒体的选中状态（已选媒体保持在列表前部）
+function toggleVariantMedia(platformId, mediaKey, selected) {
+  const items = getVariantMediaItems(appState.platformVariants[platformId]).map(item => (
+    getVariantMediaKey(item.preview) === mediaKey ? { ...item, selected } : item
+  ));
+  saveVariantMediaItems(platformId, [...items.filter(item => item.selected), ...items.filter(item => !item.selected)]);
+}
 
-    this.processedCount = 0;
-    this.totalCount = totalFiles;
+/**
+ * 渲染分平台编辑面板（仅动态模式显示）
+ */
+function renderVariantsPanel() {
+  const section = domCache.get('variants-section');
+  const toggle = domCache.get('variants-toggle');
+  const panel = domCache.get('variants-panel');
+  if (!section || !toggle || !panel) return;
 
-    if (this.loadingContainer) {
-      this.loadingContainer.style.display = 'block';
-    }
-  }
+  const isDynamic = appState.currentContentType === '动态';
+  section.classList.toggle('hidden', !isDynamic);
 
-  // 增加已处理数量
-  incrementProcessed() {
-    this.processedCount++;
+  const customizedCount = appState.selectedPlatforms.filter(p => getPlatformVariant(p.id)).length;
+  toggle.textContent = `${variantsState.expanded ? '▾' : '▸'} 分平台编辑${customizedCount ? `（${customizedCount} 个平台已自定义）` : ''}`;
 
-    // 如果全部处理完成，延迟隐藏加载状态
-    if (this.processedCount >= this.totalCount) {
-      this.hideTimer = setTimeout(() => {
-        this.hide();
-      }, CONFIG.NOTIFICATION_HIDE_DELAY);
-    }
+  if (!isDynamic || !variantsState.expanded) {
+    panel.classList.add('hidden');
+    return;
   }
+  panel.classList.remove('hidden');
 
-  // 隐藏加载状态
-  hide() {
-    // 清除定时器
-    if (this.hideTimer) {
-      clearTimeout(this.hideTimer);
-      this.hideTimer = null;
-    }
-
-    this.processedCount = 0;
-    this.totalCount = 0;
-
-    if (this.loadingContainer) {
-      this.loadingContainer.style.display = 'none';
-    }
+  const platforms = appState.selectedPlatforms;
+  if (!platforms.some(p => p.id === variantsState.activePlatformId)) {
+    variantsState.activePlatformId = platforms[0]?.id || null;
   }
+
+  renderVariantTabs();
+  renderVariantEditor();
 }
 
-// 创建全局加载状态管理器实例
-const uploadLoadingManager = new UploadLoadingManager();
+// 渲染平台标签（已自定义的平台显示圆点标记）
+function renderVariantTabs() {
+  const container = domCache.get('variants-tabs');
+  if (!container) return;
 
-// 优化的上传函数 - 集成新的文件管理
-async function handleImageUpload(event) {
-  const files = event.target.files;
-  if (!files || files.length === 0) return;
+  container.innerHTML = appState.selectedPlatforms.map(platform => {
+    const isActive = platform.id === variantsState.activePlatformId;
+    return `
+      <button
+        type="button"
+        data-variant-tab="${platform.id}"
+        class="px-3 py-2 text-sm border-b-2 -mb-px ${isActive ? 'border-blue-500 text-blue-600 font-medium' : 'border-transparent text-gray-500 hover:text-gray-700'}"
+      >
+        ${platform.name}${getPlatformVariant(platform.id) ? ' <span class="inline-block w-1.5 h-1.5 rounded-full bg-blue-500 align-middle"></span>' : ''}
+      </button>
+    `;
+  }).join('');
+}
 
-  if (mainController) {
-    // 使用新的文件管理方案
-    await mainController.handleFileSelection(files);
-  } else {
-    // 降级到原有方案
-    imageUploadHandler.handleUpload(event);
+// 渲染当前平台的编辑区域
+function renderVariantEditor() {
+  const container = domCache.get('variants-editor');
+  if (!container) return;
+
+  const platformId = variantsState.activePlatformId;
+  if (!platformId) {
+    container.innerHTML = '<p class="text-xs text-gray-400">请先选择平台</p>';
+    return;
   }
+
+  const escape = FormatConverter.escapeHtml;
+  const variant = appState.platformVariants[platformId] || {};
+  const mediaItems = getVariantMediaItems(variant);
+  const videoPreviews = appState.videoPreviews || [];
+
+  container.innerHTML = `
+    <div>
+      <label class="block text-xs font-medium text-gray-600 mb-1">标题</label>
+      <input type="text" class="input-field" data-variant-field="title" value="${escape(variant.title ?? appState.title ?? '')}" placeholder="沿用主标题" autocomplete="off" />
+    </div>
+    <div>
+      <label class="block text-xs font-medium text-gray-600 mb-1">正文</label>
+      <textarea class="textarea-field" rows="6" data-variant-field="content" placeholder="沿用主内容" autocomplete="off">${escape(variant.content ?? appState.content ?? '')}</textarea>
+    </div>
+    <div>
+      <label class="block text-xs font-medium text-gray-600 mb-1">话题标签</label>
+      <input type="text" class="input-field" data-variant-field="hashtags" value="${escape(variant.hashtags || '')}" placeholder="沿用已选话题，例如：旅行 摄影" autocomplete="off" />
+    </div>
+    ${mediaItems.length > 0 ? `
+      <div>
+        <label class="block text-xs font-medium text-gray-600 mb-1">媒体（勾选要发布的文件，发布时图片排在视频之前）</label>
+        <ul class="space-y-1">
+          ${mediaItems.map((item, index) => `
+            <li class="flex items-center space-x-2 p-1 rounded-md border border-gray-200 ${item.selected ? '' : 'opacity-50'}">
+              <input type="checkbox" data-variant-media="${escape(getVariantMediaKey(item.preview))}" ${item.selected ? 'checked' : ''} />
+              ${videoPreviews.includes(item.preview)
+                ? '<span class="w-8 h-8 flex items-center justify-center bg-gray-100 rounded text-sm">🎬</span>'
+                : `<img src="${item.preview.dataUrl}" class="w-8 h-8 object-cover rounded" alt="" />`}
+              <span class="flex-1 text-xs text-gray-700 truncate">${escape(item.preview.name || '')}</span>
+              <button type="button" class="px-1 text-gray-400 hover:text-gray-700 disabled:opacity-30" data-variant-action="move" data-index="${index}" data-offset="-1" ${index === 0 ? 'disabled' : ''}>↑</button>
+              <button type="button" class="px-1 text-gray-400 hover:text-gray-700 disabled:opacity-30" data-variant-action="move" data-index="${index}" data-offset="1" ${index === mediaItems.length - 1 ? 'disabled' : ''}>↓</button>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    ` : ''}
+    <div>
+      <label class="block text-xs font-medium text-gray-600 mb-1">与主内容的差异</label>
+      <div id="variants-diff" class="p-2 rounded-md border border-gray-200 bg-gray-50 text-sm text-gray-700 whitespace-pre-wrap break-words max-h-48 overflow-y-auto"></div>
+    </div>
+    <div class="flex justify-end">
+      <button type="button" class="text-xs text-gray-500 hover:text-red-600 disabled:opacity-40 disabled:hover:text-gray-500" data-variant-action="reset" ${getPlatformVariant(platformId) ? '' : 'disabled'}>
+        恢复为主内容
+      </button>
+    </div>
+  `;
+
+  updateVariantDiff();
 }
 
-// 视频上传处理函数
-async function handleVideoUpload(event) {
-  const files = event.target.files;
-  if (!files || files.length === 0) return;
+// 更新当前平台正文与主内容的差异展示
+function updateVariantDiff() {
+  const container = document.getElementById('variants-diff');
+  if (!container) return;
 
-  if (mainController) {
-    // 使用新的文件管理方案（与图片上传保持一致）
-    await mainController.handleVideoSelection(files);
-  } else {
-    // 降级到原有方案
-    videoUploadHandler.handleUpload(event);
+  const variant = getPlatformVariant(variantsState.activePlatformId);
+  const resetButton = domCache.get('variants-editor')?.querySelector('[data-variant-action="reset"]');
+  if (resetButton) {
+    resetButton.disabled = !variant;
   }
-}
 
-// 支持的文件类型常量
-const SUPPORTED_FILE_TYPES = {
-  IMAGE: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'],
-  VIDEO: ['video/mp4', 'video/mov', 'video/quicktime', 'video/avi', 'video/webm'],
-  get ALL() {
-    return [...this.IMAGE, ...this.VIDEO];
-  },
-  get ACCEPT_STRING() {
-    return this.ALL.join(',');
+  const master = appState.content || '';
+  const text = variant ? resolveVariantText(variant, appState.title, master) : null;
+  const hashtagsChanged = variant?.hashtags !== undefined;
+  if (!text || (text.content === master && text.title === appState.title && !hashtagsChanged)) {
+    container.innerHTML = '<span class="text-gray-400">与主内容相同</span>';
+    return;
   }
-};
 
-// 文件类型识别和分类处理
-function categorizeFiles(files) {
-  const imageFiles = [];
-  const videoFiles = [];
-  const unsupportedFiles = [];
+  const escape = FormatConverter.escapeHtml;
+  const titleDiff = text.title !== (appState.title || '')
+    ? `<p class="mb-2 text-xs text-gray-500">标题：${escape(text.title) || '（空）'}</p>`
+    : '';
+  const hashtagDiff = hashtagsChanged
+    ? `<p class="mb-2 text-xs text-gray-500">话题：${escape(normalizeHashtags(variant.hashtags))}</p>`
+    : '';
+  container.innerHTML = titleDiff + hashtagDiff + computeTextDiff(master, text.content).map(part => {
+    if (part.type === 'insert') return `<ins class="bg-green-100 text-green-800 no-underline">${escape(part.text)}</ins>`;
+    if (part.type === 'delete') return `<del class="bg-red-100 text-red-700">${escape(part.text)}</del>`;
+    return escape(part.text);
+  }).join('');
+}
 
-  Array.from(files).forEach(file => {
-    if (SUPPORTED_FILE_TYPES.IMAGE.includes(file.type)) {
-      imageFiles.push(file);
-    } else if (SUPPORTED_FILE_TYPES.VIDEO.includes(file.type)) {
-      videoFiles.push(file);
-    } else {
-      unsupportedFiles.push(file);
-    }
-  });
+// ===== 话题标签 =====
 
-  return { imageFiles, videoFiles, unsupportedFiles };
+/**
+ * 构建话题推荐提示词
+ * @param {string} title - 标题
+ * @param {string} content - 正文
+ * @returns {string} 提示词
+ */
+function buildHashtagSuggestionPrompt(title, content) {
+  return `请根据下面的内容推荐不超过${HASHTAG_CONFIG.MAX_SUGGESTIONS}个适合在社交媒体发布时使用的话题。
+要求：话题与内容高度相关，优先选择简短、常用的话题；每个话题不超过${HASHTAG_CONFIG.MAX_TAG_LENGTH}个字符，不包含#号和空格。
+只输出JSON数组，不要输出其他内容，例如：["旅行","摄影"]
+${title ? `\n标题：${title}` : ''}
+内容：
+${content}`;
 }
 
-// 处理混合文件上传
-async function handleMixedFileUpload(files) {
-  if (!mainController) {
-    console.warn('MainController not available, skipping file upload');
-    return;
-  }
+/**
+ * 解析AI返回的话题：优先按JSON数组解析，失败时按换行或逗号分隔
+ * @param {string} output - 模型输出
+ * @returns {string[]} 话题名称（不含 #）
+ */
+function parseHashtagSuggestions(output) {
+  const text = (output || '').trim();
+  let candidates = [];
 
-  const { imageFiles, videoFiles, unsupportedFiles } = categorizeFiles(files);
+  const jsonMatch = text.match(/\[[\s\S]*\]/);
+  if (jsonMatch) {
+    try {
+      const parsed = JSON.parse(jsonMatch[0]);
+      if (Array.isArray(parsed)) {
+        candidates = parsed.map(String);
+      }
+    } catch (error) {
+      console.warn('话题推荐结果不是有效的JSON，按分隔符解析');
+    }
+  }
 
-  // 显示不支持的文件提示
-  if (unsupportedFiles.length > 0) {
-    const unsupportedNames = unsupportedFiles.map(f => f.name).join(', ');
-    FileErrorHandler.handleFormatError(unsupportedNames, '文件');
+  if (candidates.length === 0) {
+    candidates = text.split(/[\n,，、]+/).map(line => line.replace(/^\s*(?:\d+[.、)]|[-*•])\s*/, ''));
   }
 
-  // 并行处理图片和视频文件
-  const uploadPromises = [];
+  // 去掉引号和话题内部的空格后统一解析
+  const normalized = candidates.map(tag => tag.replace(/["'“”‘’\s]/g, '')).join(' ');
+  return parseHashtags(normalized)
+    .filter(tag => tag.length <= HASHTAG_CONFIG.MAX_TAG_LENGTH)
+    .slice(0, HASHTAG_CONFIG.MAX_SUGGESTIONS);
+}
 
-  if (imageFiles.length > 0) {
-    uploadPromises.push(mainController.handleFileSelection(imageFiles));
+// 使用默认模型根据当前内容推荐话题
+async function suggestHashtags() {
+  const content = (appState.content || '').trim();
+  if (!content) {
+    showNotification('请先输入内容，再推荐话题', 'warning');
+    return;
   }
-
-  if (videoFiles.length > 0) {
-    uploadPromises.push(mainController.handleVideoSelection(videoFiles));
+  if (hashtagState.loading) {
+    return;
   }
 
-  // 等待所有上传完成
-  if (uploadPromises.length > 0) {
-    await Promise.all(uploadPromises);
+  hashtagState.loading = true;
+  renderHashtagSection();
+
+  try {
+    const output = await window.contentOptimizationService.completePrompt(
+      buildHashtagSuggestionPrompt(appState.title, content)
+    );
+    const suggestions = parseHashtagSuggestions(output);
+    if (suggestions.length === 0) {
+      throw new Error('未能从AI结果中解析出话题');
+    }
+    hashtagState.suggestions = suggestions;
+  } catch (error) {
+    console.error('AI推荐话题失败:', error);
+    showNotification(`AI推荐话题失败: ${error.message}`, 'error');
+  } finally {
+    hashtagState.loading = false;
+    renderHashtagSection();
   }
 }
 
-// 创建隐藏的文件输入元素
-function createFileInput() {
-  const input = document.createElement('input');
-  input.type = 'file';
-  input.multiple = true;
-  input.accept = SUPPORTED_FILE_TYPES.ACCEPT_STRING;
-  input.style.display = 'none';
-  return input;
+/**
+ * 更新已选话题并同步预览和草稿
+ * @param {string[]} hashtags - 话题名称
+ */
+function setSelectedHashtags(hashtags) {
+  appState.hashtags = hashtags;
+  renderHashtagSection();
+  updateXThreadPreview();
+  saveToStorageData();
 }
 
-// 上传提示框点击处理
-function handlePlaceholderClick() {
-  const fileInput = createFileInput();
+// 渲染话题列表：已选话题在前，未选的推荐话题在后
+function renderHashtagSection() {
+  const list = domCache.get('hashtag-list');
+  const suggestButton = domCache.get('hashtag-suggest-btn');
+  if (!list) return;
 
-  fileInput.addEventListener('change', async (event) => {
-    const files = event.target.files;
-    if (files && files.length > 0) {
-      await handleMixedFileUpload(files);
-    }
-    // 清理临时输入元素
-    document.body.removeChild(fileInput);
-  });
+  const selected = appState.hashtags || [];
+  const tags = [...new Set([...selected, ...hashtagState.suggestions])];
+  const escape = FormatConverter.escapeHtml;
 
-  document.body.appendChild(fileInput);
-  fileInput.click();
+  list.innerHTML = tags.length === 0
+    ? '<span class="text-xs text-gray-400">暂无话题，可使用AI推荐或在下方手动添加</span>'
+    : tags.map(tag => {
+      const isSelected = selected.includes(tag);
+      return `
+        <button
+          type="button"
+          data-hashtag="${escape(tag)}"
+          class="px-2 py-1 text-xs rounded-full border ${isSelected ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-500 hover:border-blue-300'}"
+        >#${escape(tag)}</button>
+      `;
+    }).join('');
+
+  if (suggestButton) {
+    suggestButton.disabled = hashtagState.loading;
+    suggestButton.textContent = hashtagState.loading ? '推荐中...' : '✨ AI推荐话题';
+  }
 }
 
-// 拖拽事件处理
-function setupDragAndDrop(placeholder) {
-  const dragEvents = ['dragenter', 'dragover', 'dragleave', 'drop'];
-  const dragEnterEvents = ['dragenter', 'dragover'];
+// 初始化话题标签区域
+function initializeHashtagSection() {
+  const suggestButton = domCache.get('hashtag-suggest-btn');
+  const list = domCache.get('hashtag-list');
+  const input = domCache.get('hashtag-input');
 
-  // 防止默认拖拽行为
-  dragEvents.forEach(eventName => {
-    placeholder.addEventListener(eventName, preventDefaults, false);
-    document.body.addEventListener(eventName, preventDefaults, false);
-  });
+  if (!suggestButton || !list || !input) {
+    return;
+  }
 
-  // 拖拽进入和悬停 - 统一处理函数
-  const handleDragEnter = () => placeholder.classList.add('drag-over');
-  dragEnterEvents.forEach(eventName => {
-    placeholder.addEventListener(eventName, handleDragEnter, false);
+  suggestButton.addEventListener('click', () => suggestHashtags());
+
+  // 事件委托切换话题选中状态
+  list.addEventListener('click', (event) => {
+    const tag = event.target.closest('[data-hashtag]')?.dataset.hashtag;
+    if (!tag) return;
+
+    const selected = appState.hashtags || [];
+    setSelectedHashtags(selected.includes(tag) ? selected.filter(t => t !== tag) : [...selected, tag]);
   });
 
-  // 拖拽离开
-  placeholder.addEventListener('dragleave', (e) => {
-    // 只有当拖拽真正离开元素时才移除样式
-    if (!placeholder.contains(e.relatedTarget)) {
-      placeholder.classList.remove('drag-over');
-    }
-  }, false);
+  input.addEventListener('keydown', (event) => {
+    if (event.key !== 'Enter' || event.isComposing) return;
+    event.preventDefault();
 
-  // 文件释放
-  placeholder.addEventListener('drop', async (e) => {
-    placeholder.classList.remove('drag-over');
-    const files = e.dataTransfer.files;
-    if (files?.length > 0) {
-      await handleMixedFileUpload(files);
+    const added = parseHashtags(input.value);
+    if (added.length > 0) {
+      setSelectedHashtags([...new Set([...(appState.hashtags || []), ...added])]);
     }
-  }, false);
-}
-
-// 防止默认拖拽行为
-function preventDefaults(e) {
-  e.preventDefault();
-  e.stopPropagation();
-}
+    input.value = '';
+  });
 
-function togglePlatform(platform) {
-  const isSelected = appState.selectedPlatforms.find(p => p.id === platform.id);
-  if (isSelected) {
-    appState.selectedPlatforms = appState.selectedPlatforms.filter(p => p.id !== platform.id);
-  } else {
-    appState.selectedPlatforms.push(platform);
-  }
-  updatePlatformSelection();
-  saveToStorageData();
+  renderHashtagSection();
 }
 
-// 缓存平台信息以避免重复查找
-const platformCache = new Map(SUPPORTED_PLATFORMS.map(p => [p.id, p]));
+// ===== 图片描述 =====
 
 /**
- * 生成平台logo HTML（统一的logo渲染逻辑）
- * @param {Object} platform - 平台对象
- * @returns {string} - logo HTML字符串
+ * 构建图片描述提示词
+ * @param {string} context - 正文摘录，帮助模型理解图片用途
+ * @returns {string} 提示词
  */
-function generatePlatformLogoHTML(platform) {
-  return `
-    <img
-      src="${platform.logoUrl}"
-      alt="${platform.name} logo"
-      class="w-6 h-6 rounded-sm mr-3 platform-logo"
-      data-platform-id="${platform.id}"
-      onerror="handleLogoError(this, '${platform.id}')"
-    />
-    <div class="w-6 h-6 rounded-sm ${platform.color} mr-3" style="display: none;"></div>
-  `;
+function buildImageDescriptionPrompt(context) {
+  return `请为这张将发布到社交媒体的图片生成替代文本和配图说明。
+替代文本：客观描述图片中的主体、场景、文字和颜色，供视障用户通过读屏软件理解图片，不超过200字。
+配图说明：一句简短、自然的说明，适合放在图片下方，不超过${IMAGE_DESCRIPTION_CONFIG.MAX_CAPTION_LENGTH}字。
+只输出JSON，不要输出其他内容，格式：{"altText":"...","caption":"..."}
+${context ? `\n图片所配的正文（仅供参考）：\n${context}` : ''}`;
 }
 
 /**
- * 处理平台logo加载失败的情况
- * @param {HTMLImageElement} imgElement - 图片元素
- * @param {string} platformId - 平台ID
+ * 解析AI返回的图片描述：优先按JSON解析，失败时将整段输出作为替代文本
+ * @param {string} output - 模型输出
+ * @returns {{altText: string, caption: string}} 图片描述
  */
-function handleLogoError(imgElement, platformId) {
-  const platform = platformCache.get(platformId);
-  if (!platform) return;
+function parseImageDescription(output) {
+  const text = (output || '').trim();
+  let altText = text;
+  let caption = '';
 
-  // 隐藏失败的图片
-  imgElement.style.display = 'none';
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    try {
+      const parsed = JSON.parse(jsonMatch[0]);
+      altText = String(parsed.altText || '').trim();
+      caption = String(parsed.caption || '').trim();
+    } catch (error) {
+      console.warn('图片描述结果不是有效的JSON，整段作为替代文本');
+    }
+  }
 
-  // 显示备用的颜色块
-  const fallbackElement = imgElement.nextElementSibling;
-  if (fallbackElement) {
-    fallbackElement.style.display = 'block';
-    fallbackElement.classList.add('platform-logo-fallback');
-    // 添加平台名称首字母作为备用显示
-    fallbackElement.textContent = platform.name.charAt(0);
+  return {
+    altText: altText.slice(0, IMAGE_DESCRIPTION_CONFIG.MAX_ALT_TEXT_LENGTH),
+    caption: caption.slice(0, IMAGE_DESCRIPTION_CONFIG.MAX_CAPTION_LENGTH)
+  };
+}
+
+/**
+ * 获取图片缩略图，分块上传的预览没有缩略图时使用 FileManager 按需生成
+ * @param {Object} image - 图片预览数据
+ * @returns {Promise<string>} 缩略图数据URL
+ */
+async function ensureImageThumbnail(image) {
+  if (image.thumbnail) {
+    return image.thumbnail;
   }
 
-  // 只在开发环境输出警告
-  if (window.location.href.includes('localhost') || window.location.href.includes('file://')) {
-    console.warn(`Failed to load logo for ${platform.name}, using fallback`);
+  const fileManager = mainController?.fileManager;
+  const file = fileManager ? await getPreviewFile(image) : null;
+  if (!file) {
+    throw new Error('无法读取图片');
   }
+
+  image.thumbnail = await fileManager.generateThumbnail(file);
+  return image.thumbnail;
 }
 
-async function handleStartPublish() {
-  // 统一的内容获取和验证逻辑
-  const contentValidation = getAndValidateContent();
-  if (!contentValidation.isValid) {
-    alert(contentValidation.message);
+/**
+ * 汇总图片描述，按发布时使用的文件ID（或预览ID）索引
+ * @param {Array} images - 图片预览数据
+ * @returns {Object} { [文件ID]: { altText, caption } }
+ */
+function getMediaDescriptions(images) {
+  const descriptions = {};
+  (images || []).forEach(image => {
+    if (image.altText || image.caption) {
+      descriptions[image.fileId || image.id] = {
+        altText: image.altText || '',
+        caption: image.caption || ''
+      };
+    }
+  });
+  return descriptions;
+}
+
+// 为尚未填写替代文本的图片逐张生成描述
+async function generateImageDescriptions() {
+  if (imageDescriptionState.generating) {
     return;
   }
 
-  if (appState.selectedPlatforms.length === 0) {
-    alert('请选择至少一个平台');
+  const pending = appState.imagePreviews.filter(image => !image.altText);
+  if (pending.length === 0) {
+    showNotification('所有图片都已有替代文本，清空某张图片的描述后可重新生成', 'info');
     return;
   }
 
-  // 统一的按钮反馈效果
-  showButtonClickFeedback();
-
-  try {
-    // 清理历史发布状态，确保从干净状态开始
-    await clearPublishResults({
-      isNewSession: true,
-      selectedPlatforms: appState.selectedPlatforms.map(p => p.id),
-      reason: 'newSession'
-    });
+  const prompt = buildImageDescriptionPrompt((appState.content || '').trim().slice(0, IMAGE_DESCRIPTION_CONFIG.CONTEXT_LENGTH));
+  let failedCount = 0;
 
-    // 立即打开侧边栏（在用户手势触发的上下文中）
-    await openSidepanelForPublish();
+  imageDescriptionState.generating = true;
 
-    // 检查是否有平台需要进行内容优化
-    const platformsNeedOptimization = await getPlatformsNeedingOptimization();
+  for (const [index, image] of pending.entries()) {
+    imageDescriptionState.progress = `${index + 1}/${pending.length}`;
+    renderImageDescriptions();
 
-    if (platformsNeedOptimization.length > 0) {
-      // 有平台需要优化，先进行内容优化
-      await handleContentOptimizationFlow(contentValidation, platformsNeedOptimization);
-    } else {
-      // 没有平台需要优化，直接发布
-      const publishData = await createPublishDataFromValidated(contentValidation, mainController);
-      await executePublish(publishData);
+    try {
+      const thumbnail = await ensureImageThumbnail(image);
+      const output = await window.contentOptimizationService.completePrompt(prompt, { images: [thumbnail] });
+      Object.assign(image, parseImageDescription(output));
+    } catch (error) {
+      failedCount++;
+      console.error(`生成图片描述失败: ${image.name}`, error);
     }
-
-  } catch (error) {
-    Utils.handleError(error, '发布失败，请重试');
   }
-}
-
-// 在用户手势触发的上下文中打开侧边栏
-async function openSidepanelForPublish() {
-  try {
-    console.log('📱 正在打开侧边栏...');
 
-    // 在用户手势触发的上下文中打开侧边栏
-    await chrome.sidePanel.open({ windowId: (await chrome.windows.getCurrent()).id });
+  imageDescriptionState.generating = false;
+  imageDescriptionState.progress = '';
+  renderImageDescriptions();
+  saveToStorageData();
 
-    // 等待侧边栏加载完成
-    await new Promise(resolve => setTimeout(resolve, 500));
+  if (failedCount > 0) {
+    showNotification(`${failedCount} 张图片描述生成失败，请确认默认模型支持图片输入`, 'error');
+  } else {
+    showNotification(`已生成 ${pending.length} 张图片的描述`, 'success');
+  }
+}
+
+// 渲染图片描述列表（无图片时隐藏）
+function renderImageDescriptions() {
+  const section = domCache.get('image-descriptions-section');
+  const list = domCache.get('image-descriptions-list');
+  const generateButton = domCache.get('image-descriptions-generate-btn');
+  if (!section || !list) return;
+
+  const images = appState.imagePreviews || [];
+  section.classList.toggle('hidden', images.length === 0);
+
+  if (generateButton) {
+    generateButton.disabled = imageDescriptionState.generating;
+    generateButton.textContent = imageDescriptionState.generating
+      ? `生成中 ${imageDescriptionState.progress}`
+      : '✨ AI生成描述';
+  }
+
+  // 输入过程中不重建列表，避免打断正在编辑的字段
+  if (list.contains(document.activeElement)) return;
+
+  const escape = FormatConverter.escapeHtml;
+  list.innerHTML = images.map((image, index) => `
+    <div class="flex gap-2 items-start">
+      <img src="${escape(image.thumbnail || image.dataUrl || '')}" alt="" class="w-12 h-12 rounded object-cover flex-shrink-0 bg-gray-100">
+      <div class="flex-1 space-y-1">
+        <textarea
+          data-image-id="${escape(image.id)}"
+          data-field="altText"
+          rows="2"
+          maxlength="${IMAGE_DESCRIPTION_CONFIG.MAX_ALT_TEXT_LENGTH}"
+          class="input-field text-xs"
+          placeholder="图片 ${index + 1} 的替代文本（供读屏软件朗读）"
+        >${escape(image.altText || '')}</textarea>
+        <input
+          type="text"
+          data-image-id="${escape(image.id)}"
+          data-field="caption"
+          maxlength="${IMAGE_DESCRIPTION_CONFIG.MAX_CAPTION_LENGTH}"
+          class="input-field text-xs"
+          placeholder="配图说明（可选）"
+          value="${escape(image.caption || '')}"
+        />
+      </div>
+    </div>
+  `).join('');
+}
 
-    console.log('✅ 侧边栏已打开');
+// 初始化图片描述区域
+function initializeImageDescriptions() {
+  const section = domCache.get('image-descriptions-section');
+  const generateButton = domCache.get('image-descriptions-generate-btn');
+  const list = domCache.get('image-descriptions-list');
 
-  } catch (error) {
-    console.error('❌ 打开侧边栏失败:', error);
-    // 不抛出错误，继续执行发布流程
+  if (!section || !generateButton || !list) {
+    return;
   }
-}
 
-// AI内容优化功能 - 使用统一的优化服务
-async function optimizeContentWithPrompt(originalContent, promptName) {
-  try {
-    // 🔧 修复：添加调试日志以验证文章模式的内容优化
-    console.log(`🤖 开始AI内容优化`, {
-      contentType: appState.currentContentType,
-      promptName: promptName,
-      contentLength: originalContent.length,
-      contentPreview: originalContent.substring(0, 100) + (originalContent.length > 100 ? '...' : '')
-    });
+  generateButton.addEventListener('click', () => generateImageDescriptions());
 
-    // 使用ContentOptimizationService简化优化逻辑
-    if (window.contentOptimizationService) {
-      const result = await window.contentOptimizationService.optimizeContent(originalContent, promptName);
-      console.log('✅ AI内容优化完成（服务模式）', {
-        originalLength: originalContent.length,
-        optimizedLength: result.length
-      });
-      return result;
-    } else {
-      // 降级到原有实现（保持兼容性）
-      const promptData = await getPromptByName(promptName);
-      if (!promptData) {
-        throw new Error(`未找到提示词: ${promptName}`);
-      }
-      const optimizedContent = await callAIOptimizationAPI(originalContent, promptData);
-      console.log('✅ AI内容优化完成（API模式）', {
-        originalLength: originalContent.length,
-        optimizedLength: optimizedContent.length
-      });
-      return optimizedContent;
-    }
-  } catch (error) {
-    console.error('❌ AI内容优化失败:', error);
-    throw new Error(`内容优化失败: ${error.message}`);
-  }
+  list.addEventListener('input', (event) => {
+    const { imageId, field } = event.target.dataset;
+    const image = appState.imagePreviews.find(item => item.id === imageId);
+    if (!image || !field) return;
+
+    image[field] = event.target.value;
+    debouncedSaveToStorage();
+  });
+
+  // 失去焦点后刷新，使AI生成期间的编辑与列表保持一致
+  list.addEventListener('focusout', () => setTimeout(renderImageDescriptions, 0));
+
+  renderImageDescriptions();
 }
 
-// 获取提示词详细信息
-async function getPromptByName(promptName) {
-  try {
-    // 尝试从MomentDots的存储键获取
-    let result = await chrome.storage.local.get(['promptPrompts']);
-    let prompts = result.promptPrompts || [];
+// ===== 图片裁剪 =====
 
-    // 如果没有找到，尝试从独立prompt扩展的存储键获取
-    if (prompts.length === 0) {
-      result = await chrome.storage.local.get(['prompts']);
-      prompts = result.prompts || [];
-    }
+// 裁剪编辑器状态（同一时间只编辑一张图片）
+const imageCropState = {
+  imageId: null,
+  target: IMAGE_CROP_CONFIG.ALL_PLATFORMS, // 裁剪应用的平台
+  presetId: 'free',
+  rotation: 0,
+  rect: null,        // 裁剪框：旋转后图片上的 0~1 比例 { x, y, width, height }
+  bitmap: null,
+  displayWidth: 0,   // 编辑区中图片的显示尺寸
+  displayHeight: 0,
+  drag: null,
+  modal: null
+};
 
-    const foundPrompt = prompts.find(prompt => prompt.name === promptName);
-    console.log(`查找提示词 "${promptName}":`, foundPrompt ? '找到' : '未找到', `(共${prompts.length}个提示词)`);
+/**
+ * 获取图片在指定平台使用的裁剪信息（平台单独设置优先，其次为所有平台）
+ * @param {Object} image - 图片预览数据
+ * @param {string} platformId - 平台ID
+ * @returns {Object|null} 裁剪信息
+ */
+function getImageCrop(image, platformId) {
+  return image.crops?.[platformId] || image.crops?.[IMAGE_CROP_CONFIG.ALL_PLATFORMS] || null;
+}
 
-    return foundPrompt;
-  } catch (error) {
-    console.error('获取提示词失败:', error);
+/**
+ * 获取旋转后的图片尺寸
+ * @returns {{width: number, height: number}} 尺寸
+ */
+function getRotatedImageSize() {
+  const { bitmap, rotation } = imageCropState;
+  return rotation % 180 === 0
+    ? { width: bitmap.width, height: bitmap.height }
+    : { width: bitmap.height, height: bitmap.width };
+}
+
+/**
+ * 获取当前预设比例对应的裁剪框宽高比（按 0~1 比例坐标换算）
+ * @returns {number|null} 宽高比，自由裁剪时返回 null
+ */
+function getCropRectAspect() {
+  const preset = IMAGE_CROP_CONFIG.PRESETS.find(p => p.id === imageCropState.presetId);
+  if (!preset?.ratio) {
     return null;
   }
+  const { width, height } = getRotatedImageSize();
+  return preset.ratio * height / width;
 }
 
-// 调用AI优化API
-async function callAIOptimizationAPI(originalContent, promptData) {
+/**
+ * 生成居中且尽量大的裁剪框
+ * @returns {Object} 裁剪框
+ */
+function createCenteredCropRect() {
+  const aspect = getCropRectAspect();
+  if (!aspect) {
+    return { x: 0, y: 0, width: 1, height: 1 };
+  }
+
+  const width = aspect >= 1 ? 1 : aspect;
+  const height = aspect >= 1 ? 1 / aspect : 1;
+  return { x: (1 - width) / 2, y: (1 - height) / 2, width, height };
+}
+
+/**
+ * 载入指定平台已保存的裁剪，未设置时按平台推荐比例生成裁剪框
+ * @param {string} target - 平台ID或所有平台
+ */
+function loadImageCropTarget(target) {
+  const image = appState.imagePreviews.find(item => item.id === imageCropState.imageId);
+  const crop = image?.crops?.[target];
+
+  imageCropState.target = target;
+  imageCropState.rotation = crop?.rotation || 0;
+  imageCropState.presetId = crop?.presetId || IMAGE_CROP_CONFIG.PLATFORM_PRESETS[target] || 'free';
+  imageCropState.rect = crop
+    ? { x: crop.x, y: crop.y, width: crop.width, height: crop.height }
+    : createCenteredCropRect();
+}
+
+/**
+ * 打开图片裁剪编辑器
+ * @param {string} imageId - 图片ID
+ */
+async function openImageCropEditor(imageId) {
+  const image = appState.imagePreviews.find(item => item.id === imageId);
+  if (!image) return;
+
+  closeImageCropEditor();
+
   try {
-    // 获取AI API设置
-    const settings = await getAISettings();
-    if (!settings) {
-      throw new Error('AI API未配置，请先在提示词助手中配置API Key');
+    const file = await getPreviewFile(image);
+    if (!file) {
+      throw new Error('无法读取图片');
     }
+    imageCropState.bitmap = await window.mediaPipelineService.decodeImage(file);
+  } catch (error) {
+    console.error('打开图片裁剪失败:', error);
+    showNotification(`无法编辑图片: ${error.message}`, 'error');
+    return;
+  }
 
-    // 获取API配置（支持两种设置结构）
-    let apiKey, endpoint;
+  imageCropState.imageId = imageId;
+  loadImageCropTarget(IMAGE_CROP_CONFIG.ALL_PLATFORMS);
 
-    if (settings.models && settings.models.length > 0) {
-      // MomentDots格式：settings.models[0].apiKey
-      const model = settings.models.find(m => m.id === (promptData.model || settings.defaultModel)) || settings.models[0];
-      apiKey = model.apiKey;
-      endpoint = model.endpoint;
-    } else if (settings.apiKey) {
-      // 独立prompt扩展格式：settings.apiKey
-      apiKey = settings.apiKey;
-      endpoint = settings.endpoint || 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
+  imageCropState.modal = createImageCropModal(image);
+  document.body.appendChild(imageCropState.modal);
+  renderImageCropEditor(true);
+}
+
+// 关闭图片裁剪编辑器并释放图片
+function closeImageCropEditor() {
+  imageCropState.modal?.remove();
+  imageCropState.modal = null;
+  imageCropState.bitmap?.close();
+  imageCropState.bitmap = null;
+  imageCropState.imageId = null;
+  imageCropState.drag = null;
+}
+
+/**
+ * 创建裁剪编辑器弹窗
+ * @param {Object} image - 图片预览数据
+ * @returns {HTMLElement} 弹窗元素
+ */
+function createImageCropModal(image) {
+  const escape = FormatConverter.escapeHtml;
+  const platformPresetNames = (presetId) => Object.entries(IMAGE_CROP_CONFIG.PLATFORM_PRESETS)
+    .filter(([, id]) => id === presetId)
+    .map(([platformId]) => getPlatformById(platformId)?.name || platformId);
+
+  const modal = document.createElement('div');
+  modal.className = 'image-crop-modal';
+  modal.innerHTML = `
+    <div class="image-crop-dialog bg-white rounded-lg shadow-lg p-5 space-y-3">
+      <div class="flex items-center justify-between">
+        <h3 class="text-base font-medium text-gray-800">裁剪 / 旋转：${escape(image.name || '')}</h3>
+        <button type="button" class="text-gray-400 hover:text-gray-600 text-xl" data-crop-action="cancel">×</button>
+      </div>
+      <div class="flex flex-wrap items-center gap-2 text-sm">
+        <label class="text-gray-600">应用于</label>
+        <select class="input-field text-sm w-auto" data-crop-target>
+          <option value="${IMAGE_CROP_CONFIG.ALL_PLATFORMS}">所有平台</option>
+          ${(appState.selectedPlatforms || []).map(platform =>
+            `<option value="${escape(platform.id)}">${escape(platform.name)}${image.crops?.[platform.id] ? '（已单独裁剪）' : ''}</option>`
+          ).join('')}
+        </select>
+        <button type="button" class="btn-secondary text-sm py-1 px-2" data-crop-action="rotate" data-rotate="-90" title="向左旋转">⟲</button>
+        <button type="button" class="btn-secondary text-sm py-1 px-2" data-crop-action="rotate" data-rotate="90" title="向右旋转">⟳</button>
+      </div>
+      <div class="flex flex-wrap gap-2">
+        ${IMAGE_CROP_CONFIG.PRESETS.map(preset => {
+          const platformNames = platformPresetNames(preset.id);
+          return `<button type="button" class="image-crop-preset text-xs border rounded px-2 py-1" data-crop-preset="${preset.id}">${preset.label}${platformNames.length ? `（${escape(platformNames.join('、'))}）` : ''}</button>`;
+        }).join('')}
+      </div>
+      <div class="image-crop-stage-wrapper">
+        <div class="image-crop-stage">
+          <canvas></canvas>
+          <div class="image-crop-box"><div class="image-crop-handle"></div></div>
+        </div>
+      </div>
+      <div class="text-xs text-gray-400">拖动裁剪框调整位置，拖动右下角调整大小；裁剪不会修改原图，发布时为对应平台生成裁剪后的图片</div>
+      <div class="flex justify-end gap-2">
+        <button type="button" class="btn-secondary text-sm" data-crop-action="reset">恢复原图</button>
+        <button type="button" class="btn-secondary text-sm" data-crop-action="cancel">取消</button>
+        <button type="button" class="btn-primary text-sm" data-crop-action="save">保存</button>
+      </div>
+    </div>
+  `;
+
+  bindImageCropModalEvents(modal);
+  return modal;
+}
+
+/**
+ * 绑定裁剪编辑器事件
+ * @param {HTMLElement} modal - 弹窗元素
+ */
+function bindImageCropModalEvents(modal) {
+  modal.addEventListener('click', (event) => {
+    if (event.target === modal) {
+      closeImageCropEditor();
+      return;
     }
 
-    if (!apiKey) {
-      throw new Error('API Key未配置，请先在提示词助手中配置API Key');
+    const presetButton = event.target.closest('[data-crop-preset]');
+    if (presetButton) {
+      imageCropState.presetId = presetButton.dataset.cropPreset;
+      imageCropState.rect = createCenteredCropRect();
+      renderImageCropEditor();
+      return;
     }
 
-    console.log('使用API配置:', { endpoint: endpoint, hasApiKey: !!apiKey });
+    const actionButton = event.target.closest('[data-crop-action]');
+    if (!actionButton) return;
 
-    // 构建请求内容
-    let combinedContent = promptData.content;
-    if (combinedContent.includes('【用户输入内容】')) {
-      combinedContent = combinedContent.replace('【用户输入内容】', originalContent);
+    const action = actionButton.dataset.cropAction;
+    if (action === 'rotate') {
+      // 旋转后坐标系改变，重新生成裁剪框
+      imageCropState.rotation = (imageCropState.rotation + Number(actionButton.dataset.rotate) + 360) % 360;
+      imageCropState.rect = createCenteredCropRect();
+      renderImageCropEditor(true);
+    } else if (action === 'reset') {
+      saveImageCrop(null);
+    } else if (action === 'save') {
+      saveImageCrop({ ...imageCropState.rect, rotation: imageCropState.rotation, presetId: imageCropState.presetId });
     } else {
-      combinedContent = `${promptData.content}\n\n用户输入的内容：\n${originalContent}`;
+      closeImageCropEditor();
     }
+  });
 
-    console.log('发送给AI的内容:', combinedContent.substring(0, 200) + '...');
+  modal.querySelector('[data-crop-target]').addEventListener('change', (event) => {
+    loadImageCropTarget(event.target.value);
+    renderImageCropEditor(true);
+  });
 
-    // 调用Gemini API
-    const requestBody = {
-      contents: [{
-        parts: [{
-          text: combinedContent
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 8192,
-      }
+  modal.querySelector('.image-crop-box').addEventListener('pointerdown', (event) => {
+    event.preventDefault();
+    imageCropState.drag = {
+      mode: event.target.classList.contains('image-crop-handle') ? 'resize' : 'move',
+      startX: event.clientX,
+      startY: event.clientY,
+      startRect: { ...imageCropState.rect }
     };
+    event.currentTarget.setPointerCapture(event.pointerId);
+  });
 
-    const response = await fetch(`${endpoint}?key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody)
-    });
+  modal.querySelector('.image-crop-box').addEventListener('pointermove', (event) => {
+    if (!imageCropState.drag) return;
+    updateImageCropRect(
+      (event.clientX - imageCropState.drag.startX) / imageCropState.displayWidth,
+      (event.clientY - imageCropState.drag.startY) / imageCropState.displayHeight
+    );
+  });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`API请求失败: ${response.status} ${response.statusText}${errorData.error?.message ? ' - ' + errorData.error.message : ''}`);
-    }
+  modal.querySelector('.image-crop-box').addEventListener('pointerup', () => {
+    imageCropState.drag = null;
+  });
+}
 
-    const data = await response.json();
+/**
+ * 按拖动距离移动或缩放裁剪框（限制在图片范围内，固定比例时保持比例）
+ * @param {number} dx - 水平拖动距离（占图片宽度比例）
+ * @param {number} dy - 垂直拖动距离（占图片高度比例）
+ */
+function updateImageCropRect(dx, dy) {
+  const { mode, startRect } = imageCropState.drag;
+  const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+  const minSize = IMAGE_CROP_CONFIG.MIN_SIZE;
+
+  if (mode === 'move') {
+    imageCropState.rect = {
+      ...startRect,
+      x: clamp(startRect.x + dx, 0, 1 - startRect.width),
+      y: clamp(startRect.y + dy, 0, 1 - startRect.height)
+    };
+  } else {
+    const aspect = getCropRectAspect();
+    let width = clamp(startRect.width + dx, minSize, 1 - startRect.x);
+    let height = aspect ? width / aspect : clamp(startRect.height + dy, minSize, 1 - startRect.y);
 
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-      throw new Error('API返回数据格式错误');
+    // 固定比例时高度超出图片范围，按高度反算宽度
+    if (aspect && height > 1 - startRect.y) {
+      height = 1 - startRect.y;
+      width = height * aspect;
     }
+    imageCropState.rect = { ...startRect, width, height };
+  }
 
-    const result = data.candidates[0].content.parts[0].text;
-    console.log('AI优化结果:', result.substring(0, 200) + '...');
+  renderImageCropEditor();
+}
 
-    return result;
+/**
+ * 渲染裁剪编辑器
+ * @param {boolean} redrawImage - 是否重新绘制图片（旋转或切换平台后）
+ */
+function renderImageCropEditor(redrawImage = false) {
+  const { modal, bitmap, rotation, rect } = imageCropState;
+  if (!modal || !bitmap) return;
+
+  if (redrawImage) {
+    const size = getRotatedImageSize();
+    const scale = Math.min(
+      1,
+      IMAGE_CROP_CONFIG.STAGE_MAX_WIDTH / size.width,
+      IMAGE_CROP_CONFIG.STAGE_MAX_HEIGHT / size.height
+    );
+    imageCropState.displayWidth = Math.round(size.width * scale);
+    imageCropState.displayHeight = Math.round(size.height * scale);
 
-  } catch (error) {
-    console.error('AI API调用失败:', error);
-    throw error;
+    const canvas = modal.querySelector('.image-crop-stage canvas');
+    canvas.width = imageCropState.displayWidth;
+    canvas.height = imageCropState.displayHeight;
+
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.translate(size.width / 2, size.height / 2);
+    context.rotate(rotation * Math.PI / 180);
+    context.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2);
+
+    modal.querySelector('[data-crop-target]').value = imageCropState.target;
   }
+
+  const box = modal.querySelector('.image-crop-box');
+  box.style.left = `${rect.x * imageCropState.displayWidth}px`;
+  box.style.top = `${rect.y * imageCropState.displayHeight}px`;
+  box.style.width = `${rect.width * imageCropState.displayWidth}px`;
+  box.style.height = `${rect.height * imageCropState.displayHeight}px`;
+
+  modal.querySelectorAll('[data-crop-preset]').forEach(button => {
+    button.classList.toggle('active', button.dataset.cropPreset === imageCropState.presetId);
+  });
 }
 
-// 获取AI设置
-async function getAISettings() {
-  try {
-    // 尝试从MomentDots的存储键获取
-    let result = await chrome.storage.local.get(['promptSettings']);
-    let settings = result.promptSettings;
+/**
+ * 保存当前平台的裁剪信息（不修改原图），未旋转且未裁剪时视为恢复原图
+ * @param {Object|null} crop - 裁剪信息，null 表示恢复原图
+ */
+function saveImageCrop(crop) {
+  const image = appState.imagePreviews.find(item => item.id === imageCropState.imageId);
+  if (!image) {
+    closeImageCropEditor();
+    return;
+  }
 
-    // 如果没有找到，尝试从独立prompt扩展的存储键获取
-    if (!settings) {
-      result = await chrome.storage.local.get(['settings']);
-      settings = result.settings;
-    }
+  const isFullImage = crop && !crop.rotation
+    && crop.x <= 0 && crop.y <= 0 && crop.width >= 1 && crop.height >= 1;
+  const crops = { ...image.crops };
 
-    console.log('获取AI设置:', settings ? '找到' : '未找到');
-    return settings || null;
-  } catch (error) {
-    console.error('获取AI设置失败:', error);
-    return null;
+  if (!crop || isFullImage) {
+    delete crops[imageCropState.target];
+  } else {
+    crops[imageCropState.target] = crop;
   }
+  image.crops = crops;
+  clearDerivedImages([image]);
+
+  // 裁剪信息随文件保存到草稿的文件存储中
+  draftManager.updateMediaCrops(image)
+    .catch(error => console.warn('保存裁剪信息失败:', error));
+
+  closeImageCropEditor();
+  updateImagePreview();
+  debouncedSaveToStorage();
 }
 
-// 平台优化状态管理
-const platformOptimizationStatus = new Map();
+// ===== 自动发布设置 =====
 
-// 更新平台优化状态
-function updatePlatformOptimizationStatus(platformId, status, message) {
-  platformOptimizationStatus.set(platformId, {
-    status: status, // 'optimizing', 'publishing', 'completed', 'failed'
-    message: message,
-    timestamp: Date.now()
-  });
+// 初始化自动发布设置面板（设置保存在存储中，由后台在预填充完成后读取）
+async function initializeAutoSubmitPanel() {
+  const enabledCheckbox = domCache.get('auto-submit-enabled');
+  const optionsContainer = domCache.get('auto-submit-options');
+  const platformsContainer = domCache.get('auto-submit-platforms');
 
-  // 通知侧边栏更新状态显示
-  notifySidebarStatusUpdate(platformId, status, message);
+  if (!enabledCheckbox || !optionsContainer || !platformsContainer) {
+    return;
+  }
 
-  // 状态更新日志已在MessageManager中统一处理
-}
+  const settings = await loadAutoSubmitSettings();
 
-// 获取平台优化状态
-function getPlatformOptimizationStatus(platformId) {
-  return platformOptimizationStatus.get(platformId) || null;
-}
+  const render = () => {
+    enabledCheckbox.checked = settings.enabled;
+    optionsContainer.style.display = settings.enabled ? '' : 'none';
+    platformsContainer.innerHTML = getAutoSubmitPlatforms().map(platform => `
+      <label class="inline-flex items-center text-xs text-gray-600 cursor-pointer">
+        <input
+          type="checkbox"
+          class="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2 mr-2"
+          data-platform-id="${platform.id}"
+          ${settings.platforms[platform.id] ? 'checked' : ''}
+        />
+        ${platform.name}
+      </label>
+    `).join('');
+  };
 
-// 清除平台优化状态
-function clearPlatformOptimizationStatus(platformId) {
-  platformOptimizationStatus.delete(platformId);
+  enabledCheckbox.addEventListener('change', () => {
+    settings.enabled = enabledCheckbox.checked;
+    optionsContainer.style.display = settings.enabled ? '' : 'none';
+    saveAutoSubmitSettings(settings);
+  });
+
+  // 事件委托处理各平台开关
+  platformsContainer.addEventListener('change', (event) => {
+    const input = event.target.closest('input[data-platform-id]');
+    if (input) {
+      settings.platforms[input.dataset.platformId] = input.checked;
+      saveAutoSubmitSettings(settings);
+    }
+  });
+
+  render();
 }
 
-// 通知侧边栏状态更新 - 使用统一的消息管理器
-function notifySidebarStatusUpdate(platformId, status, message) {
-  // 使用MessageManager简化消息发送逻辑
-  if (window.messageManager) {
-    window.messageManager.sendStatusUpdate(platformId, status, message);
-  } else {
-    // 降级到原有实现（保持兼容性）
-    chrome.runtime.sendMessage({
-      action: 'updatePlatformOptimizationStatus',
-      platformId: platformId,
-      status: status,
-      message: message,
-      timestamp: Date.now()
-    }).catch(error => {
-      console.log('⚠️ 状态更新发送失败:', error.message);
-    });
+// ===== 智能精简设置 =====
+
+// 初始化智能精简设置面板（设置保存在存储中，构建发布数据时读取）
+async function initializeSmartFitPanel() {
+  const enabledCheckbox = domCache.get('smart-fit-enabled');
+  if (!enabledCheckbox) {
+    return;
   }
-}
 
-// 显示通知消息
-function showNotification(message, type = 'info') {
-  // 创建通知元素
-  const notification = document.createElement('div');
-  notification.className = `notification notification-${type}`;
-  notification.textContent = message;
+  const settings = await loadSmartFitSettings();
+  enabledCheckbox.checked = settings.enabled;
 
-  // 添加样式
-  Object.assign(notification.style, {
-    position: 'fixed',
-    top: '20px',
-    right: '20px',
-    padding: '12px 20px',
-    borderRadius: '8px',
-    color: 'white',
-    fontWeight: '500',
-    zIndex: '10000',
-    maxWidth: '400px',
-    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
-    transform: 'translateX(100%)',
-    transition: 'transform 0.3s ease-in-out'
+  enabledCheckbox.addEventListener('change', () => {
+    settings.enabled = enabledCheckbox.checked;
+    saveSmartFitSettings(settings);
   });
+}
 
-  // 根据类型设置背景色
-  const colors = {
-    success: '#10b981',
-    error: '#ef4444',
-    warning: '#f59e0b',
-    info: '#3b82f6'
-  };
-  notification.style.backgroundColor = colors[type] || colors.info;
-
-  // 添加到页面
-  document.body.appendChild(notification);
+// ===== 图片解码 =====
 
-  // 显示动画
-  setTimeout(() => {
-    notification.style.transform = 'translateX(0)';
-  }, 100);
+// 注册 HEIC/HEIF 解码器（libheif WASM，首次解码时才加载），浏览器原生解码失败时由 mediaPipelineService 调用
+function registerImageDecoders() {
+  if (!window.mediaPipelineService || !window.heicDecoderService) {
+    console.warn('HEIC 解码器未加载，HEIC/HEIF 图片将无法处理');
+    return;
+  }
 
-  // 自动隐藏
-  setTimeout(() => {
-    notification.style.transform = 'translateX(100%)';
-    setTimeout(() => {
-      if (notification.parentNode) {
-        notification.parentNode.removeChild(notification);
-      }
-    }, 300);
-  }, 3000);
+  window.mediaPipelineService.registerDecoder(
+    ['image/heic', 'image/heif'],
+    file => window.heicDecoderService.decode(file)
+  );
 }
-// 提取文件ID的辅助函数 - 优化版本
-function extractFileIds(previews) {
-  return (previews || [])
-    .filter(preview => {
-      // 🚀 支持新的即时预览系统：优先使用fileId字段
-      return preview.fileId || (preview.id && preview.id.startsWith('file_'));
-    })
-    .map(preview => {
-      // 🚀 优先返回Background Script中的文件ID
-      return preview.fileId || preview.id;
-    });
+
+// ===== 隐私设置 =====
+
+// 初始化隐私设置面板（设置保存在存储中，选择图片时读取）
+async function initializePrivacyPanel() {
+  const enabledCheckbox = domCache.get('strip-metadata-enabled');
+  if (!enabledCheckbox) {
+    return;
+  }
+
+  const settings = await loadPrivacySettings();
+  enabledCheckbox.checked = settings.stripMetadata;
+
+  enabledCheckbox.addEventListener('change', () => {
+    settings.stripMetadata = enabledCheckbox.checked;
+    savePrivacySettings(settings);
+  });
 }
 
-// 创建发布数据的统一函数（保留向后兼容）
-async function createPublishData(useFileIds = false) {
-  const contentData = getAndValidateContent();
-  return await createPublishDataFromValidated(contentData, useFileIds);
+// ===== 水印设置 =====
+
+// 水印状态：设置、已准备的水印（Promise）、预览地址，version 在设置变化时递增，用于区分处理后的图片缓存
+const watermarkState = {
+  settings: null,
+  prepared: Promise.resolve(null),
+  previewUrl: '',
+  version: 0
+};
+
+/**
+ * 水印是否已启用且内容完整
+ * @param {Object|null} settings - 水印设置
+ * @returns {boolean} 是否生效
+ */
+function isWatermarkActive(settings) {
+  if (!settings?.enabled) {
+    return false;
+  }
+  return settings.type === 'image' ? !!settings.image : !!settings.text?.trim();
 }
 
 /**
- * 基于已验证内容创建发布数据（优化版，避免重复验证）
- * @param {Object} validatedContent - 已验证的内容
- * @param {boolean} useFileIds - 是否使用文件ID
- * @param {Array} specificPlatforms - 指定的平台列表（可选，默认使用所有选中平台）
+ * 获取平台发布时使用的水印
+ * @param {string} platformId - 平台ID
+ * @param {boolean} isCover - 是否为短视频封面
+ * @returns {Promise<Object|null>} 已准备的水印，该平台不添加水印时返回 null
  */
-async function createPublishDataFromValidated(validatedContent, useFileIds = false, specificPlatforms = null) {
-  const { content, title } = validatedContent;
-  const platformsToUse = specificPlatforms || appState.selectedPlatforms;
+async function getPlatformWatermark(platformId, isCover = false) {
+  const settings = watermarkState.settings;
+  if (!isWatermarkActive(settings) || settings.platforms[platformId] === false || (isCover && !settings.applyToCovers)) {
+    return null;
+  }
+  return watermarkState.prepared;
+}
 
-  // 🔧 修复：直接使用传入的内容，不要被appState干扰
-  // 对于优化后的内容，应该直接使用传入的content参数
-  let contentForPublish = content;
+// 按当前设置重新准备水印，并刷新图片预览上的水印
+async function refreshWatermark() {
+  const settings = watermarkState.settings;
+  const version = ++watermarkState.version;
+  clearDerivedImages();
 
-  // 🔧 重要修复：添加调试日志以追踪内容传递
-  console.log('📋 创建发布数据', {
-    contentType: appState.currentContentType,
-    platformCount: platformsToUse.length,
-    platforms: platformsToUse.map(p => p.name),
-    contentLength: contentForPublish.length,
-    contentPreview: contentForPublish.substring(0, 150) + (contentForPublish.length > 150 ? '...' : ''),
-    isOptimizedContent: validatedContent.isOptimized || false
-  });
+  watermarkState.prepared = isWatermarkActive(settings) && window.mediaPipelineService
+    ? window.mediaPipelineService.prepareWatermark(settings).catch(error => {
+      console.warn('准备水印失败:', error);
+      return null;
+    })
+    : Promise.resolve(null);
 
-  // 同步到appState（确保标题正确更新）
-  appState.title = title;
-  // 🔧 重要：对于优化后的内容，也要更新appState.content以保持一致性
-  if (validatedContent.isOptimized) {
-    appState.content = contentForPublish;
-    console.log('📝 已更新appState.content为优化后的内容');
+  const prepared = await watermarkState.prepared;
+  const previewUrl = prepared ? await window.mediaPipelineService.createWatermarkPreviewUrl(prepared) : '';
+
+  // 连续修改设置时只保留最新一次的预览
+  if (version !== watermarkState.version) {
+    if (previewUrl) URL.revokeObjectURL(previewUrl);
+    return;
   }
 
-  return await buildPublishDataStructure(title, contentForPublish, useFileIds, platformsToUse);
+  if (watermarkState.previewUrl) {
+    URL.revokeObjectURL(watermarkState.previewUrl);
+  }
+  watermarkState.previewUrl = previewUrl;
+  updateImagePreview();
 }
 
-/**
- * 构建发布数据结构（提取的公共逻辑）
- * @param {string} title - 标题
- * @param {string} content - 内容
- * @param {boolean} useFileIds - 是否使用文件ID
- * @param {Array} platformsToUse - 要使用的平台列表
- */
-async function buildPublishDataStructure(title, content, useFileIds = false, platformsToUse = null) {
-  const platforms = platformsToUse || appState.selectedPlatforms;
-  const currentContentType = appState.currentContentType;
+// 初始化水印设置面板（设置保存在存储中，发布时按平台添加水印）
+async function initializeWatermarkPanel() {
+  const enabledCheckbox = domCache.get('watermark-enabled');
+  const optionsContainer = domCache.get('watermark-options');
+  const platformsContainer = domCache.get('watermark-platforms');
 
-  console.log('📝 发布数据创建完成', {
-    contentType: currentContentType,
-    titleLength: title.length,
-    contentLength: content.length,
-    platformCount: platforms.length
-  });
+  if (!enabledCheckbox || !optionsContainer || !platformsContainer) {
+    return;
+  }
 
-  // 添加URL路由调试日志
-  console.log('🔗 平台URL路由调试:', {
-    contentType: currentContentType,
-    platforms: platforms.map(p => ({
-      name: p.name,
-      originalUrl: p.publishUrl,
-      routedUrl: getPlatformPublishUrl(p, currentContentType)
-    }))
+  const settings = await loadWatermarkSettings();
+  watermarkState.settings = settings;
+
+  const textField = domCache.get('watermark-text-field');
+  const imageField = domCache.get('watermark-image-field');
+  const textInput = domCache.get('watermark-text');
+  const imageInput = domCache.get('watermark-image');
+  const positionSelect = domCache.get('watermark-position');
+  const opacityInput = domCache.get('watermark-opacity');
+  const scaleInput = domCache.get('watermark-scale');
+  const marginInput = domCache.get('watermark-margin');
+  const coversCheckbox = domCache.get('watermark-covers');
+
+  const render = () => {
+    enabledCheckbox.checked = settings.enabled;
+    optionsContainer.style.display = settings.enabled ? '' : 'none';
+    optionsContainer.querySelectorAll('input[name="watermark-type"]').forEach(radio => {
+      radio.checked = radio.value === settings.type;
+    });
+    textField.style.display = settings.type === 'text' ? '' : 'none';
+    imageField.style.display = settings.type === 'image' ? '' : 'none';
+    textInput.value = settings.text;
+    positionSelect.value = settings.position;
+    opacityInput.value = settings.opacity;
+    scaleInput.value = settings.scale;
+    marginInput.value = settings.margin;
+    coversCheckbox.checked = settings.applyToCovers;
+    platformsContainer.innerHTML = SUPPORTED_PLATFORMS.map(platform => `
+      <label class="inline-flex items-center text-xs text-gray-600 cursor-pointer">
+        <input
+          type="checkbox"
+          class="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2 mr-2"
+          data-platform-id="${platform.id}"
+          ${settings.platforms[platform.id] !== false ? 'checked' : ''}
+        />
+        ${platform.name}
+      </label>
+    `).join('');
+  };
+
+  // 从表单读取设置（水印图片由文件选择单独处理）
+  const readForm = () => {
+    settings.enabled = enabledCheckbox.checked;
+    settings.type = optionsContainer.querySelector('input[name="watermark-type"]:checked')?.value || 'text';
+    settings.text = textInput.value;
+    settings.position = positionSelect.value;
+    settings.opacity = parseFloat(opacityInput.value);
+    settings.scale = parseFloat(scaleInput.value);
+    settings.margin = parseFloat(marginInput.value);
+    settings.applyToCovers = coversCheckbox.checked;
+    platformsContainer.querySelectorAll('input[data-platform-id]').forEach(input => {
+      settings.platforms[input.dataset.platformId] = input.checked;
+    });
+  };
+
+  enabledCheckbox.addEventListener('change', () => {
+    readForm();
+    optionsContainer.style.display = settings.enabled ? '' : 'none';
+    saveWatermarkSettings(settings);
+    refreshWatermark();
   });
 
-  // 🎯 新增：为每个平台预处理标题和概要（基于页面类型）
-  const processedPlatforms = platforms.map(platform => {
-    // 根据当前页面类型获取该平台的字数限制
-    const limits = getPlatformLimits(platform.id, currentContentType);
+  // 拖动滑块和输入文字时实时刷新预览，修改完成后保存
+  optionsContainer.addEventListener('input', (event) => {
+    if (event.target === imageInput) return;
+    readForm();
+    refreshWatermark();
+  });
 
-    // 获取概要数据
-    const summaryData = appState.articleData?.excerpt || '';
+  optionsContainer.addEventListener('change', (event) => {
+    if (event.target === imageInput) return;
+    readForm();
+    textField.style.display = settings.type === 'text' ? '' : 'none';
+    imageField.style.display = settings.type === 'image' ? '' : 'none';
+    saveWatermarkSettings(settings);
+    refreshWatermark();
+  });
 
-    // 只截断标题和概要，不处理内容
-    const processedTitle = truncateText(title, limits.title, '标题');
-    const processedSummary = truncateText(summaryData, limits.excerpt, '概要');
+  // 水印图片缩小后以数据URL保存，保留透明背景
+  imageInput.addEventListener('change', async () => {
+    const file = imageInput.files?.[0];
+    if (!file) return;
 
-    // 简化调试日志，避免与适配器日志重复
-    if (title && limits.title && title.length > limits.title) {
-      console.log(`📝 ${platform.name}标题截断: ${title.length} -> ${processedTitle.length} 字符`);
-    }
-    if (summaryData && limits.excerpt && summaryData.length > limits.excerpt) {
-      console.log(`📝 ${platform.name}概要截断: ${summaryData.length} -> ${processedSummary.length} 字符`);
+    try {
+      settings.image = await window.mediaPipelineService.createThumbnail(file, 512, 'image/png');
+      saveWatermarkSettings(settings);
+      refreshWatermark();
+    } catch (error) {
+      Utils.handleError(error, '水印图片读取失败');
+    } finally {
+      imageInput.value = '';
     }
-
-    return {
-      ...platform,
-      publishUrl: getPlatformPublishUrl(platform, currentContentType),
-      processedTitle,    // 基于当前页面类型截断的标题
-      processedSummary,  // 基于当前页面类型截断的概要
-      limits            // 保存限制信息供调试使用
-    };
   });
 
-  // 根据内容类型确定要传递的文件数据
-  let images = [];
-  let videos = [];
-  let allFiles = [];
+  render();
+  await refreshWatermark();
+}
 
-  if (currentContentType === '短视频') {
-    // 短视频模式：使用短视频数据
-    videos = [...(appState.shortVideoPreviews || [])];
-    images = [...(appState.shortVideoCovers || [])];
-    allFiles = [...videos, ...images];
+// ===== 定时发布功能 =====
 
-    console.log('📁 短视频文件数据收集:', {
-      shortVideePreviews: appState.shortVideoPreviews?.length || 0,
-      shortVideoCovers: appState.shortVideoCovers?.length || 0,
-      totalVideos: videos.length,
-      totalImages: images.length,
-      totalFiles: allFiles.length
-    });
-  } else {
-    // 动态/文章模式：使用原有数据
-    images = appState.imagePreviews || [];
-    videos = appState.videoPreviews || [];
-    allFiles = [...images, ...videos];
-  }
+// 初始化定时发布设置面板
+function initializeSchedulePanel() {
+  const enabledCheckbox = domCache.get('schedule-enabled');
+  const optionsContainer = domCache.get('schedule-options');
+  const timeInput = domCache.get('schedule-time');
+  const perPlatformCheckbox = domCache.get('schedule-per-platform');
+  const platformTimesContainer = domCache.get('schedule-platform-times');
 
-  // 获取概要数据
-  const summaryData = appState.articleData?.excerpt || '';
+  if (!enabledCheckbox || !optionsContainer || !timeInput) {
+    return;
+  }
 
-  const baseData = {
-    title: title,
-    content: content,
-    summary: summaryData, // 添加导语/概要字段
-    contentType: currentContentType, // 添加内容类型字段
-    platforms: processedPlatforms, // 🎯 使用包含截断数据的平台列表
-    images: images,
-    videos: videos,
-    files: allFiles
-  };
+  enabledCheckbox.addEventListener('change', () => {
+    scheduleState.enabled = enabledCheckbox.checked;
+    optionsContainer.style.display = scheduleState.enabled ? '' : 'none';
 
-  if (useFileIds) {
-    // 检查是否有文件ID（新方案）- 根据内容类型处理不同的数据源
-    let imageFileIds = [];
-    let videoFileIds = [];
+    // 关闭定时后立即发布的内容与原任务无关，不再更新原任务
+    if (!scheduleState.enabled) {
+      setScheduleEditingJob(null);
+    }
 
-    if (currentContentType === '短视频') {
-      // 短视频模式：从短视频数据中提取文件ID
-      videoFileIds = extractFileIds(appState.shortVideoPreviews);
-      imageFileIds = extractFileIds(appState.shortVideoCovers);
-    } else {
-      // 动态/文章模式：从原有数据中提取文件ID
-      imageFileIds = extractFileIds(appState.imagePreviews);
-      videoFileIds = extractFileIds(appState.videoPreviews);
+    // 首次开启时默认一小时后发布
+    if (scheduleState.enabled && !scheduleState.time) {
+      scheduleState.time = toDateTimeLocalValue(Date.now() + 60 * 60 * 1000);
+      timeInput.value = scheduleState.time;
     }
+    timeInput.min = toDateTimeLocalValue(Date.now());
 
-    const allFileIds = [...imageFileIds, ...videoFileIds];
+    updateSyncButton();
+  });
 
-    if (allFileIds.length > 0) {
-      console.log('📁 [新方案] 文件管理:', {
-        imageFileIds: imageFileIds.length,
-        videoFileIds: videoFileIds.length,
-        totalFileIds: allFileIds.length
-      });
-      return { ...baseData, fileIds: allFileIds };
-    }
-  }
+  timeInput.addEventListener('change', () => {
+    scheduleState.time = timeInput.value;
+  });
 
-  // 降级到原有方案或无文件ID
-  console.log('📁 [原有方案] 文件管理:', {
-    images: baseData.images.length,
-    videos: baseData.videos.length,
-    totalFiles: baseData.files.length
+  perPlatformCheckbox?.addEventListener('change', () => {
+    scheduleState.perPlatform = perPlatformCheckbox.checked;
+    platformTimesContainer.style.display = scheduleState.perPlatform ? '' : 'none';
+    renderSchedulePlatformTimes();
+  });
+
+  // 事件委托处理各平台的时间输入
+  platformTimesContainer?.addEventListener('change', (event) => {
+    const input = event.target.closest('input[data-platform-id]');
+    if (input) {
+      scheduleState.platformTimes[input.dataset.platformId] = input.value;
+    }
   });
-  return baseData;
 }
 
 /**
- * 统一的文字截断函数
- * @param {string} text - 原始文字
- * @param {number} maxLength - 最大长度限制
- * @param {string} type - 内容类型（用于日志）
- * @returns {string} 截断后的文字
+ * 设置正在编辑的定时任务，并同步提示和发布按钮文字
+ * @param {Object|null} job - 定时任务，传 null 表示结束编辑
  */
-function truncateText(text, maxLength, type = '文字') {
-  if (!text || !maxLength || text.length <= maxLength) {
-    return text;
-  }
-
-  const truncated = text.substring(0, maxLength);
-  console.log(`📝 ${type}截断: ${text.length} -> ${truncated.length} 字符`);
-  return truncated;
-}
-
-// 获取需要内容优化的平台列表
-async function getPlatformsNeedingOptimization() {
-  const platformsNeedOptimization = [];
+function setScheduleEditingJob(job) {
+  scheduleState.editingJobId = job ? job.id : null;
 
-  for (const platform of appState.selectedPlatforms) {
-    const config = getPlatformPromptConfig(platform.id);
-    if (config.isEnabled && config.selectedPrompt) {
-      platformsNeedOptimization.push({
-        platform: platform,
-        promptName: config.selectedPrompt
-      });
-    }
+  const hint = domCache.get('schedule-editing-hint');
+  if (hint) {
+    hint.textContent = job
+      ? `正在编辑 ${new Date(job.scheduledTime).toLocaleString()} 的定时任务，点击"保存定时任务"更新原任务；关闭定时则不修改原任务`
+      : '';
+    hint.style.display = job ? '' : 'none';
   }
 
-  console.log('需要内容优化的平台:', platformsNeedOptimization.map(p => p.platform.name));
-  return platformsNeedOptimization;
+  updateSyncButton();
 }
 
-// 处理内容优化流程 - 并发优化版本
-async function handleContentOptimizationFlow(contentValidation, platformsNeedOptimization) {
-  console.log('🎯 开始内容优化流程（并发模式）...');
+/**
+ * 将定时任务载入编辑器：内容导入为新草稿（不影响已有草稿），定时设置恢复为任务的时间
+ * 保存时更新原任务的时间和内容
+ * @param {string} jobId - 定时任务ID
+ * @returns {Promise<boolean>} 是否载入成功
+ */
+async function loadScheduledJobForEditing(jobId) {
+  try {
+    const { scheduledJobs = [] } = await chrome.storage.local.get(['scheduledJobs']);
+    const job = scheduledJobs.find(item => item.id === jobId);
+    if (!job) {
+      showNotification('定时任务不存在', 'error');
+      return false;
+    }
+    if (job.status === 'running') {
+      showNotification('任务正在执行，无法编辑', 'error');
+      return false;
+    }
+    if (!job.data?.snapshot) {
+      showNotification('该任务创建于旧版本，仅支持修改时间', 'warning');
+      return false;
+    }
 
-  // 分离需要优化和不需要优化的平台
-  const platformsNeedOptimizationIds = platformsNeedOptimization.map(p => p.platform.id);
-  const platformsNoOptimization = appState.selectedPlatforms.filter(
-    platform => !platformsNeedOptimizationIds.includes(platform.id)
-  );
+    await draftManager.importSnapshot(
+      job.data.snapshot,
+      scheduledMediaStorage,
+      `定时任务 ${new Date(job.scheduledTime).toLocaleString()}`
+    );
 
-  // 立即为需要优化的平台显示"优化中"状态
-  for (const { platform, promptName } of platformsNeedOptimization) {
-    updatePlatformOptimizationStatus(platform.id, 'optimizing', `正在使用"${promptName}"优化内容...`);
+    scheduleState.enabled = true;
+    scheduleState.time = toDateTimeLocalValue(job.scheduledTime);
+    scheduleState.perPlatform = false;
+    scheduleState.platformTimes = {};
+
+    const enabledCheckbox = domCache.get('schedule-enabled');
+    const optionsContainer = domCache.get('schedule-options');
+    const timeInput = domCache.get('schedule-time');
+    const perPlatformCheckbox = domCache.get('schedule-per-platform');
+    const platformTimesContainer = domCache.get('schedule-platform-times');
+    if (enabledCheckbox) enabledCheckbox.checked = true;
+    if (optionsContainer) optionsContainer.style.display = '';
+    if (timeInput) timeInput.value = scheduleState.time;
+    if (perPlatformCheckbox) perPlatformCheckbox.checked = false;
+    if (platformTimesContainer) platformTimesContainer.style.display = 'none';
+
+    setScheduleEditingJob(job);
+    showNotification('已载入定时任务，修改后点击"保存定时任务"', 'success');
+    return true;
+  } catch (error) {
+    Utils.handleError(error, '载入定时任务失败');
+    return false;
   }
+}
 
-  // 先发布不需要优化的平台
-  if (platformsNoOptimization.length > 0) {
-    console.log('📤 先发布不需要优化的平台:', platformsNoOptimization.map(p => p.name));
-    const publishDataNoOptimization = await createPublishDataFromValidated(
-      contentValidation,
-      mainController,
-      platformsNoOptimization
-    );
-    await executePublish(publishDataNoOptimization);
+// 处理通过 ?editScheduledJob= 打开主页面的情况
+async function loadScheduledJobFromUrl() {
+  const jobId = new URLSearchParams(window.location.search).get('editScheduledJob');
+  if (!jobId) {
+    return;
   }
 
-  // 并发处理需要优化的平台
-  if (platformsNeedOptimization.length > 0) {
-    await handleConcurrentOptimization(contentValidation, platformsNeedOptimization);
-  }
+  // 移除参数，避免刷新后重复载入
+  window.history.replaceState(null, '', window.location.pathname);
+  await loadScheduledJobForEditing(jobId);
 }
 
-// 并发优化处理函数 - 优化版本
-async function handleConcurrentOptimization(contentValidation, platformsNeedOptimization) {
-  console.log(`🚀 并发优化 ${platformsNeedOptimization.length} 个平台:`,
-    platformsNeedOptimization.map(p => p.platform.name));
+// 渲染各平台的定时设置
+function renderSchedulePlatformTimes() {
+  const container = domCache.get('schedule-platform-times');
+  if (!container || !scheduleState.perPlatform) {
+    return;
+  }
 
-  try {
-    // 创建所有优化任务，错误处理已在optimizeAndPublishPlatform中完成
-    const optimizationPromises = platformsNeedOptimization.map(({ platform, promptName }) =>
-      optimizeAndPublishPlatform(contentValidation, platform, promptName)
-        .then(result => ({ platform, success: true, result }))
-        .catch(error => {
-          // 错误已在handleOptimizationError中处理，这里只记录结果
-          return { platform, success: false, error: error.message };
-        })
-    );
+  if (appState.selectedPlatforms.length === 0) {
+    container.innerHTML = '<p class="text-xs text-gray-400">请先选择平台</p>';
+    return;
+  }
+
+  container.innerHTML = appState.selectedPlatforms.map(platform => `
+    <div class="flex items-center space-x-2">
+      <span class="w-28 flex-shrink-0 text-xs text-gray-700 truncate">${platform.name}</span>
+      <input
+        type="datetime-local"
+        class="input-field flex-1"
+        data-platform-id="${platform.id}"
+        value="${scheduleState.platformTimes[platform.id] || ''}"
+      />
+    </div>
+  `).join('');
+}
 
-    // 等待所有优化完成
-    const results = await Promise.all(optimizationPromises);
+/**
+ * 将时间戳转换为 datetime-local 输入框的值（本地时区）
+ * @param {number} timestamp - 时间戳
+ * @returns {string} YYYY-MM-DDTHH:mm
+ */
+function toDateTimeLocalValue(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
 
-    // 统计并显示结果
-    const successCount = results.filter(r => r.success).length;
-    const failureCount = results.length - successCount;
+/**
+ * 按计划发布时间对选中平台分组
+ * @returns {Map<number, Array>} 计划时间戳 -> 平台列表
+ */
+function getScheduleGroups() {
+  const groups = new Map();
 
-    console.log(`🎉 并发优化完成: ${successCount}/${results.length}`);
+  for (const platform of appState.selectedPlatforms) {
+    const value = (scheduleState.perPlatform && scheduleState.platformTimes[platform.id]) || scheduleState.time;
+    const scheduledTime = value ? new Date(value).getTime() : NaN;
 
-    // 简化的通知逻辑
-    if (failureCount === 0) {
-      showNotification(`所有 ${successCount} 个平台内容优化完成`, 'success');
-    } else if (successCount > 0) {
-      showNotification(`${successCount} 个平台优化成功，${failureCount} 个失败`, 'warning');
-    } else {
-      showNotification('所有平台优化失败，请检查网络和API配置', 'error');
+    if (!scheduledTime) {
+      throw new Error(`请设置${platform.name}的发布时间`);
+    }
+    if (scheduledTime <= Date.now()) {
+      throw new Error(`${platform.name}的发布时间必须晚于当前时间`);
     }
 
-  } catch (error) {
-    console.error('❌ 并发优化流程异常:', error);
-    showNotification('内容优化流程异常，请重试', 'error');
+    if (!groups.has(scheduledTime)) {
+      groups.set(scheduledTime, []);
+    }
+    groups.get(scheduledTime).push(platform);
   }
+
+  return groups;
 }
 
-// 优化并发布单个平台 - 重构为更清晰的职责分离
-async function optimizeAndPublishPlatform(contentValidation, platform, promptName) {
-  const platformName = platform.name;
+// 定时任务快照的媒体文件（与草稿分开存储，任务结束后由后台删除）
+const scheduledMediaStorage = typeof FileStorageService !== 'undefined'
+  ? new FileStorageService({ dbName: 'MomentDotsScheduledDrafts' })
+  : null;
 
+// 创建定时发布任务 - 任务只保存编辑内容的快照，AI优化和智能精简在到点执行时才运行
+async function handleSchedulePublish() {
+  let groups;
   try {
-    // 步骤1: 内容优化
-    console.log(`🔄 开始优化平台 ${platformName}`, {
-      promptName: promptName,
-      contentType: appState.currentContentType,
-      originalContentLength: contentValidation.content.length,
-      originalContentPreview: contentValidation.content.substring(0, 100) + '...'
-    });
-
-    const optimizedContent = await optimizeContentWithPrompt(contentValidation.content, promptName);
+    groups = getScheduleGroups();
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
 
-    console.log('✅ 内容优化完成', {
-      platform: platformName,
-      optimizedContentLength: optimizedContent.length,
-      optimizedContentPreview: optimizedContent.substring(0, 100) + '...',
-      contentChanged: optimizedContent !== contentValidation.content
-    });
+  if (!scheduledMediaStorage) {
+    showNotification('文件存储服务不可用，无法创建定时任务', 'error');
+    return;
+  }
 
-    // 步骤2: 更新状态并准备发布数据
-    updatePlatformOptimizationStatus(platform.id, 'publishing', '内容优化完成，正在发布...');
+  try {
+    await openSidepanelForPublish();
 
-    const optimizedContentValidation = {
-      ...contentValidation,
-      content: optimizedContent,
-      isOptimized: true // 标记这是优化后的内容
-    };
+    // 编辑已有任务时，第一组时间更新原任务，其余分组（各平台单独设置时间）新建任务
+    let editingJobId = scheduleState.editingJobId;
+    let updated = false;
+    let jobCount = 0;
+    for (const [scheduledTime, platforms] of groups) {
+      const snapshot = await draftManager.createSnapshot(scheduledMediaStorage, platforms);
+      const data = { snapshot, platforms: platforms.map(p => ({ id: p.id, name: p.name })) };
+      const response = editingJobId
+        ? await chrome.runtime.sendMessage({
+          action: 'updateScheduledJob',
+          jobId: editingJobId,
+          updates: { scheduledTime, data }
+        })
+        : await chrome.runtime.sendMessage({
+          action: 'schedulePublish',
+          data: { scheduledTime, data }
+        });
 
-    // 步骤3: 执行发布
-    await publishOptimizedContent(optimizedContentValidation, platform);
+      if (!response || !response.success) {
+        await Promise.all(snapshot.media.map(item => scheduledMediaStorage.deleteFile(item.storageId).catch(() => {})));
+        throw new Error(response?.error || (editingJobId ? '更新定时任务失败' : '创建定时任务失败'));
+      }
 
-    console.log(`✅ 平台 ${platformName} 内容优化和发布完成`);
-    return true;
+      if (editingJobId) {
+        editingJobId = null;
+        updated = true;
+        setScheduleEditingJob(null);
+      } else {
+        jobCount++;
+      }
+    }
 
+    chrome.runtime.sendMessage({ action: 'switchToScheduleView' });
+    const created = jobCount > 0 ? `已创建 ${jobCount} 个定时发布任务` : '';
+    const summary = updated ? ['已更新定时任务', created].filter(Boolean).join('，') : created;
+    showNotification(`${summary}，可在侧边栏管理`, 'success');
   } catch (error) {
-    return handleOptimizationError(platform, error);
+    Utils.handleError(error, '创建定时任务失败');
   }
 }
 
-// 发布优化后的内容
-async function publishOptimizedContent(contentValidation, platform) {
-  // 🔧 修复：确保优化后的内容正确处理文章模式
-  // 对于文章模式，优化后的内容是纯文本，需要转换为适合发布的格式
-  let processedContentValidation = {
-    ...contentValidation,
-    isOptimized: true // 标记这是优化后的内容
-  };
-
-  if (appState.currentContentType === '文章') {
-    // 将优化后的纯文本内容转换为HTML格式用于发布
-    const optimizedTextContent = contentValidation.content;
-    const htmlContent = convertTextToHTML(optimizedTextContent);
+/**
+ * 为定时任务生成发布数据：与立即发布相同，先按提示词流水线优化，再智能精简和处理图片
+ * 到点执行时没有用户确认环节，流水线取最后一步的结果
+ * @param {Object} contentValidation - 已验证的内容
+ * @returns {Promise<{publishDataList: Array, failures: Array<{platformId: string, error: string}>}>} 发布数据和优化失败的平台
+ */
+async function prepareScheduledPublishData(contentValidation) {
+  const pipelines = new Map(
+    (await getPlatformsNeedingOptimization()).map(({ platform, pipeline }) => [platform.id, pipeline])
+  );
+  const publishDataList = [];
+  const failures = [];
 
-    processedContentValidation.content = htmlContent;
+  // 不需要优化的平台合并为一份发布数据
+  const platformsNoOptimization = appState.selectedPlatforms.filter(p => !pipelines.has(p.id));
+  if (platformsNoOptimization.length > 0) {
+    publishDataList.push(
+      await createPublishDataFromValidated(contentValidation, mainController, platformsNoOptimization)
+    );
+  }
 
-    console.log('📝 文章模式：优化后内容已转换为HTML格式', {
-      platform: platform.name,
-      originalTextLength: optimizedTextContent.length,
-      htmlLength: htmlContent.length,
-      paragraphCount: htmlContent.split('<p>').length - 1
-    });
+  // 需要优化的平台各自生成发布数据
+  for (const platform of appState.selectedPlatforms.filter(p => pipelines.has(p.id))) {
+    try {
+      const steps = await runPromptPipeline(
+        contentValidation.content,
+        pipelines.get(platform.id),
+        buildPromptVariables(contentValidation, platform)
+      );
+      publishDataList.push(await buildOptimizedPublishData({
+        ...contentValidation,
+        content: steps[steps.length - 1].content,
+        isOptimized: true
+      }, platform));
+    } catch (error) {
+      console.error(`${platform.name} 内容优化失败:`, error);
+      failures.push({ platformId: platform.id, error: `内容优化失败：${error.message}` });
+    }
   }
 
-  const publishData = await createPublishDataFromValidated(
-    processedContentValidation,
-    true, // 使用文件ID
-    [platform]
-  );
+  return { publishDataList, failures };
+}
 
-  // 🔧 修复：添加详细的调试日志以追踪内容传递
-  console.log('📤 准备发布优化后的内容', {
-    platform: platform.name,
-    contentType: appState.currentContentType,
-    contentLength: processedContentValidation.content.length,
-    contentPreview: processedContentValidation.content.substring(0, 200) + '...',
-    publishDataTitle: publishData.title,
-    publishDataContentLength: publishData.content.length
-  });
+/**
+ * 执行定时任务时由后台以 ?scheduledJob= 打开主页面：载入任务快照并生成发布数据，结果发回后台
+ * 此模式下不载入草稿、不自动保存，页面由后台在发布结束后关闭
+ * @param {string} jobId - 定时任务ID
+ */
+async function prepareScheduledJob(jobId) {
+  // 执行时间较长（AI优化）时定期通知后台，避免 Service Worker 空闲休眠
+  const heartbeat = setInterval(() => {
+    chrome.runtime.sendMessage({ action: 'scheduledJobHeartbeat', jobId }).catch(() => {});
+  }, 20000);
 
-  await executePublish(publishData);
-}
+  let result;
+  try {
+    const { scheduledJobs = [] } = await chrome.storage.local.get(['scheduledJobs']);
+    const snapshot = scheduledJobs.find(job => job.id === jobId)?.data?.snapshot;
+    if (!snapshot) {
+      throw new Error('定时任务不存在');
+    }
 
-// 处理优化错误
-function handleOptimizationError(platform, error) {
-  const errorMessage = `优化失败: ${error.message}`;
-  console.error(`❌ 平台 ${platform.name} ${errorMessage}:`, error);
+    await draftManager.applyDraft(snapshot, { storage: scheduledMediaStorage, persistPromptConfig: false });
 
-  updatePlatformOptimizationStatus(platform.id, 'failed', errorMessage);
-  showNotification(`${platform.name} 内容${errorMessage}`, 'error');
+    const contentValidation = getAndValidateContent();
+    if (!contentValidation.isValid) {
+      throw new Error(contentValidation.message);
+    }
 
-  return false; // 不抛出错误，继续处理其他平台
+    result = { success: true, ...(await prepareScheduledPublishData(contentValidation)) };
+  } catch (error) {
+    console.error('准备定时任务发布数据失败:', error);
+    result = { success: false, error: error.message };
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  await chrome.runtime.sendMessage({ action: 'scheduledJobPrepared', jobId, ...result });
 }
 
 // 执行发布的统一函数
@@ -3185,6 +6307,9 @@ async function executePublish(publishData) {
       throw new Error('发布请求失败');
     }
 
+    // 发布数据已交给后台，处理后的图片引用不再需要
+    clearDerivedImages();
+
     // 不再重复打开侧边栏，因为已经在handleStartPublish中打开了
 
     // 显示成功提示
@@ -3297,6 +6422,7 @@ function updateUI(skipContentTypeUpdate = false) {
   updateImagePreview();
   updateVideoPreview();
   updateSyncButton();
+  renderHashtagSection();
 }
 
 // 更新内容类型按钮状态
@@ -3624,7 +6750,11 @@ function updatePromptLabel(platformId, promptName = null, isSelected = false) {
     promptLabel.textContent = promptName;
     promptLabel.classList.remove('text-gray-600');
     promptLabel.classList.add('text-blue-600');
-    promptLabel.title = PROMPT_LABEL_TEXTS.TOOLTIP_SELECTED.replace('{promptName}', promptName);
+    const pipeline = getPlatformPromptPipeline(platformId);
+    promptLabel.title = PROMPT_LABEL_TEXTS.TOOLTIP_SELECTED.replace(
+      '{promptName}',
+      pipeline.length > 1 ? pipeline.join(PROMPT_LABEL_TEXTS.PIPELINE_SEPARATOR) : promptName
+    );
   } else {
     // 显示默认的"+"符号
     promptLabel.textContent = PROMPT_LABEL_TEXTS.DEFAULT;
@@ -3678,9 +6808,10 @@ function createImagePreviewElement(imageData, index) {
   previewDiv.className = 'image-preview-container';
   previewDiv.dataset.imageId = imageData.id; // 添加数据属性便于查找
 
-  // 创建图片元素
+  // 创建图片元素（HEIC/AVIF 等格式使用生成的 JPEG 缩略图）
   const img = document.createElement('img');
-  img.src = imageData.dataUrl;
+  const useThumbnail = IMAGE_CONFIG.previewConvertTypes.includes(imageData.type) && imageData.thumbnail;
+  img.src = useThumbnail ? imageData.thumbnail : imageData.dataUrl;
   img.alt = `预览图片 ${index + 1}`;
   img.title = `${imageData.name} (${formatFileSize(imageData.size)})`;
   img.loading = 'lazy'; // 懒加载优化
@@ -3695,9 +6826,41 @@ function createImagePreviewElement(imageData, index) {
   // 使用事件委托优化 - 在父容器上绑定事件
   removeBtn.dataset.imageId = imageData.id;
 
+  // 创建裁剪按钮，已裁剪的图片高亮显示
+  const isCropped = Object.keys(imageData.crops || {}).length > 0;
+  const editBtn = document.createElement('button');
+  editBtn.className = `image-edit-btn${isCropped ? ' is-cropped' : ''}`;
+  editBtn.textContent = '✂';
+  editBtn.title = isCropped ? `已裁剪，点击编辑: ${imageData.name}` : `裁剪/旋转: ${imageData.name}`;
+  editBtn.setAttribute('aria-label', editBtn.title);
+  editBtn.dataset.imageId = imageData.id;
+
   // 组装预览元素
   previewDiv.appendChild(img);
   previewDiv.appendChild(removeBtn);
+  previewDiv.appendChild(editBtn);
+
+  // 水印预览（实际水印在发布时按平台添加）
+  if (watermarkState.previewUrl) {
+    const { position, opacity, scale, margin } = watermarkState.settings;
+    const overlay = document.createElement('img');
+    overlay.className = `image-watermark-overlay watermark-${position}`;
+    overlay.src = watermarkState.previewUrl;
+    overlay.alt = '';
+    overlay.style.width = `${scale * 100}%`;
+    overlay.style.opacity = opacity;
+    overlay.style.setProperty('--watermark-margin', `${margin * 100}%`);
+    previewDiv.appendChild(overlay);
+  }
+
+  // 已移除位置等元数据的图片显示标记
+  if (imageData.metadataRemoved) {
+    const badge = document.createElement('span');
+    badge.className = 'image-metadata-badge';
+    badge.textContent = '🛡';
+    badge.title = '已移除位置、设备等元数据';
+    previewDiv.appendChild(badge);
+  }
 
   return previewDiv;
 }
@@ -3715,6 +6878,10 @@ function updateImagePreview() {
   if (window.MomentDots?.ImageDragSort) {
     window.MomentDots.ImageDragSort.reinitialize();
   }
+
+  renderVariantsPanel();
+  updateXThreadPreview();
+  renderImageDescriptions();
 }
 
 // 控制上传提示框显示状态
@@ -3805,6 +6972,7 @@ function removeImage(imageId) {
   Utils.safeExecute(() => {
     if (imageId === undefined) {
       // 删除所有图片 - 先释放URL对象
+      clearDerivedImages(appState.imagePreviews);
       appState.imagePreviews.forEach(image => {
         if (image.dataUrl && image.dataUrl.startsWith('blob:')) {
           URL.revokeObjectURL(image.dataUrl);
@@ -3820,6 +6988,7 @@ function removeImage(imageId) {
       if (imageToRemove && imageToRemove.dataUrl && imageToRemove.dataUrl.startsWith('blob:')) {
         URL.revokeObjectURL(imageToRemove.dataUrl);
       }
+      clearDerivedImages([imageToRemove]);
 
       appState.imagePreviews = appState.imagePreviews.filter(img => img.id !== imageId);
 
@@ -3878,6 +7047,9 @@ function updateVideoPreview() {
     createVideoPreviewElement,
     () => domCache.getVideoGridContainer()
   );
+
+  renderVariantsPanel();
+  updateXThreadPreview();
 }
 
 // 删除视频
@@ -3969,6 +7141,8 @@ function formatFileSize(bytes) {
 
 // 清空所有媒体文件（图片和视频）
 function clearAllImages() {
+  clearDerivedImages(appState.imagePreviews);
+
   // 清理图片的URL对象
   appState.imagePreviews.forEach(image => {
     if (image.dataUrl && image.dataUrl.startsWith('blob:')) {
@@ -4018,6 +7192,11 @@ function updatePlatformSelection() {
       checkbox.checked = appState.selectedPlatforms.some(p => p.id === platform.id);
     }
   });
+
+  // 同步分平台定时设置中的平台列表
+  renderSchedulePlatformTimes();
+  renderVariantsPanel();
+  updateXThreadPreview();
 }
 
 function updateSyncButton() {
@@ -4028,7 +7207,9 @@ function updateSyncButton() {
     const buttonIcon = syncButton.querySelector('.button-icon');
 
     if (buttonText) {
-      buttonText.textContent = appState.isPublishing ? '发布中...' : '开始同步';
+      const scheduleText = scheduleState.editingJobId ? '保存定时任务' : '定时发布';
+      const idleText = scheduleState.enabled ? scheduleText : '开始同步';
+      buttonText.textContent = appState.isPublishing ? '发布中...' : idleText;
     }
 
     if (buttonIcon && appState.isPublishing) {
@@ -4307,10 +7488,52 @@ function getPlatformPromptConfig(platformId) {
   return platformPromptConfig[platformId] || {
     selectedPrompt: null,
     availablePrompts: [],
+    pipeline: [],
     isEnabled: false
   };
 }
 
+/**
+ * 获取平台的提示词流水线（按执行顺序）
+ * 旧版本配置只有 selectedPrompt，视为单步流水线
+ * @param {string} platformId - 平台ID
+ * @returns {Array<string>} 提示词名称列表
+ */
+function getPlatformPromptPipeline(platformId) {
+  const config = getPlatformPromptConfig(platformId);
+  const pipeline = config.pipeline || (config.selectedPrompt ? [config.selectedPrompt] : []);
+  return pipeline.filter(promptName => config.availablePrompts.includes(promptName));
+}
+
+/**
+ * 更新平台提示词流水线，同步 selectedPrompt/isEnabled 和标签显示
+ * @param {string} platformId - 平台ID
+ * @param {Array<string>} pipeline - 提示词名称列表
+ */
+function setPlatformPromptPipeline(platformId, pipeline) {
+  updatePlatformPromptConfig(platformId, {
+    pipeline,
+    selectedPrompt: pipeline[0] || null,
+    isEnabled: pipeline.length > 0
+  });
+
+  updatePromptLabel(platformId, getPipelineLabel(pipeline), pipeline.length > 0);
+  const promptCheckbox = promptDOMCache.getPromptCheckbox(platformId);
+  if (promptCheckbox) {
+    promptCheckbox.checked = pipeline.length > 0;
+  }
+}
+
+/**
+ * 生成流水线标签文字：单步显示名称，多步显示首个名称和步数
+ * @param {Array<string>} pipeline - 提示词名称列表
+ * @returns {string|null} 标签文字
+ */
+function getPipelineLabel(pipeline) {
+  if (pipeline.length === 0) return null;
+  return pipeline.length === 1 ? pipeline[0] : `${pipeline[0]} 等${pipeline.length}步`;
+}
+
 // 更新平台的提示词配置
 function updatePlatformPromptConfig(platformId, config, immediate = false) {
   platformPromptConfig[platformId] = {
@@ -4376,17 +7599,17 @@ function bindPromptSelectorEvents(platform) {
 
 // 恢复提示词选择器状态 - 优化版本
 function restorePromptSelectorState(platformId) {
-  const config = getPlatformPromptConfig(platformId);
+  const pipeline = getPlatformPromptPipeline(platformId);
   const promptLabel = promptDOMCache.getPromptLabel(platformId);
   const promptCheckbox = promptDOMCache.getPromptCheckbox(platformId);
 
   // 只在有配置变化时才输出日志
-  if (config.selectedPrompt) {
-    console.log(`恢复平台 ${platformId} 的提示词状态:`, config.selectedPrompt);
+  if (pipeline.length > 0) {
+    console.log(`恢复平台 ${platformId} 的提示词流水线:`, pipeline);
   }
 
   // 使用统一函数处理标签状态
-  updatePromptLabel(platformId, config.selectedPrompt, !!config.selectedPrompt);
+  updatePromptLabel(platformId, getPipelineLabel(pipeline), pipeline.length > 0);
 
   // 统一处理复选框状态
   if (promptCheckbox) {
@@ -4453,19 +7676,25 @@ function createPromptPopup(platformId, config) {
   popup.className = 'prompt-popup fixed bg-white border border-gray-200 rounded-lg shadow-lg p-5 z-50';
 
   const promptList = config.availablePrompts.slice(0, PROMPT_SELECTOR_CONFIG.LIMITS.MAX_PROMPTS_PER_PLATFORM);
+  const pipeline = getPlatformPromptPipeline(platformId);
 
   popup.innerHTML = `
     <div class="prompt-popup-wrapper flex flex-col h-full">
       <!-- 内容区域 -->
       <div class="prompt-popup-content flex-1 overflow-y-auto">
         ${promptList.length > 0 ? `
+          <div class="text-xs text-gray-400 px-1 pb-2">按点击顺序依次执行，再次点击移出流水线</div>
           <div class="space-y-3 p-1">
-            ${promptList.map(prompt => `
-              <div class="prompt-item flex items-center justify-between p-3 hover:bg-gray-50 rounded-lg cursor-pointer transition-colors" data-prompt-name="${prompt}">
+            ${promptList.map(prompt => {
+              const stepIndex = pipeline.indexOf(prompt);
+              return `
+              <div class="prompt-item flex items-center justify-between p-3 hover:bg-gray-50 rounded-lg cursor-pointer transition-colors ${stepIndex >= 0 ? 'bg-blue-50' : ''}" data-prompt-name="${prompt}">
+                <span class="w-5 h-5 mr-2 flex-shrink-0 rounded-full text-xs flex items-center justify-center ${stepIndex >= 0 ? 'bg-blue-600 text-white' : 'border border-gray-300 text-transparent'}">${stepIndex >= 0 ? stepIndex + 1 : ''}</span>
                 <span class="text-sm text-gray-700 flex-1 truncate pr-2">${prompt}</span>
                 <button class="remove-prompt-btn text-red-500 hover:text-red-700 ml-2 text-sm font-medium" data-prompt-name="${prompt}">×</button>
               </div>
-            `).join('')}
+            `;
+            }).join('')}
           </div>
         ` : `
           <div class="text-sm text-gray-500 text-center py-8">暂无可用模板</div>
@@ -4586,7 +7815,8 @@ function bindPromptPopupEvents(popup, platformId) {
 
       const promptName = item.dataset.promptName;
       selectPromptForPlatform(platformId, promptName);
-      hidePromptPopup();
+      // 刷新弹窗以显示新的执行顺序，便于继续编排
+      showPromptPopup(platformId, promptDOMCache.getPromptContainer(platformId) || item);
     });
   });
 
@@ -4620,48 +7850,34 @@ function handlePopupOutsideClick(e) {
   }
 }
 
-// 为平台选择提示词
+// 为平台选择提示词：未在流水线中则追加为最后一步，已在流水线中则移出
 function selectPromptForPlatform(platformId, promptName) {
-  const config = getPlatformPromptConfig(platformId);
-  updatePlatformPromptConfig(platformId, {
-    selectedPrompt: promptName,
-    isEnabled: true
-  });
+  const pipeline = getPlatformPromptPipeline(platformId);
+  const inPipeline = pipeline.includes(promptName);
+  const updatedPipeline = inPipeline
+    ? pipeline.filter(p => p !== promptName)
+    : [...pipeline, promptName];
 
-  // 使用统一函数更新UI显示
-  updatePromptLabel(platformId, promptName, true);
-  const promptCheckbox = promptDOMCache.getPromptCheckbox(platformId);
-
-  if (promptCheckbox) {
-    promptCheckbox.checked = true;
-  }
+  setPlatformPromptPipeline(platformId, updatedPipeline);
 
-  showNotification(`已为${getPlatformName(platformId)}选择提示词: ${promptName}`, 'success');
+  showNotification(inPipeline
+    ? `已从${getPlatformName(platformId)}的流水线移除: ${promptName}`
+    : `已为${getPlatformName(platformId)}添加第${updatedPipeline.length}步: ${promptName}`, 'success');
 }
 
 // 从平台移除提示词
 function removePromptFromPlatform(platformId, promptName) {
   const config = getPlatformPromptConfig(platformId);
+  const pipeline = getPlatformPromptPipeline(platformId);
   const updatedPrompts = config.availablePrompts.filter(p => p !== promptName);
 
   updatePlatformPromptConfig(platformId, {
     availablePrompts: updatedPrompts
   });
 
-  // 如果移除的是当前选中的提示词，重置选择
-  if (config.selectedPrompt === promptName) {
-    updatePlatformPromptConfig(platformId, {
-      selectedPrompt: null,
-      isEnabled: false
-    });
-
-    // 使用统一函数更新UI显示
-    updatePromptLabel(platformId, null, false);
-    const promptCheckbox = promptDOMCache.getPromptCheckbox(platformId);
-
-    if (promptCheckbox) {
-      promptCheckbox.checked = false;
-    }
+  // 如果移除的提示词在流水线中，同步移出
+  if (pipeline.includes(promptName)) {
+    setPlatformPromptPipeline(platformId, pipeline.filter(p => p !== promptName));
   }
 
   showNotification(`已从${getPlatformName(platformId)}移除提示词"${promptName}"`, 'success');
@@ -4743,6 +7959,34 @@ function setupPromptHelperMessageListener() {
           sendResponse({ success: false, error: '缺少必要参数' });
         }
         return true;
+      } else if (message.action === 'confirmPipelineStep') {
+        // 侧边栏确认流水线结果（stepIndex 为 -1 表示回退到原文）
+        const review = takePipelineReview(message.platformId);
+        if (review) {
+          review.resolve(message.stepIndex);
+          sendResponse({ success: true });
+        } else {
+          sendResponse({ success: false, error: '没有等待确认的流水线结果' });
+        }
+        return true;
+      } else if (message.action === 'cancelPipelineReview') {
+        // 侧边栏取消发布
+        if (cancelPipelineReview(message.platformId, '已取消发布')) {
+          sendResponse({ success: true });
+        } else {
+          sendResponse({ success: false, error: '没有等待确认的流水线结果' });
+        }
+        return true;
+      } else if (message.action === 'getPendingPipelineReviews') {
+        // 侧边栏重新打开时获取仍在等待确认的流水线结果
+        const reviews = Array.from(pendingPipelineReviews, ([platformId, review]) => ({
+          platformId,
+          original: review.original,
+          steps: review.steps,
+          timestamp: review.timestamp
+        }));
+        sendResponse({ success: true, reviews });
+        return true;
       } else if (message.action === 'removePromptFromPlatform') {
         const { platformId, promptName } = message;
         if (platformId && promptName) {
@@ -4771,10 +8015,20 @@ function createPageContent() {
           <div class="bg-white rounded-lg border border-gray-200 shadow-sm">
             <div class="px-6 py-4 border-b border-gray-200">
               <!-- 内容类型按钮组 -->
-              <div class="flex items-center space-x-3">
-                <button class="content-type-btn">动态</button>
-                <button class="content-type-btn">文章</button>
-                <button class="content-type-btn">短视频</button>
+              <div class="flex items-center justify-between">
+                <div class="flex items-center space-x-3">
+                  <button class="content-type-btn">动态</button>
+                  <button class="content-type-btn">文章</button>
+                  <button class="content-type-btn">短视频</button>
+                </div>
+                <!-- 草稿管理 -->
+                <div id="draft-bar" class="flex items-center space-x-2 text-sm">
+                  <select id="draft-select" class="border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-700" style="max-width: 180px;" title="切换草稿"></select>
+                  <button type="button" data-draft-action="create" class="px-2 py-1 text-gray-600 hover:text-blue-600" title="新建草稿">新建</button>
+                  <button type="button" data-draft-action="duplicate" class="px-2 py-1 text-gray-600 hover:text-blue-600" title="复制当前草稿">复制</button>
+                  <button type="button" data-draft-action="rename" class="px-2 py-1 text-gray-600 hover:text-blue-600" title="重命名当前草稿">重命名</button>
+                  <button type="button" data-draft-action="delete" class="px-2 py-1 text-gray-600 hover:text-red-600" title="删除当前草稿">删除</button>
+                </div>
               </div>
               <p class="mt-3 text-sm text-gray-500">填写要发布的动态内容</p>
             </div>
@@ -4854,6 +8108,35 @@ function createPageContent() {
                   autocomplete="off"
                 ></textarea>
                 <p class="mt-1 text-xs text-gray-500">支持文本内容，将自动适配各平台格式</p>
+
+                <!-- X串推拆分预览（内容超出X单条限制时显示） -->
+                <div id="x-thread-preview" class="mt-3 hidden"></div>
+
+                <!-- 话题标签（AI推荐或手动添加，发布时按各平台原生格式插入） -->
+                <div id="hashtag-section" class="mt-3">
+                  <div class="flex items-center justify-between mb-2">
+                    <span class="text-sm font-medium text-gray-700">话题标签</span>
+                    <button id="hashtag-suggest-btn" type="button" class="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50">✨ AI推荐话题</button>
+                  </div>
+                  <div id="hashtag-list" class="flex flex-wrap gap-2"></div>
+                  <input
+                    type="text"
+                    id="hashtag-input"
+                    class="input-field mt-2"
+                    placeholder="输入话题后按回车添加，多个话题用空格分隔"
+                    autocomplete="off"
+                  />
+                  <p class="mt-1 text-xs text-gray-500">点击话题切换是否使用。发布时微博、B站插入为 #话题#，X 为 #tag，小红书、抖音通过话题选择框插入</p>
+                </div>
+
+                <!-- 分平台编辑（仅动态模式，可为各平台单独设置标题、正文、话题和媒体） -->
+                <div id="variants-section" class="mt-3">
+                  <button id="variants-toggle" type="button" class="text-sm text-blue-600 hover:text-blue-800">▸ 分平台编辑</button>
+                  <div id="variants-panel" class="mt-2 hidden border border-gray-200 rounded-lg">
+                    <div id="variants-tabs" class="flex flex-wrap px-2 border-b border-gray-200"></div>
+                    <div id="variants-editor" class="p-4 space-y-3"></div>
+                  </div>
+                </div>
               </div>
 
               <!-- 文章编辑区域 (仅在文章模式下显示) -->
@@ -4903,7 +8186,7 @@ function createPageContent() {
                         <input
                           id="image-upload"
                           type="file"
-                          accept="image/jpeg,image/png,image/gif,image/webp"
+                          accept="image/jpeg,image/png,image/gif,image/webp,image/heic,image/heif,image/avif,.heic,.heif,.avif"
                           multiple
                           class="hidden"
                         />
@@ -4971,6 +8254,16 @@ function createPageContent() {
                   <p class="mt-2 text-xs text-gray-500">
                     图片：支持 JPG、PNG、GIF、WebP 格式&nbsp;&nbsp;&nbsp;&nbsp;视频：支持 MP4、MOV、AVI、WebM 格式
                   </p>
+
+                  <!-- 图片描述（替代文本和配图说明，X、微博发布时填入图片描述字段） -->
+                  <div id="image-descriptions-section" class="hidden">
+                    <div class="flex items-center justify-between mb-2">
+                      <span class="text-sm font-medium text-gray-700">图片描述</span>
+                      <button id="image-descriptions-generate-btn" type="button" class="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50">✨ AI生成描述</button>
+                    </div>
+                    <div id="image-descriptions-list" class="space-y-2"></div>
+                    <p class="mt-1 text-xs text-gray-500">AI生成需要默认模型支持图片输入，只为尚未填写替代文本的图片生成</p>
+                  </div>
                 </div>
 
 
@@ -5010,6 +8303,138 @@ function createPageContent() {
                   </button>
                 </div>
               </div>
+
+              <!-- 定时发布设置 -->
+              <div id="schedule-panel" class="mt-4 pt-4 border-t border-gray-100">
+                <label class="inline-flex items-center text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    id="schedule-enabled"
+                    class="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2 mr-2"
+                  />
+                  定时发布
+                </label>
+                <div id="schedule-options" class="mt-3 space-y-3" style="display: none;">
+                  <p id="schedule-editing-hint" class="text-xs text-blue-600" style="display: none;"></p>
+                  <input id="schedule-time" type="datetime-local" class="input-field" />
+                  <label class="inline-flex items-center text-xs text-gray-600 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      id="schedule-per-platform"
+                      class="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2 mr-2"
+                    />
+                    为各平台单独设置时间（留空则使用上方时间）
+                  </label>
+                  <div id="schedule-platform-times" class="space-y-2" style="display: none;"></div>
+                </div>
+              </div>
+
+              <!-- 自动发布设置（全局安全开关，默认关闭） -->
+              <div id="auto-submit-panel" class="mt-4 pt-4 border-t border-gray-100">
+                <label class="inline-flex items-center text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    id="auto-submit-enabled"
+                    class="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2 mr-2"
+                  />
+                  自动发布
+                </label>
+                <div id="auto-submit-options" class="mt-3 space-y-2" style="display: none;">
+                  <p class="text-xs text-orange-600">⚠️ 开启后预填充完成将直接点击发布，请确认内容无误。仅以下勾选的平台会自动发布：</p>
+                  <div id="auto-submit-platforms" class="flex flex-wrap gap-x-4 gap-y-2"></div>
+                </div>
+              </div>
+
+              <!-- 智能精简设置（超出字数限制时由AI压缩，默认关闭） -->
+              <div id="smart-fit-panel" class="mt-4 pt-4 border-t border-gray-100">
+                <label class="inline-flex items-center text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    id="smart-fit-enabled"
+                    class="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2 mr-2"
+                  />
+                  智能精简
+                </label>
+                <p class="mt-2 text-xs text-gray-500">标题、概要或正文超出平台字数限制时，先由AI精简到限制以内，多次尝试仍超出再截断</p>
+              </div>
+
+              <!-- 隐私设置（上传图片时移除元数据，默认开启） -->
+              <div id="privacy-panel" class="mt-4 pt-4 border-t border-gray-100">
+                <label class="inline-flex items-center text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    id="strip-metadata-enabled"
+                    class="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2 mr-2"
+                  />
+                  移除照片元数据
+                </label>
+                <p class="mt-2 text-xs text-gray-500">上传图片时移除拍摄位置、设备序列号等EXIF/XMP信息，照片方向会保留；HEIC、HEIF、AVIF图片会转换为JPEG</p>
+              </div>
+
+              <!-- 水印设置（发布时为图片添加文字或图片水印，默认关闭） -->
+              <div id="watermark-panel" class="mt-4 pt-4 border-t border-gray-100">
+                <label class="inline-flex items-center text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    id="watermark-enabled"
+                    class="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2 mr-2"
+                  />
+                  图片水印
+                </label>
+                <div id="watermark-options" class="mt-3 space-y-3" style="display: none;">
+                  <div class="flex items-center gap-4 text-xs text-gray-600">
+                    <label class="inline-flex items-center cursor-pointer">
+                      <input type="radio" name="watermark-type" value="text" class="mr-1" />
+                      文字
+                    </label>
+                    <label class="inline-flex items-center cursor-pointer">
+                      <input type="radio" name="watermark-type" value="image" class="mr-1" />
+                      图片
+                    </label>
+                  </div>
+                  <div id="watermark-text-field">
+                    <input id="watermark-text" type="text" class="input-field" placeholder="水印文字，如 @账号名称" />
+                  </div>
+                  <div id="watermark-image-field" class="text-xs text-gray-600" style="display: none;">
+                    <input id="watermark-image" type="file" accept="image/png,image/jpeg,image/webp" class="text-xs" />
+                    <p class="mt-1 text-gray-500">建议使用透明背景的PNG标志</p>
+                  </div>
+                  <div class="grid grid-cols-2 gap-3 text-xs text-gray-600">
+                    <label class="block">
+                      位置
+                      <select id="watermark-position" class="input-field mt-1">
+                        <option value="top-left">左上</option>
+                        <option value="top-right">右上</option>
+                        <option value="bottom-left">左下</option>
+                        <option value="bottom-right">右下</option>
+                        <option value="center">居中</option>
+                      </select>
+                    </label>
+                    <label class="block">
+                      不透明度
+                      <input id="watermark-opacity" type="range" min="0.1" max="1" step="0.05" class="w-full mt-2" />
+                    </label>
+                    <label class="block">
+                      大小（占图片宽度）
+                      <input id="watermark-scale" type="range" min="0.05" max="0.8" step="0.01" class="w-full mt-2" />
+                    </label>
+                    <label class="block">
+                      边距
+                      <input id="watermark-margin" type="range" min="0" max="0.15" step="0.005" class="w-full mt-2" />
+                    </label>
+                  </div>
+                  <label class="inline-flex items-center text-xs text-gray-600 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      id="watermark-covers"
+                      class="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 focus:ring-2 mr-2"
+                    />
+                    同时为短视频封面添加水印
+                  </label>
+                  <p class="text-xs text-gray-500">以下勾选的平台发布时添加水印：</p>
+                  <div id="watermark-platforms" class="flex flex-wrap gap-x-4 gap-y-2"></div>
+                </div>
+              </div>
             </div>
             <div class="p-6">
               <div class="space-y-4" id="platform-list">
@@ -6993,14 +10418,19 @@ async function handleCoverUpload(event, coverType) {
   }
 
   // 移除同类型的旧封面（每种类型只允许一个）
+  clearDerivedImages(appState.shortVideoCovers.filter(cover => cover.coverType === coverType));
   appState.shortVideoCovers = appState.shortVideoCovers.filter(cover => cover.coverType !== coverType);
 
   // 显示加载状态
   uploadLoadingManager.show(1);
 
   try {
+    // 与图片上传相同，按隐私设置移除封面的位置和设备信息，移除失败时跳过该封面
+    const [coverFile] = await mainController.stripImageMetadata([file]);
+    if (!coverFile) return;
+
     // 使用统一的文件上传处理函数
-    const coverData = await handleShortVideoFileUpload(file, `${coverType} cover`, {
+    const coverData = await handleShortVideoFileUpload(coverFile, `${coverType} cover`, {
       prefix: `${coverType}_cover`,
       coverType: coverType
     });
@@ -7253,6 +10683,7 @@ function removeCover(coverId, coverType) {
           appState.shortVideoCovers[coverIndex].dataUrl.startsWith('blob:')) {
         URL.revokeObjectURL(appState.shortVideoCovers[coverIndex].dataUrl);
       }
+      clearDerivedImages([appState.shortVideoCovers[coverIndex]]);
       // 从数组中移除
       appState.shortVideoCovers.splice(coverIndex, 1);
       // 更新预览
@@ -7279,6 +10710,14 @@ function setupEventDelegation() {
         }
       }
 
+      // 处理图片裁剪按钮点击
+      if (event.target.classList.contains('image-edit-btn')) {
+        const imageId = event.target.dataset.imageId;
+        if (imageId) {
+          openImageCropEditor(imageId);
+        }
+      }
+
       // 处理视频删除按钮点击
       if (event.target.classList.contains('video-remove-btn')) {
         const videoId = event.target.dataset.videoId;
@@ -7399,6 +10838,30 @@ function bindEventListeners() {
   // 初始化提示词选择器功能
   initializePlatformPromptConfig();
   setupPromptHelperMessageListener();
+
+  // 初始化定时发布设置
+  initializeSchedulePanel();
+
+  // 初始化分平台编辑面板
+  initializeVariantsPanel();
+
+  // 初始化话题标签区域
+  initializeHashtagSection();
+
+  // 初始化图片描述区域
+  initializeImageDescriptions();
+
+  // 注册浏览器无法原生解码的图片格式的解码器
+  registerImageDecoders();
+
+  // 初始化自动发布设置
+  initializeAutoSubmitPanel().catch(error => console.error('初始化自动发布设置失败:', error));
+  initializeSmartFitPanel().catch(error => console.error('初始化智能精简设置失败:', error));
+  initializePrivacyPanel().catch(error => console.error('初始化隐私设置失败:', error));
+  initializeWatermarkPanel().catch(error => console.error('初始化水印设置失败:', error));
+
+  // 草稿选择栏
+  draftManager.bindDraftBarEvents();
 }
 
 // 页面初始化
@@ -7448,8 +10911,26 @@ async function initializePage() {
     console.log('Falling back to legacy implementation');
   }
 
-  // 初始化页面数据（根据加载类型决定是否清空）
-  await initializePageData();
+  // 定时任务执行页面（后台以 ?scheduledJob= 打开）不重置发布状态、不载入草稿
+  const scheduledJobId = new URLSearchParams(window.location.search).get('scheduledJob');
+
+  if (!scheduledJobId) {
+    // 初始化页面数据（根据加载类型决定是否清空）
+    await initializePageData();
+
+    // 恢复当前草稿（页面打开时的状态重置不影响已保存的草稿）
+    try {
+      await draftManager.init();
+    } catch (error) {
+      console.error('初始化草稿失败:', error);
+    }
+
+    // 从历史记录打开时载入对应内容
+    await loadHistoryRecordFromUrl();
+
+    // 从侧边栏编辑定时任务时载入任务内容
+    await loadScheduledJobFromUrl();
+  }
 
   // 初始化文章管理器
   ArticleManagerInitializer.initialize();
@@ -7457,6 +10938,10 @@ async function initializePage() {
   // 初始化字数统计功能
   characterCountManager.initialize();
 
+  if (scheduledJobId) {
+    await prepareScheduledJob(scheduledJobId);
+  }
+
   console.log('Main page initialized successfully');
 
 
@@ -7466,7 +10951,7 @@ async function initializePage() {
 function setupMessageListeners() {
   // 检查是否在扩展环境中
   if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage) {
-    chrome.runtime.onMessage.addListener((message) => {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       console.log('Main page received message:', message);
 
 
@@ -7475,6 +10960,14 @@ function setupMessageListeners() {
         // 发布错误信息只显示通知，不影响按钮状态
         // 按钮状态与发布进度已分离，发布状态通过侧边栏显示
         showNotification(`发布失败: ${message.error}`, 'error');
+      } else if (message.action === 'loadHistoryRecord') {
+        // 从侧边栏历史记录载入内容
+        loadHistoryRecordIntoEditor(message.historyId)
+          .then(loaded => sendResponse({ success: loaded }));
+      } else if (message.action === 'editScheduledJob') {
+        // 从侧边栏定时任务列表载入内容编辑
+        loadScheduledJobForEditing(message.jobId)
+          .then(loaded => sendResponse({ success: loaded }));
       }
 
       return true;
@@ -8332,7 +11825,7 @@ window.MomentDots.ImageDragSort = (function() {
         dragClass: 'md-sortable-drag',
 
         // 安全配置：只允许拖拽图片容器
-        filter: '.image-remove-btn, .upload-placeholder',
+        filter: '.image-remove-btn, .image-edit-btn, .upload-placeholder',
         preventOnFilter: false,
 
         // 限制拖拽范围：只在当前容器内
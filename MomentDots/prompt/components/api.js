@@ -4,7 +4,7 @@ class PromptAIService {
     constructor() {
         this.settings = null;
         this.settingsLoaded = false;
-        this.loadSettings();
+        this.loadSettings().catch(error => console.warn('加载AI设置失败:', error.message));
     }
 
     async loadSettings() {
@@ -14,10 +14,14 @@ class PromptAIService {
         }
 
         try {
-            const data = await chrome.storage.local.get(['promptSettings']);
-            this.settings = data.promptSettings || this.getDefaultSettings();
+            // 启用加密时由 aiKeyVault 解密 API Key
+            this.settings = await window.aiKeyVault.loadSettings() || this.getDefaultSettings();
             this.settingsLoaded = true;
         } catch (error) {
+            // API Key 未解锁时不缓存设置，解锁后重新加载
+            if (window.aiKeyVault.isLockedError(error)) {
+                throw error;
+            }
             // 如果Chrome storage不可用（如测试环境），使用默认设置
             console.warn('Chrome storage不可用，使用默认设置:', error);
             this.settings = this.getDefaultSettings();
@@ -33,6 +37,8 @@ class PromptAIService {
                 {
                     id: 'gemini-2.5-flash',
                     name: 'Gemini 2.5 Flash',
+                    provider: 'gemini',
+                    model: 'gemini-2.5-flash',
                     apiKey: '', // 用户需要在设置中配置
                     endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent'
                 }
@@ -43,7 +49,19 @@ class PromptAIService {
 
     async updateSettings(newSettings) {
         this.settings = { ...this.settings, ...newSettings };
-        await chrome.storage.local.set({ promptSettings: this.settings });
+        await window.aiKeyVault.saveSettings(this.settings);
+    }
+
+    // 更新内存中的设置（已由调用方保存到存储）
+    setSettings(settings) {
+        this.settings = settings;
+        this.settingsLoaded = true;
+    }
+
+    // 解锁或锁定 API Key 后重新加载设置
+    async reloadSettings() {
+        this.settingsLoaded = false;
+        return this.loadSettings();
     }
 
     async getModel(modelId) {
@@ -54,7 +72,7 @@ class PromptAIService {
         return this.settings.models.find(model => model.id === modelId) || this.settings.models[0];
     }
 
-    async rewriteText(originalText, promptContent, modelId = null) {
+    async rewriteText(originalText, promptContent, modelId = null, variables = {}) {
         try {
             // 确保设置已加载
             if (!this.settingsLoaded) {
@@ -62,62 +80,55 @@ class PromptAIService {
             }
             const model = await this.getModel(modelId || this.settings.defaultModel);
 
-            if (!model.apiKey) {
+            if (!window.aiProviderService.isModelConfigured(model)) {
                 throw new Error('API Key 未配置，请在设置中配置 API Key');
             }
 
-            // 组合提示词内容和用户输入
-            // 将【用户输入内容】替换为实际的用户输入
-            let combinedContent = promptContent;
-            if (combinedContent.includes('【用户输入内容】')) {
-                combinedContent = combinedContent.replace('【用户输入内容】', originalText);
-            } else {
-                // 如果提示词中没有占位符，则在末尾添加用户输入
-                combinedContent = `${promptContent}\n\n用户输入的内容：\n${originalText}`;
-            }
+            const combinedContent = this.buildRewritePrompt(originalText, promptContent, variables);
 
-            const requestBody = {
-                contents: [{
-                    parts: [{
-                        text: combinedContent
-                    }]
-                }],
-                generationConfig: {
-                    temperature: 0.7,
-                    topK: 40,
-                    topP: 0.95,
-                    maxOutputTokens: 8192,
-                }
-            };
-
-            const response = await fetch(`${model.endpoint}?key=${model.apiKey}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new Error(`API 请求失败: ${response.status} ${response.statusText}${errorData.error?.message ? ' - ' + errorData.error.message : ''}`);
+            // 按模型所属提供方构造请求并解析响应
+            return await window.aiProviderService.generateText(model, combinedContent);
+
+        } catch (error) {
+            console.error('AI改写失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 以流式方式改写文案，生成过程中逐段回调
+     * @param {string} originalText - 原始文案
+     * @param {string} promptContent - 提示词内容
+     * @param {string|null} modelId - 模型ID，为空时使用默认模型
+     * @param {Object} options - { onChunk(chunk, fullText), signal, variables }
+     * @returns {Promise<{text: string, aborted: boolean}>} 改写结果，中止时返回已生成部分
+     */
+    async rewriteTextStream(originalText, promptContent, modelId = null, options = {}) {
+        const { variables = {}, ...streamOptions } = options;
+        try {
+            if (!this.settingsLoaded) {
+                await this.loadSettings();
             }
+            const model = await this.getModel(modelId || this.settings.defaultModel);
 
-            const data = await response.json();
-            
-            if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-                throw new Error('API 返回数据格式错误');
+            if (!window.aiProviderService.isModelConfigured(model)) {
+                throw new Error('API Key 未配置，请在设置中配置 API Key');
             }
 
-            const result = data.candidates[0].content.parts[0].text;
-            return result;
+            const combinedContent = this.buildRewritePrompt(originalText, promptContent, variables);
+            return await window.aiProviderService.streamText(model, combinedContent, streamOptions);
 
         } catch (error) {
-            console.error('AI改写失败:', error);
+            console.error('AI流式改写失败:', error);
             throw error;
         }
     }
 
+    // 组合提示词内容和用户输入，填充 {{变量}} 与【用户输入内容】占位符
+    buildRewritePrompt(originalText, promptContent, variables = {}) {
+        return window.PromptTemplate.renderPromptTemplate(promptContent, originalText, variables);
+    }
+
     // 获取可用模型列表
     getAvailableModels() {
         return this.settings.models.map(model => ({
@@ -128,7 +139,7 @@ class PromptAIService {
 
     // 添加新模型
     async addModel(modelConfig) {
-        if (!modelConfig.id || !modelConfig.name || !modelConfig.endpoint) {
+        if (!modelConfig.id || !modelConfig.name || !modelConfig.provider) {
             throw new Error('模型配置不完整');
         }
 
@@ -154,6 +165,11 @@ class PromptAIService {
             this.settings.defaultModel = this.settings.models[0].id;
         }
 
+        // 删除的是备用模型时取消备用
+        if (this.settings.fallbackModel === modelId) {
+            this.settings.fallbackModel = '';
+        }
+
         await this.updateSettings(this.settings);
     }
 
@@ -191,29 +207,9 @@ class PromptAIService {
         }
     }
 
-    // 获取使用统计
-    async getUsageStats() {
-        const data = await chrome.storage.local.get(['promptUsageStats']);
-        return data.promptUsageStats || {
-            totalRequests: 0,
-            successfulRequests: 0,
-            failedRequests: 0,
-            lastUsed: null
-        };
-    }
-
-    // 更新使用统计
-    async updateUsageStats(success = true) {
-        const stats = await this.getUsageStats();
-        stats.totalRequests++;
-        if (success) {
-            stats.successfulRequests++;
-        } else {
-            stats.failedRequests++;
-        }
-        stats.lastUsed = new Date().toISOString();
-        
-        await chrome.storage.local.set({ promptUsageStats: stats });
+    // 获取使用统计（每次请求的用量由 aiProviderService 自动记录到 aiUsageService）
+    async getUsageStats(days = 7) {
+        return window.aiUsageService.getUsageSummary(days);
     }
 }
 
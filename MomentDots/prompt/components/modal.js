@@ -270,6 +270,7 @@ class PromptRewriteModalManager {
     constructor(modalManager) {
         this.modalManager = modalManager;
         this.currentPrompt = null;
+        this.abortController = null; // 当前流式请求的中止控制器
         this.elements = {};
         this.init();
     }
@@ -284,11 +285,24 @@ class PromptRewriteModalManager {
             }
         });
 
+        // 关闭弹窗时中止仍在进行的生成
+        document.addEventListener('promptModal:close', (e) => {
+            if (e.detail.modalId === 'promptRewriteModal') {
+                this.stopRewrite();
+                this.abortController = null;
+            }
+        });
+
         // 绑定改写按钮
         if (this.elements.rewriteBtn) {
             this.elements.rewriteBtn.addEventListener('click', () => this.handleRewrite());
         }
 
+        // 绑定停止按钮
+        if (this.elements.stopBtn) {
+            this.elements.stopBtn.addEventListener('click', () => this.stopRewrite());
+        }
+
         // 绑定复制按钮
         if (this.elements.copyBtn) {
             this.elements.copyBtn.addEventListener('click', () => this.copyResult());
@@ -300,8 +314,11 @@ class PromptRewriteModalManager {
             originalText: document.getElementById('promptOriginalText'),
             rewrittenText: document.getElementById('promptRewrittenText'),
             rewriteBtn: document.getElementById('promptRewriteBtn'),
+            stopBtn: document.getElementById('promptStopRewriteBtn'),
             copyBtn: document.getElementById('promptCopyResultBtn'),
-            loadingIndicator: document.getElementById('promptLoadingIndicator')
+            loadingIndicator: document.getElementById('promptLoadingIndicator'),
+            variableGroup: document.getElementById('promptVariableGroup'),
+            variableFields: document.getElementById('promptVariableFields')
         };
     }
 
@@ -317,7 +334,60 @@ class PromptRewriteModalManager {
         if (this.elements.originalText) this.elements.originalText.value = '';
         if (this.elements.rewrittenText) this.elements.rewrittenText.value = '';
         if (this.elements.copyBtn) this.elements.copyBtn.style.display = 'none';
-        if (this.elements.loadingIndicator) this.elements.loadingIndicator.style.display = 'none';
+        this.setStreamingState(false);
+        this.renderVariableFields(prompt?.content || '');
+    }
+
+    // 为模板中的变量生成输入框；用户内容和日期自动填充，不需要输入
+    renderVariableFields(template) {
+        if (!this.elements.variableFields || !this.elements.variableGroup) return;
+
+        const { extractPromptVariables, PROMPT_BUILTIN_VARIABLES } = window.PromptTemplate;
+        const variables = extractPromptVariables(template)
+            .filter(variable => variable.name !== 'content' && variable.name !== 'date');
+
+        this.elements.variableFields.innerHTML = '';
+        this.elements.variableGroup.style.display = variables.length > 0 ? '' : 'none';
+
+        variables.forEach(variable => {
+            const field = document.createElement('div');
+            field.className = 'prompt-variable-field';
+
+            const name = document.createElement('span');
+            name.textContent = variable.name;
+            name.title = variable.builtin ? PROMPT_BUILTIN_VARIABLES[variable.name] : '自定义变量';
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.dataset.variable = variable.name;
+            input.placeholder = variable.defaultValue || (variable.builtin ? PROMPT_BUILTIN_VARIABLES[variable.name] : '请输入');
+
+            field.append(name, input);
+            this.elements.variableFields.appendChild(field);
+        });
+    }
+
+    // 收集变量输入框的值，留空的变量在填充时使用默认值
+    collectVariableValues() {
+        const values = {};
+        this.elements.variableFields?.querySelectorAll('input[data-variable]').forEach(input => {
+            values[input.dataset.variable] = input.value.trim();
+        });
+        return values;
+    }
+
+    // 切换生成中/空闲状态：生成中显示停止按钮，隐藏开始按钮
+    setStreamingState(streaming) {
+        if (this.elements.loadingIndicator) this.elements.loadingIndicator.style.display = streaming ? 'flex' : 'none';
+        if (this.elements.rewriteBtn) {
+            this.elements.rewriteBtn.disabled = streaming;
+            this.elements.rewriteBtn.style.display = streaming ? 'none' : '';
+        }
+        if (this.elements.stopBtn) this.elements.stopBtn.style.display = streaming ? 'inline-block' : 'none';
+    }
+
+    stopRewrite() {
+        this.abortController?.abort();
     }
 
     async handleRewrite() {
@@ -338,10 +408,14 @@ class PromptRewriteModalManager {
             return;
         }
 
+        // 每次改写持有独立的控制器；弹窗关闭或发起新请求后，旧请求的结果不再写回界面
+        const controller = new AbortController();
+        this.abortController = controller;
+        const isStale = () => this.abortController !== controller;
+
         try {
             // 显示加载状态
-            if (this.elements.loadingIndicator) this.elements.loadingIndicator.style.display = 'flex';
-            if (this.elements.rewriteBtn) this.elements.rewriteBtn.disabled = true;
+            this.setStreamingState(true);
             if (this.elements.rewrittenText) this.elements.rewrittenText.value = '';
             if (this.elements.copyBtn) this.elements.copyBtn.style.display = 'none';
 
@@ -354,25 +428,37 @@ class PromptRewriteModalManager {
                 throw new Error('AI服务未初始化，请刷新页面重试');
             }
 
-            // 调用AI API
-            const result = await window.promptAIService.rewriteText(
+            // 流式调用AI API，生成内容逐段显示
+            const { text, aborted } = await window.promptAIService.rewriteTextStream(
                 originalText,
                 this.currentPrompt.content,
-                this.currentPrompt.model
+                this.currentPrompt.model,
+                {
+                    signal: controller.signal,
+                    variables: this.collectVariableValues(),
+                    onChunk: (chunk, fullText) => {
+                        if (this.elements.rewrittenText && !isStale()) {
+                            this.elements.rewrittenText.value = fullText;
+                            this.elements.rewrittenText.scrollTop = this.elements.rewrittenText.scrollHeight;
+                        }
+                    }
+                }
             );
 
-            // 显示结果
+            if (isStale()) return;
+
+            // 显示结果（停止时保留已生成的部分）
             if (this.elements.rewrittenText) {
-                this.elements.rewrittenText.value = result;
+                this.elements.rewrittenText.value = text;
             }
-            if (this.elements.copyBtn) {
+            if (this.elements.copyBtn && text) {
                 this.elements.copyBtn.style.display = 'inline-block';
             }
 
-            // 显示成功提示
-            window.PromptToastManager?.show('改写完成！', 'success');
+            window.PromptToastManager?.show(aborted ? '已停止生成，保留已输出内容' : '改写完成！', 'success');
 
         } catch (error) {
+            if (isStale()) return;
             console.error('改写失败:', error);
 
             // 更详细的错误处理
@@ -394,8 +480,10 @@ class PromptRewriteModalManager {
             window.PromptToastManager?.show(errorMessage, 'error');
         } finally {
             // 隐藏加载状态
-            if (this.elements.loadingIndicator) this.elements.loadingIndicator.style.display = 'none';
-            if (this.elements.rewriteBtn) this.elements.rewriteBtn.disabled = false;
+            if (this.abortController === controller) {
+                this.abortController = null;
+                this.setStreamingState(false);
+            }
         }
     }
 
@@ -78,6 +78,9 @@ class PromptApp {
             console.log('5. 渲染界面...');
             this.render();
 
+            // API Key 已加密且本次会话未解锁时提示输入口令
+            await this.promptUnlockIfNeeded();
+
             console.log('PromptApp 初始化完成');
         } catch (error) {
             console.error('PromptApp 初始化失败:', error);
@@ -108,9 +111,35 @@ class PromptApp {
             saveSettingsBtn: document.getElementById('promptSaveSettingsBtn'),
 
             // 设置表单元素
-            apiKey: document.getElementById('promptApiKey'),
-            apiEndpoint: document.getElementById('promptApiEndpoint'),
-            defaultModel: document.getElementById('promptDefaultModel')
+            modelList: document.getElementById('promptModelList'),
+            addModelBtn: document.getElementById('promptAddModelBtn'),
+            defaultModel: document.getElementById('promptDefaultModel'),
+            fallbackModel: document.getElementById('promptFallbackModel'),
+
+            // AI用量弹窗元素
+            usageBtn: document.getElementById('promptUsageBtn'),
+            closeUsageBtn: document.getElementById('promptCloseUsageBtn'),
+            cancelUsageBtn: document.getElementById('promptCancelUsageBtn'),
+            usageDays: document.getElementById('promptUsageDays'),
+            usageSummary: document.getElementById('promptUsageSummary'),
+            usageTable: document.getElementById('promptUsageTable'),
+            priceList: document.getElementById('promptPriceList'),
+            savePriceBtn: document.getElementById('promptSavePriceBtn'),
+            clearAICacheBtn: document.getElementById('promptClearAICacheBtn'),
+
+            // API Key 加密相关元素
+            vaultStatus: document.getElementById('promptVaultStatus'),
+            vaultSetup: document.getElementById('promptVaultSetup'),
+            vaultActions: document.getElementById('promptVaultActions'),
+            vaultPassphrase: document.getElementById('promptVaultPassphrase'),
+            vaultPassphraseConfirm: document.getElementById('promptVaultPassphraseConfirm'),
+            enableVaultBtn: document.getElementById('promptEnableVaultBtn'),
+            lockVaultBtn: document.getElementById('promptLockVaultBtn'),
+            disableVaultBtn: document.getElementById('promptDisableVaultBtn'),
+            unlockPassphrase: document.getElementById('promptUnlockPassphrase'),
+            unlockBtn: document.getElementById('promptUnlockBtn'),
+            closeUnlockBtn: document.getElementById('promptCloseUnlockBtn'),
+            cancelUnlockBtn: document.getElementById('promptCancelUnlockBtn')
         };
 
         // 检查关键元素是否找到
@@ -194,6 +223,14 @@ class PromptApp {
             this.openSettingsModal();
         });
 
+        this.elements.usageBtn?.addEventListener('click', () => {
+            this.openUsageModal();
+        });
+
+        this.elements.usageDays?.addEventListener('change', () => {
+            this.renderUsageDashboard();
+        });
+
         this.elements.exportBtn?.addEventListener('click', () => {
             this.exportData();
         });
@@ -252,13 +289,42 @@ class PromptApp {
             { element: this.elements.cancelSettingsBtn, action: () => {
                 if (window.promptModalManager) window.promptModalManager.closeModal('promptSettingsModal');
             }},
-            { element: this.elements.saveSettingsBtn, action: () => this.saveSettings() }
+            { element: this.elements.saveSettingsBtn, action: () => this.saveSettings() },
+            { element: this.elements.addModelBtn, action: () => this.addModelDraft() },
+            { element: this.elements.closeUsageBtn, action: () => {
+                if (window.promptModalManager) window.promptModalManager.closeModal('promptUsageModal');
+            }},
+            { element: this.elements.cancelUsageBtn, action: () => {
+                if (window.promptModalManager) window.promptModalManager.closeModal('promptUsageModal');
+            }},
+            { element: this.elements.savePriceBtn, action: () => this.savePriceTable() },
+            { element: this.elements.clearAICacheBtn, action: () => this.clearAICache() },
+            { element: this.elements.enableVaultBtn, action: () => this.enableVault() },
+            { element: this.elements.lockVaultBtn, action: () => this.lockVault() },
+            { element: this.elements.disableVaultBtn, action: () => this.disableVault() },
+            { element: this.elements.unlockBtn, action: () => this.unlockVault() },
+            { element: this.elements.closeUnlockBtn, action: () => this.closeUnlockModal() },
+            { element: this.elements.cancelUnlockBtn, action: () => this.closeUnlockModal() }
         ];
 
         modalEvents.forEach(({ element, action }) => {
             element?.addEventListener('click', action);
         });
 
+        this.elements.unlockPassphrase?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.unlockVault();
+        });
+
+        // 模型列表使用事件委托，编辑内容实时写入草稿
+        this.elements.modelList?.addEventListener('input', (e) => this.handleModelFieldChange(e));
+        this.elements.modelList?.addEventListener('change', (e) => this.handleModelFieldChange(e));
+        this.elements.modelList?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.prompt-model-remove-btn');
+            if (removeBtn) {
+                this.removeModelDraft(removeBtn.closest('.prompt-model-item').dataset.index);
+            }
+        });
+
         // 标记模态框事件已绑定
         this.modalEventsbound = true;
     }
@@ -600,20 +666,29 @@ class PromptApp {
         }
     }
 
-    openSettingsModal() {
+    async openSettingsModal() {
         // 确保modal管理器已初始化
         this.ensureModalManagersInitialized();
 
-        // 填充当前设置
-        if (this.elements.apiKey && this.settings.models?.[0]?.apiKey) {
-            this.elements.apiKey.value = this.settings.models[0].apiKey;
-        }
-        if (this.elements.apiEndpoint && this.settings.models?.[0]?.endpoint) {
-            this.elements.apiEndpoint.value = this.settings.models[0].endpoint;
+        // API Key 已加密时需先解锁才能查看和修改
+        if (!await window.aiKeyVault.isUnlocked()) {
+            this.openUnlockModal(() => this.openSettingsModal());
+            return;
         }
 
-        // 加载模型选项
-        this.loadModelOptions();
+        // 复制一份模型配置作为草稿，取消时不影响已保存的设置
+        const settings = await window.aiKeyVault.decryptSettings(this.settings);
+        const models = settings.models?.length
+            ? settings.models
+            : window.promptAIService?.getDefaultSettings().models || [];
+        this.modelDrafts = models.map(model => ({
+            ...model,
+            provider: window.aiProviderService.resolveProviderId(model)
+        }));
+
+        this.renderModelList();
+        this.loadModelOptions(this.settings.defaultModel, this.settings.fallbackModel);
+        await this.renderVaultStatus();
 
         if (window.promptModalManager) {
             window.promptModalManager.openModal('promptSettingsModal');
@@ -622,52 +697,163 @@ class PromptApp {
         }
     }
 
-    async loadModelOptions() {
+    renderModelList() {
+        if (!this.elements.modelList) return;
+
+        const providers = window.aiProviderService.getProviderOptions();
+        this.elements.modelList.innerHTML = '';
+
+        this.modelDrafts.forEach((model, index) => {
+            const provider = providers.find(p => p.id === model.provider) || providers[0];
+            const item = document.createElement('div');
+            item.className = 'prompt-model-item';
+            item.dataset.index = index;
+
+            item.innerHTML = `
+                <div class="prompt-model-item-header">
+                    <input type="text" data-field="name" placeholder="显示名称">
+                    <button type="button" class="prompt-model-remove-btn" title="删除模型">&times;</button>
+                </div>
+                <div class="prompt-form-group">
+                    <label>服务提供方</label>
+                    <select data-field="provider">
+                        ${providers.map(p => `<option value="${p.id}">${p.name}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="prompt-form-group">
+                    <label>模型名称</label>
+                    <input type="text" data-field="model" placeholder="${provider.defaultModel}">
+                </div>
+                <div class="prompt-form-group">
+                    <label>API端点</label>
+                    <input type="url" data-field="endpoint" placeholder="${provider.defaultEndpoint}">
+                </div>
+                <div class="prompt-form-group">
+                    <label>API Key${provider.requiresApiKey ? '' : '（本地服务可留空）'}</label>
+                    <input type="password" data-field="apiKey" placeholder="请输入API Key">
+                </div>
+                <div class="prompt-form-group">
+                    <label>每分钟请求上限</label>
+                    <input type="number" data-field="rpmLimit" min="0" step="1" placeholder="留空表示不限制">
+                </div>
+            `;
+
+            // 通过value赋值，避免特殊字符破坏HTML结构
+            item.querySelectorAll('[data-field]').forEach(field => {
+                field.value = field.dataset.field === 'provider' ? provider.id : (model[field.dataset.field] || '');
+            });
+
+            this.elements.modelList.appendChild(item);
+        });
+    }
+
+    handleModelFieldChange(e) {
+        const field = e.target.dataset.field;
+        const item = e.target.closest('.prompt-model-item');
+        if (!field || !item) return;
+
+        const model = this.modelDrafts[item.dataset.index];
+        if (!model || model[field] === e.target.value) return;
+
+        model[field] = e.target.value;
+
+        if (field === 'provider') {
+            // 切换提供方后原端点不再适用，清空以使用新提供方的默认值
+            model.endpoint = '';
+            this.renderModelList();
+        }
+        if (field === 'name') {
+            this.loadModelOptions(this.elements.defaultModel?.value, this.elements.fallbackModel?.value);
+        }
+    }
+
+    addModelDraft() {
+        const provider = window.aiProviderService.getProviderOptions()[0];
+        this.modelDrafts.push({
+            id: 'model_' + Date.now(),
+            name: '',
+            provider: provider.id,
+            model: '',
+            endpoint: '',
+            apiKey: ''
+        });
+        this.renderModelList();
+        this.loadModelOptions(this.elements.defaultModel?.value, this.elements.fallbackModel?.value);
+    }
+
+    removeModelDraft(index) {
+        if (this.modelDrafts.length <= 1) {
+            PromptToastManager.show('至少需要保留一个模型', 'error');
+            return;
+        }
+
+        this.modelDrafts.splice(Number(index), 1);
+        this.renderModelList();
+        this.loadModelOptions(this.elements.defaultModel?.value, this.elements.fallbackModel?.value);
+    }
+
+    loadModelOptions(selectedModelId, fallbackModelId = '') {
         if (!this.elements.defaultModel) return;
 
-        const models = this.settings.models || [];
+        const models = this.modelDrafts || this.settings.models || [];
         this.elements.defaultModel.innerHTML = '';
 
         models.forEach(model => {
             const option = document.createElement('option');
             option.value = model.id;
-            option.textContent = model.name;
+            option.textContent = model.name || model.model || '未命名模型';
             this.elements.defaultModel.appendChild(option);
         });
 
-        if (this.settings.defaultModel) {
-            this.elements.defaultModel.value = this.settings.defaultModel;
+        if (selectedModelId && models.some(model => model.id === selectedModelId)) {
+            this.elements.defaultModel.value = selectedModelId;
+        }
+
+        if (this.elements.fallbackModel) {
+            this.elements.fallbackModel.innerHTML = '<option value="">不使用备用模型</option>';
+            models.forEach(model => {
+                const option = document.createElement('option');
+                option.value = model.id;
+                option.textContent = model.name || model.model || '未命名模型';
+                this.elements.fallbackModel.appendChild(option);
+            });
+            this.elements.fallbackModel.value = models.some(model => model.id === fallbackModelId) ? fallbackModelId : '';
         }
     }
 
     async saveSettings() {
         try {
-            const apiKey = this.elements.apiKey?.value.trim() || '';
-            const apiEndpoint = this.elements.apiEndpoint?.value.trim() || '';
             const defaultModel = this.elements.defaultModel?.value || '';
-
-            if (!apiKey) {
-                alert('请输入API Key');
+            const fallbackModel = this.elements.fallbackModel?.value || '';
+
+            const models = this.modelDrafts.map(model => ({
+                ...model,
+                name: (model.name || '').trim() || (model.model || '').trim() || '未命名模型',
+                model: (model.model || '').trim(),
+                endpoint: (model.endpoint || '').trim(),
+                apiKey: (model.apiKey || '').trim(),
+                rpmLimit: Math.max(Math.floor(Number(model.rpmLimit) || 0), 0)
+            }));
+
+            const unconfigured = models.find(model => !window.aiProviderService.isModelConfigured(model));
+            if (unconfigured) {
+                alert(`请为「${unconfigured.name}」输入API Key`);
                 return;
             }
 
             // 更新设置
             const newSettings = {
-                models: [{
-                    id: 'gemini-2.5-flash',
-                    name: 'Gemini 2.5 Flash',
-                    apiKey: apiKey,
-                    endpoint: apiEndpoint || 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent'
-                }],
-                defaultModel: defaultModel || 'gemini-2.5-flash'
+                models,
+                defaultModel: models.some(model => model.id === defaultModel) ? defaultModel : models[0].id,
+                fallbackModel: models.some(model => model.id === fallbackModel) ? fallbackModel : ''
             };
 
-            await chrome.storage.local.set({ promptSettings: newSettings });
-            this.settings = newSettings;
+            // 启用加密时 API Key 以密文保存
+            this.settings = await window.aiKeyVault.saveSettings(newSettings);
 
             // 更新AI服务设置
             if (window.promptAIService) {
-                await window.promptAIService.updateSettings(newSettings);
+                window.promptAIService.setSettings(newSettings);
             }
 
             if (window.promptModalManager) {
@@ -679,12 +865,266 @@ class PromptApp {
         }
     }
 
+    async renderVaultStatus() {
+        const { enabled, unlocked } = await window.aiKeyVault.getStatus();
+
+        if (this.elements.vaultStatus) {
+            this.elements.vaultStatus.textContent = enabled
+                ? `🔐 已启用加密${unlocked ? '，本次浏览器会话已解锁' : '，当前已锁定'}`
+                : '未启用加密，API Key 以明文保存在本地';
+        }
+        if (this.elements.vaultSetup) {
+            this.elements.vaultSetup.style.display = enabled ? 'none' : '';
+        }
+        if (this.elements.vaultActions) {
+            this.elements.vaultActions.style.display = enabled ? '' : 'none';
+        }
+        if (this.elements.vaultPassphrase) this.elements.vaultPassphrase.value = '';
+        if (this.elements.vaultPassphraseConfirm) this.elements.vaultPassphraseConfirm.value = '';
+    }
+
+    async enableVault() {
+        const passphrase = this.elements.vaultPassphrase?.value || '';
+        if (passphrase !== (this.elements.vaultPassphraseConfirm?.value || '')) {
+            PromptToastManager.show('两次输入的口令不一致', 'error');
+            return;
+        }
+
+        try {
+            await window.aiKeyVault.enable(passphrase);
+            await this.loadData();
+            await this.renderVaultStatus();
+            PromptToastManager.show('已启用 API Key 加密', 'success');
+        } catch (error) {
+            this.handleError(error, '启用加密');
+        }
+    }
+
+    async lockVault() {
+        try {
+            await window.aiKeyVault.lock();
+            // 已解密的模型草稿随设置弹窗一起关闭
+            if (window.promptModalManager) {
+                window.promptModalManager.closeModal('promptSettingsModal');
+            }
+            window.promptAIService?.reloadSettings().catch(() => {});
+            PromptToastManager.show('API Key 已锁定', 'success');
+        } catch (error) {
+            this.handleError(error, '锁定');
+        }
+    }
+
+    async disableVault() {
+        if (!confirm('关闭加密后 API Key 将以明文保存在本地，确定关闭吗？')) {
+            return;
+        }
+
+        try {
+            await window.aiKeyVault.disable();
+            await this.loadData();
+            await this.renderVaultStatus();
+            PromptToastManager.show('已关闭 API Key 加密', 'success');
+        } catch (error) {
+            this.handleError(error, '关闭加密');
+        }
+    }
+
+    async promptUnlockIfNeeded() {
+        try {
+            if (!await window.aiKeyVault.isUnlocked()) {
+                this.openUnlockModal();
+            }
+        } catch (error) {
+            console.warn('检查 API Key 加密状态失败:', error);
+        }
+    }
+
+    /**
+     * 打开解锁弹窗
+     * @param {Function|null} onUnlocked - 解锁成功后执行的操作
+     */
+    openUnlockModal(onUnlocked = null) {
+        this.ensureModalManagersInitialized();
+        this.pendingUnlockAction = onUnlocked;
+
+        if (this.elements.unlockPassphrase) this.elements.unlockPassphrase.value = '';
+        if (window.promptModalManager) {
+            window.promptModalManager.openModal('promptUnlockModal');
+        }
+        this.elements.unlockPassphrase?.focus();
+    }
+
+    closeUnlockModal() {
+        this.pendingUnlockAction = null;
+        if (window.promptModalManager) {
+            window.promptModalManager.closeModal('promptUnlockModal');
+        }
+    }
+
+    async unlockVault() {
+        try {
+            await window.aiKeyVault.unlock(this.elements.unlockPassphrase?.value || '');
+            await window.promptAIService?.reloadSettings();
+
+            const action = this.pendingUnlockAction;
+            this.closeUnlockModal();
+            PromptToastManager.show('API Key 已解锁', 'success');
+            action?.();
+        } catch (error) {
+            this.handleError(error, '解锁');
+        }
+    }
+
+    async openUsageModal() {
+        this.ensureModalManagersInitialized();
+
+        if (window.promptModalManager) {
+            window.promptModalManager.openModal('promptUsageModal');
+        } else {
+            console.error('promptModalManager 未初始化');
+        }
+
+        await this.renderUsageDashboard();
+    }
+
+    async renderUsageDashboard() {
+        try {
+            const days = Number(this.elements.usageDays?.value) || 7;
+            const summary = await window.promptAIService.getUsageStats(days);
+
+            this.renderUsageSummary(summary.totals);
+            this.renderUsageTable(summary.rows);
+            this.renderPriceList(summary.priceTable, summary.rows);
+        } catch (error) {
+            this.handleError(error, '加载AI用量');
+        }
+    }
+
+    // 格式化费用，未配置价格的模型显示为 -
+    formatUsageCost(cost) {
+        return cost === null || cost === undefined ? '-' : `$${cost.toFixed(4)}`;
+    }
+
+    renderUsageSummary(totals) {
+        if (!this.elements.usageSummary) return;
+
+        const items = [
+            { label: '请求次数', value: `${totals.requests}${totals.failedRequests ? `（失败 ${totals.failedRequests}）` : ''}` },
+            { label: '缓存命中', value: totals.cacheHits },
+            { label: '输入 tokens', value: totals.inputTokens.toLocaleString() },
+            { label: '输出 tokens', value: totals.outputTokens.toLocaleString() },
+            { label: '预估费用', value: this.formatUsageCost(totals.cost) }
+        ];
+
+        this.elements.usageSummary.innerHTML = items.map(item => `
+            <div class="prompt-usage-stat">
+                <div class="prompt-usage-stat-value">${item.value}</div>
+                <div class="prompt-usage-stat-label">${item.label}</div>
+            </div>
+        `).join('');
+    }
+
+    renderUsageTable(rows) {
+        if (!this.elements.usageTable) return;
+
+        this.elements.usageTable.innerHTML = `
+            <thead>
+                <tr><th>日期</th><th>模型</th><th>请求</th><th>缓存</th><th>输入</th><th>输出</th><th>费用</th></tr>
+            </thead>
+            <tbody></tbody>
+        `;
+        const tbody = this.elements.usageTable.querySelector('tbody');
+
+        if (rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="prompt-usage-empty">暂无用量记录</td></tr>';
+            return;
+        }
+
+        // 模型名称来自用户配置，通过textContent写入
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            [
+                row.date.slice(5),
+                row.model,
+                row.requests,
+                row.cacheHits,
+                row.inputTokens.toLocaleString(),
+                row.outputTokens.toLocaleString(),
+                this.formatUsageCost(row.cost)
+            ].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+    }
+
+    renderPriceList(priceTable, rows) {
+        if (!this.elements.priceList) return;
+
+        // 已配置的模型和有用量记录的模型都可设置价格
+        const configuredModels = (this.settings.models || []).map(model => window.aiUsageService.getModelKey(model));
+        const modelNames = [...new Set([
+            ...configuredModels,
+            ...rows.map(row => row.model),
+            ...Object.keys(priceTable)
+        ])];
+
+        this.elements.priceList.innerHTML = '';
+        modelNames.forEach(modelName => {
+            const price = priceTable[modelName] || {};
+            const item = document.createElement('div');
+            item.className = 'prompt-price-item';
+            item.innerHTML = `
+                <span class="prompt-price-model"></span>
+                <input type="number" min="0" step="0.01" data-field="input" placeholder="输入">
+                <input type="number" min="0" step="0.01" data-field="output" placeholder="输出">
+            `;
+            item.dataset.model = modelName;
+            item.querySelector('.prompt-price-model').textContent = modelName;
+            item.querySelector('[data-field="input"]').value = price.input ?? '';
+            item.querySelector('[data-field="output"]').value = price.output ?? '';
+            this.elements.priceList.appendChild(item);
+        });
+    }
+
+    async savePriceTable() {
+        try {
+            const priceTable = {};
+            this.elements.priceList?.querySelectorAll('.prompt-price-item').forEach(item => {
+                const input = item.querySelector('[data-field="input"]').value;
+                const output = item.querySelector('[data-field="output"]').value;
+                // 两项都留空表示不计价
+                if (input !== '' || output !== '') {
+                    priceTable[item.dataset.model] = { input: Number(input) || 0, output: Number(output) || 0 };
+                }
+            });
+
+            await window.aiUsageService.savePriceTable(priceTable);
+            await this.renderUsageDashboard();
+            PromptToastManager.show('价格表已保存', 'success');
+        } catch (error) {
+            this.handleError(error, '保存价格表');
+        }
+    }
+
+    async clearAICache() {
+        if (!confirm('确定要清空AI结果缓存吗？用量统计不会被清除。')) {
+            return;
+        }
+
+        const success = await window.aiUsageService.clearCache();
+        PromptToastManager.show(success ? 'AI结果缓存已清空' : '清空缓存失败', success ? 'success' : 'error');
+    }
+
     async exportData() {
         try {
+            // 导出文件不包含 API Key（明文和密文），导入时保留本地已配置的 Key
             const data = {
                 categories: this.categories,
                 prompts: this.prompts,
-                settings: this.settings,
+                settings: window.aiKeyVault.stripApiKeys(this.settings),
                 exportTime: new Date().toISOString()
             };
 
@@ -697,7 +1137,7 @@ class PromptApp {
             a.click();
 
             URL.revokeObjectURL(url);
-            PromptToastManager.show('导出成功', 'success');
+            PromptToastManager.show('导出成功（不包含 API Key）', 'success');
         } catch (error) {
             this.handleError(error, '导出数据');
         }
@@ -730,12 +1170,13 @@ class PromptApp {
             await chrome.storage.local.set({
                 promptCategories: newCategories,
                 promptPrompts: newPrompts,
-                promptSettings: data.settings || this.settings
+                promptSettings: data.settings ? await this.mergeImportedSettings(data.settings) : this.settings
             });
 
             // 重新加载数据
             await this.loadData();
             this.render();
+            window.promptAIService?.reloadSettings().catch(() => {});
 
             PromptToastManager.show(`导入成功，新增 ${data.prompts.length} 个提示词`, 'success');
         } catch (error) {
@@ -744,6 +1185,28 @@ class PromptApp {
         }
     }
 
+    /**
+     * 合并导入的设置：导入文件未包含 API Key 的模型沿用本地同ID模型的 Key
+     * 导入文件中的密文无法用本地口令解密，直接丢弃；明文 Key 在启用加密时重新加密
+     * @param {Object} importedSettings - 导入的设置
+     * @returns {Promise<Object>} 用于存储的设置
+     */
+    async mergeImportedSettings(importedSettings) {
+        const currentModels = this.settings.models || [];
+
+        const models = (importedSettings.models || []).map(({ encryptedApiKey, ...model }) => {
+            const current = currentModels.find(m => m.id === model.id);
+            if (model.apiKey || !current) {
+                return model;
+            }
+            return current.encryptedApiKey
+                ? { ...model, apiKey: '', encryptedApiKey: current.encryptedApiKey }
+                : { ...model, apiKey: current.apiKey || '' };
+        });
+
+        return window.aiKeyVault.encryptSettings({ ...importedSettings, models });
+    }
+
     async refresh() {
         await this.loadData();
         this.render();
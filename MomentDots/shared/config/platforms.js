@@ -10,7 +10,9 @@ const SUPPORTED_PLATFORMS = [
     color: 'bg-red-500',
     logoUrl: 'https://favicon.im/weibo.com',
     domain: 'weibo.com',
-    supportsVideo: true
+    supportsVideo: true,
+    supportsAutoSubmit: true, // 支持预填充后自动点击发布
+    hashtagFormat: 'wrapped'  // 话题格式：#话题#
   },
   {
     id: 'xiaohongshu',
@@ -20,7 +22,8 @@ const SUPPORTED_PLATFORMS = [
     color: 'bg-red-500',
     logoUrl: 'https://favicon.im/www.xiaohongshu.com',
     domain: 'xiaohongshu.com',
-    supportsVideo: true
+    supportsVideo: true,
+    hashtagFormat: 'topic' // 话题需通过编辑器的话题候选框插入，由适配器处理
   },
   {
     id: 'jike',
@@ -39,7 +42,9 @@ const SUPPORTED_PLATFORMS = [
     color: 'bg-black',
     logoUrl: 'https://favicon.im/www.douyin.com',
     domain: 'douyin.com',
-    supportsVideo: true
+    supportsVideo: true,
+    supportsAutoSubmit: true,
+    hashtagFormat: 'topic'
   },
   {
     id: 'x',
@@ -48,7 +53,9 @@ const SUPPORTED_PLATFORMS = [
     color: 'bg-black',
     logoUrl: 'https://favicon.im/x.com',
     domain: 'x.com',
-    supportsVideo: false
+    supportsVideo: false,
+    supportsAutoSubmit: true,
+    hashtagFormat: 'prefix' // 话题格式：#tag（未配置的平台同样按此格式追加）
   },
   {
     id: 'bilibili',
@@ -58,7 +65,8 @@ const SUPPORTED_PLATFORMS = [
     color: 'bg-blue-500',
     logoUrl: 'https://favicon.im/www.bilibili.com',
     domain: 'bilibili.com',
-    supportsVideo: true
+    supportsVideo: true,
+    hashtagFormat: 'wrapped'
   },
   {
     id: 'weixin',
@@ -88,6 +96,15 @@ const SUPPORTED_PLATFORMS = [
       requiresActivation: true  // 需要点击激活内容区域
     },
     supportsVideo: true
+  },
+  {
+    id: 'zhihu',
+    name: '知乎',
+    publishUrl: 'https://www.zhihu.com/',
+    color: 'bg-blue-600',
+    logoUrl: 'https://favicon.im/www.zhihu.com',
+    domain: 'zhihu.com',
+    supportsVideo: false
   }
 ];
 
@@ -136,6 +153,62 @@ const ARTICLE_PLATFORMS = [
     supportsVideo: false,
     contentType: 'article',
     parentPlatform: 'xiaohongshu'
+  },
+  {
+    id: 'zhihu-article',
+    name: '知乎专栏',
+    publishUrl: 'https://zhuanlan.zhihu.com/write',
+    color: 'bg-blue-600',
+    logoUrl: 'https://favicon.im/www.zhihu.com',
+    domain: 'zhuanlan.zhihu.com',
+    supportsVideo: false,
+    contentType: 'article',
+    parentPlatform: 'zhihu'
+  },
+  // 以下为Markdown编辑器平台，文章内容以Markdown格式注入
+  {
+    id: 'juejin-article',
+    name: '掘金',
+    publishUrl: 'https://juejin.cn/editor/drafts/new?v=2',
+    color: 'bg-blue-500',
+    logoUrl: 'https://favicon.im/juejin.cn',
+    domain: 'juejin.cn',
+    supportsVideo: false,
+    contentType: 'article',
+    contentFormat: 'markdown'
+  },
+  {
+    id: 'csdn-article',
+    name: 'CSDN',
+    publishUrl: 'https://editor.csdn.net/md/?not_checkout=1',
+    color: 'bg-red-600',
+    logoUrl: 'https://favicon.im/blog.csdn.net',
+    domain: 'editor.csdn.net',
+    supportsVideo: false,
+    contentType: 'article',
+    contentFormat: 'markdown'
+  },
+  {
+    id: 'jianshu-article',
+    name: '简书',
+    publishUrl: 'https://www.jianshu.com/writer#/',
+    color: 'bg-red-400',
+    logoUrl: 'https://favicon.im/www.jianshu.com',
+    domain: 'jianshu.com',
+    supportsVideo: false,
+    contentType: 'article',
+    contentFormat: 'markdown'
+  },
+  {
+    id: 'segmentfault-article',
+    name: '思否',
+    publishUrl: 'https://segmentfault.com/write',
+    color: 'bg-green-600',
+    logoUrl: 'https://favicon.im/segmentfault.com',
+    domain: 'segmentfault.com',
+    supportsVideo: false,
+    contentType: 'article',
+    contentFormat: 'markdown'
   }
 ];
 
@@ -169,6 +242,11 @@ function getVideoSupportedPlatforms() {
   return SUPPORTED_PLATFORMS.filter(platform => platform.supportsVideo !== false);
 }
 
+// 获取支持自动发布的平台列表
+function getAutoSubmitPlatforms() {
+  return SUPPORTED_PLATFORMS.filter(platform => platform.supportsAutoSubmit);
+}
+
 // 获取文章专用平台列表
 function getArticlePlatforms() {
   return ARTICLE_PLATFORMS;
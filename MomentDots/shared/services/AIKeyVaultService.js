@@ -0,0 +1,373 @@
+/**
+ * AIKeyVaultService - AI API Key 加密存储服务
+ *
+ * 功能：
+ * - 使用用户口令（PBKDF2 派生）通过 AES-GCM 加密 promptSettings.models[].apiKey
+ * - 解锁后的密钥保存在 chrome.storage.session 中，仅在当前浏览器会话内有效
+ * - 读取设置时自动解密，保存设置时自动加密，未启用加密时保持原有明文存储
+ *
+ * 存储结构：
+ * - chrome.storage.local.aiKeyVault: { salt, iterations, check }，check 用于校验口令
+ * - promptSettings.models[].encryptedApiKey: { iv, data }，启用加密后 apiKey 字段为空
+ *
+ * @author MomentDots Team
+ * @version 1.0.0
+ */
+
+// 未解锁时抛出的错误码，调用方据此提示用户解锁
+const AI_KEYS_LOCKED_ERROR_CODE = 'AI_KEYS_LOCKED';
+
+class AIKeyVaultService {
+  /**
+   * 构造函数
+   * @param {Object} options - 配置选项
+   * @param {number} options.iterations - PBKDF2 迭代次数
+   */
+  constructor(options = {}) {
+    this.iterations = options.iterations || 310000;
+    this.vaultStorageKey = 'aiKeyVault';
+    this.sessionStorageKey = 'aiKeyVaultKey';
+    this.settingsStorageKey = 'promptSettings';
+    // 用于校验口令的固定明文
+    this.checkText = 'MomentDots';
+    this.minPassphraseLength = 6;
+  }
+
+  /**
+   * 创建未解锁错误
+   * @returns {Error} 带 code 的错误
+   */
+  createLockedError() {
+    const error = new Error('API Key 已加密，请先在提示词助手中输入口令解锁');
+    error.code = AI_KEYS_LOCKED_ERROR_CODE;
+    return error;
+  }
+
+  /**
+   * 判断是否为未解锁错误
+   * @param {Error} error - 错误
+   * @returns {boolean} 是否未解锁
+   */
+  isLockedError(error) {
+    return error?.code === AI_KEYS_LOCKED_ERROR_CODE;
+  }
+
+  /**
+   * Base64 编码
+   * @param {ArrayBuffer|Uint8Array} buffer - 二进制数据
+   * @returns {string} Base64 字符串
+   */
+  toBase64(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  /**
+   * Base64 解码
+   * @param {string} base64 - Base64 字符串
+   * @returns {Uint8Array} 二进制数据
+   */
+  fromBase64(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
+
+  /**
+   * 读取加密配置
+   * @returns {Promise<Object|null>} { salt, iterations, check }
+   */
+  async getVaultConfig() {
+    const data = await chrome.storage.local.get([this.vaultStorageKey]);
+    return data[this.vaultStorageKey] || null;
+  }
+
+  /**
+   * 是否已启用加密
+   * @returns {Promise<boolean>} 是否启用
+   */
+  async isEnabled() {
+    return !!(await this.getVaultConfig());
+  }
+
+  /**
+   * 获取当前会话中已解锁的密钥
+   * @returns {Promise<CryptoKey|null>} 密钥，未解锁时返回 null
+   */
+  async getSessionKey() {
+    const data = await chrome.storage.session.get([this.sessionStorageKey]);
+    const rawKey = data[this.sessionStorageKey];
+    if (!rawKey) {
+      return null;
+    }
+    return crypto.subtle.importKey('raw', this.fromBase64(rawKey), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  /**
+   * 当前会话是否已解锁（未启用加密时视为已解锁）
+   * @returns {Promise<boolean>} 是否已解锁
+   */
+  async isUnlocked() {
+    if (!await this.isEnabled()) {
+      return true;
+    }
+    const data = await chrome.storage.session.get([this.sessionStorageKey]);
+    return !!data[this.sessionStorageKey];
+  }
+
+  /**
+   * 获取加密状态（用于设置界面展示）
+   * @returns {Promise<{enabled: boolean, unlocked: boolean}>} 加密状态
+   */
+  async getStatus() {
+    const enabled = await this.isEnabled();
+    return { enabled, unlocked: enabled ? await this.isUnlocked() : true };
+  }
+
+  /**
+   * 由口令派生 AES-GCM 密钥（可导出，以便保存到会话存储）
+   * @param {string} passphrase - 口令
+   * @param {Uint8Array} salt - 盐
+   * @param {number} iterations - 迭代次数
+   * @returns {Promise<CryptoKey>} 密钥
+   */
+  async deriveKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * 加密文本
+   * @param {CryptoKey} key - 密钥
+   * @param {string} text - 明文
+   * @returns {Promise<{iv: string, data: string}>} 密文
+   */
+  async encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iv: this.toBase64(iv), data: this.toBase64(data) };
+  }
+
+  /**
+   * 解密文本
+   * @param {CryptoKey} key - 密钥
+   * @param {{iv: string, data: string}} payload - 密文
+   * @returns {Promise<string>} 明文
+   */
+  async decryptText(key, payload) {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this.fromBase64(payload.iv) },
+      key,
+      this.fromBase64(payload.data)
+    );
+    return new TextDecoder().decode(data);
+  }
+
+  /**
+   * 将密钥保存到会话存储（浏览器关闭后失效）
+   * @param {CryptoKey} key - 密钥
+   */
+  async storeSessionKey(key) {
+    const rawKey = await crypto.subtle.exportKey('raw', key);
+    await chrome.storage.session.set({ [this.sessionStorageKey]: this.toBase64(rawKey) });
+  }
+
+  /**
+   * 获取解锁后的密钥，未解锁时抛出未解锁错误
+   * @returns {Promise<CryptoKey>} 密钥
+   */
+  async requireSessionKey() {
+    const key = await this.getSessionKey();
+    if (!key) {
+      throw this.createLockedError();
+    }
+    return key;
+  }
+
+  /**
+   * 启用加密：设置口令并加密已保存的 API Key
+   * @param {string} passphrase - 口令
+   */
+  async enable(passphrase) {
+    if (await this.isEnabled()) {
+      throw new Error('已启用 API Key 加密');
+    }
+    if (!passphrase || passphrase.length < this.minPassphraseLength) {
+      throw new Error(`口令至少需要 ${this.minPassphraseLength} 个字符`);
+    }
+
+    // 先读取明文设置，启用后再按加密格式写回
+    const settings = await this.loadSettings();
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveKey(passphrase, salt, this.iterations);
+
+    await chrome.storage.local.set({
+      [this.vaultStorageKey]: {
+        salt: this.toBase64(salt),
+        iterations: this.iterations,
+        check: await this.encryptText(key, this.checkText)
+      }
+    });
+    await this.storeSessionKey(key);
+
+    if (settings) {
+      await this.saveSettings(settings);
+    }
+    console.log('🔐 已启用 API Key 加密');
+  }
+
+  /**
+   * 使用口令解锁，当前浏览器会话内无需再次输入
+   * @param {string} passphrase - 口令
+   */
+  async unlock(passphrase) {
+    const config = await this.getVaultConfig();
+    if (!config) {
+      return;
+    }
+
+    const key = await this.deriveKey(passphrase || '', this.fromBase64(config.salt), config.iterations);
+
+    try {
+      if (await this.decryptText(key, config.check) !== this.checkText) {
+        throw new Error('口令校验失败');
+      }
+    } catch (error) {
+      throw new Error('口令错误');
+    }
+
+    await this.storeSessionKey(key);
+    console.log('🔓 API Key 已解锁');
+  }
+
+  /**
+   * 锁定：清除会话中的密钥
+   */
+  async lock() {
+    await chrome.storage.session.remove([this.sessionStorageKey]);
+    console.log('🔒 API Key 已锁定');
+  }
+
+  /**
+   * 关闭加密：将 API Key 恢复为明文存储（需已解锁）
+   */
+  async disable() {
+    const settings = await this.loadSettings();
+
+    await chrome.storage.local.remove([this.vaultStorageKey]);
+    await this.lock();
+
+    if (settings) {
+      await this.saveSettings(settings);
+    }
+    console.log('已关闭 API Key 加密');
+  }
+
+  /**
+   * 加密设置中的 API Key（未启用加密时原样返回）
+   * 已加密且未修改的 Key 保留原密文
+   * @param {Object} settings - 明文设置
+   * @returns {Promise<Object>} 用于存储的设置
+   */
+  async encryptSettings(settings) {
+    if (!settings?.models?.some(model => model.apiKey) || !await this.isEnabled()) {
+      return settings;
+    }
+
+    const key = await this.requireSessionKey();
+    const models = await Promise.all(settings.models.map(async model => {
+      if (!model.apiKey) {
+        return model;
+      }
+      return { ...model, apiKey: '', encryptedApiKey: await this.encryptText(key, model.apiKey) };
+    }));
+
+    return { ...settings, models };
+  }
+
+  /**
+   * 解密设置中的 API Key，存在密文但未解锁时抛出未解锁错误
+   * @param {Object} settings - 存储的设置
+   * @returns {Promise<Object>} 明文设置
+   */
+  async decryptSettings(settings) {
+    if (!settings?.models?.some(model => model.encryptedApiKey)) {
+      return settings;
+    }
+
+    const key = await this.requireSessionKey();
+    const models = await Promise.all(settings.models.map(async model => {
+      if (!model.encryptedApiKey) {
+        return model;
+      }
+      const { encryptedApiKey, ...rest } = model;
+      return { ...rest, apiKey: await this.decryptText(key, encryptedApiKey) };
+    }));
+
+    return { ...settings, models };
+  }
+
+  /**
+   * 读取并解密 AI 设置
+   * @returns {Promise<Object|null>} 明文设置，未保存过设置时返回 null
+   */
+  async loadSettings() {
+    const data = await chrome.storage.local.get([this.settingsStorageKey]);
+    const settings = data[this.settingsStorageKey];
+    return settings ? this.decryptSettings(settings) : null;
+  }
+
+  /**
+   * 加密并保存 AI 设置
+   * @param {Object} settings - 明文设置
+   * @returns {Promise<Object>} 实际存储的设置
+   */
+  async saveSettings(settings) {
+    const storedSettings = await this.encryptSettings(settings);
+    await chrome.storage.local.set({ [this.settingsStorageKey]: storedSettings });
+    return storedSettings;
+  }
+
+  /**
+   * 移除设置中的 API Key（明文和密文），用于导出
+   * @param {Object} settings - 设置
+   * @returns {Object} 不含 API Key 的设置
+   */
+  stripApiKeys(settings) {
+    if (!settings?.models) {
+      return settings;
+    }
+
+    return {
+      ...settings,
+      models: settings.models.map(({ apiKey, encryptedApiKey, ...model }) => ({ ...model, apiKey: '' }))
+    };
+  }
+}
+
+// 创建单例实例
+const aiKeyVault = new AIKeyVaultService();
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AIKeyVaultService, aiKeyVault, AI_KEYS_LOCKED_ERROR_CODE };
+} else if (typeof window !== 'undefined') {
+  window.AIKeyVaultService = AIKeyVaultService;
+  window.aiKeyVault = aiKeyVault;
+}
@@ -0,0 +1,571 @@
+/**
+ * AI服务提供方抽象 - 统一不同大模型接口的请求构造与响应解析
+ * 支持 Gemini、OpenAI兼容（含 Ollama/llama.cpp/vLLM、DeepSeek、通义千问等）以及 Anthropic Messages 接口
+ */
+
+// 默认生成参数（与原 Gemini 调用保持一致）
+const AI_DEFAULT_GENERATION_CONFIG = {
+  temperature: 0.7,
+  topK: 40,
+  topP: 0.95,
+  maxOutputTokens: 8192
+};
+
+/**
+ * 拼接接口路径：端点已包含目标路径时原样返回，否则在末尾追加
+ * @param {string} endpoint - 用户配置的端点
+ * @param {string} path - 接口路径，如 /chat/completions
+ * @returns {string} 完整URL
+ */
+function appendEndpointPath(endpoint, path) {
+  const base = endpoint.trim().replace(/\/+$/, '');
+  return base.endsWith(path) ? base : `${base}${path}`;
+}
+
+/**
+ * 解析图片数据URL（data:image/jpeg;base64,...）
+ * @param {string} dataUrl - 图片数据URL
+ * @returns {{mimeType: string, data: string, dataUrl: string}} 图片类型和Base64数据
+ */
+function parseImageDataUrl(dataUrl) {
+  const match = /^data:([^;,]+);base64,(.*)$/.exec(dataUrl || '');
+  if (!match) {
+    throw new Error('图片必须是Base64数据URL');
+  }
+  return { mimeType: match[1], data: match[2], dataUrl };
+}
+
+const AI_PROVIDERS = {
+  gemini: {
+    id: 'gemini',
+    name: 'Google Gemini',
+    requiresApiKey: true,
+    defaultEndpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent',
+    defaultModel: 'gemini-2.5-flash',
+
+    buildUrl(model) {
+      // Gemini 端点中已包含模型名，密钥通过 ?key= 传递
+      const endpoint = model.endpoint
+        || `https://generativelanguage.googleapis.com/v1beta/models/${model.model || this.defaultModel}:generateContent`;
+      const separator = endpoint.includes('?') ? '&' : '?';
+      return `${endpoint}${separator}key=${encodeURIComponent(model.apiKey)}`;
+    },
+
+    buildHeaders() {
+      return { 'Content-Type': 'application/json' };
+    },
+
+    buildBody(model, prompt, config, images = []) {
+      const imageParts = images.map(image => ({
+        inline_data: { mime_type: image.mimeType, data: image.data }
+      }));
+      return {
+        contents: [{
+          parts: [...imageParts, { text: prompt }]
+        }],
+        generationConfig: {
+          temperature: config.temperature,
+          topK: config.topK,
+          topP: config.topP,
+          maxOutputTokens: config.maxOutputTokens
+        }
+      };
+    },
+
+    parseText(data) {
+      const parts = data?.candidates?.[0]?.content?.parts;
+      if (!Array.isArray(parts)) return null;
+      return parts.map(part => part.text || '').join('');
+    },
+
+    parseUsage(data) {
+      const usage = data?.usageMetadata;
+      if (!usage) return null;
+      return {
+        inputTokens: usage.promptTokenCount || 0,
+        outputTokens: usage.candidatesTokenCount || 0
+      };
+    },
+
+    buildStreamUrl(model) {
+      // 流式接口为 streamGenerateContent，alt=sse 使响应按SSE格式返回
+      const url = this.buildUrl(model).replace(':generateContent', ':streamGenerateContent');
+      return `${url}&alt=sse`;
+    },
+
+    buildStreamBody(model, prompt, config) {
+      return this.buildBody(model, prompt, config);
+    },
+
+    // 每个SSE事件都是一个完整的 GenerateContentResponse 片段
+    parseStreamEvent(data) {
+      if (data.error) throw new Error(data.error.message || 'Gemini 流式响应错误');
+      return this.parseText(data) || '';
+    },
+
+    // 每个片段都携带截至当前的累计用量，以最后一次为准
+    parseStreamUsage(data) {
+      return this.parseUsage(data);
+    }
+  },
+
+  openai: {
+    id: 'openai',
+    name: 'OpenAI兼容接口',
+    // 本地服务（Ollama、llama.cpp等）通常无需密钥
+    requiresApiKey: false,
+    defaultEndpoint: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+
+    buildUrl(model) {
+      return appendEndpointPath(model.endpoint || this.defaultEndpoint, '/chat/completions');
+    },
+
+    buildHeaders(model) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (model.apiKey) {
+        headers.Authorization = `Bearer ${model.apiKey}`;
+      }
+      return headers;
+    },
+
+    buildBody(model, prompt, config, images = []) {
+      const content = images.length === 0 ? prompt : [
+        { type: 'text', text: prompt },
+        ...images.map(image => ({ type: 'image_url', image_url: { url: image.dataUrl } }))
+      ];
+      return {
+        model: model.model || this.defaultModel,
+        messages: [{ role: 'user', content }],
+        temperature: config.temperature,
+        top_p: config.topP,
+        max_tokens: config.maxOutputTokens
+      };
+    },
+
+    parseText(data) {
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content === 'string') return content;
+      // 部分兼容服务返回分段内容
+      if (Array.isArray(content)) {
+        return content.map(part => part.text || '').join('');
+      }
+      return null;
+    },
+
+    parseUsage(data) {
+      const usage = data?.usage;
+      if (!usage) return null;
+      return {
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0
+      };
+    },
+
+    buildStreamUrl(model) {
+      return this.buildUrl(model);
+    },
+
+    buildStreamBody(model, prompt, config) {
+      // include_usage 使最后一个片段返回本次请求的用量
+      return { ...this.buildBody(model, prompt, config), stream: true, stream_options: { include_usage: true } };
+    },
+
+    parseStreamEvent(data) {
+      if (data.error) throw new Error(data.error.message || data.error);
+      return data.choices?.[0]?.delta?.content || '';
+    },
+
+    parseStreamUsage(data) {
+      return this.parseUsage(data);
+    }
+  },
+
+  anthropic: {
+    id: 'anthropic',
+    name: 'Anthropic',
+    requiresApiKey: true,
+    defaultEndpoint: 'https://api.anthropic.com/v1',
+    defaultModel: 'claude-sonnet-4-5',
+
+    buildUrl(model) {
+      return appendEndpointPath(model.endpoint || this.defaultEndpoint, '/messages');
+    },
+
+    buildHeaders(model) {
+      return {
+        'Content-Type': 'application/json',
+        'x-api-key': model.apiKey,
+        'anthropic-version': '2023-06-01',
+        // 扩展页面直接调用需要显式声明浏览器访问
+        'anthropic-dangerous-direct-browser-access': 'true'
+      };
+    },
+
+    buildBody(model, prompt, config, images = []) {
+      const content = images.length === 0 ? prompt : [
+        ...images.map(image => ({
+          type: 'image',
+          source: { type: 'base64', media_type: image.mimeType, data: image.data }
+        })),
+        { type: 'text', text: prompt }
+      ];
+      return {
+        model: model.model || this.defaultModel,
+        max_tokens: config.maxOutputTokens,
+        temperature: config.temperature,
+        messages: [{ role: 'user', content }]
+      };
+    },
+
+    parseText(data) {
+      if (!Array.isArray(data?.content)) return null;
+      return data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    },
+
+    parseUsage(data) {
+      const usage = data?.usage;
+      if (!usage) return null;
+      return {
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0
+      };
+    },
+
+    buildStreamUrl(model) {
+      return this.buildUrl(model);
+    },
+
+    buildStreamBody(model, prompt, config) {
+      return { ...this.buildBody(model, prompt, config), stream: true };
+    },
+
+    // 只关心文本增量事件，message_start/ping 等事件忽略
+    parseStreamEvent(data) {
+      if (data.type === 'error') throw new Error(data.error?.message || 'Anthropic 流式响应错误');
+      if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+        return data.delta.text;
+      }
+      return '';
+    },
+
+    // 输入用量在 message_start 中返回，输出用量在 message_delta 中累计返回
+    parseStreamUsage(data) {
+      if (data.type === 'message_start' && data.message?.usage) {
+        return { inputTokens: data.message.usage.input_tokens || 0 };
+      }
+      if (data.type === 'message_delta' && data.usage) {
+        return { outputTokens: data.usage.output_tokens || 0 };
+      }
+      return null;
+    }
+  }
+};
+
+/**
+ * 逐条读取SSE响应中的 data 字段
+ * @param {Response} response - fetch响应
+ * @returns {AsyncGenerator<string>} data 内容
+ */
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.startsWith('data:')) {
+          yield line.slice(5).trim();
+        }
+      }
+    }
+
+    if (buffer.startsWith('data:')) {
+      yield buffer.slice(5).trim();
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+class AIProviderService {
+  constructor() {
+    this.providers = AI_PROVIDERS;
+    this.defaultProviderId = 'gemini';
+  }
+
+  /**
+   * 获取提供方列表（用于设置界面下拉框）
+   * @returns {Array<Object>} 提供方信息
+   */
+  getProviderOptions() {
+    return Object.values(this.providers).map(provider => ({
+      id: provider.id,
+      name: provider.name,
+      requiresApiKey: provider.requiresApiKey,
+      defaultEndpoint: provider.defaultEndpoint,
+      defaultModel: provider.defaultModel
+    }));
+  }
+
+  /**
+   * 解析模型使用的提供方
+   * 旧版本保存的模型没有 provider 字段，按端点推断，无法识别时视为 Gemini
+   * @param {Object} model - 模型配置
+   * @returns {string} 提供方ID
+   */
+  resolveProviderId(model) {
+    if (model?.provider && this.providers[model.provider]) {
+      return model.provider;
+    }
+
+    const endpoint = model?.endpoint || '';
+    if (endpoint.includes('anthropic.com')) return 'anthropic';
+    if (endpoint.includes('/chat/completions')) return 'openai';
+    return this.defaultProviderId;
+  }
+
+  /**
+   * 获取提供方定义
+   * @param {Object} model - 模型配置
+   * @returns {Object} 提供方
+   */
+  getProvider(model) {
+    return this.providers[this.resolveProviderId(model)];
+  }
+
+  /**
+   * 检查模型配置是否可用于发起请求
+   * @param {Object} model - 模型配置
+   * @returns {boolean} 是否已配置
+   */
+  isModelConfigured(model) {
+    if (!model) return false;
+    const provider = this.getProvider(model);
+    return !provider.requiresApiKey || !!model.apiKey;
+  }
+
+  /**
+   * 构造请求参数
+   * @param {Object} model - 模型配置 { provider, model, endpoint, apiKey }
+   * @param {string} prompt - 完整提示词
+   * @param {Object} options - { images: 图片数据URL数组（多模态输入）, ...生成参数覆盖 }
+   * @returns {{url: string, init: Object}} fetch参数
+   */
+  buildRequest(model, prompt, options = {}) {
+    const { images = [], ...generationOptions } = options;
+    const provider = this.getProvider(model);
+    const config = { ...AI_DEFAULT_GENERATION_CONFIG, ...generationOptions };
+
+    return {
+      url: provider.buildUrl(model),
+      init: {
+        method: 'POST',
+        headers: provider.buildHeaders(model),
+        body: JSON.stringify(provider.buildBody(model, prompt, config, images.map(parseImageDataUrl)))
+      }
+    };
+  }
+
+  /**
+   * 构造流式请求参数
+   * @param {Object} model - 模型配置
+   * @param {string} prompt - 完整提示词
+   * @param {Object} options - 生成参数覆盖
+   * @returns {{url: string, init: Object}} fetch参数
+   */
+  buildStreamRequest(model, prompt, options = {}) {
+    const provider = this.getProvider(model);
+    const config = { ...AI_DEFAULT_GENERATION_CONFIG, ...options };
+
+    return {
+      url: provider.buildStreamUrl(model),
+      init: {
+        method: 'POST',
+        headers: provider.buildHeaders(model),
+        body: JSON.stringify(provider.buildStreamBody(model, prompt, config))
+      }
+    };
+  }
+
+  /**
+   * 从错误响应中提取错误信息（三家接口均使用 error.message，部分兼容服务直接返回字符串）
+   * @param {Object} errorData - 错误响应体
+   * @returns {string} 错误信息
+   */
+  extractErrorMessage(errorData) {
+    if (!errorData) return '';
+    if (typeof errorData.error === 'string') return errorData.error;
+    return errorData.error?.message || errorData.message || '';
+  }
+
+  /**
+   * 解析 Retry-After 响应头（秒数或 HTTP 日期）
+   * @param {string|null} value - 响应头的值
+   * @returns {number|null} 需要等待的毫秒数，无法解析时返回 null
+   */
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(seconds, 0) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+
+  /**
+   * 根据失败的响应创建错误，附带状态码和 Retry-After 供调用方决定是否重试
+   * @param {Response} response - fetch响应
+   * @returns {Promise<Error>} 错误（含 status、retryAfter 字段）
+   */
+  async createResponseError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = this.extractErrorMessage(errorData);
+    const error = new Error(`API 请求失败: ${response.status} ${response.statusText}${errorMessage ? ' - ' + errorMessage : ''}`);
+    error.status = response.status;
+    error.retryAfter = this.parseRetryAfter(response.headers?.get('Retry-After'));
+    return error;
+  }
+
+  /**
+   * 记录请求用量（未加载用量服务的页面忽略）
+   * @param {Object} model - 模型配置
+   * @param {Object|null} usage - { inputTokens, outputTokens }
+   * @param {boolean} success - 请求是否成功
+   */
+  recordUsage(model, usage, success = true) {
+    if (typeof window === 'undefined' || !window.aiUsageService) return;
+
+    window.aiUsageService.recordUsage(model, usage, { success })
+      .catch(error => console.warn('记录AI用量失败:', error));
+  }
+
+  /**
+   * 调用模型生成文本
+   * @param {Object} model - 模型配置
+   * @param {string} prompt - 完整提示词
+   * @param {Object} options - { images: 图片数据URL数组, ...生成参数覆盖 }
+   * @returns {Promise<string>} 生成的文本
+   */
+  async generateText(model, prompt, options = {}) {
+    if (!this.isModelConfigured(model)) {
+      throw new Error('API Key 未配置，请在设置中配置 API Key');
+    }
+
+    const provider = this.getProvider(model);
+    const { url, init } = this.buildRequest(model, prompt, options);
+
+    try {
+      const response = await fetch(url, init);
+
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+
+      const data = await response.json();
+      const text = provider.parseText(data);
+
+      if (typeof text !== 'string') {
+        throw new Error('API 返回数据格式错误');
+      }
+
+      this.recordUsage(model, provider.parseUsage(data), true);
+      return text;
+    } catch (error) {
+      this.recordUsage(model, null, false);
+      throw error;
+    }
+  }
+
+  /**
+   * 以流式方式调用模型，逐段回调生成的文本
+   * 通过 signal 中止时不抛出错误，返回已生成的部分内容
+   * @param {Object} model - 模型配置
+   * @param {string} prompt - 完整提示词
+   * @param {Object} options - { onChunk(chunk, fullText), signal, ...生成参数覆盖 }
+   * @returns {Promise<{text: string, aborted: boolean, usage: Object|null}>} 生成结果（含接口返回的用量）
+   */
+  async streamText(model, prompt, options = {}) {
+    const { onChunk, signal, ...generationOptions } = options;
+
+    if (!this.isModelConfigured(model)) {
+      throw new Error('API Key 未配置，请在设置中配置 API Key');
+    }
+
+    const provider = this.getProvider(model);
+    const { url, init } = this.buildStreamRequest(model, prompt, generationOptions);
+    let text = '';
+    let usage = null;
+
+    try {
+      const response = await fetch(url, { ...init, signal });
+
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+
+      if (!response.body) {
+        throw new Error('API 返回数据格式错误');
+      }
+
+      for await (const data of readServerSentEvents(response)) {
+        if (!data || data === '[DONE]') continue;
+
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch (error) {
+          console.warn('跳过无法解析的流式数据:', data);
+          continue;
+        }
+
+        const eventUsage = provider.parseStreamUsage(event);
+        if (eventUsage) {
+          usage = { ...usage, ...eventUsage };
+        }
+
+        const chunk = provider.parseStreamEvent(event);
+        if (chunk) {
+          text += chunk;
+          onChunk?.(chunk, text);
+        }
+      }
+
+      this.recordUsage(model, usage, true);
+      return { text, aborted: false, usage };
+    } catch (error) {
+      // 中止的请求已生成的部分同样计费，按成功请求记录
+      if (error.name === 'AbortError' || signal?.aborted) {
+        this.recordUsage(model, usage, true);
+        return { text, aborted: true, usage };
+      }
+      this.recordUsage(model, usage, false);
+      throw error;
+    }
+  }
+}
+
+// 创建单例实例
+const aiProviderService = new AIProviderService();
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AIProviderService, aiProviderService, AI_PROVIDERS };
+} else if (typeof window !== 'undefined') {
+  window.AIProviderService = AIProviderService;
+  window.aiProviderService = aiProviderService;
+}
@@ -0,0 +1,377 @@
+/**
+ * AIUsageService - AI结果持久化缓存与用量统计服务
+ *
+ * 功能：
+ * - 按 模型 + 完整提示词（含用户输入）的哈希缓存生成结果，重复发布同一内容时不再重复计费
+ * - 按 日期 + 模型 统计请求数、缓存命中数和输入/输出 token 数
+ * - 根据可配置的价格表（每百万 token 美元价格）估算费用
+ *
+ * 主页面与提示词助手共用同一个 IndexedDB
+ *
+ * @author MomentDots Team
+ * @version 1.0.0
+ */
+
+// 默认价格表：模型名称 -> 每百万 token 的美元价格，可在提示词助手的用量面板中修改
+const AI_USAGE_DEFAULT_PRICES = {
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'claude-sonnet-4-5': { input: 3, output: 15 }
+};
+
+class AIUsageService {
+  /**
+   * 构造函数
+   * @param {Object} options - 配置选项
+   * @param {string} options.dbName - 数据库名称
+   * @param {number} options.version - 数据库版本
+   * @param {number} options.maxCacheEntries - 最多缓存的结果数
+   * @param {number} options.cacheTTL - 缓存有效期（毫秒）
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'MomentDotsAIUsage';
+    this.version = options.version || 1;
+    this.cacheStoreName = 'cache';
+    this.usageStoreName = 'usage';
+    this.db = null;
+
+    this.maxCacheEntries = options.maxCacheEntries || 500;
+    this.cacheTTL = options.cacheTTL || 30 * 24 * 60 * 60 * 1000;
+
+    // 价格表存储键（保存过价格表后完全使用用户配置，未保存时使用默认价格）
+    this.priceStorageKey = 'aiPriceTable';
+  }
+
+  /**
+   * 初始化数据库
+   * @returns {Promise<IDBDatabase>} 数据库实例
+   */
+  async init() {
+    if (this.db) {
+      return this.db;
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.version);
+
+      request.onerror = () => {
+        console.error('Failed to open AI usage DB:', request.error);
+        reject(new Error('DB_INIT_FAILED'));
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        if (!db.objectStoreNames.contains(this.cacheStoreName)) {
+          const cacheStore = db.createObjectStore(this.cacheStoreName, { keyPath: 'key' });
+          cacheStore.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(this.usageStoreName)) {
+          const usageStore = db.createObjectStore(this.usageStoreName, { keyPath: 'id' });
+          usageStore.createIndex('date', 'date', { unique: false });
+        }
+      };
+    });
+  }
+
+  /**
+   * 获取用于统计和计价的模型名称（同一个模型可能被配置为多个条目，按实际调用的模型名合并）
+   * @param {Object} model - 模型配置
+   * @returns {string} 模型名称
+   */
+  getModelKey(model) {
+    return (model?.model || model?.id || 'unknown').trim();
+  }
+
+  /**
+   * 获取本地日期（YYYY-MM-DD）
+   * @param {number} timestamp - 时间戳
+   * @returns {string} 日期字符串
+   */
+  getDateKey(timestamp = Date.now()) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * 生成缓存键：模型提供方、模型名称和完整提示词的 SHA-256
+   * @param {Object} model - 模型配置
+   * @param {string} prompt - 完整提示词（已包含用户输入和变量）
+   * @returns {Promise<string>} 十六进制哈希
+   */
+  async buildCacheKey(model, prompt) {
+    const provider = window.aiProviderService?.resolveProviderId(model) || '';
+    const source = `${provider}\n${this.getModelKey(model)}\n${prompt}`;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 读取缓存结果（过期的结果视为未命中）
+   * @param {string} key - 缓存键
+   * @returns {Promise<string|null>} 缓存的文本或null
+   */
+  async getCachedResult(key) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.cacheStoreName], 'readonly');
+      const request = transaction.objectStore(this.cacheStoreName).get(key);
+
+      request.onsuccess = () => {
+        const entry = request.result;
+        resolve(entry && Date.now() - entry.createdAt < this.cacheTTL ? entry.text : null);
+      };
+      request.onerror = () => {
+        console.error('Failed to read AI cache:', request.error);
+        reject(new Error('GET_FAILED'));
+      };
+    });
+  }
+
+  /**
+   * 写入缓存结果
+   * @param {string} key - 缓存键
+   * @param {string} text - 生成的文本
+   * @param {Object} model - 模型配置
+   * @returns {Promise<void>}
+   */
+  async setCachedResult(key, text, model) {
+    await this.init();
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.cacheStoreName], 'readwrite');
+      transaction.objectStore(this.cacheStoreName).put({
+        key,
+        text,
+        model: this.getModelKey(model),
+        createdAt: Date.now()
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => {
+        console.error('Failed to store AI cache:', transaction.error);
+        reject(new Error('STORE_FAILED'));
+      };
+    });
+
+    this.trimCache().catch(error => console.warn('清理AI缓存失败:', error));
+  }
+
+  /**
+   * 超出最大缓存数时删除最旧的结果
+   * @returns {Promise<number>} 删除的条目数
+   */
+  async trimCache() {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.cacheStoreName], 'readwrite');
+      const store = transaction.objectStore(this.cacheStoreName);
+      const countRequest = store.count();
+      let deletedCount = 0;
+
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - this.maxCacheEntries;
+        if (excess <= 0) {
+          return;
+        }
+
+        store.index('createdAt').openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor && excess > 0) {
+            cursor.delete();
+            deletedCount++;
+            excess--;
+            cursor.continue();
+          }
+        };
+      };
+
+      transaction.oncomplete = () => resolve(deletedCount);
+      transaction.onerror = () => reject(new Error('CLEANUP_FAILED'));
+    });
+  }
+
+  /**
+   * 清空缓存结果（不影响用量统计）
+   * @returns {Promise<boolean>} 清理是否成功
+   */
+  async clearCache() {
+    await this.init();
+
+    return new Promise((resolve) => {
+      const transaction = this.db.transaction([this.cacheStoreName], 'readwrite');
+      const request = transaction.objectStore(this.cacheStoreName).clear();
+
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => {
+        console.error('Failed to clear AI cache:', request.error);
+        resolve(false);
+      };
+    });
+  }
+
+  /**
+   * 记录一次AI请求的用量（在同一事务内读写当天记录，避免并发请求互相覆盖）
+   * @param {Object} model - 模型配置
+   * @param {Object|null} usage - { inputTokens, outputTokens }，接口未返回时为null
+   * @param {Object} options - { success: 请求是否成功, cached: 是否命中缓存 }
+   * @returns {Promise<void>}
+   */
+  async recordUsage(model, usage, options = {}) {
+    const { success = true, cached = false } = options;
+    await this.init();
+
+    const modelKey = this.getModelKey(model);
+    const date = this.getDateKey();
+    const id = `${date}|${modelKey}`;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.usageStoreName], 'readwrite');
+      const store = transaction.objectStore(this.usageStoreName);
+      const request = store.get(id);
+
+      request.onsuccess = () => {
+        const record = request.result || {
+          id,
+          date,
+          model: modelKey,
+          requests: 0,
+          failedRequests: 0,
+          cacheHits: 0,
+          inputTokens: 0,
+          outputTokens: 0
+        };
+
+        if (cached) {
+          record.cacheHits++;
+        } else {
+          record.requests++;
+          if (!success) {
+            record.failedRequests++;
+          }
+          record.inputTokens += usage?.inputTokens || 0;
+          record.outputTokens += usage?.outputTokens || 0;
+        }
+        record.updatedAt = Date.now();
+        store.put(record);
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => {
+        console.error('Failed to record AI usage:', transaction.error);
+        reject(new Error('UPDATE_FAILED'));
+      };
+    });
+  }
+
+  /**
+   * 查询指定天数内的每日用量（按日期倒序）
+   * @param {number} days - 统计天数（含今天）
+   * @returns {Promise<Array>} 用量记录
+   */
+  async queryUsage(days = 7) {
+    await this.init();
+
+    const startDate = this.getDateKey(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.usageStoreName], 'readonly');
+      const index = transaction.objectStore(this.usageStoreName).index('date');
+      const request = index.getAll(IDBKeyRange.lowerBound(startDate));
+
+      request.onsuccess = () => {
+        const records = request.result || [];
+        records.sort((a, b) => b.date.localeCompare(a.date) || a.model.localeCompare(b.model));
+        resolve(records);
+      };
+      request.onerror = () => {
+        console.error('Failed to query AI usage:', request.error);
+        reject(new Error('QUERY_FAILED'));
+      };
+    });
+  }
+
+  /**
+   * 获取价格表
+   * @returns {Promise<Object>} 模型名称 -> { input, output }
+   */
+  async getPriceTable() {
+    try {
+      const data = await chrome.storage.local.get([this.priceStorageKey]);
+      return data[this.priceStorageKey] || { ...AI_USAGE_DEFAULT_PRICES };
+    } catch (error) {
+      console.warn('读取价格表失败，使用默认价格:', error);
+      return { ...AI_USAGE_DEFAULT_PRICES };
+    }
+  }
+
+  /**
+   * 保存价格表
+   * @param {Object} priceTable - 模型名称 -> { input, output }（每百万 token 美元价格）
+   * @returns {Promise<void>}
+   */
+  async savePriceTable(priceTable) {
+    await chrome.storage.local.set({ [this.priceStorageKey]: priceTable });
+  }
+
+  /**
+   * 估算费用（美元）
+   * @param {Object} record - 用量记录
+   * @param {Object} priceTable - 价格表
+   * @returns {number|null} 费用，价格表中没有该模型时返回null
+   */
+  estimateCost(record, priceTable) {
+    const price = priceTable[record.model];
+    if (!price) {
+      return null;
+    }
+    return (record.inputTokens * (price.input || 0) + record.outputTokens * (price.output || 0)) / 1000000;
+  }
+
+  /**
+   * 获取用量汇总：每日明细（含预估费用）和合计
+   * @param {number} days - 统计天数（含今天）
+   * @returns {Promise<Object>} { days, rows, totals, priceTable }
+   */
+  async getUsageSummary(days = 7) {
+    const [records, priceTable] = await Promise.all([this.queryUsage(days), this.getPriceTable()]);
+
+    const totals = { requests: 0, failedRequests: 0, cacheHits: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+    const rows = records.map(record => {
+      const cost = this.estimateCost(record, priceTable);
+
+      totals.requests += record.requests;
+      totals.failedRequests += record.failedRequests;
+      totals.cacheHits += record.cacheHits;
+      totals.inputTokens += record.inputTokens;
+      totals.outputTokens += record.outputTokens;
+      totals.cost += cost || 0;
+
+      return { ...record, cost };
+    });
+
+    return { days, rows, totals, priceTable };
+  }
+}
+
+// 创建单例实例
+const aiUsageService = new AIUsageService();
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AIUsageService, aiUsageService, AI_USAGE_DEFAULT_PRICES };
+} else if (typeof window !== 'undefined') {
+  window.AIUsageService = AIUsageService;
+  window.aiUsageService = aiUsageService;
+}
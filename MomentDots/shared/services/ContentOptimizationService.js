@@ -5,14 +5,25 @@
 
 class ContentOptimizationService {
   constructor() {
-    this.cache = new Map(); // 缓存优化结果
-    this.isInitialized = false;
+    this.cache = new Map(); // 缓存优化结果（内存，持久化缓存见 AIUsageService）
+    this.settings = null;   // 最近一次运行读取的明文设置，锁定或设置变更时清除
 
     // 并发控制配置
     this.maxConcurrency = 20; // Gemini API支持的最大并发数
     this.activeRequests = 0;  // 当前活跃的请求数
     this.requestQueue = [];   // 等待队列
 
+    // 限流与重试配置：模型可通过 rpmLimit 设置每分钟请求上限
+    this.requestTimestamps = new Map(); // 模型ID -> 最近一分钟内的请求时间戳
+    this.retryConfig = {
+      maxRetries: 3,         // 单个模型的最大重试次数
+      baseDelay: 1000,       // 指数退避的基础延迟（毫秒）
+      maxDelay: 30000,       // 指数退避的最大延迟（毫秒）
+      maxRetryAfter: 60000   // Retry-After 的最长等待时间（毫秒）
+    };
+
+    this.listenForSettingsChanges();
+
     // 只在开发环境输出初始化日志
     if (typeof window !== 'undefined' && window.location?.hostname === 'localhost') {
       console.log(`🚀 ContentOptimizationService 初始化，最大并发数: ${this.maxConcurrency}`);
@@ -20,24 +31,30 @@ class ContentOptimizationService {
   }
 
   /**
-   * 初始化服务
+   * 监听存储变化：AI设置、提示词或加密配置变更时丢弃已读取的设置和优化结果，
+   * API Key 被锁定时立即清除内存中的明文 Key
    */
-  async initialize() {
-    if (this.isInitialized) return;
-    
-    try {
-      // 预加载必要的配置
-      await this.loadSettings();
-      this.isInitialized = true;
-      console.log('✅ 内容优化服务初始化完成');
-    } catch (error) {
-      console.error('❌ 内容优化服务初始化失败:', error);
-      throw error;
-    }
+  listenForSettingsChanges() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.onChanged) return;
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const vaultKey = window.aiKeyVault?.sessionStorageKey || 'aiKeyVaultKey';
+      const locked = areaName === 'session' && changes[vaultKey] && !changes[vaultKey].newValue;
+      const settingsChanged = areaName === 'local' && (changes.promptSettings || changes.settings || changes.aiKeyVault);
+      const promptsChanged = areaName === 'local' && (changes.promptPrompts || changes.prompts);
+
+      if (locked || settingsChanged) {
+        this.settings = null;
+      }
+      if (settingsChanged || promptsChanged) {
+        // 模型或提示词内容变化后，内存中的结果可能来自旧模型或旧提示词
+        this.clearCache();
+      }
+    });
   }
 
   /**
-   * 获取AI设置
+   * 获取AI设置（每次运行前调用，确保使用最新的 Key、模型、备用模型和请求上限）
    * @returns {Promise<Object>} AI设置
    */
   async loadSettings() {
@@ -48,10 +65,13 @@ class ContentOptimizationService {
         chrome.storage.local.get(['settings'])
       ]);
 
-      // 优先使用promptSettings，降级到settings
+      // 优先使用promptSettings，降级到settings；启用加密时需解密API Key
       for (const result of results) {
         if (result.status === 'fulfilled' && result.value) {
-          const settings = result.value.promptSettings || result.value.settings;
+          const storedSettings = result.value.promptSettings || result.value.settings;
+          const settings = window.aiKeyVault
+            ? await window.aiKeyVault.decryptSettings(storedSettings)
+            : storedSettings;
           if (settings && this.validateSettings(settings)) {
             this.settings = settings;
             return settings;
@@ -61,7 +81,12 @@ class ContentOptimizationService {
 
       throw new Error('未找到有效的AI设置');
     } catch (error) {
+      // 读取失败（如已锁定）时不保留上次读取的明文 Key
+      this.settings = null;
       console.error('加载AI设置失败:', error);
+      if (window.aiKeyVault?.isLockedError(error)) {
+        throw error;
+      }
       throw new Error('AI API未配置，请先在提示词助手中配置API Key');
     }
   }
@@ -74,9 +99,9 @@ class ContentOptimizationService {
   validateSettings(settings) {
     if (!settings) return false;
 
-    // 检查MomentDots格式
+    // 检查MomentDots格式（本地OpenAI兼容服务可不配置密钥）
     if (settings.models && settings.models.length > 0) {
-      return settings.models.some(model => model.apiKey);
+      return settings.models.some(model => window.aiProviderService.isModelConfigured(model));
     }
 
     // 检查独立prompt扩展格式
@@ -86,33 +111,34 @@ class ContentOptimizationService {
   /**
    * 获取API配置
    * @param {string} modelId - 模型ID
-   * @returns {Object} API配置
+   * @returns {Object} API配置（包含模型配置及其提供方）
    */
   getAPIConfig(modelId = null) {
     if (!this.settings) {
       throw new Error('设置未加载');
     }
 
-    let apiKey, endpoint, model;
+    let model;
 
     if (this.settings.models && this.settings.models.length > 0) {
       // MomentDots格式
-      model = this.settings.models.find(m => m.id === (modelId || this.settings.defaultModel)) 
+      model = this.settings.models.find(m => m.id === (modelId || this.settings.defaultModel))
               || this.settings.models[0];
-      apiKey = model.apiKey;
-      endpoint = model.endpoint;
     } else if (this.settings.apiKey) {
-      // 独立prompt扩展格式
-      apiKey = this.settings.apiKey;
-      endpoint = this.settings.endpoint || 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
-      model = { id: 'gemini-2.5-flash' };
+      // 独立prompt扩展格式（仅支持Gemini）
+      model = {
+        id: 'gemini-2.5-flash',
+        provider: 'gemini',
+        apiKey: this.settings.apiKey,
+        endpoint: this.settings.endpoint
+      };
     }
 
-    if (!apiKey) {
+    if (!window.aiProviderService.isModelConfigured(model)) {
       throw new Error('API Key未配置');
     }
 
-    return { apiKey, endpoint, model };
+    return { model };
   }
 
   /**
@@ -147,55 +173,54 @@ class ContentOptimizationService {
 
   /**
    * 组合提示词内容
-   * @param {string} promptContent - 提示词内容
+   * @param {string} promptContent - 提示词内容（支持 {{变量}} 模板语法）
    * @param {string} originalText - 原始文本
+   * @param {Object} variables - 模板变量值
    * @returns {string} 组合后的内容
    */
-  combinePromptContent(promptContent, originalText) {
-    if (promptContent.includes('【用户输入内容】')) {
-      return promptContent.replace('【用户输入内容】', originalText);
-    } else {
-      return `${promptContent}\n\n用户输入的内容：\n${originalText}`;
-    }
+  combinePromptContent(promptContent, originalText, variables = {}) {
+    return window.PromptTemplate.renderPromptTemplate(promptContent, originalText, variables);
   }
 
   /**
    * 调用AI API进行内容优化 - 并发控制版本
    * @param {string} originalContent - 原始内容
    * @param {string} promptName - 提示词名称
+   * @param {Object} variables - 模板变量值（平台、字数限制等）
+   * @param {Object} options - { onStatus: 限流等待、重试和切换备用模型时的状态回调 }
    * @returns {Promise<string>} 优化后的内容
    */
-  async optimizeContent(originalContent, promptName) {
-    // 检查缓存
-    const cacheKey = `${promptName}:${originalContent}`;
-    if (this.cache.has(cacheKey)) {
-      console.log('🎯 使用缓存的优化结果');
-      return this.cache.get(cacheKey);
-    }
-
+  async optimizeContent(originalContent, promptName, variables = {}, options = {}) {
     // 并发控制：如果达到最大并发数，等待空闲槽位
     await this.acquireSlot();
 
     try {
-      // 确保服务已初始化
-      if (!this.isInitialized) {
-        await this.initialize();
-      }
-
-      console.log(`🤖 开始AI内容优化，提示词: ${promptName} (${this.activeRequests}/${this.maxConcurrency})`);
+      // 每次运行都重新读取设置，设置页的修改无需刷新页面即可生效
+      await this.loadSettings();
 
-      // 获取提示词（异步）和API配置（同步）
+      // 获取提示词（异步）和API配置（同步），优先使用提示词指定的模型
       const promptData = await this.getPromptByName(promptName);
-      const apiConfig = this.getAPIConfig(null);
+      const apiConfig = this.getAPIConfig(promptData.model || null);
+
+      // 组合内容（变量不同时提示词不同）
+      const combinedContent = this.combinePromptContent(promptData.content, originalContent, variables);
+
+      // 检查缓存：按模型和组合后的完整提示词区分，修改提示词内容或切换模型后不会命中旧结果
+      const cacheKey = `${this.getModelKey(apiConfig.model)}:${combinedContent}`;
+      if (this.cache.has(cacheKey)) {
+        console.log('🎯 使用缓存的优化结果');
+        return this.cache.get(cacheKey);
+      }
 
-      // 组合内容
-      const combinedContent = this.combinePromptContent(promptData.content, originalContent);
+      console.log(`🤖 开始AI内容优化，提示词: ${promptName} (${this.activeRequests}/${this.maxConcurrency})`);
 
-      // 调用API
-      const optimizedContent = await this.callAPI(apiConfig, combinedContent);
+      // 调用API（优先使用持久化缓存，重复发布同一内容时不再重复计费）
+      const { text: optimizedContent, model } = await this.generateWithCache(apiConfig, combinedContent, options);
 
-      // 缓存结果（LRU策略）
-      this.setCacheWithLimit(cacheKey, optimizedContent);
+      // 缓存结果（LRU策略）；切换到备用模型时不缓存，下次仍优先使用主模型
+      if (model === apiConfig.model) {
+        this.setCacheWithLimit(cacheKey, optimizedContent);
+      }
 
       console.log('✅ AI内容优化完成', {
         originalLength: originalContent.length,
@@ -216,50 +241,239 @@ class ContentOptimizationService {
   }
 
   /**
-   * 调用AI API
+   * 使用默认模型直接执行一段完整提示词（不经过提示词库）
+   * @param {string} prompt - 完整提示词
+   * @param {Object} options - { images: 随提示词发送的图片数据URL数组, onStatus: 状态回调 }
+   * @returns {Promise<string>} 模型输出
+   */
+  async completePrompt(prompt, options = {}) {
+    await this.acquireSlot();
+
+    try {
+      await this.loadSettings();
+      const { text } = await this.generateWithCache(this.getAPIConfig(null), prompt, options);
+      return text;
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * 带持久化缓存的API调用：按 模型 + 完整提示词（含图片数据）的哈希查找已有结果
+   * 缓存读写失败不影响正常调用；切换到备用模型时结果按备用模型缓存
    * @param {Object} apiConfig - API配置
+   * @param {string} prompt - 完整提示词
+   * @param {Object} options - { images: 图片数据URL数组, onStatus: 状态回调 }
+   * @returns {Promise<{text: string, model: Object}>} 模型输出及实际使用的模型
+   */
+  async generateWithCache(apiConfig, prompt, options = {}) {
+    const usageService = window.aiUsageService;
+    const cacheSource = [prompt, ...(options.images || [])].join('\n');
+    let cacheKey = null;
+
+    if (usageService) {
+      try {
+        cacheKey = await usageService.buildCacheKey(apiConfig.model, cacheSource);
+        const cached = await usageService.getCachedResult(cacheKey);
+        if (cached !== null) {
+          console.log('💾 使用持久化缓存的AI结果');
+          usageService.recordUsage(apiConfig.model, null, { cached: true })
+            .catch(error => console.warn('记录AI用量失败:', error));
+          return { text: cached, model: apiConfig.model };
+        }
+      } catch (error) {
+        console.warn('读取AI结果缓存失败:', error);
+      }
+    }
+
+    const result = await this.callAPI(apiConfig, prompt, options);
+
+    if (cacheKey) {
+      const resultKey = result.model === apiConfig.model
+        ? Promise.resolve(cacheKey)
+        : usageService.buildCacheKey(result.model, cacheSource);
+      resultKey
+        .then(key => usageService.setCachedResult(key, result.text, result.model))
+        .catch(error => console.warn('写入AI结果缓存失败:', error));
+    }
+
+    return result;
+  }
+
+  /**
+   * 调用AI API：遇到限流或服务端错误时退避重试，仍失败则切换到备用模型
+   * @param {Object} apiConfig - API配置
+   * @param {string} content - 内容
+   * @param {Object} options - { images: 图片数据URL数组, onStatus: 状态回调 }
+   * @returns {Promise<{text: string, model: Object}>} API响应及实际使用的模型（可能是备用模型）
+   */
+  async callAPI(apiConfig, content, options = {}) {
+    const { onStatus, ...requestOptions } = options;
+
+    try {
+      const text = await this.callModelWithRetry(apiConfig.model, content, requestOptions, onStatus);
+      return { text, model: apiConfig.model };
+    } catch (error) {
+      const fallbackModel = this.getFallbackModel(apiConfig.model);
+      if (!fallbackModel || !this.isRetryableError(error)) {
+        throw error;
+      }
+
+      console.warn(`⚠️ 模型 ${this.getModelLabel(apiConfig.model)} 不可用，切换到备用模型 ${this.getModelLabel(fallbackModel)}:`, error);
+      onStatus?.({
+        type: 'fallback',
+        model: fallbackModel,
+        message: `模型「${this.getModelLabel(apiConfig.model)}」暂时不可用，已切换到备用模型「${this.getModelLabel(fallbackModel)}」`
+      });
+      const text = await this.callModelWithRetry(fallbackModel, content, requestOptions, onStatus);
+      return { text, model: fallbackModel };
+    }
+  }
+
+  /**
+   * 调用单个模型，遵守每分钟请求上限，失败时按指数退避重试
+   * @param {Object} model - 模型配置
    * @param {string} content - 内容
+   * @param {Object} options - 传给提供方的请求参数
+   * @param {Function} onStatus - 状态回调
    * @returns {Promise<string>} API响应
    */
-  async callAPI(apiConfig, content) {
-    const { apiKey, endpoint, model } = apiConfig;
-
-    // 构建请求体
-    const requestBody = {
-      contents: [{
-        parts: [{ text: content }]
-      }],
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 8192,
+  async callModelWithRetry(model, content, options, onStatus) {
+    const { maxRetries } = this.retryConfig;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit(model, onStatus);
+
+      try {
+        // 请求格式、鉴权方式与响应解析由模型所属的提供方决定
+        return await window.aiProviderService.generateText(model, content, options);
+      } catch (error) {
+        if (attempt >= maxRetries || !this.isRetryableError(error)) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        const reason = error.status === 429 ? '请求过于频繁' : '服务暂时不可用';
+        console.warn(`🔁 模型 ${this.getModelLabel(model)} ${reason}，${delay}ms 后重试 (${attempt + 1}/${maxRetries}):`, error.message);
+        onStatus?.({
+          type: 'retry',
+          model,
+          attempt: attempt + 1,
+          delay,
+          message: `模型「${this.getModelLabel(model)}」${reason}，${Math.ceil(delay / 1000)}秒后重试（${attempt + 1}/${maxRetries}）...`
+        });
+        await this.sleep(delay);
       }
-    };
+    }
+  }
 
-    // 构建请求URL
-    const url = endpoint.includes('?') 
-      ? `${endpoint}&key=${apiKey}`
-      : `${endpoint}?key=${apiKey}`;
+  /**
+   * 判断错误是否值得重试：429、5xx 以及网络错误
+   * @param {Error} error - 错误
+   * @returns {boolean} 是否可重试
+   */
+  isRetryableError(error) {
+    if (error?.status) {
+      return error.status === 429 || error.status >= 500;
+    }
+    // fetch 网络失败时抛出 TypeError
+    return error?.name === 'TypeError';
+  }
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(requestBody)
-    });
+  /**
+   * 计算重试延迟：优先使用服务端返回的 Retry-After，否则指数退避并加入随机抖动
+   * @param {Error} error - 错误（可含 retryAfter 毫秒数）
+   * @param {number} attempt - 已重试次数（从0开始）
+   * @returns {number} 延迟毫秒数
+   */
+  getRetryDelay(error, attempt) {
+    const { baseDelay, maxDelay, maxRetryAfter } = this.retryConfig;
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`API调用失败: ${response.status} - ${errorData.error?.message || response.statusText}`);
+    if (typeof error?.retryAfter === 'number') {
+      return Math.min(error.retryAfter, maxRetryAfter);
     }
 
-    const data = await response.json();
-    
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-      throw new Error('API返回数据格式异常');
+    // 抖动范围为延迟的 50%~100%，避免多个平台同时重试
+    const delay = Math.min(baseDelay * 2 ** attempt, maxDelay);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * 等待模型的每分钟请求配额（未设置 rpmLimit 的模型不限制）
+   * @param {Object} model - 模型配置
+   * @param {Function} onStatus - 状态回调
+   * @returns {Promise<void>}
+   */
+  async waitForRateLimit(model, onStatus) {
+    const limit = Number(model?.rpmLimit) || 0;
+    if (limit <= 0) return;
+
+    const key = model.id || model.model;
+    const windowSize = 60000;
+
+    while (true) {
+      const now = Date.now();
+      const timestamps = (this.requestTimestamps.get(key) || []).filter(time => now - time < windowSize);
+
+      if (timestamps.length < limit) {
+        timestamps.push(now);
+        this.requestTimestamps.set(key, timestamps);
+        return;
+      }
+
+      this.requestTimestamps.set(key, timestamps);
+      const delay = timestamps[0] + windowSize - now;
+      console.log(`⏳ 模型 ${this.getModelLabel(model)} 已达到每分钟 ${limit} 次请求上限，等待 ${delay}ms`);
+      onStatus?.({
+        type: 'rateLimit',
+        model,
+        delay,
+        message: `模型「${this.getModelLabel(model)}」已达到每分钟 ${limit} 次请求上限，${Math.ceil(delay / 1000)}秒后继续...`
+      });
+      await this.sleep(delay);
+    }
+  }
+
+  /**
+   * 获取备用模型（设置中的 fallbackModel，与当前模型相同或未配置时返回 null）
+   * @param {Object} model - 当前模型配置
+   * @returns {Object|null} 备用模型配置
+   */
+  getFallbackModel(model) {
+    const fallbackId = this.settings?.fallbackModel;
+    if (!fallbackId || fallbackId === model?.id) {
+      return null;
     }
 
-    return data.candidates[0].content.parts[0].text;
+    const fallbackModel = this.settings.models?.find(m => m.id === fallbackId);
+    return window.aiProviderService.isModelConfigured(fallbackModel) ? fallbackModel : null;
+  }
+
+  /**
+   * 获取区分内存缓存的模型标识（同一模型ID下修改了实际模型或地址也视为不同模型）
+   * @param {Object} model - 模型配置
+   * @returns {string} 模型标识
+   */
+  getModelKey(model) {
+    return [model?.provider, model?.id, model?.model, model?.endpoint].join('|');
+  }
+
+  /**
+   * 获取模型的显示名称
+   * @param {Object} model - 模型配置
+   * @returns {string} 显示名称
+   */
+  getModelLabel(model) {
+    return model?.name || model?.model || model?.id || '未命名模型';
+  }
+
+  /**
+   * 等待指定时间
+   * @param {number} ms - 毫秒数
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   /**
@@ -332,6 +546,7 @@ class ContentOptimizationService {
   resetConcurrencyControl() {
     this.activeRequests = 0;
     this.requestQueue = [];
+    this.requestTimestamps.clear();
     console.log('🔄 并发控制状态已重置');
   }
 }
@@ -145,6 +145,68 @@ class FileStorageService {
     });
   }
 
+  /**
+   * 获取文件元数据
+   * @param {string} fileId - 文件ID
+   * @returns {Promise<Object|null>} 元数据，文件不存在时返回null
+   */
+  async getMetadata(fileId) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readonly');
+      const store = transaction.objectStore(this.storeName);
+      const request = store.get(fileId);
+
+      request.onsuccess = () => {
+        resolve(request.result ? request.result.metadata || {} : null);
+      };
+
+      request.onerror = () => {
+        console.error('Failed to get file metadata:', request.error);
+        reject(new Error('GET_FAILED'));
+      };
+    });
+  }
+
+  /**
+   * 合并更新文件元数据（文件内容不变）
+   * @param {string} fileId - 文件ID
+   * @param {Object} updates - 要更新的元数据字段
+   * @returns {Promise<boolean>} 更新是否成功
+   */
+  async updateMetadata(fileId, updates) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const request = store.get(fileId);
+
+      request.onsuccess = () => {
+        const record = request.result;
+        if (!record) {
+          console.warn(`File not found: ${fileId}`);
+          resolve(false);
+          return;
+        }
+
+        record.metadata = { ...record.metadata, ...updates };
+        const putRequest = store.put(record);
+        putRequest.onsuccess = () => resolve(true);
+        putRequest.onerror = () => {
+          console.error('Failed to update file metadata:', putRequest.error);
+          reject(new Error('UPDATE_FAILED'));
+        };
+      };
+
+      request.onerror = () => {
+        console.error('Failed to get file:', request.error);
+        reject(new Error('GET_FAILED'));
+      };
+    });
+  }
+
   /**
    * 删除文件
    * @param {string} fileId - 文件ID
@@ -0,0 +1,132 @@
+/**
+ * HeicDecoderService - HEIC/HEIF 图片解码服务
+ *
+ * 功能：
+ * - 使用 libheif（libs/libheif，libheif-js 1.19.8 的 WASM 单文件版本，LGPL-3.0）解码 HEIC/HEIF
+ * - 浏览器无法原生解码时由 MediaPipelineService 调用（页面初始化时通过 registerDecoder 注册）
+ * - libheif 脚本（约 1.4MB）在首次解码 HEIC/HEIF 时才动态注入并初始化 WASM 模块，页面加载时不下载
+ *
+ * @author MomentDots Team
+ * @version 1.0.0
+ */
+
+class HeicDecoderService {
+  /**
+   * 构造函数
+   * @param {Object} options - 配置选项
+   * @param {Function} options.factory - libheif 工厂函数，默认在首次解码时加载 libheif-bundle.js 定义的全局 libheif
+   * @param {string} options.scriptPath - libheif 脚本在扩展中的路径
+   */
+  constructor(options = {}) {
+    this.factory = options.factory || (typeof libheif !== 'undefined' ? libheif : null);
+    this.scriptPath = options.scriptPath || 'libs/libheif/libheif-bundle.js';
+    this.factoryPromise = null;
+    this.library = null;
+  }
+
+  /**
+   * 动态注入 libheif 脚本并返回其工厂函数（只注入一次，加载失败后允许重试）
+   * @returns {Promise<Function>} libheif 工厂函数
+   */
+  loadFactory() {
+    if (this.factory) {
+      return Promise.resolve(this.factory);
+    }
+
+    if (!this.factoryPromise) {
+      this.factoryPromise = new Promise((resolve, reject) => {
+        if (typeof document === 'undefined') {
+          reject(new Error('HEIC 解码器未加载'));
+          return;
+        }
+
+        const script = document.createElement('script');
+        script.src = typeof chrome !== 'undefined' && chrome.runtime?.getURL
+          ? chrome.runtime.getURL(this.scriptPath)
+          : `../${this.scriptPath}`;
+        script.onload = () => {
+          if (typeof libheif === 'undefined') {
+            reject(new Error('HEIC 解码器未加载'));
+            return;
+          }
+          console.log('HEIC 解码器已加载');
+          resolve(libheif);
+        };
+        script.onerror = () => reject(new Error('HEIC 解码器未加载'));
+        document.head.appendChild(script);
+      }).then(factory => {
+        this.factory = factory;
+        return factory;
+      }, error => {
+        this.factoryPromise = null;
+        throw error;
+      });
+    }
+
+    return this.factoryPromise;
+  }
+
+  /**
+   * 获取（必要时加载并初始化）libheif 模块
+   * @returns {Promise<Object>} libheif 模块
+   */
+  async getLibrary() {
+    if (!this.library) {
+      const factory = await this.loadFactory();
+      this.library = this.library || factory();
+    }
+    return this.library;
+  }
+
+  /**
+   * 将 HEIC/HEIF 数据解码为 RGBA 像素（取第一张顶层图片，手机拍摄的照片即为主图）
+   * @param {ArrayBuffer|Uint8Array} buffer - 文件数据
+   * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>} 解码结果
+   */
+  async decodePixels(buffer) {
+    const library = await this.getLibrary();
+    const images = new library.HeifDecoder().decode(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer));
+
+    if (!images || images.length === 0) {
+      throw new Error('HEIC 文件中没有可解码的图片');
+    }
+
+    const image = images[0];
+
+    try {
+      const width = image.get_width();
+      const height = image.get_height();
+      const target = { width, height, data: new Uint8ClampedArray(width * height * 4) };
+
+      const result = await new Promise(resolve => image.display(target, resolve));
+      if (!result) {
+        throw new Error('HEIC 图片解码失败');
+      }
+
+      return { width, height, data: result.data };
+    } finally {
+      images.forEach(item => item.free());
+    }
+  }
+
+  /**
+   * 解码 HEIC/HEIF 文件，供 MediaPipelineService.registerDecoder 使用
+   * @param {File} file - 图片文件
+   * @returns {Promise<ImageData>} 解码结果
+   */
+  async decode(file) {
+    const { width, height, data } = await this.decodePixels(await file.arrayBuffer());
+    return new ImageData(data, width, height);
+  }
+}
+
+// 创建单例实例
+const heicDecoderService = new HeicDecoderService();
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { HeicDecoderService, heicDecoderService };
+} else if (typeof window !== 'undefined') {
+  window.HeicDecoderService = HeicDecoderService;
+  window.heicDecoderService = heicDecoderService;
+}
@@ -0,0 +1,729 @@
+/**
+ * MediaPipelineService - 图片处理服务
+ *
+ * 功能：
+ * - 按平台的图片限制（最大尺寸、最大字节数、支持的格式）缩放和重新压缩图片
+ * - 将平台不支持的格式转换为支持的格式（如 WebP 转 JPEG）
+ * - 按裁剪信息旋转和裁剪图片（原图不变，发布时生成）
+ * - 移除照片中的 EXIF/XMP/GPS 等元数据（JPEG/PNG/WebP 删除元数据段，HEIC/HEIF/AVIF 重新编码为 JPEG）
+ * - 解码 HEIC/HEIF/AVIF 等格式并生成 JPEG 预览缩略图（浏览器无法解码的格式通过 registerDecoder 注册解码器，HEIC/HEIF 见 HeicDecoderService）
+ * - 添加文字或图片水印
+ * - 优先使用 OffscreenCanvas，不支持时降级到普通 canvas
+ *
+ * 图片限制格式：
+ * { maxWidth, maxHeight, maxBytes, acceptedTypes, convertTo, quality }
+ *
+ * 裁剪信息格式（坐标为旋转后图片上的 0~1 比例）：
+ * { x, y, width, height, rotation }，rotation 取 0/90/180/270
+ *
+ * 水印设置格式（scale 为水印宽度占图片宽度的比例，margin 为边距占图片短边的比例）：
+ * { type: 'text'|'image', text, image: 图片数据URL, position, opacity, scale, margin }
+ * position 取 top-left/top-right/bottom-left/bottom-right/center
+ *
+ * @author MomentDots Team
+ * @version 1.0.0
+ */
+
+class MediaPipelineService {
+  /**
+   * 构造函数
+   * @param {Object} options - 配置选项
+   */
+  constructor(options = {}) {
+    this.defaultQuality = options.defaultQuality || 0.9; // 默认压缩质量
+    this.minQuality = options.minQuality || 0.6;         // 降低质量的下限，低于此值改为缩小尺寸
+    this.qualityStep = options.qualityStep || 0.1;       // 每次降低的质量
+    this.scaleStep = options.scaleStep || 0.85;          // 每次缩小的比例
+    this.maxAttempts = options.maxAttempts || 10;        // 最大压缩尝试次数
+
+    // 移除元数据时删除的 PNG 文本/元数据块
+    this.pngMetadataChunks = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+    // 元数据保存在 ISO-BMFF 容器条目中的格式，移除元数据时重新编码为 JPEG
+    this.reencodeMetadataTypes = ['image/heic', 'image/heif', 'image/avif'];
+
+    // 部分系统选择 HEIC/AVIF 文件时 file.type 为空，按扩展名识别
+    this.extensionTypes = {
+      heic: 'image/heic',
+      heif: 'image/heif',
+      avif: 'image/avif'
+    };
+
+    // 额外注册的解码器：MIME类型 -> async (file) => ImageBitmap|ImageData
+    this.decoders = new Map();
+
+    // 文字水印的绘制字号（绘制为图片后再按比例缩放到目标图片上）
+    this.watermarkFontSize = options.watermarkFontSize || 96;
+  }
+
+  /**
+   * 为浏览器无法原生解码的格式注册解码器（如基于 WASM 的 HEIC 解码器）
+   * @param {Array<string>} types - MIME类型列表
+   * @param {Function} decode - 解码函数，接收 File，返回 ImageBitmap 或 ImageData
+   */
+  registerDecoder(types, decode) {
+    types.forEach(type => this.decoders.set(type, decode));
+  }
+
+  /**
+   * 获取图片MIME类型，file.type 为空时按扩展名识别
+   * @param {File} file - 图片文件
+   * @returns {string} MIME类型，无法识别时返回空字符串
+   */
+  getImageType(file) {
+    if (file.type) {
+      return file.type;
+    }
+    const extension = (file.name.split('.').pop() || '').toLowerCase();
+    return this.extensionTypes[extension] || '';
+  }
+
+  /**
+   * 补全缺失的MIME类型，便于后续按类型校验和处理
+   * @param {File} file - 图片文件
+   * @returns {File} 类型完整的文件（无需补全时返回原文件）
+   */
+  normalizeImageType(file) {
+    const type = this.getImageType(file);
+    if (!type || type === file.type) {
+      return file;
+    }
+    return new File([file], file.name, { type, lastModified: file.lastModified });
+  }
+
+  /**
+   * 解码图片：优先使用浏览器原生解码，失败时使用已注册的解码器
+   * @param {File} file - 图片文件
+   * @returns {Promise<ImageBitmap>} 解码结果，调用方负责 close
+   */
+  async decodeImage(file) {
+    const decode = this.decoders.get(file.type);
+
+    try {
+      return await createImageBitmap(file);
+    } catch (error) {
+      if (!decode) {
+        throw new Error(`当前浏览器无法解码该图片格式: ${file.type || file.name}`);
+      }
+    }
+
+    const decoded = await decode(file);
+    return decoded instanceof ImageBitmap ? decoded : createImageBitmap(decoded);
+  }
+
+  /**
+   * 生成预览缩略图，用于浏览器无法直接显示的格式
+   * @param {File} file - 图片文件
+   * @param {number} maxSize - 缩略图最大边长
+   * @param {string} type - 输出MIME类型（需要保留透明度时使用 PNG）
+   * @returns {Promise<string>} 缩略图数据URL
+   */
+  async createThumbnail(file, maxSize = 400, type = 'image/jpeg') {
+    const bitmap = await this.decodeImage(file);
+
+    try {
+      const geometry = this.getCropGeometry(bitmap, null);
+      const scale = this.getFitScale(geometry.width, geometry.height, { maxWidth: maxSize, maxHeight: maxSize });
+      const blob = await this.renderImage(bitmap, geometry, scale, type, 0.8);
+
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+      });
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  /**
+   * 判断格式是否支持按质量压缩
+   * @param {string} type - MIME类型
+   * @returns {boolean} 是否为有损格式
+   */
+  isLossyType(type) {
+    return type === 'image/jpeg' || type === 'image/webp';
+  }
+
+  /**
+   * 获取输出格式：平台支持原格式时保持不变，否则转换为 convertTo（默认 JPEG）
+   * @param {File} file - 原始文件
+   * @param {Object} limits - 图片限制
+   * @returns {string} 输出MIME类型
+   */
+  getOutputType(file, limits) {
+    if (!limits.acceptedTypes || limits.acceptedTypes.includes(file.type)) {
+      return file.type;
+    }
+    return limits.convertTo || 'image/jpeg';
+  }
+
+  /**
+   * 计算适应最大尺寸的缩放比例
+   * @param {number} width - 原始宽度
+   * @param {number} height - 原始高度
+   * @param {Object} limits - 图片限制
+   * @returns {number} 缩放比例（不放大）
+   */
+  getFitScale(width, height, limits) {
+    return Math.min(
+      1,
+      limits.maxWidth ? limits.maxWidth / width : 1,
+      limits.maxHeight ? limits.maxHeight / height : 1
+    );
+  }
+
+  /**
+   * 计算旋转和裁剪后的源区域（像素）
+   * @param {ImageBitmap} bitmap - 原始图片
+   * @param {Object|null} crop - 裁剪信息
+   * @returns {{x: number, y: number, width: number, height: number, rotation: number, rotatedWidth: number, rotatedHeight: number}} 源区域
+   */
+  getCropGeometry(bitmap, crop) {
+    const rotation = (((crop?.rotation || 0) % 360) + 360) % 360;
+    const rotatedWidth = rotation % 180 === 0 ? bitmap.width : bitmap.height;
+    const rotatedHeight = rotation % 180 === 0 ? bitmap.height : bitmap.width;
+    const rect = crop && crop.width && crop.height
+      ? crop
+      : { x: 0, y: 0, width: 1, height: 1 };
+
+    return {
+      x: Math.round(rect.x * rotatedWidth),
+      y: Math.round(rect.y * rotatedHeight),
+      width: Math.max(Math.round(rect.width * rotatedWidth), 1),
+      height: Math.max(Math.round(rect.height * rotatedHeight), 1),
+      rotation,
+      rotatedWidth,
+      rotatedHeight
+    };
+  }
+
+  /**
+   * 创建画布（优先 OffscreenCanvas）
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @returns {OffscreenCanvas|HTMLCanvasElement} 画布
+   */
+  createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  /**
+   * 将画布编码为Blob
+   * @param {OffscreenCanvas|HTMLCanvasElement} canvas - 画布
+   * @param {string} type - MIME类型
+   * @param {number} quality - 压缩质量
+   * @returns {Promise<Blob>} 图片数据
+   */
+  async encodeCanvas(canvas, type, quality) {
+    if (canvas.convertToBlob) {
+      return canvas.convertToBlob({ type, quality });
+    }
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('图片编码失败'))), type, quality);
+    });
+  }
+
+  /**
+   * 按指定尺寸绘制并编码图片
+   * @param {ImageBitmap} bitmap - 原始图片
+   * @param {Object} geometry - 旋转和裁剪后的源区域（见 getCropGeometry）
+   * @param {number} scale - 缩放比例
+   * @param {string} type - 输出MIME类型
+   * @param {number} quality - 压缩质量
+   * @param {Object|null} watermark - 已准备的水印（见 prepareWatermark）
+   * @returns {Promise<Blob>} 图片数据
+   */
+  async renderImage(bitmap, geometry, scale, type, quality, watermark = null) {
+    const width = Math.max(Math.round(geometry.width * scale), 1);
+    const height = Math.max(Math.round(geometry.height * scale), 1);
+    const canvas = this.createCanvas(width, height);
+    const context = canvas.getContext('2d');
+
+    // JPEG 不支持透明，透明区域填充白色而不是黑色
+    if (type === 'image/jpeg') {
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, width, height);
+    }
+
+    // 先移动到裁剪区域，再以旋转后图片的中心为原点旋转绘制
+    context.imageSmoothingQuality = 'high';
+    context.scale(scale, scale);
+    context.translate(geometry.rotatedWidth / 2 - geometry.x, geometry.rotatedHeight / 2 - geometry.y);
+    context.rotate(geometry.rotation * Math.PI / 180);
+    context.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2);
+
+    if (watermark) {
+      // 水印按输出尺寸定位，不受旋转和裁剪影响
+      context.setTransform(1, 0, 0, 1, 0, 0);
+      this.drawWatermark(context, width, height, watermark);
+    }
+    return this.encodeCanvas(canvas, type, quality);
+  }
+
+  /**
+   * 准备水印：文字水印绘制为透明背景的图片，图片水印解码为位图
+   * @param {Object} settings - 水印设置
+   * @returns {Promise<Object|null>} { bitmap, position, opacity, scale, margin }，设置不完整时返回 null
+   */
+  async prepareWatermark(settings) {
+    let bitmap = null;
+
+    if (settings.type === 'image') {
+      if (!settings.image) {
+        return null;
+      }
+      bitmap = await createImageBitmap(await (await fetch(settings.image)).blob());
+    } else {
+      const text = (settings.text || '').trim();
+      if (!text) {
+        return null;
+      }
+
+      const fontSize = this.watermarkFontSize;
+      const font = `bold ${fontSize}px sans-serif`;
+      const measureContext = this.createCanvas(1, 1).getContext('2d');
+      measureContext.font = font;
+
+      // 白色文字加深色描边，在深色和浅色图片上都能看清
+      const padding = Math.ceil(fontSize * 0.1);
+      const canvas = this.createCanvas(Math.ceil(measureContext.measureText(text).width) + padding * 2, Math.ceil(fontSize * 1.3));
+      const context = canvas.getContext('2d');
+      context.font = font;
+      context.textBaseline = 'middle';
+      context.lineJoin = 'round';
+      context.lineWidth = Math.max(fontSize / 16, 1);
+      context.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+      context.fillStyle = '#ffffff';
+      context.strokeText(text, padding, canvas.height / 2);
+      context.fillText(text, padding, canvas.height / 2);
+      bitmap = await createImageBitmap(canvas);
+    }
+
+    return {
+      bitmap,
+      position: settings.position || 'bottom-right',
+      opacity: settings.opacity ?? 0.6,
+      scale: settings.scale ?? 0.25,
+      margin: settings.margin ?? 0.03
+    };
+  }
+
+  /**
+   * 在画布上绘制水印
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} context - 画布上下文（未做变换）
+   * @param {number} width - 画布宽度
+   * @param {number} height - 画布高度
+   * @param {Object} watermark - 已准备的水印
+   */
+  drawWatermark(context, width, height, watermark) {
+    const { bitmap, position } = watermark;
+    const margin = Math.min(width, height) * watermark.margin;
+    // 水印过高时按高度缩小，避免超出图片
+    const drawScale = Math.min(width * watermark.scale / bitmap.width, (height - margin * 2) / bitmap.height);
+    const drawWidth = bitmap.width * drawScale;
+    const drawHeight = bitmap.height * drawScale;
+
+    const x = position === 'center'
+      ? (width - drawWidth) / 2
+      : position.endsWith('left') ? margin : width - drawWidth - margin;
+    const y = position === 'center'
+      ? (height - drawHeight) / 2
+      : position.startsWith('top') ? margin : height - drawHeight - margin;
+
+    context.save();
+    context.globalAlpha = watermark.opacity;
+    context.drawImage(bitmap, x, y, drawWidth, drawHeight);
+    context.restore();
+  }
+
+  /**
+   * 生成水印预览图片地址（用于在图片预览上叠加显示）
+   * @param {Object} watermark - 已准备的水印
+   * @returns {Promise<string>} Blob URL，调用方负责释放
+   */
+  async createWatermarkPreviewUrl(watermark) {
+    const { bitmap } = watermark;
+    const canvas = this.createCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    return URL.createObjectURL(await this.encodeCanvas(canvas, 'image/png'));
+  }
+
+  /**
+   * 替换文件扩展名以匹配输出格式
+   * @param {string} name - 原文件名
+   * @param {string} type - 输出MIME类型
+   * @returns {string} 新文件名
+   */
+  getOutputName(name, type) {
+    const extension = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' }[type];
+    if (!extension) {
+      return name;
+    }
+    const baseName = (name || 'image').replace(/\.[^.]+$/, '');
+    return `${baseName}.${extension}`;
+  }
+
+  /**
+   * 移除图片中的 EXIF/XMP/GPS 等元数据（JPEG/PNG/WebP/HEIC/HEIF/AVIF，其他格式原样返回）
+   * JPEG/PNG/WebP 只删除元数据段不重新编码；照片带有旋转方向时先按方向重新绘制像素，避免移除后方向错误
+   * HEIC/HEIF/AVIF 解码后重新编码为 JPEG（见 reencodeWithoutMetadata）
+   * @param {File} file - 原始图片
+   * @returns {Promise<{file: File, removed: boolean}>} 处理结果，removed 表示确实移除了元数据
+   */
+  async stripMetadata(file) {
+    if (this.reencodeMetadataTypes.includes(file.type)) {
+      return this.reencodeWithoutMetadata(file);
+    }
+
+    const stripper = {
+      'image/jpeg': 'stripJpegMetadata',
+      'image/png': 'stripPngMetadata',
+      'image/webp': 'stripWebpMetadata'
+    }[file.type];
+    if (!stripper) {
+      return { file, removed: false };
+    }
+
+    const result = this[stripper](new Uint8Array(await file.arrayBuffer()));
+    if (!result || result.removed === 0) {
+      return { file, removed: false };
+    }
+
+    let output = result.bytes;
+    if (result.orientation > 1) {
+      // createImageBitmap 默认按 EXIF 方向解码，重新编码后的图片不含任何元数据
+      const bitmap = await createImageBitmap(file);
+      try {
+        output = await this.renderImage(bitmap, this.getCropGeometry(bitmap, null), 1, file.type, this.defaultQuality);
+      } finally {
+        bitmap.close();
+      }
+    }
+
+    console.log(`🛡️ 已移除图片元数据: ${file.name}`, { segments: result.removed, orientation: result.orientation });
+    return {
+      file: new File([output], file.name, { type: file.type, lastModified: file.lastModified }),
+      removed: true
+    };
+  }
+
+  /**
+   * 将图片解码后重新编码为 JPEG，输出不含任何元数据
+   * 解码时已按容器中的旋转/镜像信息处理像素，照片方向保持不变
+   * @param {File} file - 原始图片
+   * @returns {Promise<{file: File, removed: boolean}>} 处理结果
+   */
+  async reencodeWithoutMetadata(file) {
+    const type = 'image/jpeg';
+    const bitmap = await this.decodeImage(file);
+
+    try {
+      const blob = await this.renderImage(bitmap, this.getCropGeometry(bitmap, null), 1, type, this.defaultQuality);
+
+      console.log(`🛡️ 已重新编码以移除图片元数据: ${file.name}`, { from: file.type, to: type });
+      return {
+        file: new File([blob], this.getOutputName(file.name, type), { type, lastModified: file.lastModified }),
+        removed: true
+      };
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  /**
+   * 移除 JPEG 的 APP1（EXIF/XMP）、APP13（IPTC）和注释段
+   * @param {Uint8Array} bytes - 图片数据
+   * @returns {{bytes: Uint8Array, removed: number, orientation: number}|null} 结果，无法解析时返回 null
+   */
+  stripJpegMetadata(bytes) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+      return null;
+    }
+
+    const parts = [bytes.subarray(0, 2)];
+    let offset = 2;
+    let removed = 0;
+    let orientation = 1;
+
+    while (offset + 4 <= bytes.length) {
+      if (bytes[offset] !== 0xFF) {
+        return null;
+      }
+
+      const marker = bytes[offset + 1];
+
+      // 填充字节
+      if (marker === 0xFF) {
+        offset++;
+        continue;
+      }
+
+      // SOS 之后为压缩的图像数据，原样保留
+      if (marker === 0xDA) {
+        break;
+      }
+
+      const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+      if (end > bytes.length) {
+        return null;
+      }
+
+      if (marker === 0xE1 || marker === 0xED || marker === 0xFE) {
+        if (marker === 0xE1 && this.hasExifHeader(bytes, offset + 4)) {
+          orientation = this.readTiffOrientation(bytes, offset + 10, end);
+        }
+        removed++;
+      } else {
+        parts.push(bytes.subarray(offset, end));
+      }
+      offset = end;
+    }
+
+    parts.push(bytes.subarray(offset));
+    return { bytes: this.concatBytes(parts), removed, orientation };
+  }
+
+  /**
+   * 移除 PNG 的 eXIf 和文本块（XMP 保存在 iTXt 中）
+   * @param {Uint8Array} bytes - 图片数据
+   * @returns {{bytes: Uint8Array, removed: number, orientation: number}|null} 结果，无法解析时返回 null
+   */
+  stripPngMetadata(bytes) {
+    const signature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+    if (signature.some((byte, index) => bytes[index] !== byte)) {
+      return null;
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const parts = [bytes.subarray(0, 8)];
+    let offset = 8;
+    let removed = 0;
+    let orientation = 1;
+
+    // 块结构：长度(4) + 类型(4) + 数据 + CRC(4)
+    while (offset + 12 <= bytes.length) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      const end = offset + 12 + length;
+      if (end > bytes.length) {
+        return null;
+      }
+
+      if (this.pngMetadataChunks.includes(type)) {
+        if (type === 'eXIf') {
+          orientation = this.readTiffOrientation(bytes, offset + 8, offset + 8 + length);
+        }
+        removed++;
+      } else {
+        parts.push(bytes.subarray(offset, end));
+      }
+      offset = end;
+    }
+
+    parts.push(bytes.subarray(offset));
+    return { bytes: this.concatBytes(parts), removed, orientation };
+  }
+
+  /**
+   * 移除 WebP 的 EXIF 和 XMP 块，并同步更新 VP8X 标志位和 RIFF 长度
+   * @param {Uint8Array} bytes - 图片数据
+   * @returns {{bytes: Uint8Array, removed: number, orientation: number}|null} 结果，无法解析时返回 null
+   */
+  stripWebpMetadata(bytes) {
+    const readFourCC = offset => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (bytes.length < 12 || readFourCC(0) !== 'RIFF' || readFourCC(8) !== 'WEBP') {
+      return null;
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const parts = [];
+    let offset = 12;
+    let removed = 0;
+    let orientation = 1;
+
+    // 块结构：类型(4) + 长度(4，小端) + 数据（补齐到偶数长度）
+    while (offset + 8 <= bytes.length) {
+      const type = readFourCC(offset);
+      const length = view.getUint32(offset + 4, true);
+      const end = Math.min(offset + 8 + length + (length % 2), bytes.length);
+
+      if (type === 'EXIF' || type === 'XMP ') {
+        if (type === 'EXIF') {
+          // 部分编码器在 TIFF 头前保留了 "Exif\0\0"
+          const dataStart = this.hasExifHeader(bytes, offset + 8) ? offset + 14 : offset + 8;
+          orientation = this.readTiffOrientation(bytes, dataStart, offset + 8 + length);
+        }
+        removed++;
+      } else {
+        parts.push(bytes.slice(offset, end));
+      }
+      offset = end;
+    }
+
+    // VP8X 标志位：0x08 表示含 EXIF，0x04 表示含 XMP
+    const extended = parts.find(part => String.fromCharCode(...part.subarray(0, 4)) === 'VP8X');
+    if (extended && removed > 0) {
+      extended[8] &= ~0x0C;
+    }
+
+    const body = this.concatBytes(parts);
+    const output = new Uint8Array(12 + body.length);
+    output.set(bytes.subarray(0, 12));
+    output.set(body, 12);
+    new DataView(output.buffer).setUint32(4, output.length - 8, true);
+
+    return { bytes: output, removed, orientation };
+  }
+
+  /**
+   * 判断指定位置是否为 "Exif\0\0" 标识
+   * @param {Uint8Array} bytes - 图片数据
+   * @param {number} offset - 起始位置
+   * @returns {boolean} 是否为 EXIF 数据
+   */
+  hasExifHeader(bytes, offset) {
+    return [0x45, 0x78, 0x69, 0x66, 0x00, 0x00].every((byte, index) => bytes[offset + index] === byte);
+  }
+
+  /**
+   * 从 TIFF 结构的 IFD0 中读取方向标签（0x0112）
+   * @param {Uint8Array} bytes - 图片数据
+   * @param {number} start - TIFF 头起始位置
+   * @param {number} end - 数据结束位置
+   * @returns {number} 方向值（1~8），读取失败时返回 1
+   */
+  readTiffOrientation(bytes, start, end) {
+    try {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const littleEndian = bytes[start] === 0x49;
+      const ifdOffset = start + view.getUint32(start + 4, littleEndian);
+      const entryCount = view.getUint16(ifdOffset, littleEndian);
+
+      for (let index = 0; index < entryCount; index++) {
+        const entry = ifdOffset + 2 + index * 12;
+        if (entry + 12 > end) break;
+        if (view.getUint16(entry, littleEndian) === 0x0112) {
+          return view.getUint16(entry + 8, littleEndian) || 1;
+        }
+      }
+    } catch (error) {
+      console.warn('读取图片方向失败:', error);
+    }
+    return 1;
+  }
+
+  /**
+   * 拼接字节数组
+   * @param {Array<Uint8Array>} parts - 字节数组列表
+   * @returns {Uint8Array} 拼接结果
+   */
+  concatBytes(parts) {
+    const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+      output.set(part, offset);
+      offset += part.length;
+    });
+    return output;
+  }
+
+  /**
+   * 按平台限制处理图片
+   * 无裁剪、无水印且尺寸、大小和格式均满足限制时返回原文件；GIF 可能为动图，未裁剪、无水印且平台支持时不做处理
+   * @param {File} file - 原始图片
+   * @param {Object} limits - 图片限制
+   * @param {Object} options - { crop: 裁剪信息, watermark: 已准备的水印 }
+   * @returns {Promise<{file: File, changed: boolean}>} 处理结果
+   */
+  async processImage(file, limits = {}, options = {}) {
+    const { crop = null, watermark = null } = options;
+    let type = this.getOutputType(file, limits);
+
+    if (!crop && !watermark && file.type === 'image/gif' && type === 'image/gif') {
+      if (limits.maxBytes && file.size > limits.maxBytes) {
+        console.warn(`⚠️ GIF 超出平台大小限制，为保留动画不做压缩: ${file.name}`);
+      }
+      return { file, changed: false };
+    }
+
+    const bitmap = await this.decodeImage(file);
+
+    try {
+      // 裁剪或添加水印后的GIF只保留第一帧，输出为平台支持的静态格式
+      if ((crop || watermark) && type === 'image/gif') {
+        type = limits.acceptedTypes?.includes('image/png') === false ? 'image/jpeg' : 'image/png';
+      }
+
+      const geometry = this.getCropGeometry(bitmap, crop);
+      let scale = this.getFitScale(geometry.width, geometry.height, limits);
+      const needsProcessing = !!crop
+        || !!watermark
+        || type !== file.type
+        || scale < 1
+        || (limits.maxBytes && file.size > limits.maxBytes);
+
+      if (!needsProcessing) {
+        return { file, changed: false };
+      }
+
+      let quality = limits.quality || this.defaultQuality;
+      let blob = null;
+
+      for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+        blob = await this.renderImage(bitmap, geometry, scale, type, quality, watermark);
+        if (!limits.maxBytes || blob.size <= limits.maxBytes) {
+          break;
+        }
+
+        if (this.isLossyType(type) && quality - this.qualityStep >= this.minQuality) {
+          // 先降低质量，尽量保留分辨率
+          quality -= this.qualityStep;
+        } else if (!this.isLossyType(type) && (!limits.acceptedTypes || limits.acceptedTypes.includes('image/jpeg'))) {
+          // PNG 无法按质量压缩，平台支持 JPEG 时改为 JPEG
+          type = 'image/jpeg';
+        } else {
+          scale *= this.scaleStep;
+        }
+      }
+
+      if (limits.maxBytes && blob.size > limits.maxBytes) {
+        console.warn(`⚠️ 图片压缩后仍超出平台大小限制: ${file.name} (${blob.size} bytes)`);
+      }
+
+      console.log(`🖼️ 图片已处理: ${file.name}`, {
+        from: `${bitmap.width}x${bitmap.height} ${file.type} ${file.size}`,
+        to: `${Math.round(geometry.width * scale)}x${Math.round(geometry.height * scale)} ${type} ${blob.size}`,
+        cropped: !!crop,
+        watermarked: !!watermark
+      });
+
+      return {
+        file: new File([blob], this.getOutputName(file.name, type), { type, lastModified: file.lastModified }),
+        changed: true
+      };
+    } finally {
+      bitmap.close();
+    }
+  }
+}
+
+// 创建单例实例
+const mediaPipelineService = new MediaPipelineService();
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MediaPipelineService, mediaPipelineService };
+} else if (typeof window !== 'undefined') {
+  window.MediaPipelineService = MediaPipelineService;
+  window.mediaPipelineService = mediaPipelineService;
+}
@@ -0,0 +1,399 @@
+/**
+ * PublishHistoryService - 发布历史持久化服务
+ *
+ * 功能：
+ * - 每次发布请求保存一条记录（内容快照、媒体文件名、平台列表）
+ * - 记录各平台的最新发布状态、消息和发布地址
+ * - 按关键词、平台、状态、日期查询历史
+ * - 统计指定天数内的发布情况
+ *
+ * 后台脚本负责写入，侧边栏和主页面直接读取同一个 IndexedDB
+ *
+ * @author MomentDots Team
+ * @version 1.0.0
+ */
+
+class PublishHistoryService {
+  /**
+   * 构造函数
+   * @param {Object} options - 配置选项
+   * @param {string} options.dbName - 数据库名称
+   * @param {number} options.version - 数据库版本
+   * @param {string} options.storeName - 存储名称
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'MomentDotsPublishHistory';
+    this.version = options.version || 1;
+    this.storeName = options.storeName || 'records';
+    this.db = null;
+
+    // 最多保留的记录数，超出后删除最旧的记录
+    this.maxRecords = options.maxRecords || 1000;
+  }
+
+  /**
+   * 初始化数据库
+   * @returns {Promise<IDBDatabase>} 数据库实例
+   */
+  async init() {
+    if (this.db) {
+      return this.db;
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.version);
+
+      request.onerror = () => {
+        console.error('Failed to open publish history DB:', request.error);
+        reject(new Error('DB_INIT_FAILED'));
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+          store.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+      };
+    });
+  }
+
+  /**
+   * 创建发布记录
+   * @param {Object} publishData - 发布数据
+   * @param {Array} mediaFiles - 媒体文件信息 [{name, type, size}]
+   * @returns {Promise<Object>} 创建的记录
+   */
+  async createRecord(publishData, mediaFiles = []) {
+    await this.init();
+
+    const now = Date.now();
+    const platforms = (publishData.platforms || []).map(p => ({ id: p.id, name: p.name }));
+    const results = {};
+    platforms.forEach(p => {
+      results[p.id] = { status: 'pending', message: '', publishUrl: '', updatedAt: now };
+    });
+
+    const record = {
+      id: this.generateRecordId(),
+      createdAt: now,
+      updatedAt: now,
+      title: publishData.title || '',
+      content: publishData.content || '',
+      summary: publishData.summary || '',
+      contentType: publishData.contentType || '动态',
+      platforms,
+      mediaFiles: mediaFiles.map(file => ({
+        name: file.name || 'unknown',
+        type: file.type || '',
+        size: file.size || 0
+      })),
+      results
+    };
+
+    await this.putRecord(record);
+    this.trimRecords().catch(error => console.warn('清理旧发布记录失败:', error));
+
+    return record;
+  }
+
+  /**
+   * 更新单个平台的发布结果（在同一事务内读写，避免并发覆盖）
+   * @param {string} recordId - 记录ID
+   * @param {string} platformId - 平台ID
+   * @param {Object} result - 发布结果 {status, message, publishUrl}
+   * @returns {Promise<boolean>} 是否更新成功
+   */
+  async updatePlatformResult(recordId, platformId, result) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const request = store.get(recordId);
+
+      request.onsuccess = () => {
+        const record = request.result;
+        if (!record) {
+          resolve(false);
+          return;
+        }
+
+        const previous = record.results[platformId] || {};
+        record.results[platformId] = {
+          status: result.status,
+          message: result.message || '',
+          // 中间状态不携带发布地址，保留之前的值
+          publishUrl: result.publishUrl || previous.publishUrl || '',
+          updatedAt: result.timestamp || Date.now()
+        };
+        record.updatedAt = Date.now();
+        store.put(record);
+      };
+
+      transaction.oncomplete = () => resolve(true);
+      transaction.onerror = () => {
+        console.error('Failed to update publish record:', transaction.error);
+        reject(new Error('UPDATE_FAILED'));
+      };
+    });
+  }
+
+  /**
+   * 获取单条记录
+   * @param {string} recordId - 记录ID
+   * @returns {Promise<Object|null>} 记录或null
+   */
+  async getRecord(recordId) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readonly');
+      const request = transaction.objectStore(this.storeName).get(recordId);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => {
+        console.error('Failed to get publish record:', request.error);
+        reject(new Error('GET_FAILED'));
+      };
+    });
+  }
+
+  /**
+   * 查询记录（按创建时间倒序）
+   * @param {Object} filters - 过滤条件
+   * @param {string} filters.keyword - 标题/内容关键词
+   * @param {string} filters.platformId - 平台ID
+   * @param {string} filters.status - 平台发布状态
+   * @param {number} filters.startTime - 起始时间戳（含）
+   * @param {number} filters.endTime - 结束时间戳（含）
+   * @param {number} filters.limit - 最大返回数量
+   * @returns {Promise<Array>} 记录数组
+   */
+  async queryRecords(filters = {}) {
+    await this.init();
+
+    const { keyword = '', platformId = '', status = '', startTime = null, endTime = null, limit = 200 } = filters;
+    const lowerKeyword = keyword.trim().toLowerCase();
+    const range = (startTime || endTime)
+      ? IDBKeyRange.bound(startTime || 0, endTime || Number.MAX_SAFE_INTEGER)
+      : null;
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readonly');
+      const index = transaction.objectStore(this.storeName).index('createdAt');
+      const request = index.openCursor(range, 'prev');
+      const records = [];
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || records.length >= limit) {
+          resolve(records);
+          return;
+        }
+
+        if (this.matchesFilters(cursor.value, lowerKeyword, platformId, status)) {
+          records.push(cursor.value);
+        }
+        cursor.continue();
+      };
+
+      request.onerror = () => {
+        console.error('Failed to query publish records:', request.error);
+        reject(new Error('QUERY_FAILED'));
+      };
+    });
+  }
+
+  /**
+   * 判断记录是否匹配过滤条件
+   * @param {Object} record - 记录
+   * @param {string} lowerKeyword - 小写关键词
+   * @param {string} platformId - 平台ID
+   * @param {string} status - 状态
+   * @returns {boolean} 是否匹配
+   */
+  matchesFilters(record, lowerKeyword, platformId, status) {
+    if (lowerKeyword) {
+      const text = `${record.title}\n${record.content}`.toLowerCase();
+      if (!text.includes(lowerKeyword)) {
+        return false;
+      }
+    }
+
+    if (platformId && !record.results[platformId]) {
+      return false;
+    }
+
+    if (status) {
+      const statuses = platformId
+        ? [record.results[platformId].status]
+        : Object.values(record.results).map(r => r.status);
+      if (!statuses.includes(status)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * 删除记录
+   * @param {string} recordId - 记录ID
+   * @returns {Promise<boolean>} 删除是否成功
+   */
+  async deleteRecord(recordId) {
+    await this.init();
+
+    return new Promise((resolve) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const request = transaction.objectStore(this.storeName).delete(recordId);
+
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => {
+        console.error('Failed to delete publish record:', request.error);
+        resolve(false);
+      };
+    });
+  }
+
+  /**
+   * 清空所有记录
+   * @returns {Promise<boolean>} 清理是否成功
+   */
+  async clearAllRecords() {
+    await this.init();
+
+    return new Promise((resolve) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const request = transaction.objectStore(this.storeName).clear();
+
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => {
+        console.error('Failed to clear publish records:', request.error);
+        resolve(false);
+      };
+    });
+  }
+
+  /**
+   * 获取发布统计（基于持久化记录，不受 Service Worker 重启影响）
+   * @param {number} days - 统计天数
+   * @returns {Promise<Object>} 统计信息
+   */
+  async getStats(days = 7) {
+    const records = await this.queryRecords({
+      startTime: Date.now() - days * 24 * 60 * 60 * 1000,
+      limit: this.maxRecords
+    });
+
+    const platformStats = {};
+    let total = 0;
+    let successful = 0;
+
+    records.forEach(record => {
+      Object.entries(record.results).forEach(([platformId, result]) => {
+        const isSuccessful = ['ready', 'success', 'published'].includes(result.status);
+
+        if (!platformStats[platformId]) {
+          platformStats[platformId] = { total: 0, successful: 0 };
+        }
+        platformStats[platformId].total++;
+        total++;
+
+        if (isSuccessful) {
+          platformStats[platformId].successful++;
+          successful++;
+        }
+      });
+    });
+
+    return {
+      total,
+      successful,
+      failed: total - successful,
+      successRate: total > 0 ? `${(successful / total * 100).toFixed(1)}%` : '0%',
+      platformStats,
+      recordCount: records.length
+    };
+  }
+
+  /**
+   * 写入记录
+   * @param {Object} record - 记录
+   */
+  async putRecord(record) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const request = transaction.objectStore(this.storeName).put(record);
+
+      request.onsuccess = () => resolve(record.id);
+      request.onerror = () => {
+        console.error('Failed to store publish record:', request.error);
+        if (request.error.name === 'QuotaExceededError') {
+          reject(new Error('STORAGE_QUOTA_EXCEEDED'));
+        } else {
+          reject(new Error('STORE_FAILED'));
+        }
+      };
+    });
+  }
+
+  /**
+   * 超出最大记录数时删除最旧的记录
+   * @returns {Promise<number>} 删除的记录数
+   */
+  async trimRecords() {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const countRequest = store.count();
+      let deletedCount = 0;
+
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - this.maxRecords;
+        if (excess <= 0) {
+          return;
+        }
+
+        store.index('createdAt').openCursor().onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor && excess > 0) {
+            cursor.delete();
+            deletedCount++;
+            excess--;
+            cursor.continue();
+          }
+        };
+      };
+
+      transaction.oncomplete = () => resolve(deletedCount);
+      transaction.onerror = () => reject(new Error('CLEANUP_FAILED'));
+    });
+  }
+
+  /**
+   * 生成唯一记录ID
+   * @returns {string} 记录ID
+   */
+  generateRecordId() {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substr(2, 9);
+    return `history_${timestamp}_${random}`;
+  }
+}
+
+// 导出服务
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PublishHistoryService;
+} else if (typeof window !== 'undefined') {
+  window.PublishHistoryService = PublishHistoryService;
+}
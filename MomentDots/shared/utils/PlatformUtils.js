@@ -13,7 +13,13 @@ const PLATFORM_NAMES = {
   'weixinchannels': '微信视频号',
   'weixin': '微信公众号',
   'weixin-article': '微信公众号(文章)',
-  'x': 'X(Twitter)'
+  'x': 'X(Twitter)',
+  'zhihu': '知乎',
+  'zhihu-article': '知乎专栏',
+  'juejin-article': '掘金',
+  'csdn-article': 'CSDN',
+  'jianshu-article': '简书',
+  'segmentfault-article': '思否'
 };
 
 /**
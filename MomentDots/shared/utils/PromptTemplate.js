@@ -0,0 +1,108 @@
+/**
+ * 提示词模板工具 - 解析和填充提示词中的变量
+ * 语法：{{变量名}} 或 {{变量名|默认值}}
+ * 内置变量由发布数据自动填充，其余变量视为需要用户填写的自定义变量
+ */
+
+// 兼容旧版提示词的用户输入占位符
+const LEGACY_CONTENT_PLACEHOLDER = '【用户输入内容】';
+
+// 变量匹配规则：变量名支持中英文、数字和下划线，默认值为 | 之后的内容
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([\w一-龥]+)\s*(?:\|([^}]*))?\}\}/g;
+
+// 内置变量及说明
+const PROMPT_BUILTIN_VARIABLES = {
+  content: '用户输入的内容',
+  title: '标题',
+  platform: '目标平台名称',
+  char_limit: '平台正文字数限制',
+  title_limit: '平台标题字数限制',
+  hashtags: '话题标签',
+  date: '当前日期',
+  content_type: '内容类型（动态/文章/短视频）'
+};
+
+/**
+ * 提取模板中的变量（按出现顺序去重）
+ * @param {string} template - 提示词模板
+ * @returns {Array<{name: string, defaultValue: string, builtin: boolean}>} 变量列表
+ */
+function extractPromptVariables(template) {
+  const variables = new Map();
+
+  for (const match of (template || '').matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+    const [, name, defaultValue = ''] = match;
+    if (!variables.has(name)) {
+      variables.set(name, {
+        name,
+        defaultValue: defaultValue.trim(),
+        builtin: Object.prototype.hasOwnProperty.call(PROMPT_BUILTIN_VARIABLES, name)
+      });
+    }
+  }
+
+  return [...variables.values()];
+}
+
+/**
+ * 获取需要用户填写的自定义变量
+ * @param {string} template - 提示词模板
+ * @returns {Array<{name: string, defaultValue: string}>} 自定义变量列表
+ */
+function getCustomPromptVariables(template) {
+  return extractPromptVariables(template).filter(variable => !variable.builtin);
+}
+
+/**
+ * 获取当前日期（YYYY-MM-DD）
+ * @returns {string} 日期字符串
+ */
+function getTemplateDate() {
+  const now = new Date();
+  const pad = value => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * 填充提示词模板
+ * 模板中未出现用户内容占位符时，沿用旧逻辑把内容追加到末尾
+ * @param {string} template - 提示词模板
+ * @param {string} content - 用户输入的内容
+ * @param {Object} variables - 变量值，未提供或为空的变量使用默认值
+ * @returns {string} 填充后的提示词
+ */
+function renderPromptTemplate(template, content, variables = {}) {
+  const values = { date: getTemplateDate(), ...variables, content };
+  const hasContentPlaceholder = template.includes(LEGACY_CONTENT_PLACEHOLDER)
+    || extractPromptVariables(template).some(variable => variable.name === 'content');
+
+  // 先替换变量再替换旧占位符，避免用户内容中的 {{...}} 被当作变量
+  const rendered = template
+    .replace(TEMPLATE_VARIABLE_PATTERN, (match, name, defaultValue = '') => {
+      const value = values[name];
+      return value === undefined || value === null || value === '' ? defaultValue.trim() : String(value);
+    })
+    .replace(LEGACY_CONTENT_PLACEHOLDER, () => content);
+
+  if (hasContentPlaceholder) {
+    return rendered;
+  }
+  return `${rendered}\n\n用户输入的内容：\n${content}`;
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    extractPromptVariables,
+    getCustomPromptVariables,
+    renderPromptTemplate,
+    PROMPT_BUILTIN_VARIABLES
+  };
+} else if (typeof window !== 'undefined') {
+  window.PromptTemplate = {
+    extractPromptVariables,
+    getCustomPromptVariables,
+    renderPromptTemplate,
+    PROMPT_BUILTIN_VARIABLES
+  };
+}
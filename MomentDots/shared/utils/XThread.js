@@ -0,0 +1,151 @@
+/**
+ * X串推工具 - 按X的加权长度规则将超长动态拆分为串推（thread），并为每条分配媒体
+ * 主页面在预览和生成发布数据时调用，X适配器按拆分结果逐条填充
+ */
+
+// 拆分配置
+const X_THREAD_CONFIG = {
+  MAX_WEIGHTED_LENGTH: 280,  // X按加权长度计数：中日韩等全角字符计2，其他字符计1
+  URL_WEIGHT: 23,            // 链接统一按23计数（t.co短链）
+  NUMBERING_RESERVE: 6,      // 为「\n99/99」编号预留的长度
+  MAX_IMAGES_PER_POST: 4,    // 每条推文最多4张图片，视频单独成条
+  // 按优先级排列的断句规则：句子 -> 分句，仍超长时按字符硬切
+  BREAK_PATTERNS: [
+    /(?<=[。！？!?；;…]["'”’）)]?)(?!["'”’）)。！？!?…])|(?<=[.]\s)/,
+    /(?<=[，,、：:])/
+  ]
+};
+
+/**
+ * 计算X平台的加权长度
+ * @param {string} text - 文本
+ * @returns {number} 加权长度
+ */
+function getXWeightedLength(text) {
+  let weight = 0;
+  const textWithoutUrls = (text || '').replace(/https?:\/\/\S+/g, () => {
+    weight += X_THREAD_CONFIG.URL_WEIGHT;
+    return '';
+  });
+
+  for (const char of textWithoutUrls) {
+    const code = char.codePointAt(0);
+    const isNarrow = code <= 4351 ||
+      (code >= 8192 && code <= 8205) ||
+      (code >= 8208 && code <= 8223) ||
+      (code >= 8242 && code <= 8247);
+    weight += isNarrow ? 1 : 2;
+  }
+  return weight;
+}
+
+/**
+ * 将文本拆分为不超过预算的片段（优先在句子、分句边界断开）
+ * @param {string} text - 文本
+ * @param {number} budget - 最大加权长度
+ * @param {number} level - 当前断句规则层级
+ * @returns {string[]} 片段数组
+ */
+function splitXThreadUnits(text, budget, level = 0) {
+  if (getXWeightedLength(text) <= budget) {
+    return [text];
+  }
+
+  if (level >= X_THREAD_CONFIG.BREAK_PATTERNS.length) {
+    // 没有可用的断句位置，按字符硬切
+    const chunks = [];
+    let chunk = '';
+    for (const char of text) {
+      if (getXWeightedLength(chunk + char) > budget) {
+        chunks.push(chunk);
+        chunk = '';
+      }
+      chunk += char;
+    }
+    if (chunk) chunks.push(chunk);
+    return chunks;
+  }
+
+  return text.split(X_THREAD_CONFIG.BREAK_PATTERNS[level])
+    .filter(Boolean)
+    .flatMap(part => splitXThreadUnits(part, budget, level + 1));
+}
+
+/**
+ * 按段落和句子边界将长文本打包为多条推文
+ * @param {string} text - 文本
+ * @param {number} budget - 每条推文的最大加权长度
+ * @returns {string[]} 推文文本数组
+ */
+function splitTextForXThread(text, budget) {
+  const posts = [];
+  let current = '';
+
+  text.split(/\n+/).map(paragraph => paragraph.trim()).filter(Boolean).forEach(paragraph => {
+    splitXThreadUnits(paragraph, budget).forEach((unit, index) => {
+      // 同一段落内的句子直接拼接，不同段落之间换行
+      const candidate = current ? current + (index === 0 ? '\n' : '') + unit : unit;
+      if (getXWeightedLength(candidate) <= budget) {
+        current = candidate;
+      } else {
+        posts.push(current.trim());
+        current = unit.trimStart();
+      }
+    });
+  });
+
+  if (current.trim()) {
+    posts.push(current.trim());
+  }
+  return posts;
+}
+
+/**
+ * 构建X串推：拆分文本、添加编号并分配媒体（每条最多4张图片，视频单独成条）
+ * @param {string} content - 动态内容
+ * @param {number} imageCount - 图片数量
+ * @param {number} videoCount - 视频数量
+ * @returns {Array<{text: string, mediaCount: number}>|null} 串推列表，无需拆分时返回null
+ */
+function buildXThread(content, imageCount = 0, videoCount = 0) {
+  const { MAX_WEIGHTED_LENGTH, NUMBERING_RESERVE, MAX_IMAGES_PER_POST } = X_THREAD_CONFIG;
+  const text = (content || '').trim();
+
+  // 媒体分组顺序与发布数据中的文件顺序一致：先图片，后视频
+  const mediaGroups = [];
+  for (let i = 0; i < imageCount; i += MAX_IMAGES_PER_POST) {
+    mediaGroups.push(Math.min(MAX_IMAGES_PER_POST, imageCount - i));
+  }
+  for (let i = 0; i < videoCount; i++) {
+    mediaGroups.push(1);
+  }
+
+  if (getXWeightedLength(text) <= MAX_WEIGHTED_LENGTH && mediaGroups.length <= 1) {
+    return null;
+  }
+
+  const texts = splitTextForXThread(text, MAX_WEIGHTED_LENGTH - NUMBERING_RESERVE);
+  const total = Math.max(texts.length, mediaGroups.length, 1);
+
+  return Array.from({ length: total }, (_, index) => ({
+    text: [texts[index], `${index + 1}/${total}`].filter(Boolean).join('\n'),
+    mediaCount: mediaGroups[index] || 0
+  }));
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getXWeightedLength,
+    splitTextForXThread,
+    buildXThread,
+    X_THREAD_CONFIG
+  };
+} else if (typeof window !== 'undefined') {
+  window.XThread = {
+    getXWeightedLength,
+    splitTextForXThread,
+    buildXThread,
+    X_THREAD_CONFIG
+  };
+}
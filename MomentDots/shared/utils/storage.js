@@ -65,6 +65,212 @@ async function loadPublishData() {
   }
 }
 
+/**
+ * 从Chrome Storage加载草稿列表
+ * @returns {Promise<Object>} { drafts: 草稿数组, activeDraftId: 当前草稿ID }
+ */
+async function loadDrafts() {
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    console.warn('Chrome storage not available');
+    return { drafts: [], activeDraftId: null };
+  }
+
+  try {
+    const result = await chrome.storage.local.get(['publishDrafts', 'activeDraftId']);
+    return {
+      drafts: Array.isArray(result.publishDrafts) ? result.publishDrafts : [],
+      activeDraftId: result.activeDraftId || null
+    };
+  } catch (error) {
+    console.error('Failed to load drafts:', error);
+    return { drafts: [], activeDraftId: null };
+  }
+}
+
+/**
+ * 保存草稿列表到Chrome Storage
+ * @param {Array} drafts - 草稿数组
+ * @param {string} activeDraftId - 当前草稿ID
+ */
+async function saveDrafts(drafts, activeDraftId) {
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    console.warn('Chrome storage not available');
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set({
+      publishDrafts: drafts,
+      activeDraftId: activeDraftId
+    });
+  } catch (error) {
+    console.error('Failed to save drafts:', error);
+    throw error;
+  }
+}
+
+/**
+ * 从Chrome Storage加载自动发布设置（默认关闭）
+ * @returns {Promise<Object>} { enabled: 全局开关, platforms: 平台ID -> 是否自动发布 }
+ */
+async function loadAutoSubmitSettings() {
+  const defaults = { enabled: false, platforms: {} };
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    console.warn('Chrome storage not available');
+    return defaults;
+  }
+
+  try {
+    const result = await chrome.storage.local.get(['autoSubmitSettings']);
+    return { ...defaults, ...(result.autoSubmitSettings || {}) };
+  } catch (error) {
+    console.error('Failed to load auto submit settings:', error);
+    return defaults;
+  }
+}
+
+/**
+ * 保存自动发布设置到Chrome Storage
+ * @param {Object} settings - { enabled, platforms }
+ */
+async function saveAutoSubmitSettings(settings) {
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    console.warn('Chrome storage not available');
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set({ autoSubmitSettings: settings });
+  } catch (error) {
+    console.error('Failed to save auto submit settings:', error);
+  }
+}
+
+/**
+ * 从Chrome Storage加载智能精简设置（默认关闭）
+ * @returns {Promise<Object>} { enabled: 超出字数限制时是否由AI精简 }
+ */
+async function loadSmartFitSettings() {
+  const defaults = { enabled: false };
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    console.warn('Chrome storage not available');
+    return defaults;
+  }
+
+  try {
+    const result = await chrome.storage.local.get(['smartFitSettings']);
+    return { ...defaults, ...(result.smartFitSettings || {}) };
+  } catch (error) {
+    console.error('Failed to load smart fit settings:', error);
+    return defaults;
+  }
+}
+
+/**
+ * 保存智能精简设置到Chrome Storage
+ * @param {Object} settings - { enabled }
+ */
+async function saveSmartFitSettings(settings) {
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    console.warn('Chrome storage not available');
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set({ smartFitSettings: settings });
+  } catch (error) {
+    console.error('Failed to save smart fit settings:', error);
+  }
+}
+
+/**
+ * 从Chrome Storage加载隐私设置（默认移除照片元数据）
+ * @returns {Promise<Object>} { stripMetadata: 上传图片时是否移除 EXIF/XMP/GPS 等元数据 }
+ */
+async function loadPrivacySettings() {
+  const defaults = { stripMetadata: true };
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    console.warn('Chrome storage not available');
+    return defaults;
+  }
+
+  try {
+    const result = await chrome.storage.local.get(['privacySettings']);
+    return { ...defaults, ...(result.privacySettings || {}) };
+  } catch (error) {
+    console.error('Failed to load privacy settings:', error);
+    return defaults;
+  }
+}
+
+/**
+ * 保存隐私设置到Chrome Storage
+ * @param {Object} settings - 隐私设置
+ */
+async function savePrivacySettings(settings) {
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    console.warn('Chrome storage not available');
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set({ privacySettings: settings });
+  } catch (error) {
+    console.error('Failed to save privacy settings:', error);
+  }
+}
+
+/**
+ * 从Chrome Storage加载水印设置（默认关闭）
+ * @returns {Promise<Object>} {
+ *   enabled, type: 'text'|'image', text, image: 水印图片数据URL, position, opacity, scale, margin,
+ *   applyToCovers: 是否为短视频封面添加水印, platforms: 平台ID -> 是否添加水印（未设置的平台默认添加）
+ * }
+ */
+async function loadWatermarkSettings() {
+  const defaults = {
+    enabled: false,
+    type: 'text',
+    text: '',
+    image: '',
+    position: 'bottom-right',
+    opacity: 0.6,
+    scale: 0.25,
+    margin: 0.03,
+    applyToCovers: false,
+    platforms: {}
+  };
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    console.warn('Chrome storage not available');
+    return defaults;
+  }
+
+  try {
+    const result = await chrome.storage.local.get(['watermarkSettings']);
+    return { ...defaults, ...(result.watermarkSettings || {}) };
+  } catch (error) {
+    console.error('Failed to load watermark settings:', error);
+    return defaults;
+  }
+}
+
+/**
+ * 保存水印设置到Chrome Storage
+ * @param {Object} settings - 水印设置
+ */
+async function saveWatermarkSettings(settings) {
+  if (typeof chrome === 'undefined' || !chrome.storage) {
+    console.warn('Chrome storage not available');
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set({ watermarkSettings: settings });
+  } catch (error) {
+    console.error('Failed to save watermark settings:', error);
+  }
+}
+
 /**
  * 保存发布状态到Chrome Storage
  * @param {Object} status - 发布状态
@@ -6,8 +6,23 @@ let sidepanelState = {
   publishResults: [],
   isPublishing: false,
   lastUpdate: null,
-  currentView: 'status', // 'status' 或 'prompt'
-  pendingPromptSwitch: false // 标记是否有待处理的提示词视图切换
+  currentView: 'status', // 'status'、'prompt'、'schedule'、'history' 或 'diagnose'
+  pendingPromptSwitch: false, // 标记是否有待处理的提示词视图切换
+  scheduledJobs: [], // 定时发布任务列表
+  editingJobId: null, // 正在编辑时间的定时任务ID
+  historyRecords: [], // 发布历史记录（当前过滤结果）
+  historyFilters: { keyword: '', platformId: '', status: '', startDate: '', endDate: '' },
+  diagnostics: { running: false, reports: {} }, // 选择器诊断结果
+  diagnosePlatformId: '' // 诊断的平台，为空表示全部平台
+};
+
+// 视图配置：视图ID与导航按钮ID的对应关系（按导航栏顺序）
+const SIDEPANEL_VIEWS = {
+  status: { viewId: 'statusView', buttonId: 'statusViewBtn' },
+  prompt: { viewId: 'promptView', buttonId: 'promptViewBtn' },
+  schedule: { viewId: 'scheduleView', buttonId: 'scheduleViewBtn' },
+  history: { viewId: 'historyView', buttonId: 'historyViewBtn' },
+  diagnose: { viewId: 'diagnoseView', buttonId: 'diagnoseViewBtn' }
 };
 
 // DOM 元素引用
@@ -16,6 +31,9 @@ let elements = {};
 // Logo缓存管理器实例
 let logoCacheManager = null;
 
+// 发布历史服务实例
+let publishHistoryService = null;
+
 // 初始化侧边栏
 async function initializeSidepanel() {
   console.log('初始化侧边栏...');
@@ -33,6 +51,17 @@ async function initializeSidepanel() {
     elements.promptView = document.getElementById('promptView');
     elements.statusViewBtn = document.getElementById('statusViewBtn');
     elements.promptViewBtn = document.getElementById('promptViewBtn');
+    elements.scheduleView = document.getElementById('scheduleView');
+    elements.scheduleViewBtn = document.getElementById('scheduleViewBtn');
+    elements.historyView = document.getElementById('historyView');
+    elements.historyViewBtn = document.getElementById('historyViewBtn');
+    elements.diagnoseView = document.getElementById('diagnoseView');
+    elements.diagnoseViewBtn = document.getElementById('diagnoseViewBtn');
+
+    // 初始化发布历史服务
+    if (typeof PublishHistoryService !== 'undefined') {
+      publishHistoryService = new PublishHistoryService();
+    }
 
     // 设置视图切换事件
     setupViewSwitching();
@@ -46,6 +75,8 @@ async function initializeSidepanel() {
 
     // 加载保存的状态
     await loadSavedState();
+    await loadScheduledJobs();
+    await loadPendingPipelineReviews();
 
     // 设置消息监听（在渲染之前设置，以便能接收早期消息）
     setupMessageListeners();
@@ -85,35 +116,61 @@ function setupViewSwitching() {
   elements.promptViewBtn?.addEventListener('click', () => {
     switchToView('prompt');
   });
+
+  // 定时任务视图按钮
+  elements.scheduleViewBtn?.addEventListener('click', () => {
+    switchToView('schedule');
+  });
+
+  // 历史记录视图按钮
+  elements.historyViewBtn?.addEventListener('click', () => {
+    switchToView('history');
+  });
+
+  // 选择器诊断视图按钮
+  elements.diagnoseViewBtn?.addEventListener('click', () => {
+    switchToView('diagnose');
+  });
 }
 
 // 切换视图
 function switchToView(viewType) {
   console.log(`切换到视图: ${viewType}`);
 
+  if (!SIDEPANEL_VIEWS[viewType]) {
+    console.warn('未知视图类型:', viewType);
+    return;
+  }
+
   sidepanelState.currentView = viewType;
 
-  if (viewType === 'status') {
-    // 显示状态视图，隐藏提示词视图
-    elements.statusView.classList.remove('hidden');
-    elements.promptView.classList.add('hidden');
+  // 显示目标视图，隐藏其他视图，并更新按钮样式
+  Object.entries(SIDEPANEL_VIEWS).forEach(([type, { viewId, buttonId }], index) => {
+    const isActive = type === viewType;
+    const stateClass = isActive ? 'bg-blue-100 text-blue-700' : 'text-gray-500 hover:text-gray-700';
+    const marginClass = index > 0 ? ' ml-2' : '';
 
-    // 更新按钮样式
-    elements.statusViewBtn.className = 'flex-1 px-3 py-2 text-sm font-medium rounded-md bg-blue-100 text-blue-700';
-    elements.promptViewBtn.className = 'flex-1 px-3 py-2 text-sm font-medium rounded-md text-gray-500 hover:text-gray-700 ml-2';
+    document.getElementById(viewId)?.classList.toggle('hidden', !isActive);
 
+    const button = document.getElementById(buttonId);
+    if (button) {
+      button.className = `flex-1 px-3 py-2 text-sm font-medium rounded-md ${stateClass}${marginClass}`;
+    }
+  });
+
+  if (viewType === 'status') {
     // 确保状态视图重新渲染
     setTimeout(() => {
       renderSidepanel();
     }, 50);
-  } else if (viewType === 'prompt') {
-    // 显示提示词视图，隐藏状态视图
-    elements.statusView.classList.add('hidden');
-    elements.promptView.classList.remove('hidden');
-
-    // 更新按钮样式
-    elements.statusViewBtn.className = 'flex-1 px-3 py-2 text-sm font-medium rounded-md text-gray-500 hover:text-gray-700';
-    elements.promptViewBtn.className = 'flex-1 px-3 py-2 text-sm font-medium rounded-md bg-blue-100 text-blue-700 ml-2';
+  } else if (viewType === 'schedule') {
+    // 每次切换都从后台拉取最新任务
+    loadScheduledJobs().then(renderScheduleView);
+  } else if (viewType === 'history') {
+    renderHistoryView();
+    loadHistoryRecords();
+  } else if (viewType === 'diagnose') {
+    loadDiagnostics().then(renderDiagnoseView);
   }
 }
 
@@ -131,6 +188,29 @@ async function loadSavedState() {
   }
 }
 
+// 从主页面获取仍在等待确认的流水线结果（侧边栏关闭或刷新后审阅状态会丢失）
+async function loadPendingPipelineReviews() {
+  let reviews = [];
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getPendingPipelineReviews' });
+    reviews = response?.reviews || [];
+  } catch (error) {
+    console.warn('获取等待确认的流水线结果失败:', error);
+  }
+
+  reviews.forEach(review => handlePipelineReview(review));
+
+  // 主页面已没有对应的等待项（如主页面已关闭），不再显示为等待确认
+  sidepanelState.publishResults.forEach(result => {
+    if (result.status === 'reviewing' && !reviews.some(review => review.platformId === extractPlatformId(result))) {
+      delete result.pipeline;
+      result.status = 'failed';
+      result.message = '流水线结果已失效，请在主页面重新发布';
+      result.isOptimizing = false;
+    }
+  });
+}
+
 // 渲染侧边栏界面
 function renderSidepanel() {
   if (!elements.statusView) return;
@@ -222,9 +302,12 @@ function createStatusItem(result) {
           </div>
 
           <!-- 发布状态区域 -->
-          <div class="flex items-center ${statusConfig.textColor}">
+          <div class="flex items-center ${statusConfig.textColor}" title="${escapeHtml(result.message || '')}">
             ${statusConfig.icon}
             <span class="text-sm ml-1">${statusConfig.text}</span>
+            ${result.status === 'published' && result.publishUrl ? `
+              <a href="${escapeHtml(result.publishUrl)}" target="_blank" class="text-xs text-blue-600 hover:underline ml-2">查看</a>
+            ` : ''}
           </div>
         </div>
 
@@ -241,6 +324,56 @@ function createStatusItem(result) {
           ` : ''}
         </div>
       </div>
+      ${result.status === 'reviewing' && result.pipeline ? createPipelineReviewHTML(platform.id, result.pipeline) : ''}
+    </div>
+  `;
+}
+
+/**
+ * 生成提示词流水线审阅区：列出原文和每一步的输出，选中的版本将用于发布
+ * @param {string} platformId - 平台ID
+ * @param {Object} pipeline - { original, steps: [{promptName, content}], selectedIndex }
+ * @returns {string} HTML
+ */
+function createPipelineReviewHTML(platformId, pipeline) {
+  const versions = [
+    { index: -1, label: '原文', content: pipeline.original },
+    ...pipeline.steps.map((step, index) => ({
+      index,
+      label: `${index + 1}. ${step.promptName}`,
+      content: step.content
+    }))
+  ];
+
+  return `
+    <div class="mt-3 space-y-2">
+      ${versions.map(version => {
+        const selected = version.index === pipeline.selectedIndex;
+        return `
+          <details class="border rounded ${selected ? 'border-purple-400 bg-purple-50' : 'border-gray-200 bg-white'}" ${selected ? 'open' : ''}>
+            <summary class="flex items-center justify-between px-3 py-2 cursor-pointer text-sm">
+              <span class="truncate ${selected ? 'text-purple-700 font-medium' : 'text-gray-700'}">${escapeHtml(version.label)}</span>
+              ${selected ? `
+                <span class="text-xs text-purple-600 flex-shrink-0 ml-2">将使用此版本</span>
+              ` : `
+                <button data-action="select" data-platform-id="${platformId}" data-index="${version.index}"
+                        class="pipeline-action text-xs text-blue-600 hover:text-blue-800 flex-shrink-0 ml-2">${version.index < pipeline.selectedIndex ? '回退到此步' : '使用此版本'}</button>
+              `}
+            </summary>
+            <div class="px-3 pb-3 text-xs text-gray-600 whitespace-pre-wrap break-words max-h-40 overflow-y-auto">${escapeHtml(htmlToText(version.content))}</div>
+          </details>
+        `;
+      }).join('')}
+      <div class="flex space-x-2">
+        <button data-action="confirm" data-platform-id="${platformId}"
+                class="pipeline-action flex-1 px-3 py-2 text-sm text-white bg-purple-600 hover:bg-purple-700 rounded transition-colors">
+          确认并发布
+        </button>
+        <button data-action="cancel" data-platform-id="${platformId}"
+                class="pipeline-action px-3 py-2 text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 rounded transition-colors">
+          取消
+        </button>
+      </div>
     </div>
   `;
 }
@@ -301,9 +434,9 @@ function extractPlatformId(result) {
 function calculatePublishStats() {
   const totalPlatforms = sidepanelState.publishResults.length;
 
-  // 统计成功发布的平台数量（状态为 ready 或 success，不包括优化中的平台）
+  // 统计成功发布的平台数量（状态为 ready、success 或 published，不包括优化中的平台）
   const successfulPlatforms = sidepanelState.publishResults.filter(result =>
-    result.status === 'ready' || result.status === 'success'
+    ['ready', 'success', 'published'].includes(result.status)
   ).length;
 
   return {
@@ -327,12 +460,24 @@ function getStatusConfig(status) {
     icon: '<div class="w-2 h-2 bg-purple-600 rounded-full status-optimizing"></div>'
   };
 
+  const reviewingConfig = {
+    text: '待审阅',
+    textColor: 'text-purple-600',
+    icon: '<div class="w-2 h-2 bg-purple-600 rounded-full"></div>'
+  };
+
   const readyConfig = {
     text: '待确认',
     textColor: 'text-orange-600',
     icon: '<svg class="w-4 h-4" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clip-rule="evenodd"></path></svg>'
   };
 
+  const publishedConfig = {
+    text: '已发布',
+    textColor: 'text-green-600',
+    icon: '<svg class="w-4 h-4" fill="currentColor" viewBox="0 0 20 20"><path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"></path></svg>'
+  };
+
   const failedConfig = {
     text: '请重试',
     textColor: 'text-red-600',
@@ -344,8 +489,10 @@ function getStatusConfig(status) {
     pending: publishingConfig,
     publishing: publishingConfig,
     optimizing: optimizingConfig,
+    reviewing: reviewingConfig,
     ready: readyConfig,
     success: readyConfig,
+    published: publishedConfig,
     failed: failedConfig
   };
 
@@ -414,6 +561,34 @@ function setupEventListeners() {
       return;
     }
 
+    // 处理历史记录按钮
+    if (target.classList.contains('history-action')) {
+      handleHistoryAction(target.getAttribute('data-action'), target.getAttribute('data-record-id'));
+      return;
+    }
+
+    // 处理定时任务按钮
+    if (target.classList.contains('schedule-action')) {
+      handleScheduleAction(target.getAttribute('data-action'), target.getAttribute('data-job-id'));
+      return;
+    }
+
+    // 处理提示词流水线审阅按钮
+    if (target.classList.contains('pipeline-action')) {
+      handlePipelineAction(
+        target.getAttribute('data-action'),
+        target.getAttribute('data-platform-id'),
+        Number(target.getAttribute('data-index'))
+      );
+      return;
+    }
+
+    // 处理选择器诊断按钮
+    if (target.classList.contains('diagnose-action')) {
+      handleDiagnoseAction(target.getAttribute('data-action'));
+      return;
+    }
+
     // 处理操作按钮
     if (target.classList.contains('action-button')) {
       const action = target.getAttribute('data-action');
@@ -490,6 +665,9 @@ function setupMessageListeners() {
       case 'updatePlatformOptimizationStatus':
         handlePlatformOptimizationStatusUpdate(message);
         break;
+      case 'pipelineReview':
+        handlePipelineReview(message);
+        break;
       case 'publishStateReset':
         handlePublishStateReset(message.data);
         break;
@@ -499,6 +677,17 @@ function setupMessageListeners() {
       case 'singlePlatformProgressUpdate':
         handleSinglePlatformProgressUpdate(message);
         break;
+      case 'scheduledJobsUpdated':
+        sidepanelState.scheduledJobs = message.jobs || [];
+        renderScheduleView();
+        break;
+      case 'switchToScheduleView':
+        switchToView('schedule');
+        break;
+      case 'selectorDiagnosticsUpdate':
+        sidepanelState.diagnostics = message.data || { running: false, reports: {} };
+        renderDiagnoseView();
+        break;
       default:
         console.log('未知消息类型:', message.action);
     }
@@ -536,6 +725,11 @@ function handlePublishResult(result) {
   
   sidepanelState.lastUpdate = new Date();
   renderSidepanel();
+
+  // 历史视图打开时同步刷新（后台写入历史后再读取）
+  if (sidepanelState.currentView === 'history') {
+    setTimeout(loadHistoryRecords, 300);
+  }
 }
 
 // 处理发布开始
@@ -678,6 +872,70 @@ function handlePlatformOptimizationStatusUpdate(message) {
   renderSidepanel();
 }
 
+// 处理提示词流水线结果：默认选中最后一步，等待用户确认
+function handlePipelineReview(message) {
+  const { platformId, original, steps, timestamp } = message;
+
+  handlePlatformOptimizationStatusUpdate({
+    platformId,
+    status: 'reviewing',
+    message: `${steps.length}步优化已完成，请确认要发布的版本`,
+    timestamp
+  });
+
+  const result = sidepanelState.publishResults.find(r => extractPlatformId(r) === platformId);
+  if (result) {
+    result.pipeline = { original, steps, selectedIndex: steps.length - 1 };
+    renderSidepanel();
+  }
+}
+
+// 处理流水线审阅操作：选择版本、确认发布或取消发布
+async function handlePipelineAction(action, platformId, index) {
+  const result = sidepanelState.publishResults.find(r => extractPlatformId(r) === platformId);
+  if (!result?.pipeline) return;
+
+  if (action === 'select') {
+    result.pipeline.selectedIndex = index;
+    renderSidepanel();
+    return;
+  }
+
+  if (action === 'confirm') {
+    const stepIndex = result.pipeline.selectedIndex;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'confirmPipelineStep', platformId, stepIndex });
+      if (!response?.success) {
+        throw new Error(response?.error || '主页面未响应');
+      }
+      // 后续状态由主页面的发布流程更新
+      delete result.pipeline;
+      result.status = 'publishing';
+      result.message = '内容优化完成，正在发布...';
+    } catch (error) {
+      console.error('确认流水线结果失败:', error);
+      delete result.pipeline;
+      result.status = 'failed';
+      result.message = `确认失败：${error.message}，请在主页面重新发布`;
+    }
+    renderSidepanel();
+    return;
+  }
+
+  if (action === 'cancel') {
+    try {
+      // 主页面取消后会将该平台状态更新为失败
+      await chrome.runtime.sendMessage({ action: 'cancelPipelineReview', platformId });
+    } catch (error) {
+      console.error('取消流水线结果失败:', error);
+    }
+    delete result.pipeline;
+    result.status = 'failed';
+    result.message = '已取消发布';
+    renderSidepanel();
+  }
+}
+
 // 根据平台ID获取平台名称 - 使用统一的PlatformUtils
 function getPlatformNameById(platformId) {
   // 如果PlatformUtils可用，使用统一工具
@@ -694,7 +952,13 @@ function getPlatformNameById(platformId) {
     'bilibili': 'B站',
     'weixinchannels': '微信视频号',
     'weixin': '微信公众号',
-    'weixin-article': '微信公众号(文章)'
+    'weixin-article': '微信公众号(文章)',
+    'zhihu': '知乎',
+    'zhihu-article': '知乎专栏',
+    'juejin-article': '掘金',
+    'csdn-article': 'CSDN',
+    'jianshu-article': '简书',
+    'segmentfault-article': '思否'
   };
   return platformNames[platformId] || platformId;
 }
@@ -821,6 +1085,525 @@ async function clearResults() {
   renderSidepanel();
 }
 
+// ===== 定时任务 =====
+
+// 从后台加载定时任务
+async function loadScheduledJobs() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getScheduledJobs' });
+    if (response && response.success) {
+      sidepanelState.scheduledJobs = response.jobs || [];
+    }
+  } catch (error) {
+    console.error('加载定时任务失败:', error);
+  }
+}
+
+// 渲染定时任务视图
+function renderScheduleView() {
+  if (!elements.scheduleView) return;
+
+  const jobs = sidepanelState.scheduledJobs;
+
+  if (jobs.length === 0) {
+    elements.scheduleView.innerHTML = `
+      <div class="flex flex-col items-center justify-center h-full p-6 text-center">
+        <div class="w-16 h-16 mb-4 bg-gray-200 rounded-full flex items-center justify-center">
+          <svg class="w-8 h-8 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+          </svg>
+        </div>
+        <h3 class="text-lg font-medium text-gray-900 mb-2">暂无定时任务</h3>
+        <p class="text-sm text-gray-500">在主页面勾选"定时发布"后点击同步即可创建</p>
+      </div>
+    `;
+    return;
+  }
+
+  elements.scheduleView.innerHTML = `
+    <div class="flex flex-col h-full">
+      <!-- 头部 -->
+      <div class="flex-shrink-0 p-4 border-b border-gray-200 bg-white">
+        <div class="flex items-center justify-between">
+          <h2 class="text-lg font-semibold text-gray-900">定时任务</h2>
+          <span class="text-lg font-medium text-gray-700">${jobs.length}</span>
+        </div>
+      </div>
+
+      <!-- 任务列表 -->
+      <div class="flex-1 overflow-y-auto status-list">
+        ${jobs.map(job => createScheduleItem(job)).join('')}
+      </div>
+    </div>
+  `;
+}
+
+// 创建定时任务项
+function createScheduleItem(job) {
+  const platforms = (job.data?.platforms || []).map(p => getPlatformById(p.id) || p);
+  // 任务内容为编辑内容的快照（旧版任务直接保存发布数据）
+  const source = job.data?.snapshot || job.data || {};
+  const preview = (source.title || htmlToText(source.content || '')).substring(0, 60);
+  const statusConfig = getScheduleStatusConfig(job.status);
+  const isEditing = sidepanelState.editingJobId === job.id;
+  const isRunning = job.status === 'running';
+
+  return `
+    <div class="px-4 py-4 border-b border-gray-100 hover:bg-gray-50 transition-colors" data-job-id="${job.id}">
+      <div class="flex items-center justify-between">
+        <div class="text-sm font-medium text-gray-900">${formatScheduleTime(job.scheduledTime)}</div>
+        <span class="text-xs ${statusConfig.textColor}">${statusConfig.text}</span>
+      </div>
+      <p class="mt-1 text-sm text-gray-600 truncate">${escapeHtml(preview) || '（无标题）'}</p>
+      <div class="mt-2 flex items-center space-x-1">
+        ${platforms.map(platform => generatePlatformIcon(platform)).join('')}
+      </div>
+      ${job.error ? `<p class="mt-2 text-xs text-red-600">${escapeHtml(job.error)}</p>` : ''}
+      ${isEditing ? `
+        <div class="mt-3 flex items-center space-x-2">
+          <input type="datetime-local" id="schedule-edit-${job.id}" value="${toDateTimeLocalValue(job.scheduledTime)}"
+                 class="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md" />
+          <button data-action="save" data-job-id="${job.id}" class="schedule-action px-2 py-1 text-xs rounded-md bg-blue-600 text-white hover:bg-blue-700">保存</button>
+          <button data-action="cancel-edit" data-job-id="${job.id}" class="schedule-action px-2 py-1 text-xs rounded-md text-gray-600 hover:bg-gray-100">取消</button>
+        </div>
+      ` : `
+        <div class="mt-3 flex items-center space-x-2">
+          ${job.data?.snapshot ? `<button data-action="edit-content" data-job-id="${job.id}" class="schedule-action px-2 py-1 text-xs rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100" ${isRunning ? 'disabled' : ''}>编辑内容</button>` : ''}
+          <button data-action="edit" data-job-id="${job.id}" class="schedule-action px-2 py-1 text-xs rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100" ${isRunning ? 'disabled' : ''}>修改时间</button>
+          <button data-action="run" data-job-id="${job.id}" class="schedule-action px-2 py-1 text-xs rounded-md border border-blue-300 text-blue-700 hover:bg-blue-50" ${isRunning ? 'disabled' : ''}>立即发布</button>
+          <button data-action="cancel" data-job-id="${job.id}" class="schedule-action px-2 py-1 text-xs rounded-md border border-red-300 text-red-600 hover:bg-red-50" ${isRunning ? 'disabled' : ''}>取消任务</button>
+        </div>
+      `}
+    </div>
+  `;
+}
+
+// 获取定时任务状态配置
+function getScheduleStatusConfig(status) {
+  const statusMap = {
+    pending: { text: '等待发布', textColor: 'text-blue-600' },
+    running: { text: '发布中', textColor: 'text-purple-600' },
+    failed: { text: '执行失败', textColor: 'text-red-600' }
+  };
+
+  return statusMap[status] || statusMap.pending;
+}
+
+// 处理定时任务操作
+async function handleScheduleAction(action, jobId) {
+  if (!jobId) return;
+
+  try {
+    let response = { success: true };
+
+    switch (action) {
+      case 'edit':
+        sidepanelState.editingJobId = jobId;
+        renderScheduleView();
+        return;
+      case 'edit-content':
+        await openMainEditor({ action: 'editScheduledJob', jobId }, `editScheduledJob=${encodeURIComponent(jobId)}`);
+        return;
+      case 'cancel-edit':
+        sidepanelState.editingJobId = null;
+        renderScheduleView();
+        return;
+      case 'save': {
+        const input = document.getElementById(`schedule-edit-${jobId}`);
+        const scheduledTime = input?.value ? new Date(input.value).getTime() : NaN;
+        if (!scheduledTime || scheduledTime <= Date.now()) {
+          alert('请选择一个晚于当前的时间');
+          return;
+        }
+        response = await chrome.runtime.sendMessage({
+          action: 'updateScheduledJob',
+          jobId,
+          updates: { scheduledTime }
+        });
+        sidepanelState.editingJobId = null;
+        break;
+      }
+      case 'run':
+        response = await chrome.runtime.sendMessage({ action: 'runScheduledJobNow', jobId });
+        if (response && response.success) {
+          switchToView('status');
+        }
+        break;
+      case 'cancel':
+        if (!confirm('确定取消该定时任务吗？')) return;
+        response = await chrome.runtime.sendMessage({ action: 'cancelScheduledJob', jobId });
+        break;
+      default:
+        return;
+    }
+
+    if (!response || !response.success) {
+      alert(`操作失败：${response?.error || '未知错误'}`);
+    }
+  } catch (error) {
+    console.error('定时任务操作失败:', error);
+    alert(`操作失败：${error.message}`);
+  }
+
+  await loadScheduledJobs();
+  renderScheduleView();
+}
+
+// ===== 发布历史 =====
+
+// 按当前过滤条件加载历史记录
+async function loadHistoryRecords() {
+  if (!publishHistoryService) return;
+
+  const { keyword, platformId, status, startDate, endDate } = sidepanelState.historyFilters;
+
+  try {
+    sidepanelState.historyRecords = await publishHistoryService.queryRecords({
+      keyword,
+      platformId,
+      status,
+      startTime: startDate ? new Date(`${startDate}T00:00:00`).getTime() : null,
+      endTime: endDate ? new Date(`${endDate}T23:59:59.999`).getTime() : null
+    });
+  } catch (error) {
+    console.error('加载发布历史失败:', error);
+    sidepanelState.historyRecords = [];
+  }
+
+  renderHistoryList();
+}
+
+// 渲染历史记录视图（过滤栏只渲染一次，避免输入时丢失焦点）
+function renderHistoryView() {
+  if (!elements.historyView || elements.historyView.querySelector('#history-filters')) return;
+
+  const { keyword, platformId, status, startDate, endDate } = sidepanelState.historyFilters;
+  const platformOptions = getAllPlatforms()
+    .map(p => `<option value="${p.id}" ${p.id === platformId ? 'selected' : ''}>${p.name}</option>`)
+    .join('');
+  const statusOptions = [
+    ['ready', '待确认'],
+    ['published', '已发布'],
+    ['failed', '失败'],
+    ['publishing', '未完成']
+  ].map(([value, text]) => `<option value="${value}" ${value === status ? 'selected' : ''}>${text}</option>`).join('');
+
+  elements.historyView.innerHTML = `
+    <div class="flex flex-col h-full">
+      <!-- 过滤栏 -->
+      <div id="history-filters" class="flex-shrink-0 p-4 border-b border-gray-200 bg-white space-y-2">
+        <input type="search" data-filter="keyword" value="${escapeHtml(keyword)}" placeholder="搜索标题或内容"
+               class="w-full px-2 py-1 text-sm border border-gray-300 rounded-md" />
+        <div class="flex space-x-2">
+          <select data-filter="platformId" class="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md">
+            <option value="">全部平台</option>
+            ${platformOptions}
+          </select>
+          <select data-filter="status" class="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md">
+            <option value="">全部状态</option>
+            ${statusOptions}
+          </select>
+        </div>
+        <div class="flex items-center space-x-2">
+          <input type="date" data-filter="startDate" value="${startDate}" class="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md" />
+          <span class="text-xs text-gray-400">至</span>
+          <input type="date" data-filter="endDate" value="${endDate}" class="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md" />
+        </div>
+      </div>
+
+      <!-- 记录列表 -->
+      <div id="history-list" class="flex-1 overflow-y-auto status-list"></div>
+
+      <!-- 底部操作 -->
+      <div class="flex-shrink-0 p-4 border-t border-gray-200 bg-white">
+        <div class="flex justify-center">
+          <button data-action="clear-all" class="history-action px-8 py-2 rounded-lg text-sm font-medium text-gray-700 border border-gray-300 hover:bg-gray-100">
+            清空历史
+          </button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  // 过滤条件变化时重新查询（关键词输入防抖）
+  let searchTimer = null;
+  const filters = elements.historyView.querySelector('#history-filters');
+  filters.addEventListener('input', (event) => {
+    const field = event.target.getAttribute('data-filter');
+    if (!field) return;
+
+    sidepanelState.historyFilters[field] = event.target.value;
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(loadHistoryRecords, field === 'keyword' ? 300 : 0);
+  });
+
+  renderHistoryList();
+}
+
+// 渲染历史记录列表
+function renderHistoryList() {
+  const list = elements.historyView?.querySelector('#history-list');
+  if (!list) return;
+
+  if (!publishHistoryService) {
+    list.innerHTML = '<div class="p-4 text-center text-gray-500">发布历史服务不可用</div>';
+    return;
+  }
+
+  const records = sidepanelState.historyRecords;
+  list.innerHTML = records.length > 0
+    ? records.map(record => createHistoryItem(record)).join('')
+    : '<div class="p-4 text-center text-gray-500">暂无发布记录</div>';
+}
+
+// 创建历史记录项
+function createHistoryItem(record) {
+  const preview = (record.title || htmlToText(record.content)).substring(0, 60);
+  const mediaNames = (record.mediaFiles || []).map(file => file.name).join('、');
+
+  const platformRows = record.platforms.map(p => {
+    const platform = getPlatformById(p.id) || p;
+    const result = record.results[p.id] || {};
+    const statusConfig = getStatusConfig(result.status);
+
+    return `
+      <div class="flex items-center justify-between text-xs" title="${escapeHtml(result.message || '')}">
+        <span class="text-gray-700 truncate">${platform.name}</span>
+        <span class="flex items-center space-x-2">
+          ${result.publishUrl ? `<a href="${escapeHtml(result.publishUrl)}" target="_blank" class="text-blue-600 hover:underline">打开</a>` : ''}
+          <span class="${statusConfig.textColor}">${statusConfig.text}</span>
+        </span>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div class="px-4 py-4 border-b border-gray-100 hover:bg-gray-50 transition-colors" data-record-id="${record.id}">
+      <div class="flex items-center justify-between">
+        <div class="text-xs text-gray-500">${formatScheduleTime(record.createdAt)} · ${escapeHtml(record.contentType)}</div>
+        <div class="flex items-center space-x-2">
+          <button data-action="reload" data-record-id="${record.id}" class="history-action px-2 py-1 text-xs rounded-md border border-blue-300 text-blue-700 hover:bg-blue-50">载入编辑器</button>
+          <button data-action="delete" data-record-id="${record.id}" class="history-action px-2 py-1 text-xs rounded-md text-gray-400 hover:text-red-600 hover:bg-red-50">删除</button>
+        </div>
+      </div>
+      <p class="mt-1 text-sm font-medium text-gray-900 truncate">${escapeHtml(preview) || '（无标题）'}</p>
+      ${mediaNames ? `<p class="mt-1 text-xs text-gray-500 truncate" title="${escapeHtml(mediaNames)}">媒体：${escapeHtml(mediaNames)}</p>` : ''}
+      <div class="mt-2 space-y-1">
+        ${platformRows}
+      </div>
+    </div>
+  `;
+}
+
+// 处理历史记录操作
+async function handleHistoryAction(action, recordId) {
+  try {
+    switch (action) {
+      case 'reload':
+        await reloadHistoryIntoEditor(recordId);
+        break;
+      case 'delete':
+        await publishHistoryService.deleteRecord(recordId);
+        await loadHistoryRecords();
+        break;
+      case 'clear-all':
+        if (!confirm('确定清空全部发布历史吗？此操作不可恢复。')) return;
+        await publishHistoryService.clearAllRecords();
+        await loadHistoryRecords();
+        break;
+    }
+  } catch (error) {
+    console.error('历史记录操作失败:', error);
+    alert(`操作失败：${error.message}`);
+  }
+}
+
+// 将历史记录载入主页面编辑器
+async function reloadHistoryIntoEditor(recordId) {
+  await openMainEditor({ action: 'loadHistoryRecord', historyId: recordId }, `historyId=${encodeURIComponent(recordId)}`);
+}
+
+// 激活主页面并发送消息，主页面未打开时带参数新建标签页（跳过后台执行定时任务的页面）
+async function openMainEditor(message, query) {
+  const mainUrl = chrome.runtime.getURL('main/main.html');
+  const tabs = (await chrome.tabs.query({ url: `${mainUrl}*` }))
+    .filter(tab => !(tab.url || '').includes('scheduledJob='));
+
+  if (tabs.length > 0) {
+    await chrome.tabs.update(tabs[0].id, { active: true });
+    await chrome.tabs.sendMessage(tabs[0].id, message);
+  } else {
+    await chrome.tabs.create({ url: `${mainUrl}?${query}` });
+  }
+}
+
+// ===== 选择器诊断 =====
+
+// 从后台加载最近一次诊断结果
+async function loadDiagnostics() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getSelectorDiagnostics' });
+    if (response && response.success) {
+      sidepanelState.diagnostics = { running: response.running, reports: response.reports || {} };
+    }
+  } catch (error) {
+    console.error('加载诊断结果失败:', error);
+  }
+}
+
+// 渲染选择器诊断视图
+function renderDiagnoseView() {
+  if (!elements.diagnoseView) return;
+
+  const { running, reports } = sidepanelState.diagnostics;
+  const selectedId = sidepanelState.diagnosePlatformId;
+  const platformOptions = getAllPlatforms()
+    .filter(p => !p.crossTab)
+    .map(p => `<option value="${p.id}" ${p.id === selectedId ? 'selected' : ''}>${p.name}</option>`)
+    .join('');
+  const reportList = Object.values(reports);
+
+  elements.diagnoseView.innerHTML = `
+    <div class="flex flex-col h-full">
+      <!-- 头部 -->
+      <div class="flex-shrink-0 p-4 border-b border-gray-200 bg-white space-y-2">
+        <div class="flex items-center justify-between">
+          <h2 class="text-lg font-semibold text-gray-900">选择器诊断</h2>
+          ${running ? '<span class="text-xs text-purple-600">诊断中...</span>' : ''}
+        </div>
+        <p class="text-xs text-gray-500">逐个打开平台发布页，检查适配器选择器是否仍能找到页面元素，不会填写任何内容</p>
+        <div class="flex space-x-2">
+          <select id="diagnose-platform" class="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md" ${running ? 'disabled' : ''}>
+            <option value="">全部平台</option>
+            ${platformOptions}
+          </select>
+          <button data-action="start" class="diagnose-action px-3 py-1 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50" ${running ? 'disabled' : ''}>
+            开始诊断
+          </button>
+        </div>
+      </div>
+
+      <!-- 诊断结果 -->
+      <div class="flex-1 overflow-y-auto status-list">
+        ${reportList.length > 0
+          ? reportList.map(report => createDiagnoseItem(report)).join('')
+          : '<p class="p-6 text-sm text-center text-gray-500">尚未进行诊断</p>'}
+      </div>
+    </div>
+  `;
+
+  elements.diagnoseView.querySelector('#diagnose-platform')?.addEventListener('change', (event) => {
+    sidepanelState.diagnosePlatformId = event.target.value;
+  });
+}
+
+// 创建单个平台的诊断结果
+function createDiagnoseItem(report) {
+  const platform = getPlatformById(report.platformId) || { id: report.platformId, name: report.platformId };
+
+  let body = '';
+  if (report.status === 'checking') {
+    body = '<p class="mt-2 text-xs text-gray-500">等待检查...</p>';
+  } else if (report.status === 'error') {
+    body = `<p class="mt-2 text-xs text-red-600">${escapeHtml(report.error || '诊断失败')}</p>`;
+  } else {
+    body = `
+      <div class="mt-2 space-y-1">
+        ${(report.checks || []).map(check => createDiagnoseCheckRow(check)).join('')}
+      </div>
+    `;
+  }
+
+  const summary = report.summary
+    ? `<span class="text-xs text-gray-500">
+        <span class="text-green-600">${report.summary.ok}</span> /
+        <span class="text-yellow-600">${report.summary.fallback}</span> /
+        <span class="text-red-600">${report.summary.failed}</span>
+      </span>`
+    : '';
+
+  return `
+    <div class="px-4 py-4 border-b border-gray-100">
+      <div class="flex items-center justify-between">
+        <div class="flex items-center space-x-2">
+          ${generatePlatformIcon(platform)}
+          <span class="text-sm font-medium text-gray-900">${escapeHtml(platform.name)}</span>
+        </div>
+        ${summary}
+      </div>
+      ${body}
+    </div>
+  `;
+}
+
+// 创建单组选择器的检查结果行
+function createDiagnoseCheckRow(check) {
+  const statusMap = {
+    ok: { text: '正常', textColor: 'text-green-600' },
+    fallback: { text: '备用', textColor: 'text-yellow-600' },
+    failed: { text: '失效', textColor: 'text-red-600' }
+  };
+  const statusConfig = statusMap[check.status] || statusMap.failed;
+  const failedSelectors = check.status === 'failed'
+    ? check.results.map(result => result.selector)
+    : check.results.slice(0, check.results.findIndex(result => result.found)).map(result => result.selector);
+
+  return `
+    <div class="text-xs">
+      <div class="flex items-center justify-between">
+        <span class="text-gray-700">${check.label} <span class="text-gray-400">${escapeHtml(check.key)}</span></span>
+        <span class="${statusConfig.textColor}">${statusConfig.text}</span>
+      </div>
+      ${check.matchedSelector ? `<p class="text-gray-500 truncate" title="${escapeHtml(check.matchedSelector)}">✓ ${escapeHtml(check.matchedSelector)}</p>` : ''}
+      ${failedSelectors.map(selector => `<p class="text-red-500 truncate" title="${escapeHtml(selector)}">✗ ${escapeHtml(selector)}</p>`).join('')}
+    </div>
+  `;
+}
+
+// 处理选择器诊断操作
+async function handleDiagnoseAction(action) {
+  if (action !== 'start') return;
+
+  const platformId = sidepanelState.diagnosePlatformId;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'runSelectorDiagnostics',
+      platformIds: platformId ? [platformId] : getAllPlatforms().filter(p => !p.crossTab).map(p => p.id)
+    });
+    if (!response || !response.success) {
+      alert(`诊断启动失败：${response?.error || '未知错误'}`);
+    }
+  } catch (error) {
+    console.error('启动选择器诊断失败:', error);
+    alert(`诊断启动失败：${error.message}`);
+  }
+}
+
+// 格式化定时发布时间
+function formatScheduleTime(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// 转换为 datetime-local 输入框的值
+function toDateTimeLocalValue(timestamp) {
+  return formatScheduleTime(timestamp).replace(' ', 'T');
+}
+
+// 提取HTML中的纯文本（文章内容为HTML，使用DOMParser避免执行内联脚本）
+function htmlToText(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return (doc.body.textContent || '').trim();
+}
+
+// HTML转义
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
 // 显示错误
 function showError(message) {
   if (elements.root) {
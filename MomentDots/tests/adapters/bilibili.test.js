@@ -0,0 +1,70 @@
+/**
+ * 哔哩哔哩适配器测试 - 图文动态的标题、正文填充和图片上传
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdapterEnvironment, createTestFile } = require('../harness/adapterEnvironment');
+
+const DYNAMIC_URL = 'https://t.bilibili.com/';
+
+let env = null;
+
+afterEach(() => {
+  env?.close();
+  env = null;
+});
+
+test('detectPageType 按 URL 区分动态、视频投稿和专栏页面', async () => {
+  env = createAdapterEnvironment({ url: DYNAMIC_URL, fixture: 'bilibili-dynamic.html' });
+  const adapter = await env.waitForAdapter('bilibili');
+  assert.equal(adapter.detectPageType(), 'dynamic');
+
+  env.window.history.pushState(null, '', '/read/editor/#/web');
+  assert.equal(adapter.detectPageType(), 'article');
+});
+
+test('填充标题和正文，并通过图片按钮上传 fileIds 对应的图片', async () => {
+  env = createAdapterEnvironment({
+    url: DYNAMIC_URL,
+    fixture: 'bilibili-dynamic.html',
+    files: { file_1: createTestFile('bilibili-1.png'), file_2: createTestFile('bilibili-2.png') }
+  });
+  const adapter = await env.waitForAdapter('bilibili');
+  const { document } = env;
+  let picButtonClicked = false;
+  document.querySelector('.bili-dyn-publishing__tools__item.pic').addEventListener('click', () => {
+    picButtonClicked = true;
+  });
+
+  const result = await adapter.publishContent({
+    title: '这是一个超过二十个字的哔哩哔哩动态标题会被截断',
+    content: 'B站动态正文',
+    fileIds: ['file_1', 'file_2'],
+    platforms: [{ id: 'bilibili' }]
+  });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.action, 'dynamic_prefilled');
+  assert.equal(document.querySelector('input[placeholder*="好的标题更容易获得支持"]').value, '这是一个超过二十个字的哔哩哔哩动态标题会');
+  assert.equal(document.querySelector('.bili-rich-textarea__inner').textContent, 'B站动态正文');
+  assert.equal(picButtonClicked, true);
+  assert.deepEqual(
+    Array.from(document.querySelector('input[type="file"]').files, file => file.name),
+    ['bilibili-1.png', 'bilibili-2.png']
+  );
+});
+
+test('不支持的图片格式返回失败结果', async () => {
+  env = createAdapterEnvironment({
+    url: DYNAMIC_URL,
+    fixture: 'bilibili-dynamic.html',
+    files: { file_1: createTestFile('bilibili.bmp', { type: 'image/bmp' }) }
+  });
+  const adapter = await env.waitForAdapter('bilibili');
+
+  const result = await adapter.publishContent({ content: 'B站动态正文', fileIds: ['file_1'] });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /不支持的文件类型: image\/bmp/);
+});
@@ -0,0 +1,101 @@
+/**
+ * 抖音适配器测试 - 图文上传页跳转到编辑页后的内容填充
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdapterEnvironment, createTestFile } = require('../harness/adapterEnvironment');
+
+const UPLOAD_URL = 'https://creator.douyin.com/creator-micro/content/upload?default-tab=3';
+const EDIT_URL = 'https://creator.douyin.com/creator-micro/content/post/image?enter_from=publish_page&media_type=image&type=new';
+
+let env = null;
+
+afterEach(() => {
+  env?.close();
+  env = null;
+});
+
+test('按 URL 和页面元素识别图文上传页和编辑页', async () => {
+  env = createAdapterEnvironment({ url: UPLOAD_URL, fixture: 'douyin-upload.html' });
+  const adapter = await env.waitForAdapter('douyin');
+  assert.equal(await adapter.detectPageState(), 'upload_page');
+
+  env.navigate('douyin-edit.html', EDIT_URL);
+  assert.equal(await adapter.detectPageState(), 'edit_page');
+});
+
+test('上传图片后跳转到编辑页，再填充标题和描述', async () => {
+  env = createAdapterEnvironment({
+    url: UPLOAD_URL,
+    fixture: 'douyin-upload.html',
+    files: { file_1: createTestFile('douyin-1.png'), file_2: createTestFile('douyin-2.png') }
+  });
+  const adapter = await env.waitForAdapter('douyin');
+
+  // 模拟抖音：选择图片后进入图文编辑页
+  const fileInput = env.document.querySelector('input[type="file"]');
+  let uploadedNames = [];
+  fileInput.addEventListener('change', () => {
+    uploadedNames = Array.from(fileInput.files, file => file.name);
+    env.navigate('douyin-edit.html', EDIT_URL);
+  });
+
+  const result = await adapter.publishContent({
+    title: '抖音图文标题',
+    content: '抖音图文描述',
+    fileIds: ['file_1', 'file_2'],
+    platforms: [{ id: 'douyin' }]
+  });
+
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.action, 'prefilled');
+  assert.equal(result.finalState, 'edit_page');
+  assert.deepEqual(uploadedNames, ['douyin-1.png', 'douyin-2.png']);
+  assert.equal(env.document.querySelector('input[placeholder="添加作品标题"]').value, '抖音图文标题');
+  assert.equal(env.document.querySelector('.zone-container').textContent, '抖音图文描述');
+});
+
+test('已在编辑页时直接填充，标题使用主页面预处理后的版本', async () => {
+  env = createAdapterEnvironment({ url: EDIT_URL, fixture: 'douyin-edit.html' });
+  const adapter = await env.waitForAdapter('douyin');
+
+  const result = await adapter.publishContent({
+    title: '这是一个超过二十个字的抖音作品标题需要被截断处理',
+    content: '直接填充的描述',
+    platforms: [{ id: 'douyin', processedTitle: '这是一个超过二十个字的抖音作品标题需' }]
+  });
+
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.validated, true);
+  assert.equal(env.document.querySelector('input[placeholder="添加作品标题"]').value, '这是一个超过二十个字的抖音作品标题需');
+  assert.equal(env.document.querySelector('.zone-container').textContent, '直接填充的描述');
+});
+
+test('自动发布：点击发布后跳转到作品管理页视为成功', async () => {
+  env = createAdapterEnvironment({ url: EDIT_URL, fixture: 'douyin-edit.html' });
+  await env.waitForAdapter('douyin');
+
+  // 模拟抖音：发布成功后跳转到作品管理页
+  const publishButton = Array.from(env.document.querySelectorAll('button')).find(button => button.textContent === '发布');
+  publishButton.addEventListener('click', () => {
+    env.window.history.pushState(null, '', '/creator-micro/content/manage');
+  });
+
+  const result = await env.sendMessage({ action: 'submitPublish', platform: 'douyin' });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.platform, 'douyin');
+});
+
+test('自动发布：点击发布后既未跳转也没有成功提示时报告失败', async () => {
+  env = createAdapterEnvironment({ url: EDIT_URL, fixture: 'douyin-edit.html' });
+  await env.waitForAdapter('douyin');
+  env.shortenPublishSignalWait();
+
+  const result = await env.sendMessage({ action: 'submitPublish', platform: 'douyin' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, '未检测到发布成功');
+  assert.equal(env.window.location.href, EDIT_URL);
+});
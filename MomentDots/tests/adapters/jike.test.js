@@ -0,0 +1,44 @@
+/**
+ * 即刻适配器测试 - 首页发布框内容注入和图片上传
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdapterEnvironment, createTestFile } = require('../harness/adapterEnvironment');
+
+let env = null;
+
+afterEach(() => {
+  env?.close();
+  env = null;
+});
+
+test('注入正文并通过 fileIds 上传图片', async () => {
+  env = createAdapterEnvironment({
+    url: 'https://web.okjike.com/',
+    fixture: 'jike-home.html',
+    files: { file_1: createTestFile('photo.png') }
+  });
+  const adapter = await env.waitForAdapter('jike');
+
+  const result = await adapter.publishContent({ content: '今天天气不错', fileIds: ['file_1'] });
+
+  assert.equal(result.success, true, result.error);
+  const editor = env.document.querySelector('[data-lexical-editor="true"]');
+  assert.equal(editor.textContent, '今天天气不错');
+
+  const fileInput = env.document.querySelector('.mantine-Dropzone-root > input[type="file"]');
+  assert.equal(fileInput.files.length, 1);
+  assert.equal(fileInput.files[0].name, 'photo.png');
+  assert.ok(env.sentMessages.some(message => message.action === 'getFile' && message.fileId === 'file_1'));
+});
+
+test('通过 publish 消息发布时返回发布结果', async () => {
+  env = createAdapterEnvironment({ url: 'https://web.okjike.com/', fixture: 'jike-home.html' });
+  await env.waitForAdapter('jike');
+
+  const response = await env.sendMessage({ action: 'publish', data: { content: '消息发布' } });
+
+  assert.equal(response.success, true, response.error);
+  assert.equal(env.document.querySelector('[data-lexical-editor="true"]').textContent, '消息发布');
+});
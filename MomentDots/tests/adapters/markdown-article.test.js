@@ -0,0 +1,73 @@
+/**
+ * Markdown文章平台适配器测试 - CodeMirror（掘金）和 contenteditable（CSDN）两类编辑器
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdapterEnvironment } = require('../harness/adapterEnvironment');
+
+let env = null;
+
+afterEach(() => {
+  env?.close();
+  env = null;
+});
+
+/**
+ * 模拟 CodeMirror 读取隐藏输入框：输入内容写入渲染区域后清空输入框
+ * @param {Document} document - 页面文档
+ */
+function attachCodeMirrorStandIn(document) {
+  const textarea = document.querySelector('.CodeMirror textarea');
+  const code = document.querySelector('.CodeMirror-code');
+
+  textarea.addEventListener('input', () => {
+    if (!textarea.value) return;
+    code.textContent = textarea.value;
+    textarea.value = '';
+  });
+}
+
+test('掘金：注入标题，并通过 CodeMirror 输入框注入 Markdown 正文', async () => {
+  env = createAdapterEnvironment({ url: 'https://juejin.cn/editor/drafts/7000000000000000000', fixture: 'juejin-editor.html' });
+  attachCodeMirrorStandIn(env.document);
+  const adapter = await env.waitForAdapter('juejin');
+
+  const markdown = '# 标题\n\n正文段落，包含 `代码`。';
+  const result = await adapter.publishContent({
+    title: '原始标题',
+    content: '<p>富文本</p>',
+    platforms: [{ id: 'juejin-article', processedTitle: '掘金标题', processedContent: markdown }]
+  });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(env.document.querySelector('input.title-input').value, '掘金标题');
+  assert.equal(env.document.querySelector('.CodeMirror-code').textContent, markdown);
+});
+
+test('掘金：编辑器没有响应输入时返回注入失败', async () => {
+  env = createAdapterEnvironment({ url: 'https://juejin.cn/editor/drafts/7000000000000000000', fixture: 'juejin-editor.html' });
+  const adapter = await env.waitForAdapter('juejin');
+
+  const result = await adapter.publishContent({ title: '标题', content: '正文' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, '掘金Markdown内容注入失败');
+});
+
+test('CSDN：替换编辑器示例文本，并在发布弹窗中填写摘要', async () => {
+  env = createAdapterEnvironment({ url: 'https://editor.csdn.net/md/?not_checkout=1', fixture: 'csdn-editor.html' });
+  const adapter = await env.waitForAdapter('csdn');
+
+  const markdown = '## 小节\n\n- 列表项';
+  const result = await adapter.publishContent({
+    title: 'CSDN 文章标题',
+    content: markdown,
+    platforms: [{ id: 'csdn-article', processedContent: markdown, processedSummary: '文章摘要' }]
+  });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(env.document.querySelector('.article-bar__title input').value, 'CSDN 文章标题');
+  assert.equal(env.document.querySelector('.editor__inner').textContent, markdown);
+  assert.equal(env.document.querySelector('.desc-box textarea').value, '文章摘要');
+});
@@ -0,0 +1,131 @@
+/**
+ * 微博适配器测试 - 页面类型判断、首页图文预填充和自动发布
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdapterEnvironment, createTestFile } = require('../harness/adapterEnvironment');
+
+let env = null;
+
+afterEach(() => {
+  env?.close();
+  env = null;
+});
+
+/**
+ * 在首页编辑器中填好正文并启用发送按钮（模拟预填充完成后的页面）
+ * @param {Document} document - 页面文档
+ * @param {string} text - 正文
+ * @returns {HTMLButtonElement} 发送按钮
+ */
+function prepareSubmit(document, text) {
+  document.querySelector('textarea.Form_input_2gtXx').value = text;
+  const sendButton = document.querySelector('button.Tool_btn_2Eane');
+  sendButton.disabled = false;
+  return sendButton;
+}
+
+test('detectPageType 按 URL 区分图文、短视频和头条文章页面', async () => {
+  const cases = [
+    ['https://weibo.com/', 'image'],
+    ['https://weibo.com/upload/channel', 'video'],
+    ['https://card.weibo.com/article/v3/editor#/draft/create', 'article']
+  ];
+
+  for (const [url, expected] of cases) {
+    env = createAdapterEnvironment({ url, fixture: 'weibo-home.html' });
+    const adapter = await env.waitForAdapter('weibo');
+    assert.equal(adapter.detectPageType(), expected, url);
+    env.close();
+  }
+  env = null;
+});
+
+test('首页注入正文并上传图片', async () => {
+  env = createAdapterEnvironment({
+    url: 'https://weibo.com/',
+    fixture: 'weibo-home.html',
+    files: { file_1: createTestFile('weibo.png') }
+  });
+  const adapter = await env.waitForAdapter('weibo');
+
+  const result = await adapter.publishContent({ content: '微博正文 #话题#', fileIds: ['file_1'] });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.action, 'image_prefilled');
+  assert.equal(env.document.querySelector('textarea.Form_input_2gtXx').value, '微博正文 #话题#');
+
+  const fileInput = env.document.querySelector('input.FileUpload_file_27ilM');
+  assert.deepEqual([...fileInput.files].map(file => file.name), ['weibo.png']);
+});
+
+test('上传图片后按顺序填写图片描述', async () => {
+  env = createAdapterEnvironment({
+    url: 'https://weibo.com/',
+    fixture: 'weibo-home.html',
+    files: { file_1: createTestFile('sunset.png'), file_2: createTestFile('beach.png') }
+  });
+  const adapter = await env.waitForAdapter('weibo');
+  const { document } = env;
+
+  // 模拟上传完成后为每张图片渲染描述输入框
+  const fileInput = document.querySelector('input.FileUpload_file_27ilM');
+  fileInput.addEventListener('change', () => {
+    [...fileInput.files].forEach(() => {
+      const item = document.createElement('div');
+      item.className = 'Picture_item_3JQe8';
+      item.innerHTML = '<textarea placeholder="添加图片描述"></textarea>';
+      document.body.appendChild(item);
+    });
+  });
+
+  const result = await adapter.publishContent({
+    content: '海边',
+    fileIds: ['file_1', 'file_2'],
+    mediaDescriptions: { file_1: { altText: '海边的日落，天空呈橙红色', caption: '今天的晚霞' } }
+  });
+
+  assert.equal(result.success, true, result.error);
+  const descriptions = [...document.querySelectorAll('.Picture_item_3JQe8 textarea')].map(input => input.value);
+  assert.deepEqual(descriptions, ['海边的日落，天空呈橙红色', '']);
+});
+
+test('自动发布：信息流顶部出现内容一致的新微博时返回微博链接', async () => {
+  env = createAdapterEnvironment({ url: 'https://weibo.com/', fixture: 'weibo-home.html' });
+  await env.waitForAdapter('weibo');
+  const { document } = env;
+
+  // 模拟微博：发送后把新微博插入信息流顶部（链接被替换为「网页链接」）
+  prepareSubmit(document, '自动发布的微博 https://example.com/a').addEventListener('click', () => {
+    const article = document.createElement('article');
+    article.innerHTML = `
+      <a class="head-info_time_6sFQg" href="https://weibo.com/1234567890/OabCdEfGh">刚刚</a>
+      <div class="detail_wbtext_4CRf9">自动发布的微博 网页链接</div>`;
+    document.querySelector('.Main_full_1dfQX').appendChild(article);
+  });
+
+  const result = await env.sendMessage({ action: 'submitPublish', platform: 'weibo' });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.publishUrl, 'https://weibo.com/1234567890/OabCdEfGh');
+});
+
+test('自动发布：信息流顶部仍是旧微博且没有成功提示时报告失败', async () => {
+  env = createAdapterEnvironment({ url: 'https://weibo.com/', fixture: 'weibo-home.html' });
+  await env.waitForAdapter('weibo');
+  env.shortenPublishSignalWait();
+  const { document } = env;
+
+  const oldPost = document.createElement('article');
+  oldPost.innerHTML = `
+    <a class="head-info_time_6sFQg" href="https://weibo.com/1234567890/OldPost01">1小时前</a>
+    <div class="detail_wbtext_4CRf9">之前的微博</div>`;
+  document.querySelector('.Main_full_1dfQX').appendChild(oldPost);
+  prepareSubmit(document, '没有发出去的微博');
+
+  const result = await env.sendMessage({ action: 'submitPublish', platform: 'weibo' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, '未检测到发布成功');
+});
@@ -0,0 +1,110 @@
+/**
+ * 微信公众号测试 - 首页创作菜单点击和编辑页内容注入（两个内容脚本都通过消息驱动）
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdapterEnvironment, createTestFile } = require('../harness/adapterEnvironment');
+
+const HOME_URL = 'https://mp.weixin.qq.com/cgi-bin/home?t=home/index&lang=zh_CN&token=123456';
+const EDIT_URL = 'https://mp.weixin.qq.com/cgi-bin/appmsg?t=media/appmsg_edit_v2&action=edit&isNew=1&type=77&token=123456';
+
+let env = null;
+
+afterEach(() => {
+  env?.close();
+  env = null;
+});
+
+/**
+ * 记录首页创作菜单项的点击
+ * @param {Document} document - 页面文档
+ * @returns {Array<string>} 被点击的菜单项文本
+ */
+function recordMenuClicks(document) {
+  const clicked = [];
+  document.querySelectorAll('.new-creation__menu-item').forEach(item => {
+    item.addEventListener('click', () => clicked.push(item.textContent.trim()));
+  });
+  return clicked;
+}
+
+test('首页按平台类型点击「图文」或「文章」入口', async () => {
+  env = createAdapterEnvironment({ url: HOME_URL, fixture: 'weixin-home.html' });
+  const clicked = recordMenuClicks(env.document);
+
+  const imageTextResult = await env.sendMessage({ action: 'clickWeixinButton', platformType: 'weixin' });
+  assert.equal(imageTextResult.success, true, imageTextResult.error);
+  assert.equal(imageTextResult.buttonType, '图文');
+
+  const articleResult = await env.sendMessage({ action: 'clickWeixinButton', platformType: 'weixin-article' });
+  assert.equal(articleResult.success, true, articleResult.error);
+  assert.equal(articleResult.buttonType, '文章');
+
+  assert.deepEqual(clicked, ['图文', '文章']);
+});
+
+test('首页找不到入口时返回明确的失败原因', async () => {
+  env = createAdapterEnvironment({
+    url: HOME_URL,
+    html: '<!DOCTYPE html><body><div class="login__type__container">请使用微信扫描二维码登录</div></body>'
+  });
+
+  const result = await env.sendMessage({ action: 'clickImageTextButton' });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /未找到图文按钮/);
+});
+
+test('编辑页注入标题、摘要、正文，并把图片交给第二个文件输入控件', async () => {
+  env = createAdapterEnvironment({
+    url: EDIT_URL,
+    fixture: 'weixin-edit.html',
+    files: { file_1: createTestFile('weixin-1.png'), file_2: createTestFile('weixin-2.png') }
+  });
+  const { document } = env;
+
+  const result = await env.sendMessage({
+    action: 'injectContent',
+    data: {
+      title: '公众号图文标题',
+      summary: '公众号摘要',
+      content: '第一段\n\n第二段',
+      fileIds: ['file_1', 'file_2'],
+      platforms: [{ id: 'weixin' }]
+    }
+  });
+
+  assert.equal(result.success, true, result.error);
+  const { title, summary, content, files, warnings } = result.details;
+  assert.deepEqual({ title, summary, content, files }, { title: true, summary: true, content: true, files: true });
+  assert.equal(warnings.length, 0, warnings.join('\n'));
+  assert.equal(document.querySelector('textarea#title').value, '公众号图文标题');
+  assert.equal(document.querySelector('textarea#js_description').value, '公众号摘要');
+  assert.equal(document.querySelector('.rich_media_content .ProseMirror').innerHTML, '<p>第一段</p><p>第二段</p>');
+  assert.equal(document.querySelector('.share-text__input .ProseMirror').textContent, '');
+
+  const [coverInput, imageInput] = document.querySelectorAll('input[type="file"]');
+  assert.equal(coverInput.files.length, 0);
+  assert.deepEqual(Array.from(imageInput.files, file => file.name), ['weixin-1.png', 'weixin-2.png']);
+});
+
+test('文章编辑页没有图片上传控件时跳过上传并给出提示', async () => {
+  env = createAdapterEnvironment({
+    url: 'https://mp.weixin.qq.com/cgi-bin/appmsg?t=media/appmsg_edit_v2&action=edit&isNew=1&type=10&token=123456',
+    html: `<!DOCTYPE html><body>
+      <textarea id="title" placeholder="请在这里输入标题"></textarea>
+      <div class="rich_media_content"><div class="ProseMirror" contenteditable="true"><p><br></p></div></div>
+    </body>`,
+    files: { file_1: createTestFile('weixin-1.png') }
+  });
+
+  const result = await env.sendMessage({
+    action: 'injectContent',
+    data: { title: '公众号文章标题', content: '文章正文', fileIds: ['file_1'] }
+  });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.details.files, false);
+  assert.match(result.details.warnings.join('\n'), /图片未上传/);
+});
@@ -0,0 +1,55 @@
+/**
+ * 微信视频号适配器测试 - Shadow DOM 中的图文发表页
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdapterEnvironment, createTestFile } = require('../harness/adapterEnvironment');
+
+const IMAGE_URL = 'https://channels.weixin.qq.com/platform/post/finderNewLifeCreate';
+
+let env = null;
+
+afterEach(() => {
+  env?.close();
+  env = null;
+});
+
+test('detectPageType 按 URL 区分图文和短视频页面', async () => {
+  env = createAdapterEnvironment({ url: IMAGE_URL, fixture: 'weixinchannels-image.html' });
+  const adapter = await env.waitForAdapter('weixinchannels');
+  assert.equal(adapter.detectPageType(), 'image');
+  env.close();
+
+  env = createAdapterEnvironment({ url: 'https://channels.weixin.qq.com/platform/post/create', fixture: 'weixinchannels-image.html' });
+  assert.equal((await env.waitForAdapter('weixinchannels')).detectPageType(), 'video');
+});
+
+test('在 Shadow DOM 中注入标题、描述并上传图片', async () => {
+  env = createAdapterEnvironment({
+    url: IMAGE_URL,
+    fixture: 'weixinchannels-image.html',
+    files: { file_1: createTestFile('channels.png') }
+  });
+  const adapter = await env.waitForAdapter('weixinchannels');
+
+  const result = await adapter.publishContent({ title: '视频号标题', content: '视频号描述', fileIds: ['file_1'] });
+
+  assert.equal(result.success, true, result.error);
+  const shadowRoot = env.document.querySelector('wujie-app').shadowRoot;
+  assert.equal(shadowRoot.querySelector('input[placeholder="填写标题, 22个字符内"]').value, '视频号标题');
+  assert.equal(shadowRoot.querySelector('.input-editor').textContent, '视频号描述');
+  assert.equal(shadowRoot.querySelector('input[type="file"]').files[0].name, 'channels.png');
+});
+
+test('选择器诊断在 Shadow DOM 中检查标题、编辑器和上传控件', async () => {
+  env = createAdapterEnvironment({ url: IMAGE_URL, fixture: 'weixinchannels-image.html' });
+  await env.waitForAdapter('weixinchannels');
+
+  const response = await env.sendMessage({ action: 'diagnoseSelectors', platform: 'weixinchannels' });
+
+  assert.equal(response.success, true, response.error);
+  // 报告对象来自页面环境，展开后再比较
+  assert.deepEqual({ ...response.report.summary }, { ok: 3, fallback: 0, failed: 0 });
+  assert.deepEqual([...response.report.checks].map(check => check.role).sort(), ['editor', 'file', 'title']);
+});
@@ -0,0 +1,195 @@
+/**
+ * X适配器测试 - 首页发帖框的正文填充、媒体上传、串推填充和自动发布
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdapterEnvironment, createTestFile } = require('../harness/adapterEnvironment');
+const { buildXThread } = require('../../shared/utils/XThread');
+
+const HOME_URL = 'https://x.com/home';
+
+let env = null;
+
+afterEach(() => {
+  env?.close();
+  env = null;
+});
+
+/**
+ * 模拟X：首页点击「添加帖子」后打开串推弹窗（带入第1条内容并新增第2条），
+ * 弹窗内再点击时追加 tweetTextarea_N 编辑器
+ * @param {Document} document - 页面文档
+ */
+function simulateThreadComposer(document) {
+  const createEditor = (index, text = '') => {
+    const editor = document.createElement('div');
+    editor.className = 'public-DraftEditor-content';
+    editor.contentEditable = 'true';
+    editor.setAttribute('role', 'textbox');
+    editor.dataset.testid = `tweetTextarea_${index}`;
+    editor.textContent = text;
+    return editor;
+  };
+
+  document.addEventListener('click', (event) => {
+    if (!event.target.closest('[data-testid="addButton"]')) return;
+
+    let dialog = document.querySelector('[role="dialog"]');
+    if (!dialog) {
+      dialog = document.createElement('div');
+      dialog.setAttribute('role', 'dialog');
+      dialog.innerHTML = `
+        <div class="thread-posts"></div>
+        <input data-testid="fileInput" type="file" multiple accept="image/jpeg,image/png,image/webp,image/gif,video/mp4" style="display: none;">
+        <button data-testid="addButton" aria-label="添加帖子">+</button>
+        <button data-testid="tweetButton" type="button">全部发布</button>`;
+      const firstText = document.querySelector('[data-testid="tweetTextarea_0"]').textContent;
+      dialog.querySelector('.thread-posts').appendChild(createEditor(0, firstText));
+      document.body.appendChild(dialog);
+    }
+
+    const posts = dialog.querySelector('.thread-posts');
+    posts.appendChild(createEditor(posts.children.length));
+  });
+}
+
+test('填充正文并通过文件输入控件上传图片', async () => {
+  env = createAdapterEnvironment({
+    url: HOME_URL,
+    fixture: 'x-home.html',
+    files: { file_1: createTestFile('x-1.png'), file_2: createTestFile('x-2.png') }
+  });
+  const adapter = await env.waitForAdapter('x');
+  const fileInput = env.document.querySelector('[data-testid="fileInput"]');
+  let changeCount = 0;
+  fileInput.addEventListener('change', () => changeCount++);
+
+  const result = await adapter.publish({ content: '第一行\n第二行 #MomentDots', fileIds: ['file_1', 'file_2'] });
+
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.action, 'prefilled');
+  assert.equal(env.document.querySelector('[data-testid="tweetTextarea_0"]').textContent, '第一行\n第二行 #MomentDots');
+  assert.equal(changeCount, 1);
+  assert.deepEqual(Array.from(fileInput.files, file => file.name), ['x-1.png', 'x-2.png']);
+});
+
+test('超过4个媒体时截断，不支持的格式被跳过', async () => {
+  const files = {
+    file_doc: createTestFile('notes.pdf', { type: 'application/pdf' })
+  };
+  for (let index = 1; index <= 5; index++) {
+    files[`file_${index}`] = createTestFile(`x-${index}.png`);
+  }
+  env = createAdapterEnvironment({ url: HOME_URL, fixture: 'x-home.html', files });
+  const adapter = await env.waitForAdapter('x');
+
+  const result = await adapter.publish({
+    content: '多图',
+    fileIds: ['file_doc', 'file_1', 'file_2', 'file_3', 'file_4', 'file_5']
+  });
+
+  assert.equal(result.success, true, result.message);
+  const fileInput = env.document.querySelector('[data-testid="fileInput"]');
+  assert.deepEqual(Array.from(fileInput.files, file => file.name), ['x-1.png', 'x-2.png', 'x-3.png', 'x-4.png']);
+});
+
+test('未登录时跳转到的登录页返回失败结果', async () => {
+  env = createAdapterEnvironment({
+    url: 'https://x.com/i/flow/login',
+    html: '<!DOCTYPE html><body><form action="/i/flow/login"><button data-testid="LoginForm_Login_Button">登录</button></form></body>'
+  });
+  const adapter = await env.waitForAdapter('x');
+
+  const result = await adapter.publish({ content: '未登录' });
+
+  assert.equal(result.success, false);
+  assert.match(result.message, /请先登录X平台/);
+});
+
+test('串推逐条填充：第1条在首页发帖框，之后通过「添加帖子」在弹窗中追加，媒体按条分配', async () => {
+  const files = {};
+  for (let index = 1; index <= 5; index++) {
+    files[`file_${index}`] = createTestFile(`x-${index}.png`);
+  }
+  env = createAdapterEnvironment({ url: HOME_URL, fixture: 'x-home.html', files });
+  const adapter = await env.waitForAdapter('x');
+  const { document } = env;
+  simulateThreadComposer(document);
+
+  const uploads = [];
+  document.addEventListener('change', (event) => {
+    const location = event.target.closest('[role="dialog"]') ? 'dialog' : 'home';
+    uploads.push([location, Array.from(event.target.files, file => file.name)]);
+  });
+
+  // 7句 × 82 超出两条的预算，5张图片分为 4 + 1
+  const content = Array.from({ length: 7 }, (_, index) => `第${index + 1}${'字'.repeat(40)}。`).join('');
+  const thread = buildXThread(content, 5);
+  assert.deepEqual(thread.map(post => post.mediaCount), [4, 1, 0]);
+
+  const result = await adapter.publish({
+    content,
+    fileIds: Object.keys(files),
+    platforms: [{ id: 'x', thread }]
+  });
+
+  assert.equal(result.success, true, result.message);
+  assert.equal(result.threadLength, 3);
+  assert.equal(document.querySelector('[data-testid="tweetTextarea_0"]').textContent, thread[0].text);
+  const dialog = document.querySelector('[role="dialog"]');
+  assert.equal(dialog.querySelector('[data-testid="tweetTextarea_1"]').textContent, thread[1].text);
+  assert.equal(dialog.querySelector('[data-testid="tweetTextarea_2"]').textContent, thread[2].text);
+  assert.deepEqual(uploads, [
+    ['home', ['x-1.png', 'x-2.png', 'x-3.png', 'x-4.png']],
+    ['dialog', ['x-5.png']]
+  ]);
+});
+
+test('串推缺少「添加帖子」按钮时返回失败结果', async () => {
+  env = createAdapterEnvironment({ url: HOME_URL, fixture: 'x-home.html' });
+  const adapter = await env.waitForAdapter('x');
+  env.document.querySelector('[data-testid="addButton"]').remove();
+
+  const result = await adapter.publish({
+    content: '第一条\n第二条',
+    platforms: [{ id: 'x', thread: [{ text: '第一条\n1/2', mediaCount: 0 }, { text: '第二条\n2/2', mediaCount: 0 }] }]
+  });
+
+  assert.equal(result.success, false);
+  assert.match(result.message, /未找到X平台「添加帖子」按钮/);
+});
+
+test('自动发布：出现带帖子链接的提示后返回发布地址', async () => {
+  env = createAdapterEnvironment({ url: HOME_URL, fixture: 'x-home.html' });
+  await env.waitForAdapter('x');
+  const { document } = env;
+
+  // 模拟X：发送后弹出「你的帖子已发送」提示
+  document.querySelector('[data-testid="tweetButtonInline"]').addEventListener('click', () => {
+    const toast = document.createElement('div');
+    toast.dataset.testid = 'toast';
+    toast.innerHTML = '你的帖子已发送。<a href="https://x.com/momentdots/status/1234567890">查看</a>';
+    document.body.appendChild(toast);
+  });
+
+  const result = await env.sendMessage({ action: 'submitPublish', platform: 'x' });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.platform, 'x');
+  assert.equal(result.publishUrl, 'https://x.com/momentdots/status/1234567890');
+});
+
+test('自动发布：点击发送后没有成功提示时报告失败', async () => {
+  env = createAdapterEnvironment({ url: HOME_URL, fixture: 'x-home.html' });
+  await env.waitForAdapter('x');
+  env.shortenPublishSignalWait();
+  let clicked = false;
+  env.document.querySelector('[data-testid="tweetButtonInline"]').addEventListener('click', () => { clicked = true; });
+
+  const result = await env.sendMessage({ action: 'submitPublish', platform: 'x' });
+
+  assert.equal(clicked, true);
+  assert.equal(result.success, false);
+  assert.equal(result.error, '未检测到发布成功提示');
+});
@@ -0,0 +1,71 @@
+/**
+ * 小红书长文适配器测试 - 从「新的创作」进入编辑器后注入标题和正文
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdapterEnvironment } = require('../harness/adapterEnvironment');
+
+const ARTICLE_URL = 'https://creator.xiaohongshu.com/publish/publish?from=menu&target=article';
+
+let env = null;
+
+afterEach(() => {
+  env?.close();
+  env = null;
+});
+
+test('只在长文发布页初始化长文适配器', async () => {
+  env = createAdapterEnvironment({
+    url: 'https://creator.xiaohongshu.com/publish/publish?from=menu&target=image',
+    fixture: 'xiaohongshu-upload.html'
+  });
+  await env.waitForAdapter('xiaohongshu');
+  assert.equal(env.window.SelectorDiagnostics.adapters.has('xiaohongshu-article'), false);
+  env.close();
+
+  env = createAdapterEnvironment({ url: ARTICLE_URL, fixture: 'xiaohongshu-article-home.html' });
+  const adapter = await env.waitForAdapter('xiaohongshu-article');
+  assert.equal(adapter.isOnPublishPage(), true);
+  assert.equal(adapter.isInEditMode(), false);
+});
+
+test('点击「新的创作」进入编辑器，注入截断后的标题和带图片占位的正文', async () => {
+  env = createAdapterEnvironment({ url: ARTICLE_URL, fixture: 'xiaohongshu-article-home.html' });
+  await env.waitForAdapter('xiaohongshu-article');
+
+  // 模拟小红书：点击「新的创作」后渲染长文编辑器
+  const newCreationButton = env.document.querySelector('.new-btn');
+  newCreationButton.addEventListener('click', () => env.navigate('xiaohongshu-article-edit.html'));
+
+  const longTitle = '长'.repeat(70);
+  const result = await env.sendMessage({
+    action: 'publish',
+    platform: 'xiaohongshu-article',
+    data: {
+      title: longTitle,
+      content: '<p>第一段</p><p><img src="https://example.com/a.png"></p><p>第二段</p>'
+    }
+  });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.platform, 'xiaohongshu-article');
+  assert.equal(env.document.querySelector('textarea[placeholder="输入标题"]').value, '长'.repeat(64));
+
+  const editorText = env.document.querySelector('.tiptap.ProseMirror').textContent;
+  assert.match(editorText, /第一段[\s\S]*\[图片：存在图片\][\s\S]*第二段/);
+  assert.doesNotMatch(editorText, /<img|__PLACEHOLDER/);
+});
+
+test('找不到「新的创作」入口时返回失败结果', async () => {
+  env = createAdapterEnvironment({
+    url: ARTICLE_URL,
+    html: '<!DOCTYPE html><body><div class="login-box"><button>登录</button></div></body>'
+  });
+  const adapter = await env.waitForAdapter('xiaohongshu-article');
+
+  const result = await adapter.publishContent({ title: '标题', content: '正文' });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /无法进入编辑模式/);
+});
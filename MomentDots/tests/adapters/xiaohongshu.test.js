@@ -0,0 +1,89 @@
+/**
+ * 小红书适配器测试 - 页面状态判断
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdapterEnvironment } = require('../harness/adapterEnvironment');
+
+let env = null;
+
+afterEach(() => {
+  env?.close();
+  env = null;
+});
+
+test('首页识别为 homepage，且能找到发布图文笔记入口', async () => {
+  env = createAdapterEnvironment({ url: 'https://creator.xiaohongshu.com/new/home', fixture: 'xiaohongshu-home.html' });
+  const adapter = await env.waitForAdapter('xiaohongshu');
+
+  assert.equal(await adapter.detectPageState(), 'homepage');
+  assert.equal(await adapter.waitForPageReady('homepage', 1000), true);
+});
+
+test('未上传图片时识别为图文上传页', async () => {
+  env = createAdapterEnvironment({
+    url: 'https://creator.xiaohongshu.com/publish/publish?from=menu&target=image',
+    fixture: 'xiaohongshu-upload.html'
+  });
+  const adapter = await env.waitForAdapter('xiaohongshu');
+
+  assert.equal(await adapter.detectPageState(), 'upload_page');
+  assert.equal(await adapter.waitForPageReady('upload', 1000), true);
+});
+
+test('出现标题和正文编辑器后识别为图文编辑页', async () => {
+  env = createAdapterEnvironment({
+    url: 'https://creator.xiaohongshu.com/publish/publish?from=menu&target=image',
+    fixture: 'xiaohongshu-edit.html'
+  });
+  const adapter = await env.waitForAdapter('xiaohongshu');
+
+  assert.equal(await adapter.detectPageState(), 'edit_page');
+  assert.equal(await adapter.waitForPageReady('edit', 1000), true);
+});
+
+test('上传控件只接受视频时识别为视频上传页', async () => {
+  env = createAdapterEnvironment({
+    url: 'https://creator.xiaohongshu.com/publish/publish?from=menu',
+    html: '<!DOCTYPE html><body><input class="upload-input" type="file" accept=".mp4,.mov,video/mp4"></body>'
+  });
+  const adapter = await env.waitForAdapter('xiaohongshu');
+
+  assert.equal(await adapter.detectPageState(), 'video_upload_page');
+});
+
+test('话题通过联想列表选中，未出现联想项的话题保留为纯文本', async () => {
+  env = createAdapterEnvironment({
+    url: 'https://creator.xiaohongshu.com/publish/publish?from=menu&target=image',
+    fixture: 'xiaohongshu-edit.html'
+  });
+  const adapter = await env.waitForAdapter('xiaohongshu');
+  const { document } = env;
+  const editor = document.querySelector('.ql-editor');
+
+  // 模拟小红书：输入 #旅行 后弹出话题联想列表，点击后替换为话题节点
+  editor.addEventListener('input', () => {
+    document.getElementById('creator-editor-topic-container')?.remove();
+    if (!/#旅行$/.test(editor.textContent)) return;
+
+    const container = document.createElement('div');
+    container.id = 'creator-editor-topic-container';
+    container.innerHTML = '<div class="item"><span>#旅行</span><span>12亿浏览</span></div>';
+    container.querySelector('.item').addEventListener('click', () => {
+      const textNode = editor.lastChild;
+      textNode.textContent = textNode.textContent.replace(/#旅行$/, '');
+      const topic = document.createElement('a');
+      topic.className = 'tiptap-topic';
+      topic.textContent = '#旅行[话题]#';
+      editor.appendChild(topic);
+      container.remove();
+    });
+    document.body.appendChild(container);
+  });
+
+  assert.equal(await adapter.injectHashtags(['旅行', '小众冷门']), true);
+
+  assert.equal(editor.querySelectorAll('.tiptap-topic').length, 1);
+  assert.match(editor.textContent, /#旅行\[话题\]# #小众冷门 $/);
+});
@@ -0,0 +1,65 @@
+/**
+ * 知乎适配器测试 - 想法和专栏文章两种页面
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdapterEnvironment, createTestFile } = require('../harness/adapterEnvironment');
+
+let env = null;
+
+afterEach(() => {
+  env?.close();
+  env = null;
+});
+
+test('首页识别为想法页面，注入正文并上传图片', async () => {
+  env = createAdapterEnvironment({
+    url: 'https://www.zhihu.com/',
+    fixture: 'zhihu-pin.html',
+    files: { file_1: createTestFile('pin.png') }
+  });
+  const adapter = await env.waitForAdapter('zhihu');
+  assert.equal(adapter.detectPageType(), 'pin');
+
+  const result = await adapter.publishContent({ content: '一条想法', fileIds: ['file_1'] });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.action, 'pin_prefilled');
+  assert.equal(env.document.querySelector('.Modal .public-DraftEditor-content').textContent, '一条想法');
+  assert.equal(env.document.querySelector('.Modal input[type="file"]').files[0].name, 'pin.png');
+});
+
+test('写文章页识别为专栏页面，注入标题和清理后的正文', async () => {
+  env = createAdapterEnvironment({ url: 'https://zhuanlan.zhihu.com/write', fixture: 'zhihu-article.html' });
+  const adapter = await env.waitForAdapter('zhihu');
+  assert.equal(adapter.detectPageType(), 'article');
+
+  const result = await adapter.publishContent({
+    title: '专栏标题',
+    content: '<h2 style="color:red">小节</h2><p onclick="alert(1)">第一段</p><script>alert(1)</script>'
+  });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.action, 'article_prefilled');
+  assert.equal(env.document.querySelector('textarea[placeholder*="请输入标题"]').value, '专栏标题');
+
+  const editor = env.document.querySelector('.public-DraftEditor-content');
+  assert.equal(editor.querySelector('h2').textContent, '小节');
+  assert.equal(editor.querySelector('h2').hasAttribute('style'), false);
+  assert.equal(editor.querySelector('p').hasAttribute('onclick'), false);
+  assert.equal(editor.querySelector('script'), null);
+});
+
+test('未登录时返回登录提示', async () => {
+  env = createAdapterEnvironment({
+    url: 'https://www.zhihu.com/',
+    html: '<!DOCTYPE html><body><div class="signFlowModal">登录</div></body>'
+  });
+  const adapter = await env.waitForAdapter('zhihu');
+
+  const result = await adapter.publishContent({ content: '一条想法' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, '请先登录知乎');
+});
@@ -0,0 +1,550 @@
+/**
+ * 内容脚本离线测试环境
+ *
+ * 在 jsdom 中打开平台编辑页快照，按 manifest.json 中与 URL 匹配的 content_scripts 顺序加载
+ * 共享脚本和适配器，并提供模拟的 chrome.runtime（按 fileId 提供文件）。
+ *
+ * jsdom 没有布局和编辑能力，这里补齐适配器依赖的部分：
+ * - 元素尺寸：未隐藏的元素视为可见（offsetWidth/offsetHeight/getBoundingClientRect）
+ * - DataTransfer / ClipboardEvent / navigator.clipboard
+ * - input.files 可被 DataTransfer.files 赋值
+ * - document.execCommand 的 selectAll / delete / insertText / insertHTML / insertParagraph / insertLineBreak
+ * - innerText / contentEditable / isContentEditable
+ * - 声明式 Shadow DOM：快照中的 <template shadowrootmode="open"> 会转换为真正的 shadowRoot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const EXTENSION_ROOT = path.resolve(__dirname, '../..');
+const FIXTURES_DIR = path.resolve(__dirname, '../fixtures');
+
+// 1x1 透明 PNG，用作默认的测试图片
+const PNG_PIXEL = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+/**
+ * 读取 manifest 中与 URL 匹配的内容脚本列表
+ * @param {string} url - 页面地址
+ * @returns {Array<string>} 相对扩展根目录的脚本路径
+ */
+function getContentScriptsForUrl(url) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_ROOT, 'manifest.json'), 'utf8'));
+  const matchesUrl = pattern => new RegExp(
+    '^' + pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'
+  ).test(url);
+
+  const entry = manifest.content_scripts.find(script => script.matches.some(matchesUrl));
+  if (!entry) {
+    throw new Error(`manifest.json 中没有匹配 ${url} 的内容脚本`);
+  }
+  return entry.js;
+}
+
+/**
+ * 创建测试文件描述
+ * @param {string} name - 文件名
+ * @param {Object} [options] - { type, data }
+ * @returns {{name: string, type: string, data: Buffer}}
+ */
+function createTestFile(name, options = {}) {
+  return {
+    name,
+    type: options.type || 'image/png',
+    data: Buffer.from(options.data || PNG_PIXEL)
+  };
+}
+
+/**
+ * 创建模拟的 chrome 扩展 API
+ * @param {Object} files - fileId -> { name, type, data }
+ * @returns {Object} { chrome, listeners, sentMessages }
+ */
+function createChromeStub(files) {
+  const listeners = [];
+  const sentMessages = [];
+
+  const getFileResponse = (fileId) => {
+    const file = files[fileId];
+    if (!file) {
+      return { success: false, error: `文件不存在: ${fileId}` };
+    }
+    return {
+      success: true,
+      arrayData: Array.from(file.data),
+      metadata: { name: file.name, type: file.type, size: file.data.length, lastModified: 0 }
+    };
+  };
+
+  // 模拟后台脚本对内容脚本消息的响应，未列出的消息按发送失败处理
+  const handleRuntimeMessage = (message) => {
+    switch (message.action) {
+      case 'getFile':
+        return getFileResponse(message.fileId);
+      case 'getFileWithSmartRouting': {
+        const response = getFileResponse(message.fileId);
+        return response.success ? { ...response, transferMode: 'direct' } : response;
+      }
+      case 'getActivePlatforms':
+        return { success: true, platforms: [] };
+      default:
+        return { success: false, error: `测试环境未模拟的消息: ${message.action}` };
+    }
+  };
+
+  const chrome = {
+    runtime: {
+      id: 'moment-dots-test',
+      lastError: undefined,
+      getURL: resource => `chrome-extension://moment-dots-test/${resource}`,
+      sendMessage(message, callback) {
+        sentMessages.push(message);
+        const response = handleRuntimeMessage(message);
+        if (typeof callback === 'function') {
+          setTimeout(() => callback(response), 0);
+          return undefined;
+        }
+        return Promise.resolve(response);
+      },
+      onMessage: {
+        addListener: listener => listeners.push(listener),
+        removeListener: listener => {
+          const index = listeners.indexOf(listener);
+          if (index >= 0) listeners.splice(index, 1);
+        },
+        hasListener: listener => listeners.includes(listener)
+      }
+    },
+    storage: {
+      local: {
+        get: async () => ({}),
+        set: async () => {},
+        remove: async () => {}
+      }
+    }
+  };
+
+  return { chrome, listeners, sentMessages };
+}
+
+/**
+ * 判断元素是否被隐藏（自身或祖先 display:none / hidden）
+ * @param {Window} window - jsdom window
+ * @param {Element} element - 元素
+ * @returns {boolean}
+ */
+function isHidden(window, element) {
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    if (node.hidden || window.getComputedStyle(node).display === 'none') {
+      return true;
+    }
+  }
+  return !element.isConnected;
+}
+
+/**
+ * 补齐适配器依赖但 jsdom 未实现的浏览器能力
+ * @param {Window} window - jsdom window
+ */
+function installBrowserShims(window) {
+  const { document, HTMLElement, HTMLInputElement } = window;
+  const BOX_SIZE = 100;
+
+  // 布局：未隐藏的元素统一视为 100x100 可见
+  Object.defineProperties(HTMLElement.prototype, {
+    offsetWidth: { configurable: true, get() { return isHidden(window, this) ? 0 : BOX_SIZE; } },
+    offsetHeight: { configurable: true, get() { return isHidden(window, this) ? 0 : BOX_SIZE; } },
+    offsetParent: {
+      configurable: true,
+      get() { return isHidden(window, this) ? null : (this.parentElement || document.body); }
+    },
+    innerText: {
+      configurable: true,
+      get() { return this.textContent; },
+      set(value) { this.textContent = value; }
+    },
+    contentEditable: {
+      configurable: true,
+      get() {
+        const value = this.getAttribute('contenteditable');
+        if (value === null) return 'inherit';
+        return value === 'false' ? 'false' : value === 'plaintext-only' ? value : 'true';
+      },
+      set(value) {
+        if (value === 'inherit') this.removeAttribute('contenteditable');
+        else this.setAttribute('contenteditable', value);
+      }
+    },
+    isContentEditable: {
+      configurable: true,
+      get() { return !!this.closest('[contenteditable]:not([contenteditable="false"])'); }
+    }
+  });
+
+  window.Element.prototype.getBoundingClientRect = function() {
+    const size = isHidden(window, this) ? 0 : BOX_SIZE;
+    return { x: 0, y: 0, top: 0, left: 0, right: size, bottom: size, width: size, height: size, toJSON() {} };
+  };
+  window.Element.prototype.scrollIntoView = function() {};
+
+  // 文件列表：jsdom 的 FileList 无法构造，用只读类数组对象代替
+  const createFileList = (files) => {
+    const list = { length: files.length, item: index => files[index] || null, [Symbol.iterator]: () => files[Symbol.iterator]() };
+    files.forEach((file, index) => { list[index] = file; });
+    return list;
+  };
+
+  class DataTransfer {
+    constructor() {
+      this._files = [];
+      this._data = new Map();
+      const transfer = this;
+      this.items = {
+        add(item, type) {
+          if (item instanceof window.File) {
+            transfer._files.push(item);
+          } else {
+            transfer._data.set(type, String(item));
+          }
+        },
+        clear() {
+          transfer._files = [];
+          transfer._data.clear();
+        },
+        get length() {
+          return transfer._files.length + transfer._data.size;
+        }
+      };
+      this.dropEffect = 'none';
+      this.effectAllowed = 'all';
+    }
+
+    get files() {
+      return createFileList(this._files.slice());
+    }
+
+    get types() {
+      return [...this._data.keys(), ...(this._files.length > 0 ? ['Files'] : [])];
+    }
+
+    setData(type, value) {
+      this._data.set(type, String(value));
+    }
+
+    getData(type) {
+      return this._data.get(type) || '';
+    }
+
+    clearData(type) {
+      if (type) this._data.delete(type);
+      else this._data.clear();
+    }
+  }
+  window.DataTransfer = DataTransfer;
+
+  class ClipboardEvent extends window.Event {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.clipboardData = init.clipboardData || null;
+    }
+  }
+  window.ClipboardEvent = ClipboardEvent;
+
+  class DragEvent extends window.MouseEvent {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.dataTransfer = init.dataTransfer || null;
+    }
+  }
+  window.DragEvent = DragEvent;
+
+  // input.files 允许赋值为 DataTransfer.files
+  const nativeFiles = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'files');
+  const assignedFiles = new WeakMap();
+  Object.defineProperty(HTMLInputElement.prototype, 'files', {
+    configurable: true,
+    get() {
+      return assignedFiles.has(this) ? assignedFiles.get(this) : nativeFiles.get.call(this);
+    },
+    set(value) {
+      assignedFiles.set(this, value);
+    }
+  });
+
+  // 剪贴板：内存实现
+  let clipboardText = '';
+  let clipboardItems = [];
+  Object.defineProperty(window.navigator, 'clipboard', {
+    configurable: true,
+    value: {
+      writeText: async (text) => { clipboardText = String(text); },
+      readText: async () => clipboardText,
+      write: async (items) => { clipboardItems = items; },
+      read: async () => clipboardItems
+    }
+  });
+  window.ClipboardItem = window.ClipboardItem || class ClipboardItem {
+    constructor(items) {
+      this.items = items;
+      this.types = Object.keys(items);
+    }
+  };
+
+  installExecCommand(window);
+}
+
+/**
+ * 将声明式 Shadow DOM 模板转换为 shadowRoot（jsdom 解析 HTML 时不会处理 shadowrootmode）
+ * @param {Document|ShadowRoot} root - 查找模板的根节点
+ */
+function attachDeclarativeShadowRoots(root) {
+  root.querySelectorAll('template[shadowrootmode]').forEach((template) => {
+    const host = template.parentElement;
+    const shadowRoot = host.attachShadow({ mode: template.getAttribute('shadowrootmode') });
+    shadowRoot.appendChild(template.content);
+    template.remove();
+    attachDeclarativeShadowRoots(shadowRoot);
+  });
+}
+
+/**
+ * 模拟 document.execCommand 的常用编辑命令（作用于当前焦点元素）
+ * @param {Window} window - jsdom window
+ */
+function installExecCommand(window) {
+  const { document } = window;
+
+  const isTextControl = element =>
+    element && (element.tagName === 'TEXTAREA' || (element.tagName === 'INPUT' && /^(text|search|url|email|)$/.test(element.type)));
+
+  const getEditingHost = () => {
+    const active = document.activeElement;
+    if (isTextControl(active)) return active;
+    return active && active.isContentEditable ? active : null;
+  };
+
+  // 选区不在编辑区域内时，将光标放到编辑区域末尾
+  const getEditingRange = (host) => {
+    const selection = window.getSelection();
+    if (selection.rangeCount > 0 && host.contains(selection.getRangeAt(0).commonAncestorContainer)) {
+      return selection.getRangeAt(0);
+    }
+    const range = document.createRange();
+    range.selectNodeContents(host);
+    range.collapse(false);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return range;
+  };
+
+  const insertNodes = (host, nodes) => {
+    const range = getEditingRange(host);
+    range.deleteContents();
+    const fragment = document.createDocumentFragment();
+    nodes.forEach(node => fragment.appendChild(node));
+    const lastNode = fragment.lastChild;
+    range.insertNode(fragment);
+    if (lastNode) {
+      range.setStartAfter(lastNode);
+      range.collapse(true);
+    }
+  };
+
+  const replaceControlSelection = (control, text) => {
+    const start = control.selectionStart ?? control.value.length;
+    const end = control.selectionEnd ?? control.value.length;
+    control.value = control.value.slice(0, start) + text + control.value.slice(end);
+    control.setSelectionRange(start + text.length, start + text.length);
+  };
+
+  const dispatchInput = (host, inputType, data) => {
+    host.dispatchEvent(new window.InputEvent('input', { bubbles: true, inputType, data }));
+  };
+
+  document.execCommand = function(command, showUI, value) {
+    const host = getEditingHost();
+    if (!host) {
+      return false;
+    }
+
+    const control = isTextControl(host);
+    switch (command) {
+      case 'selectAll':
+        if (control) {
+          host.select();
+        } else {
+          const range = document.createRange();
+          range.selectNodeContents(host);
+          window.getSelection().removeAllRanges();
+          window.getSelection().addRange(range);
+        }
+        return true;
+
+      case 'delete':
+        if (control) replaceControlSelection(host, '');
+        else getEditingRange(host).deleteContents();
+        dispatchInput(host, 'deleteContentBackward', null);
+        return true;
+
+      case 'insertText':
+        if (control) replaceControlSelection(host, String(value));
+        else insertNodes(host, [document.createTextNode(String(value))]);
+        dispatchInput(host, 'insertText', String(value));
+        return true;
+
+      case 'insertHTML': {
+        if (control) return false;
+        const template = document.createElement('template');
+        template.innerHTML = String(value);
+        insertNodes(host, [...template.content.childNodes]);
+        dispatchInput(host, 'insertHTML', null);
+        return true;
+      }
+
+      case 'insertParagraph':
+      case 'insertLineBreak':
+        if (control) replaceControlSelection(host, '\n');
+        else insertNodes(host, [document.createElement('br')]);
+        dispatchInput(host, command, null);
+        return true;
+
+      default:
+        // paste / copy 等命令在浏览器中同样受限，返回 false
+        return false;
+    }
+  };
+}
+
+/**
+ * 创建适配器测试环境
+ * @param {Object} options - 配置
+ * @param {string} options.url - 页面地址（决定加载哪些内容脚本，以及适配器的页面类型判断）
+ * @param {string} [options.fixture] - tests/fixtures 下的页面快照文件名
+ * @param {string} [options.html] - 直接提供的页面 HTML（优先于 fixture）
+ * @param {Object} [options.files] - fileId -> createTestFile() 返回的文件
+ * @param {Array<string>} [options.scripts] - 自定义加载的脚本列表，默认取 manifest 配置
+ * @param {boolean} [options.verbose] - 是否输出页面内的 console 日志
+ * @returns {Object} 测试环境
+ */
+function createAdapterEnvironment(options) {
+  const { url, fixture, files = {}, verbose = !!process.env.MOMENTDOTS_TEST_LOG } = options;
+  const html = options.html ?? fs.readFileSync(path.join(FIXTURES_DIR, fixture), 'utf8');
+
+  const virtualConsole = new VirtualConsole();
+  if (verbose) {
+    virtualConsole.sendTo(console);
+  }
+
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+  const { window } = dom;
+  const { chrome, listeners, sentMessages } = createChromeStub(files);
+
+  window.chrome = chrome;
+  installBrowserShims(window);
+  attachDeclarativeShadowRoots(window.document);
+
+  // 按 manifest 顺序以独立脚本执行，顶层 class 声明与浏览器一样在脚本之间共享
+  const context = dom.getInternalVMContext();
+  const scripts = options.scripts || getContentScriptsForUrl(url);
+  for (const script of scripts) {
+    const filename = path.join(EXTENSION_ROOT, script);
+    new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+  }
+
+  return {
+    window,
+    document: window.document,
+    chrome,
+    sentMessages,
+
+    /**
+     * 等待适配器完成初始化（适配器初始化后会注册到 SelectorDiagnostics）
+     * @param {string} platformId - 平台ID
+     * @param {number} timeout - 超时时间
+     * @returns {Promise<Object>} 适配器实例
+     */
+    async waitForAdapter(platformId, timeout = 5000) {
+      const startTime = Date.now();
+      while (Date.now() - startTime < timeout) {
+        const adapter = window.SelectorDiagnostics?.adapters.get(platformId);
+        if (adapter) {
+          return adapter;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      throw new Error(`${platformId} 适配器未在 ${timeout}ms 内完成初始化`);
+    },
+
+    /**
+     * 模拟后台通过 chrome.tabs.sendMessage 向内容脚本发送消息
+     * @param {Object} message - 消息
+     * @returns {Promise<*>} 第一个 sendResponse 的结果，没有监听器响应时为 undefined
+     */
+    sendMessage(message) {
+      return new Promise((resolve) => {
+        let responded = false;
+        let keepOpen = false;
+        const sendResponse = (response) => {
+          if (!responded) {
+            responded = true;
+            resolve(response);
+          }
+        };
+
+        for (const listener of [...listeners]) {
+          const result = listener(message, { id: chrome.runtime.id }, sendResponse);
+          if (result === true || typeof result?.then === 'function') {
+            keepOpen = true;
+          }
+        }
+
+        if (!keepOpen && !responded) {
+          resolve(undefined);
+        }
+      });
+    },
+
+    /**
+     * 缩短自动发布成功信号的等待时间（适配器默认等待 20~30 秒），用于测试未出现成功信号的情况
+     * @param {number} timeout - 等待时间
+     */
+    shortenPublishSignalWait(timeout = 1000) {
+      const { AdapterInitializer } = window;
+      const waitForPublishSignal = AdapterInitializer.waitForPublishSignal;
+      AdapterInitializer.waitForPublishSignal = check => waitForPublishSignal.call(AdapterInitializer, check, timeout, 100);
+    },
+
+    /**
+     * 模拟单页应用内跳转：把页面内容替换为另一个快照并修改地址（内容脚本不会重新加载）
+     * @param {string} nextFixture - tests/fixtures 下的页面快照文件名
+     * @param {string} [nextUrl] - 跳转后的地址（需与当前页面同源）
+     */
+    navigate(nextFixture, nextUrl) {
+      const nextHtml = fs.readFileSync(path.join(FIXTURES_DIR, nextFixture), 'utf8');
+      const nextDocument = new window.DOMParser().parseFromString(nextHtml, 'text/html');
+      window.document.title = nextDocument.title;
+      window.document.body.innerHTML = nextDocument.body.innerHTML;
+      attachDeclarativeShadowRoots(window.document);
+      if (nextUrl) {
+        window.history.pushState(null, '', nextUrl);
+      }
+    },
+
+    /**
+     * 关闭页面并清理页面内的定时器
+     */
+    close() {
+      window.close();
+    }
+  };
+}
+
+module.exports = {
+  createAdapterEnvironment,
+  createTestFile,
+  getContentScriptsForUrl
+};
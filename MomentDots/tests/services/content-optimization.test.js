@@ -0,0 +1,181 @@
+/**
+ * 内容优化服务测试 - 每次运行读取最新AI设置，锁定后不保留明文 Key，缓存按实际使用的模型和提示词区分
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * 创建模拟的 chrome.storage 区域，写入和删除时触发 onChanged
+ * @param {string} areaName - 区域名称（local/session）
+ * @param {Function} emit - 变更回调 (changes, areaName)
+ * @returns {Object} 存储区域
+ */
+function createStorageArea(areaName, emit) {
+  const data = {};
+
+  return {
+    async get(keys) {
+      return Object.fromEntries(keys.filter(key => key in data).map(key => [key, data[key]]));
+    },
+    async set(items) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: data[key], newValue: value };
+        data[key] = value;
+      }
+      emit(changes, areaName);
+    },
+    async remove(keys) {
+      const changes = {};
+      for (const key of keys) {
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      }
+      emit(changes, areaName);
+    }
+  };
+}
+
+function createChromeStub() {
+  const listeners = [];
+  const emit = (changes, areaName) => listeners.forEach(listener => listener(changes, areaName));
+
+  return {
+    storage: {
+      local: createStorageArea('local', emit),
+      session: createStorageArea('session', emit),
+      onChanged: { addListener: listener => listeners.push(listener) }
+    }
+  };
+}
+
+function createModel(overrides = {}) {
+  return { id: 'model-a', name: '模型A', provider: 'openai', model: 'gpt-test', apiKey: 'key-a', ...overrides };
+}
+
+let service = null;
+let vault = null;
+let calls = [];
+
+beforeEach(async () => {
+  global.chrome = createChromeStub();
+  global.window = {};
+
+  const { AIProviderService } = require('../../shared/services/AIProviderService');
+  const { AIKeyVaultService } = require('../../shared/services/AIKeyVaultService');
+  const { ContentOptimizationService } = require('../../shared/services/ContentOptimizationService');
+
+  calls = [];
+  window.PromptTemplate = require('../../shared/utils/PromptTemplate');
+  window.aiProviderService = new AIProviderService();
+  window.aiProviderService.generateText = async (model, prompt) => {
+    calls.push({ model, prompt });
+    return `${model.id}:${model.apiKey}`;
+  };
+  vault = new AIKeyVaultService({ iterations: 1000 });
+  window.aiKeyVault = vault;
+  service = new ContentOptimizationService();
+
+  await chrome.storage.local.set({
+    promptSettings: { models: [createModel()], defaultModel: 'model-a' },
+    promptPrompts: [{ name: '润色', content: '润色：{{content}}' }]
+  });
+});
+
+test('每次运行都读取最新的 Key、模型和备用模型', async () => {
+  assert.equal(await service.completePrompt('你好'), 'model-a:key-a');
+
+  const fallback = createModel({ id: 'model-b', name: '模型B', apiKey: 'key-b' });
+  await chrome.storage.local.set({
+    promptSettings: {
+      models: [createModel({ apiKey: 'key-a2', rpmLimit: 5 }), fallback],
+      defaultModel: 'model-a',
+      fallbackModel: 'model-b'
+    }
+  });
+
+  assert.equal(await service.completePrompt('你好'), 'model-a:key-a2');
+  assert.equal(calls[1].model.rpmLimit, 5);
+  assert.equal(service.getFallbackModel(calls[1].model)?.id, 'model-b');
+
+  await chrome.storage.local.set({
+    promptSettings: { models: [createModel({ apiKey: 'key-a2' }), fallback], defaultModel: 'model-b' }
+  });
+
+  assert.equal(await service.completePrompt('你好'), 'model-b:key-b');
+});
+
+test('设置变更后不再使用内存中旧模型的优化结果', async () => {
+  assert.equal(await service.optimizeContent('原文', '润色'), 'model-a:key-a');
+  assert.equal(await service.optimizeContent('原文', '润色'), 'model-a:key-a');
+  assert.equal(calls.length, 1);
+
+  await chrome.storage.local.set({
+    promptSettings: { models: [createModel({ apiKey: 'key-a2' })], defaultModel: 'model-a' }
+  });
+
+  assert.equal(await service.optimizeContent('原文', '润色'), 'model-a:key-a2');
+  assert.equal(calls.length, 2);
+});
+
+test('锁定后清除内存中的明文 Key，未解锁时拒绝运行', async () => {
+  await vault.enable('passphrase');
+  const stored = (await chrome.storage.local.get(['promptSettings'])).promptSettings;
+  assert.equal(stored.models[0].apiKey, '');
+
+  assert.equal(await service.completePrompt('你好'), 'model-a:key-a');
+  assert.equal(service.settings.models[0].apiKey, 'key-a');
+
+  await vault.lock();
+  assert.equal(service.settings, null);
+
+  await assert.rejects(service.completePrompt('你好'), error => vault.isLockedError(error));
+  assert.equal(service.settings, null);
+  assert.equal(calls.length, 1);
+
+  await vault.unlock('passphrase');
+  assert.equal(await service.completePrompt('你好'), 'model-a:key-a');
+});
+
+test('修改提示词内容后不再返回旧的优化结果', async () => {
+  await service.optimizeContent('原文', '润色');
+
+  await chrome.storage.local.set({ promptPrompts: [{ name: '润色', content: '改写：{{content}}' }] });
+
+  await service.optimizeContent('原文', '润色');
+  assert.equal(calls.length, 2);
+  assert.match(calls[1].prompt, /^改写：原文/);
+});
+
+test('切换到备用模型的结果按备用模型缓存，不当作主模型的结果', async () => {
+  const persisted = new Map();
+  window.aiUsageService = {
+    buildCacheKey: async (model, source) => `${model.id}:${source}`,
+    getCachedResult: async key => persisted.get(key) ?? null,
+    setCachedResult: async (key, text) => { persisted.set(key, text); },
+    recordUsage: async () => {}
+  };
+  window.aiProviderService.generateText = async (model, prompt) => {
+    calls.push({ model, prompt });
+    if (model.id === 'model-a') {
+      throw Object.assign(new Error('服务暂时不可用'), { status: 503 });
+    }
+    return `${model.id}:${model.apiKey}`;
+  };
+  service.retryConfig.maxRetries = 0;
+
+  await chrome.storage.local.set({
+    promptSettings: {
+      models: [createModel(), createModel({ id: 'model-b', name: '模型B', apiKey: 'key-b' })],
+      defaultModel: 'model-a',
+      fallbackModel: 'model-b'
+    }
+  });
+
+  assert.equal(await service.optimizeContent('原文', '润色'), 'model-b:key-b');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(service.cache.size, 0);
+  assert.deepEqual([...persisted.keys()], ['model-b:润色：原文']);
+});
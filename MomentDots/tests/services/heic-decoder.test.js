@@ -0,0 +1,95 @@
+/**
+ * HEIC 解码器测试 - 使用打包的 libheif 解码真实 HEIC 文件
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const libheif = require('../../libs/libheif/libheif-bundle.js');
+const { HeicDecoderService } = require('../../shared/services/HeicDecoderService');
+
+// 32x32 的 HEVC 图片：左半红色，右半蓝色
+const fixture = fs.readFileSync(path.join(__dirname, '../fixtures/sample.heic'));
+
+function pixelAt(result, x, y) {
+  const offset = (y * result.width + x) * 4;
+  return Array.from(result.data.slice(offset, offset + 4));
+}
+
+test('解码 HEIC 文件为 RGBA 像素', async () => {
+  const decoder = new HeicDecoderService({ factory: libheif });
+
+  const result = await decoder.decodePixels(fixture);
+
+  assert.equal(result.width, 32);
+  assert.equal(result.height, 32);
+  assert.equal(result.data.length, 32 * 32 * 4);
+
+  const [r1, g1, b1, a1] = pixelAt(result, 4, 4);
+  assert.ok(r1 > 180 && g1 < 60 && b1 < 60, `左侧应为红色: ${[r1, g1, b1]}`);
+  assert.equal(a1, 255);
+
+  const [r2, g2, b2] = pixelAt(result, 27, 27);
+  assert.ok(b2 > 180 && r2 < 60 && g2 < 60, `右侧应为蓝色: ${[r2, g2, b2]}`);
+});
+
+test('通过 File 解码时返回 ImageData', async () => {
+  const decoder = new HeicDecoderService({ factory: libheif });
+  const file = new File([fixture], 'IMG_0001.HEIC', { type: 'image/heic' });
+  const OriginalImageData = global.ImageData;
+  global.ImageData = class {
+    constructor(data, width, height) {
+      Object.assign(this, { data, width, height });
+    }
+  };
+
+  try {
+    const imageData = await decoder.decode(file);
+    assert.equal(imageData.width, 32);
+    assert.equal(imageData.height, 32);
+  } finally {
+    global.ImageData = OriginalImageData;
+  }
+});
+
+test('非 HEIC 数据解码失败', async () => {
+  const decoder = new HeicDecoderService({ factory: libheif });
+
+  await assert.rejects(() => decoder.decodePixels(new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0, 0])));
+});
+
+test('未加载 libheif 时给出明确错误', async () => {
+  const decoder = new HeicDecoderService();
+
+  await assert.rejects(() => decoder.decodePixels(fixture), /HEIC 解码器未加载/);
+});
+
+test('首次解码时才注入 libheif 脚本，且只注入一次', async () => {
+  const appended = [];
+  global.document = {
+    createElement: () => ({}),
+    head: {
+      appendChild(script) {
+        appended.push(script);
+        global.libheif = libheif;
+        setImmediate(() => script.onload());
+      }
+    }
+  };
+
+  try {
+    const decoder = new HeicDecoderService();
+    assert.equal(appended.length, 0);
+
+    const [first, second] = await Promise.all([decoder.decodePixels(fixture), decoder.decodePixels(fixture)]);
+
+    assert.equal(appended.length, 1);
+    assert.equal(appended[0].src, '../libs/libheif/libheif-bundle.js');
+    assert.equal(first.width, 32);
+    assert.equal(second.width, 32);
+  } finally {
+    delete global.document;
+    delete global.libheif;
+  }
+});
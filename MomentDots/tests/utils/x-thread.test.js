@@ -0,0 +1,106 @@
+/**
+ * X串推拆分测试 - 加权长度、边界长度和媒体分配
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getXWeightedLength,
+  splitTextForXThread,
+  buildXThread,
+  X_THREAD_CONFIG
+} = require('../../shared/utils/XThread');
+
+const { MAX_WEIGHTED_LENGTH, NUMBERING_RESERVE } = X_THREAD_CONFIG;
+
+/**
+ * 去掉串推每条末尾的「n/m」编号
+ * @param {Array<{text: string}>} thread - 串推
+ * @returns {string[]} 正文
+ */
+function stripNumbering(thread) {
+  return thread.map(post => post.text.replace(/\n?\d+\/\d+$/, ''));
+}
+
+test('加权长度：全角字符计2，常用标点计1，链接统一计23', () => {
+  assert.equal(getXWeightedLength('abc'), 3);
+  assert.equal(getXWeightedLength('中文'), 4);
+  assert.equal(getXWeightedLength('“引号”—'), 1 + 4 + 1 + 1);
+  assert.equal(getXWeightedLength('看 https://example.com/a/very/long/path?with=query'), 2 + 1 + 23);
+  assert.equal(getXWeightedLength(''), 0);
+  assert.equal(getXWeightedLength(null), 0);
+});
+
+test('恰好达到单条上限时不拆分，超出1个字符时拆分', () => {
+  assert.equal(buildXThread('a'.repeat(MAX_WEIGHTED_LENGTH)), null);
+  assert.equal(buildXThread('中'.repeat(MAX_WEIGHTED_LENGTH / 2)), null);
+
+  const thread = buildXThread('中'.repeat(MAX_WEIGHTED_LENGTH / 2 + 1));
+  assert.equal(thread.length, 2);
+  assert.ok(thread[0].text.endsWith('\n1/2'));
+  assert.ok(thread[1].text.endsWith('\n2/2'));
+});
+
+test('没有断句位置时按字符硬切，每条正文不超过扣除编号预留后的长度', () => {
+  const budget = MAX_WEIGHTED_LENGTH - NUMBERING_RESERVE;
+  const thread = buildXThread('a'.repeat(MAX_WEIGHTED_LENGTH + 1));
+
+  assert.deepEqual(stripNumbering(thread).map(text => text.length), [budget, MAX_WEIGHTED_LENGTH + 1 - budget]);
+  thread.forEach(post => assert.ok(getXWeightedLength(post.text) <= MAX_WEIGHTED_LENGTH));
+});
+
+test('优先在句子边界断开，拆分后正文不丢字', () => {
+  // 每句 2 + 40*2 = 82，3句为 246，加第4句超出 274 的预算
+  const sentences = Array.from({ length: 7 }, (_, index) => `第${index + 1}${'字'.repeat(40)}。`);
+  const content = sentences.join('');
+
+  const thread = buildXThread(content);
+  const texts = stripNumbering(thread);
+
+  assert.equal(thread.length, 3);
+  texts.forEach(text => assert.ok(text.endsWith('。'), text));
+  assert.equal(texts.join(''), content);
+});
+
+test('超长句子在分句逗号处断开', () => {
+  // 每个分句 50*2 + 2 = 102，预算 210 时每条容纳两个分句
+  const clause = `${'词'.repeat(50)}，`;
+  const posts = splitTextForXThread(clause.repeat(4), 210);
+
+  assert.deepEqual(posts, [clause.repeat(2), clause.repeat(2)]);
+});
+
+test('段落之间保留换行，超出预算时新起一条', () => {
+  const paragraph = 'x'.repeat(120);
+  const posts = splitTextForXThread([paragraph, paragraph, paragraph].join('\n\n'), 274);
+
+  assert.deepEqual(posts, [`${paragraph}\n${paragraph}`, paragraph]);
+});
+
+test('编号位数增加时每条仍不超过上限', () => {
+  const thread = buildXThread('word '.repeat(800));
+
+  assert.ok(thread.length >= 10);
+  assert.ok(thread[thread.length - 1].text.endsWith(`\n${thread.length}/${thread.length}`));
+  thread.forEach(post => assert.ok(getXWeightedLength(post.text) <= MAX_WEIGHTED_LENGTH, post.text));
+});
+
+test('媒体分配：每条最多4张图片，视频单独成条', () => {
+  assert.equal(buildXThread('短文', 4), null);
+  assert.equal(buildXThread('短文', 0, 1), null);
+
+  assert.deepEqual(buildXThread('短文', 5), [
+    { text: '短文\n1/2', mediaCount: 4 },
+    { text: '2/2', mediaCount: 1 }
+  ]);
+
+  assert.deepEqual(buildXThread('短文', 2, 2).map(post => post.mediaCount), [2, 1, 1]);
+});
+
+test('长文与多媒体同时存在时条数取两者较大值', () => {
+  const thread = buildXThread('a'.repeat(MAX_WEIGHTED_LENGTH + 1), 9);
+
+  assert.deepEqual(thread.map(post => post.mediaCount), [4, 4, 1]);
+  assert.ok(thread[1].text.startsWith('a'));
+  assert.equal(thread[2].text, '3/3');
+});